@@ -1 +1 @@
-require('./server.js');
+require('./server.js').start();
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+
+// --- Audit Log ---
+// One entry per accepted change, whoever or whatever made it:
+//   { id, at, actor: { username, role, ip, client }, type, deviceId, target, changes: [{ path, before, after }] }
+// `client` says how the change arrived: 'app' (the dashboard's WebSocket), 'rest' or 'mqtt' for
+// requests, or the switch history source of a change nobody asked the server for ('schedule',
+// 'timer', 'rule', 'vacation', 'physical', 'hardware'; see lib/history.js). Those carry no username.
+// `type` is the WebSocket message type (REST routes log their permission, e.g. MANAGE_USERS).
+// `changes` lists only what changed, by dotted path (see diff); a side without the path has no key.
+const AUDIT_CLIENTS = ['app', 'rest', 'mqtt', 'schedule', 'timer', 'rule', 'vacation', 'physical', 'hardware'];
+
+// History sources of switch changes someone asked for: those were logged when they were asked for
+const REQUESTED_SOURCES = ['app', 'rest', 'mqtt', 'scene'];
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const DEFAULT_RANGE = 7 * 24 * 60 * 60 * 1000;
+
+function createId() {
+    return crypto.randomBytes(4).toString('hex');
+}
+
+// Lists of { id } objects (schedules, scenes, rules, the offline queue) are keyed by their IDs,
+// so one edited schedule shows up as that schedule's fields rather than the whole list
+function flatten(value, path, out) {
+    const keyed = Array.isArray(value) && value.length && value.every(item => item && typeof item.id === 'string');
+    if (keyed) {
+        for (const item of value) flatten(item, `${path}.${item.id}`, out);
+    } else if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+        for (const key of Object.keys(value)) flatten(value[key], path ? `${path}.${key}` : key, out);
+    } else if (path) {
+        out[path] = value === undefined ? null : value;
+    }
+    return out;
+}
+
+// What differs between two snapshots of the same scope: [{ path, before, after }]
+function diff(before, after) {
+    const was = flatten(before, '', {});
+    const now = flatten(after, '', {});
+    const changes = [];
+    for (const path of new Set([...Object.keys(was), ...Object.keys(now)])) {
+        if (JSON.stringify(was[path]) === JSON.stringify(now[path])) continue;
+        const change = { path };
+        if (path in was) change.before = was[path];
+        if (path in now) change.after = now[path];
+        changes.push(change);
+    }
+    return changes;
+}
+
+// Plain copy of a scope, taken before the change so later mutations do not reach it
+function snapshot(scope) {
+    return JSON.parse(JSON.stringify(scope || {}));
+}
+
+function createEntry({ actor = {}, type, deviceId = null, target = null, changes = [] }, now = Date.now()) {
+    const { username = null, role = null, ip = null, client = null } = actor;
+    return {
+        id: createId(),
+        at: new Date(now),
+        actor: { username, role, ip, client },
+        type,
+        deviceId,
+        target: target === undefined ? null : target,
+        changes
+    };
+}
+
+// Query string of GET /api/v1/audit -> { filter } for storage.findAudit, or { error }.
+// Defaults to the newest 100 entries of the last 7 days.
+function parseQuery(query = {}, now = Date.now()) {
+    const to = query.to ? new Date(query.to) : new Date(now);
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE);
+    if (isNaN(from) || isNaN(to)) return { error: 'Invalid from/to date' };
+    if (query.client && !AUDIT_CLIENTS.includes(query.client)) {
+        return { error: `client must be one of ${AUDIT_CLIENTS.join(', ')}` };
+    }
+    const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const filter = { from, to, limit };
+    for (const key of ['username', 'client', 'type', 'deviceId', 'target']) {
+        if (typeof query[key] === 'string' && query[key]) filter[key] = query[key];
+    }
+    return { filter };
+}
+
+// Whether an entry passes a findAudit filter (the memory backend's query)
+function matches(entry, { username, client, type, deviceId, target, from, to }) {
+    return (!username || entry.actor.username === username) &&
+        (!client || entry.actor.client === client) &&
+        (!type || entry.type === type) &&
+        (!deviceId || entry.deviceId === deviceId) &&
+        (!target || entry.target === target) &&
+        entry.at >= from && entry.at < to;
+}
+
+module.exports = {
+    AUDIT_CLIENTS,
+    REQUESTED_SOURCES,
+    diff,
+    snapshot,
+    createEntry,
+    parseQuery,
+    matches
+};
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+
+// --- Roles & Permissions ---
+// Maps each protected action (usually a WebSocket message type) to the roles allowed to perform it.
+const ROLES = ['admin', 'member', 'guest'];
+
+const PERMISSIONS = {
+    VIEW_STATE: ['admin', 'member', 'guest'],
+    VIEW_AUDIT: ['admin', 'member'],
+    VIEW_HOUSEHOLD: ['admin', 'member'], // Who is home, rules, vacation plans and who did what (see visibleState)
+    TOGGLE_SWITCH: ['admin', 'member', 'guest'],
+    CANCEL_QUEUED: ['admin', 'member', 'guest'],
+    SET_SCHEDULE: ['admin', 'member'],
+    SET_TIMER: ['admin', 'member'],
+    DELETE_TASK: ['admin', 'member'],
+    RENAME: ['admin', 'member'],
+    SYSTEM_UPDATE: ['admin', 'member'],
+    SET_SCENE: ['admin', 'member'],
+    DELETE_SCENE: ['admin', 'member'],
+    SET_WATTAGE: ['admin', 'member'],
+    SET_INTERLOCK: ['admin', 'member'],
+    APPLY_SCENE: ['admin', 'member', 'guest'],
+    CHECK_IN: ['admin', 'member'], // Guests do not count towards who is home
+    SET_VACATION: ['admin', 'member'],
+    SET_RULE: ['admin', 'member'],
+    ENABLE_RULE: ['admin', 'member'],
+    DELETE_RULE: ['admin', 'member'],
+    UPDATE_SETTINGS: ['admin'],
+    REBOOT: ['admin'],
+    OTA_UPDATE: ['admin'],
+    MANAGE_FIRMWARE: ['admin'],
+    MANAGE_USERS: ['admin'],
+    EXPORT_CONFIG: ['admin'], // Bundles hold every name, schedule and rule of the site
+    IMPORT_CONFIG: ['admin'],
+    MANAGE_WEBHOOKS: ['admin'] // Webhooks make the server POST to any URL, the home network included
+};
+
+function can(role, action) {
+    return (PERMISSIONS[action] || []).includes(role);
+}
+
+// The state as `role` may see it. Without VIEW_HOUSEHOLD it keeps the devices but not who is home,
+// the rules or the vacation plan, and drops the usernames on queued commands and firmware updates.
+function visibleState(state, role) {
+    if (can(role, 'VIEW_HOUSEHOLD')) return state;
+    return {
+        settings: state.settings,
+        rules: [],
+        devices: Object.fromEntries(Object.entries(state.devices).map(([deviceId, device]) => [deviceId, visibleDevice(device, role)])),
+        presence: {}
+    };
+}
+
+function visibleDevice(device, role) {
+    if (can(role, 'VIEW_HOUSEHOLD')) return device;
+    return {
+        ...device,
+        queue: device.queue.map(({ by, ...entry }) => entry),
+        ota: device.ota && { ...device.ota, by: null }
+    };
+}
+
+// --- Password Hashing (scrypt, no native deps) ---
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    if (!stored || !stored.includes(':')) return false;
+    const [salt, hash] = stored.split(':');
+    const candidate = crypto.scryptSync(password, salt, 64);
+    return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+}
+
+// --- Session Tokens ---
+// Compact signed tokens: base64url(JSON payload) + '.' + HMAC-SHA256 signature
+const TOKEN_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days - phones stay logged in
+
+function createToken(user, secret) {
+    const payload = Buffer.from(JSON.stringify({
+        sub: user.username,
+        role: user.role,
+        exp: Date.now() + TOKEN_TTL
+    })).toString('base64url');
+    return `${payload}.${sign(payload, secret)}`;
+}
+
+// Returns { sub, role, exp } for a valid token, otherwise null
+function verifyToken(token, secret) {
+    if (typeof token !== 'string' || !token.includes('.')) return null;
+    const [payload, signature] = token.split('.');
+    if (!safeEqual(signature, sign(payload, secret))) return null;
+
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        if (!claims.exp || claims.exp < Date.now()) return null;
+        return claims;
+    } catch (e) {
+        return null;
+    }
+}
+
+function sign(payload, secret) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+// Constant-time string comparison (also used for the device pre-shared secret)
+function safeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string') return false;
+    const bufA = Buffer.from(a);
+    const bufB = Buffer.from(b);
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    can,
+    visibleState,
+    visibleDevice,
+    hashPassword,
+    verifyPassword,
+    createToken,
+    verifyToken,
+    safeEqual
+};
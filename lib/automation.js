@@ -0,0 +1,148 @@
+const { getLocalClock } = require('./clock');
+const { scheduleMatches } = require('./schedules');
+const { parseSceneTarget } = require('./scenes');
+const { isReplaying, dueEvents, planAhead } = require('./vacation');
+
+// --- AUTOMATION ENGINE ---
+// Runs once a minute against the site's wall clock (see lib/clock.js).
+// Everything outside the engine is injected so tests can drive it with a fake clock.
+//
+//   state          shared memory state ({ devices, vacation })
+//   getTimeZone()  current IANA zone from the site settings
+//   location       { latitude, longitude } or null
+//   rules          rule engine (lib/rules.js)
+//   updateAndSave, broadcast, sendToDevice, syncSchedules, applyScene  server helpers
+//   interlocked(deviceId, switchId, value)  why a channel's wall switch holds it off, or null (lib/interlock.js)
+//   notify(kind, deviceId, target, value, sent, reason)  told of every schedule/timer run ('schedule' | 'timer');
+//                  `reason` explains a run that was held off
+//   saveVacation() persists state.vacation after the engine moved its plan on (lib/vacation.js)
+//   now()          current instant (defaults to the real clock)
+//   random()       jitter source for vacation plans (defaults to Math.random)
+function createAutomation({
+    state,
+    getTimeZone,
+    location = null,
+    rules,
+    updateAndSave,
+    broadcast,
+    sendToDevice,
+    syncSchedules,
+    applyScene,
+    interlocked = () => null,
+    notify = () => {},
+    saveVacation = async () => {},
+    now = () => new Date(),
+    random = Math.random
+}) {
+    // Schedules and timers target either a channel or a scene ('scene:<id>', see lib/scenes.js).
+    // `source` ('schedule' or 'timer') labels the resulting switch history entries.
+    async function fire(deviceId, target, value, source) {
+        const sceneId = parseSceneTarget(target);
+        const reason = sceneId ? null : interlocked(deviceId, target, value);
+        if (reason) {
+            console.log(`[Interlock] ${source} on ${deviceId}/${target} held off: ${reason}`);
+            return notify(source, deviceId, target, value, false, reason);
+        }
+        const sent = sceneId
+            ? await applyScene(deviceId, sceneId, source)
+            : sendToDevice(deviceId, { type: 'COMMAND', data: { action: 'TOGGLE', switchId: target, value } }, source);
+        notify(source, deviceId, target, value, !!sent);
+    }
+
+    // Replays the due part of the vacation plan and plans the days coming into view.
+    // The plan keeps rolling while the mode is off so the Settings preview stays current.
+    async function replayVacation() {
+        const vacation = state.vacation;
+        if (!vacation || !vacation.switches.length) return;
+        const at = now().getTime();
+
+        if (vacation.enabled) {
+            for (const { deviceId, switchId, value } of dueEvents(vacation.plan, at)) {
+                if (!state.devices[deviceId]) continue;
+                const reason = interlocked(deviceId, switchId, value);
+                if (reason) {
+                    console.log(`[Vacation] ${deviceId}/${switchId} -> ${value} held off: ${reason}`);
+                    continue;
+                }
+                const sent = sendToDevice(deviceId, { type: 'COMMAND', data: { action: 'TOGGLE', switchId, value } }, 'vacation');
+                console.log(`[Vacation] ${deviceId}/${switchId} -> ${value}${sent ? '' : ' skipped (board offline)'}`);
+            }
+        }
+
+        const { plan, plannedThrough } = planAhead(vacation, { now: at, timeZone: getTimeZone(), random });
+        if (plan.length === vacation.plan.length && plannedThrough === vacation.plannedThrough) return;
+        Object.assign(vacation, { plan, plannedThrough });
+        broadcast({ type: 'STATE_CHANGED', data: state });
+        await saveVacation();
+    }
+
+    function getClock() {
+        return getLocalClock(now(), getTimeZone(), location);
+    }
+
+    async function tick() {
+        const clock = getClock();
+        const { hours, minutes } = clock;
+        const minuteOfDay = hours * 60 + minutes;
+
+        // 1. Rules with time triggers (the Aura night/morning protocol lives there too)
+        await rules.tick(clock);
+
+        for (const [deviceId, device] of Object.entries(state.devices)) {
+            // 2. Precision Schedule/Timer Trigger (Double Protection)
+            // Checks if any task is due in the next 60 seconds.
+            // We send a "Pre-Trigger" command to the hardware.
+            for (const [target, schedules] of Object.entries(device.schedules)) {
+                // Sun-anchored times move daily; refresh the hardware's offline copy after midnight
+                if (minuteOfDay === 0 && schedules.some(sched => sched.anchor !== 'time')) {
+                    syncSchedules(deviceId, target);
+                }
+
+                // Check Schedules (paused while vacation mode replays the channel)
+                if (isReplaying(state.vacation, deviceId, target)) continue;
+                for (const sched of schedules) {
+                    if (scheduleMatches(sched, clock)) {
+                        console.log(`[Double-Protection] Schedule ${sched.id} hit for ${deviceId}/${target}. Sending reminder.`);
+                        await fire(deviceId, target, sched.action, 'schedule');
+
+                        // One-shot events retire once they have fired
+                        if (sched.date) {
+                            sched.enabled = false;
+                            syncSchedules(deviceId, target);
+                            broadcast({ type: 'STATE_CHANGED', data: state });
+                            await updateAndSave(deviceId, { schedules: device.schedules }, true);
+                        }
+                    }
+                }
+            }
+
+            // Check Timers (endAt is an absolute timestamp, so no zone math is involved)
+            for (const [target, timer] of Object.entries(device.timers)) {
+                if (timer && timer.active) {
+                    const timeLeft = Math.floor((timer.endAt - now().getTime()) / 1000);
+                    if (timeLeft <= 30 && timeLeft > -30) { // Within 30s window
+                        console.log(`[Double-Protection] Timer hit for ${deviceId}/${target}. Sending reminder.`);
+                        await fire(deviceId, target, timer.action, 'timer');
+                        // Clean up timer after trigger
+                        timer.active = false;
+                        broadcast({ type: 'STATE_CHANGED', data: state });
+                    }
+                }
+            }
+        }
+
+        // 3. Vacation mode (see lib/vacation.js)
+        await replayVacation();
+
+        return clock;
+    }
+
+    return { tick, getClock };
+}
+
+// The hardware's deep sleep window (2:30 AM - 3:30 AM local)
+function isSleepWindow({ hours, minutes }) {
+    return (hours === 2 && minutes >= 30) || (hours === 3 && minutes < 30);
+}
+
+module.exports = { createAutomation, isSleepWindow };
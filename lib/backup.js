@@ -0,0 +1,301 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { isValidTimeZone } = require('./clock');
+const { buildSchedule } = require('./schedules');
+const { buildScene, parseSceneTarget } = require('./scenes');
+const { buildRule } = require('./rules');
+const { isPolicy } = require('./interlock');
+const { MIN_QUEUE_TTL, MAX_QUEUE_TTL } = require('./queue');
+const { MAX_JITTER } = require('./vacation');
+
+// --- Configuration Bundles ---
+// Everything people set up, as one versioned JSON document to export, preview against the running
+// configuration and import again:
+//   { format: 'switch-smart-config', version, exportedAt, settings, vacation, rules, devices }
+//     settings  { timeZone, queueOffline, queueTtl }
+//     vacation  { enabled, switches, jitter } (habits are learned again on import, see lib/vacation.js)
+//     rules     [rule] (lib/rules.js)
+//     devices   deviceId -> { label, channels, names, scenes, schedules, timers, wattage, interlocks, ledMode }
+// What the boards report (levels, wall switches, signal) stays out, as do the accounts, history,
+// health, firmware and audit log that the storage snapshots in lib/storage carry between backends.
+//
+// On import every section and device field present replaces what is there; absent ones stay as they
+// are, so the single-board data.json of the original server ({ names: { name1.. }, system }) reads
+// as a bundle that renames the default device and sets its Aura.
+const FORMAT = 'switch-smart-config';
+const BUNDLE_VERSION = 1;
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const isId = (value) => typeof value === 'string' && value.length > 0 && value.length <= 80;
+
+function deviceConfig({ label, channels, names, scenes, schedules, timers, wattage, interlocks, system }) {
+    return { label, channels, names, scenes, schedules, timers, wattage, interlocks, ledMode: system.ledMode };
+}
+
+// The configuration part of the server state (no format header, so two of them can be diffed)
+function configOf(state) {
+    const { timeZone, queueOffline, queueTtl } = state.settings;
+    const { enabled, switches, jitter } = state.vacation;
+    return JSON.parse(JSON.stringify({
+        settings: { timeZone, queueOffline, queueTtl },
+        vacation: { enabled, switches, jitter },
+        rules: state.rules,
+        devices: Object.fromEntries(Object.entries(state.devices).map(([deviceId, device]) => [deviceId, deviceConfig(device)]))
+    }));
+}
+
+function exportBundle(state, now = new Date()) {
+    return { format: FORMAT, version: BUNDLE_VERSION, exportedAt: now.toISOString(), ...configOf(state) };
+}
+
+// --- Reading a bundle ---
+// Each reader returns { value } or { error } naming the offending path
+
+function readSettings(settings) {
+    if (!isObject(settings)) return { error: 'settings must be an object' };
+    const { timeZone, queueOffline, queueTtl } = settings;
+    const value = {};
+    if (timeZone !== undefined) {
+        if (!isValidTimeZone(timeZone)) return { error: `settings.timeZone: unknown time zone '${timeZone}'` };
+        value.timeZone = timeZone;
+    }
+    if (queueOffline !== undefined) {
+        if (typeof queueOffline !== 'boolean') return { error: 'settings.queueOffline must be true or false' };
+        value.queueOffline = queueOffline;
+    }
+    if (queueTtl !== undefined) {
+        if (!Number.isInteger(queueTtl) || queueTtl < MIN_QUEUE_TTL || queueTtl > MAX_QUEUE_TTL) {
+            return { error: `settings.queueTtl must be ${MIN_QUEUE_TTL} to ${MAX_QUEUE_TTL} seconds` };
+        }
+        value.queueTtl = queueTtl;
+    }
+    return { value };
+}
+
+function readVacation(vacation) {
+    if (!isObject(vacation)) return { error: 'vacation must be an object' };
+    const { enabled = false, switches = [], jitter } = vacation;
+    if (typeof enabled !== 'boolean') return { error: 'vacation.enabled must be true or false' };
+    if (!Array.isArray(switches) || !switches.every(entry => isObject(entry) && isId(entry.deviceId) && isId(entry.switchId))) {
+        return { error: 'vacation.switches must be a list of { deviceId, switchId }' };
+    }
+    if (jitter !== undefined && (!Number.isInteger(jitter) || jitter < 0 || jitter > MAX_JITTER)) {
+        return { error: `vacation.jitter must be 0 to ${MAX_JITTER} minutes` };
+    }
+    if (enabled && !switches.length) return { error: 'vacation.switches: vacation mode needs at least one switch' };
+    const value = { enabled, switches: switches.map(({ deviceId, switchId }) => ({ deviceId, switchId })) };
+    if (jitter !== undefined) value.jitter = jitter;
+    return { value };
+}
+
+function readRules(rules) {
+    if (!Array.isArray(rules)) return { error: 'rules must be a list' };
+    const value = [];
+    for (const [index, input] of rules.entries()) {
+        if (!isObject(input) || !isId(input.id)) return { error: `rules[${index}] needs an id` };
+        if (value.some(rule => rule.id === input.id)) return { error: `rules[${index}]: duplicate id '${input.id}'` };
+        const { rule, error } = buildRule(input, { id: input.id });
+        if (error) return { error: `rules[${index}]: ${error}` };
+        value.push(rule);
+    }
+    return { value };
+}
+
+// Lists keyed by channel ID or scene target; `read(item)` returns the clean item or null
+function readKeyedLists(map, field, read) {
+    if (!isObject(map)) return { error: `${field} must be an object` };
+    const value = {};
+    for (const [key, list] of Object.entries(map)) {
+        if (!Array.isArray(list)) return { error: `${field}.${key} must be a list` };
+        value[key] = [];
+        for (const [index, item] of list.entries()) {
+            const clean = isObject(item) ? read(item) : null;
+            if (!clean) return { error: `${field}.${key}[${index}] is not valid` };
+            value[key].push(clean);
+        }
+    }
+    return { value };
+}
+
+// Checks the shapes; whether keys and levels fit the device's channels is up to the caller (server.js)
+function readDevice(config, field) {
+    if (!isObject(config)) return { error: `${field} must be an object` };
+    const value = {};
+    if (config.label !== undefined) {
+        if (typeof config.label !== 'string' || !config.label.trim()) return { error: `${field}.label must be a name` };
+        value.label = config.label.trim();
+    }
+    if (config.channels !== undefined) {
+        const channels = config.channels;
+        if (!Array.isArray(channels) || !channels.length || !channels.every(channel => isObject(channel) && isId(channel.id)) ||
+            new Set(channels.map(channel => channel.id)).size !== channels.length) {
+            return { error: `${field}.channels must be a list of channels with distinct ids` };
+        }
+        value.channels = channels.map(({ id, type, physical, levels }) => ({ id, type, physical: !!physical, ...(levels ? { levels } : {}) }));
+    }
+    for (const key of ['names', 'wattage', 'interlocks']) {
+        if (config[key] === undefined) continue;
+        if (!isObject(config[key])) return { error: `${field}.${key} must be an object` };
+        for (const [switchId, item] of Object.entries(config[key])) {
+            const valid = key === 'names' ? typeof item === 'string' && item.trim().length > 0
+                : key === 'wattage' ? typeof item === 'number' && Number.isFinite(item) && item >= 0
+                    : isPolicy(item);
+            if (!valid) return { error: `${field}.${key}.${switchId} is not valid` };
+        }
+        value[key] = { ...config[key] };
+    }
+    if (config.scenes !== undefined) {
+        if (!Array.isArray(config.scenes)) return { error: `${field}.scenes must be a list` };
+        value.scenes = [];
+        for (const [index, input] of config.scenes.entries()) {
+            const scene = isObject(input) && isId(input.id) ? buildScene(input, { id: input.id }) : null;
+            if (!scene || value.scenes.some(other => other.id === scene.id)) return { error: `${field}.scenes[${index}] is not valid` };
+            value.scenes.push(scene);
+        }
+    }
+    if (config.schedules !== undefined) {
+        const { value: schedules, error } = readKeyedLists(config.schedules, `${field}.schedules`,
+            (item) => isId(item.id) ? buildSchedule(item, { id: item.id }) : null);
+        if (error) return { error };
+        value.schedules = schedules;
+    }
+    if (config.timers !== undefined) {
+        if (!isObject(config.timers)) return { error: `${field}.timers must be an object` };
+        value.timers = {};
+        for (const [key, timer] of Object.entries(config.timers)) {
+            if (!isObject(timer)) return { error: `${field}.timers.${key} is not valid` };
+            const active = !!timer.active && Number.isFinite(timer.endAt);
+            value.timers[key] = active ? { active, endAt: timer.endAt, action: timer.action } : { active: false, endAt: 0, action: 0 };
+        }
+    }
+    if (config.ledMode !== undefined) {
+        if (!Number.isInteger(config.ledMode) || config.ledMode < 0) return { error: `${field}.ledMode must be a mode number` };
+        value.ledMode = config.ledMode;
+    }
+    // Scene targets only count when the scene comes along
+    const scenes = value.scenes || [];
+    for (const kind of ['schedules', 'timers']) {
+        for (const key of Object.keys(value[kind] || {})) {
+            const sceneId = parseSceneTarget(key);
+            if (sceneId !== null && !scenes.some(scene => scene.id === sceneId)) {
+                return { error: `${field}.${kind}.${key}: unknown scene` };
+            }
+        }
+    }
+    return { value };
+}
+
+// The original server's data.json: one board, names keyed name1..nameN
+function fromLegacy({ names = {}, system = {} }, deviceId) {
+    const device = {
+        names: Object.fromEntries(Object.entries(names).map(([key, name]) => [key.replace(/^name(\d+)$/, 'switch$1'), name]))
+    };
+    if (Number.isInteger(system.ledMode)) device.ledMode = system.ledMode;
+    return { format: FORMAT, version: BUNDLE_VERSION, devices: { [deviceId]: device } };
+}
+
+// Validates an uploaded bundle (or a legacy data.json): { bundle } with clean sections, or { error }
+function readBundle(input, { defaultDeviceId = 'main' } = {}) {
+    if (!isObject(input)) return { error: 'Not a configuration bundle' };
+    if (input.format === undefined && input.version === undefined && isObject(input.switches)) {
+        input = fromLegacy(input, defaultDeviceId);
+    }
+    if (input.format !== FORMAT) return { error: 'Not a configuration bundle' };
+    if (input.version !== BUNDLE_VERSION) return { error: `Unsupported bundle version ${input.version}` };
+
+    const bundle = { format: FORMAT, version: BUNDLE_VERSION, exportedAt: input.exportedAt || null };
+    const readers = { settings: readSettings, vacation: readVacation, rules: readRules };
+    for (const [section, read] of Object.entries(readers)) {
+        if (input[section] === undefined) continue;
+        const { value, error } = read(input[section]);
+        if (error) return { error };
+        bundle[section] = value;
+    }
+    if (input.devices !== undefined) {
+        if (!isObject(input.devices)) return { error: 'devices must be an object' };
+        const devices = [];
+        for (const [deviceId, config] of Object.entries(input.devices)) {
+            if (!isId(deviceId)) return { error: `devices: '${deviceId}' is not a device ID` };
+            const { value, error } = readDevice(config, `devices.${deviceId}`);
+            if (error) return { error };
+            devices.push([deviceId, value]);
+        }
+        bundle.devices = Object.fromEntries(devices); // Defines even a '__proto__' entry as a device
+    }
+    return { bundle };
+}
+
+// --- Automatic Backups ---
+// With BACKUP_DIR set the server writes a bundle there every BACKUP_INTERVAL hours and keeps the
+// newest BACKUP_KEEP: config-<ISO time>.json, named so they sort oldest first (written to a temporary
+// file and renamed, like lib/storage/file.js, so a power cut never leaves half a backup).
+const DEFAULT_INTERVAL = 24; // Hours
+const DEFAULT_KEEP = 14;
+const BACKUP_NAME = /^config-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z\.json$/;
+
+function backupName(now) {
+    return `config-${now.toISOString().replace(/[:.]/g, '-')}.json`;
+}
+
+function createBackupStore({ dir, keep = DEFAULT_KEEP }) {
+    async function names() {
+        try {
+            return (await fs.readdir(dir)).filter(name => BACKUP_NAME.test(name)).sort();
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        }
+    }
+
+    return {
+        dir,
+
+        // Newest first: [{ name, size, at }]
+        async list() {
+            const found = [];
+            for (const name of (await names()).reverse()) {
+                const { size, mtime } = await fs.stat(path.join(dir, name));
+                found.push({ name, size, at: mtime });
+            }
+            return found;
+        },
+
+        async write(bundle, now = new Date()) {
+            await fs.mkdir(dir, { recursive: true });
+            const name = backupName(now);
+            const data = JSON.stringify(bundle, null, 2);
+            await fs.writeFile(path.join(dir, `${name}.tmp`), data);
+            await fs.rename(path.join(dir, `${name}.tmp`), path.join(dir, name));
+            const stale = (await names()).slice(0, -keep);
+            for (const old of stale) await fs.unlink(path.join(dir, old));
+            return { name, size: Buffer.byteLength(data), at: now, pruned: stale.length };
+        },
+
+        // The backup's text, or null for names that are not backups in this directory
+        async read(name) {
+            if (!BACKUP_NAME.test(name)) return null;
+            try {
+                return await fs.readFile(path.join(dir, name), 'utf8');
+            } catch (err) {
+                if (err.code === 'ENOENT') return null;
+                throw err;
+            }
+        }
+    };
+}
+
+function isBackupDue(lastAt, intervalHours, now = Date.now()) {
+    return !lastAt || now - new Date(lastAt).getTime() >= intervalHours * 60 * 60 * 1000;
+}
+
+module.exports = {
+    FORMAT,
+    BUNDLE_VERSION,
+    DEFAULT_INTERVAL,
+    DEFAULT_KEEP,
+    configOf,
+    exportBundle,
+    readBundle,
+    createBackupStore,
+    isBackupDue
+};
@@ -0,0 +1,58 @@
+// --- Message Bus ---
+// What several server instances behind a load balancer share (BUS_URL):
+//   memory  nothing leaves the process; the default, for a single instance
+//   redis   PUBLISH/SUBSCRIBE on a Redis-compatible server: redis://[[user]:password@]host[:port]
+//
+// Every bus implements:
+//   name, instanceId
+//   connect() / close()
+//   publish(message)     message = { kind, ... } (plain JSON), tagged { from: instanceId } and
+//                        delivered at most once to every other instance; false if it could not go out
+//   subscribe(handler)   handler(message) for each message another instance publishes
+// What the server sends over it is described in server.js (Cluster).
+const { createMemoryBus } = require('./memory');
+const { createRedisBus } = require('./redis');
+
+const DEFAULT_CHANNEL = 'switchsmart';
+const PEER_TIMEOUT = 30 * 1000; // Instances silent this long are gone (they announce themselves every 10 s)
+
+// options: { url, channel, instanceId, hub }
+function createBus({ url, channel = DEFAULT_CHANNEL, instanceId, hub } = {}) {
+    if (!url) return createMemoryBus({ instanceId, hub });
+    const { protocol } = new URL(url);
+    if (protocol === 'redis:') return createRedisBus({ url, channel, instanceId });
+    throw new Error(`Unknown BUS_URL scheme '${protocol}' (expected redis:)`);
+}
+
+// The instances heard from lately. The one with the lowest ID leads: it alone runs the clock
+// (schedules, timed rules, vacation replays...), so nothing fires once per instance.
+function createPeerTracker(instanceId, { timeout = PEER_TIMEOUT } = {}) {
+    const lastSeen = new Map(); // instanceId -> epoch ms
+
+    function peers(now = Date.now()) {
+        for (const [id, at] of lastSeen) {
+            if (now - at > timeout) lastSeen.delete(id);
+        }
+        return [...lastSeen.keys()].sort();
+    }
+
+    return {
+        seen(id, now = Date.now()) {
+            if (id !== instanceId) lastSeen.set(id, now);
+        },
+        forget(id) {
+            lastSeen.delete(id);
+        },
+        peers,
+        isLeader(now = Date.now()) {
+            return peers(now).every(id => id > instanceId);
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_CHANNEL,
+    PEER_TIMEOUT,
+    createBus,
+    createPeerTracker
+};
@@ -0,0 +1,35 @@
+// --- In-Process Bus ---
+// Delivers to the other buses on the same hub, a tick later like a network would. With a hub of its
+// own (the default) a lone instance publishes to nobody; tests hand several buses one hub.
+const { EventEmitter } = require('events');
+
+function createMemoryBus({ instanceId, hub = new EventEmitter() }) {
+    const listeners = [];
+
+    return {
+        name: 'memory',
+        instanceId,
+
+        async connect() {},
+
+        async close() {
+            listeners.splice(0).forEach(listener => hub.off('message', listener));
+        },
+
+        publish(message) {
+            const copy = JSON.parse(JSON.stringify({ ...message, from: instanceId }));
+            setImmediate(() => hub.emit('message', copy));
+            return true;
+        },
+
+        subscribe(handler) {
+            const listener = (message) => {
+                if (message.from !== instanceId) handler(message);
+            };
+            listeners.push(listener);
+            hub.on('message', listener);
+        }
+    };
+}
+
+module.exports = { createMemoryBus };
@@ -0,0 +1,165 @@
+// --- Redis Bus ---
+// PUBLISH/SUBSCRIBE on one channel of a Redis-compatible server (Redis, Valkey, KeyDB...), spoken
+// directly in RESP over two connections, since a subscribed connection takes no other commands.
+// Lost connections are retried every RETRY_DELAY; what is published meanwhile is dropped, and the
+// other instances miss it until the same device, rule or setting changes again.
+const net = require('net');
+
+const DEFAULT_PORT = 6379;
+const RETRY_DELAY = 1000;
+
+// A command as a RESP array of bulk strings
+function encode(args) {
+    return `*${args.length}\r\n` + args.map(arg => {
+        const text = String(arg);
+        return `$${Buffer.byteLength(text)}\r\n${text}\r\n`;
+    }).join('');
+}
+
+// Incremental RESP reader: feed(chunk) returns the replies completed by it (errors as Error objects)
+function createReader() {
+    let buffer = Buffer.alloc(0);
+
+    // { value, offset } for the reply starting at `offset`, or null while it is incomplete
+    function parse(offset) {
+        const end = buffer.indexOf('\r\n', offset);
+        if (end === -1) return null;
+        const type = String.fromCharCode(buffer[offset]);
+        const line = buffer.toString('utf8', offset + 1, end);
+        const next = end + 2;
+        switch (type) {
+            case '+': return { value: line, offset: next };
+            case '-': return { value: new Error(line), offset: next };
+            case ':': return { value: Number(line), offset: next };
+            case '$': {
+                const length = Number(line);
+                if (length < 0) return { value: null, offset: next };
+                if (buffer.length < next + length + 2) return null;
+                return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+            }
+            case '*': {
+                const count = Number(line);
+                if (count < 0) return { value: null, offset: next };
+                const items = [];
+                let at = next;
+                for (let i = 0; i < count; i++) {
+                    const item = parse(at);
+                    if (!item) return null;
+                    items.push(item.value);
+                    at = item.offset;
+                }
+                return { value: items, offset: at };
+            }
+            default:
+                throw new Error(`Unexpected RESP reply type '${type}'`);
+        }
+    }
+
+    return {
+        feed(chunk) {
+            buffer = Buffer.concat([buffer, chunk]);
+            const replies = [];
+            for (let reply = parse(0); reply; reply = parse(0)) {
+                replies.push(reply.value);
+                buffer = buffer.subarray(reply.offset);
+            }
+            return replies;
+        }
+    };
+}
+
+function createRedisBus({ url, channel, instanceId, connect = net.createConnection }) {
+    const { hostname, port, username, password } = new URL(url);
+    const login = password
+        ? ['AUTH', ...(username ? [decodeURIComponent(username)] : []), decodeURIComponent(password)]
+        : null;
+    const sockets = {}; // 'publisher' | 'subscriber' -> connected socket
+    const handlers = [];
+    let closed = false;
+
+    function deliver(reply) {
+        if (!Array.isArray(reply) || reply[0] !== 'message' || reply[1] !== channel) return;
+        let message;
+        try {
+            message = JSON.parse(reply[2]);
+        } catch (e) {
+            return console.error('[Bus] Ignored a message that is not JSON');
+        }
+        if (message.from !== instanceId) handlers.forEach(handler => handler(message));
+    }
+
+    // Resolves once ready (the subscriber once subscribed), or after the first failure; retries
+    // go on in the background
+    function open(role) {
+        return new Promise(resolve => {
+            const socket = connect({ host: hostname || '127.0.0.1', port: Number(port) || DEFAULT_PORT });
+            const reader = createReader();
+            socket.on('connect', () => {
+                if (login) socket.write(encode(login));
+                sockets[role] = socket;
+                console.log(`[Bus] Redis ${role} connected to ${hostname}:${port || DEFAULT_PORT}`);
+                if (role === 'subscriber') socket.write(encode(['SUBSCRIBE', channel]));
+                else resolve();
+            });
+            socket.on('data', (chunk) => {
+                let replies;
+                try {
+                    replies = reader.feed(chunk);
+                } catch (err) {
+                    // Out of step with the server: start over on a new connection
+                    console.error(`[Bus] Redis ${role} sent something unreadable: ${err.message}`);
+                    socket.destroy();
+                    return resolve();
+                }
+                for (const reply of replies) {
+                    if (reply instanceof Error) {
+                        console.error(`[Bus] Redis refused: ${reply.message}`);
+                        resolve(); // A wrong password will not get better by waiting
+                    } else if (role === 'subscriber' && Array.isArray(reply) && reply[0] === 'subscribe') {
+                        resolve();
+                    } else if (role === 'subscriber') {
+                        deliver(reply);
+                    }
+                }
+            });
+            socket.on('error', (err) => {
+                console.error(`[Bus] Redis ${role} error: ${err.message}`);
+                resolve();
+            });
+            socket.on('close', () => {
+                if (sockets[role] === socket) delete sockets[role];
+                if (!closed) setTimeout(() => !closed && open(role), RETRY_DELAY);
+            });
+        });
+    }
+
+    return {
+        name: 'redis',
+        instanceId,
+
+        async connect() {
+            await Promise.all([open('publisher'), open('subscriber')]);
+        },
+
+        async close() {
+            closed = true;
+            await Promise.all(Object.values(sockets).map(socket => new Promise(resolve => {
+                socket.once('close', resolve);
+                socket.end(encode(['QUIT']));
+            })));
+        },
+
+        publish(message) {
+            const socket = sockets.publisher;
+            if (!socket || !socket.writable) return false;
+            socket.write(encode(['PUBLISH', channel, JSON.stringify({ ...message, from: instanceId })]));
+            return true;
+        },
+
+        subscribe(handler) {
+            handlers.push(handler);
+        }
+    };
+}
+
+module.exports = { encode, createReader, createRedisBus };
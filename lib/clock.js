@@ -0,0 +1,110 @@
+const { getSolarTimes } = require('./solar');
+
+// --- Local Wall Clock ---
+// All schedule, Aura and sleep-window checks run on the wall clock of one IANA time zone.
+// Intl does the zone math, so DST transitions are handled without any fixed offsets.
+const DEFAULT_TIME_ZONE = 'Asia/Kolkata';
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            weekday: 'short',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || !timeZone) return false;
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Wall-clock fields of an instant as seen in `timeZone`
+function getZonedParts(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+        parts[type] = value;
+    }
+    return {
+        hours: Number(parts.hour),
+        minutes: Number(parts.minute),
+        weekday: WEEKDAYS[parts.weekday],
+        dateKey: `${parts.year}-${parts.month}-${parts.day}`
+    };
+}
+
+// Instant at which the local calendar day `dateKey` ('YYYY-MM-DD') starts in `timeZone`
+function localMidnight(dateKey, timeZone) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const target = Date.UTC(year, month - 1, day);
+    let instant = target;
+    // Shift by the zone's offset; the second pass settles days where the offset changes (DST)
+    for (let pass = 0; pass < 2; pass++) {
+        const local = getZonedParts(new Date(instant), timeZone);
+        const [y, m, d] = local.dateKey.split('-').map(Number);
+        instant += target - Date.UTC(y, m - 1, d, local.hours, local.minutes);
+    }
+    return new Date(instant);
+}
+
+// Calendar arithmetic on 'YYYY-MM-DD' keys (no zone involved)
+function shiftDateKey(dateKey, days) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+const solarCache = new Map(); // `${dateKey}|${timeZone}|${lat}|${lon}` -> local sun minutes
+
+// Sun events of a local calendar day as minutes of that day (null when they do not happen)
+function getLocalSolar(dateKey, timeZone, location) {
+    const key = `${dateKey}|${timeZone}|${location.latitude}|${location.longitude}`;
+    if (!solarCache.has(key)) {
+        const times = getSolarTimes(new Date(dateKey), location.latitude, location.longitude);
+        const toLocalMinute = (date) => {
+            if (!date) return null;
+            const local = getZonedParts(date, timeZone);
+            return local.hours * 60 + local.minutes;
+        };
+        solarCache.clear(); // Only today's entry is ever needed
+        solarCache.set(key, {
+            sunrise: toLocalMinute(times.sunrise),
+            sunset: toLocalMinute(times.sunset),
+            dusk: toLocalMinute(times.dusk)
+        });
+    }
+    return solarCache.get(key);
+}
+
+// `location` is { latitude, longitude } or null (sun anchors then never fire)
+function getLocalClock(now, timeZone, location) {
+    const parts = getZonedParts(now, timeZone);
+    return {
+        ...parts,
+        solar: location ? getLocalSolar(parts.dateKey, timeZone, location) : null
+    };
+}
+
+module.exports = {
+    DEFAULT_TIME_ZONE,
+    isValidTimeZone,
+    getZonedParts,
+    localMidnight,
+    shiftDateKey,
+    getLocalClock
+};
@@ -0,0 +1,90 @@
+// --- Command Delivery ---
+// Every COMMAND sent to a board carries a sequence number: { type: 'COMMAND', seq, data }.
+// Boards that ack reply { type: 'ACK', seq, ok, error } (`ok` defaults to true).
+// Tracked commands stay pending until acked, or, for switch commands, until an UPDATE_STATUS
+// shows the requested values. Each timeout resends the same message (same seq, so the board
+// can drop duplicates); after the last retry the command fails.
+//
+//   transmit(deviceId, message)  writes to the board's socket; false if it is not connected
+//   onSettled(entry, result)     entry = { deviceId, seq, data, switches }, result = { ok, error }
+const DEFAULT_TIMEOUT = 3000;
+const DEFAULT_RETRIES = 2;
+
+// Channel values a command asks for ({ switchId: value }), or null if it changes no switch
+function commandSwitches(command) {
+    if (command.action === 'TOGGLE') return { [command.switchId]: command.value };
+    if (command.action === 'SCENE' && Object.keys(command.switches).length) return { ...command.switches };
+    return null;
+}
+
+function createCommandTracker({
+    transmit,
+    onSettled,
+    timeout = DEFAULT_TIMEOUT,
+    retries = DEFAULT_RETRIES,
+    schedule = setTimeout,
+    cancel = clearTimeout
+}) {
+    let nextSeq = 1;
+    const pending = new Map(); // seq -> { deviceId, seq, data, switches, attempts, timer }
+
+    function settle(entry, result) {
+        cancel(entry.timer);
+        pending.delete(entry.seq);
+        onSettled(entry, result);
+    }
+
+    function arm(entry) {
+        entry.timer = schedule(() => {
+            if (!pending.has(entry.seq)) return;
+            if (entry.attempts > retries) return settle(entry, { ok: false, error: 'No response from hardware' });
+            entry.attempts++;
+            console.log(`[Commands] Retrying #${entry.seq} to '${entry.deviceId}' (attempt ${entry.attempts})`);
+            if (!transmit(entry.deviceId, { type: 'COMMAND', seq: entry.seq, data: entry.data })) {
+                return settle(entry, { ok: false, error: 'Hardware disconnected' });
+            }
+            arm(entry);
+        }, timeout);
+    }
+
+    return {
+        // Sends a COMMAND payload; returns its seq, or null if the board is not connected
+        send(deviceId, data, { track = true } = {}) {
+            const seq = nextSeq++;
+            if (!transmit(deviceId, { type: 'COMMAND', seq, data })) return null;
+            if (track) {
+                const entry = { deviceId, seq, data, switches: commandSwitches(data), attempts: 1, timer: null };
+                pending.set(seq, entry);
+                arm(entry);
+            }
+            return seq;
+        },
+
+        ack(deviceId, seq, ok = true, error = null) {
+            const entry = pending.get(seq);
+            if (!entry || entry.deviceId !== deviceId) return;
+            settle(entry, ok ? { ok: true } : { ok: false, error: error || 'Rejected by hardware' });
+        },
+
+        // Settles switch commands whose requested values all appear in a status report
+        confirm(deviceId, switches = {}) {
+            for (const entry of [...pending.values()]) {
+                if (entry.deviceId !== deviceId || !entry.switches) continue;
+                const done = Object.entries(entry.switches).every(([switchId, value]) => switches[switchId] === value);
+                if (done) settle(entry, { ok: true });
+            }
+        },
+
+        // The board went away: everything still pending for it fails
+        failDevice(deviceId, error) {
+            for (const entry of [...pending.values()]) {
+                if (entry.deviceId === deviceId) settle(entry, { ok: false, error });
+            }
+        }
+    };
+}
+
+module.exports = {
+    commandSwitches,
+    createCommandTracker
+};
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const { safeEqual } = require('./auth');
+
+// --- Firmware Updates (OTA) ---
+// Admins upload a build with its version and checksum. The server keeps the bytes in storage and
+// boards download them over HTTP, with Range support so a board can resume a broken download.
+//   image   { id, version, size, md5, sha256, notes, uploadedAt, uploadedBy }
+//   update  device.ota = { id, firmwareId, version, from, status, progress, error, by, startedAt, updatedAt }
+//
+// The board gets COMMAND { action: 'OTA_UPDATE', updateId, url, version, size, md5, sha256 }, fetches
+// `url` (a signed link, see createDownloadToken) and reports OTA_STATUS { updateId, status, progress, error }:
+//   sent -> downloading -> flashing -> rebooting -> done | failed
+// Only the server sets `done`: when the board comes back announcing the new version in IDENTIFY.
+const OTA_STATUSES = ['sent', 'downloading', 'flashing', 'rebooting', 'done', 'failed'];
+const BOARD_STATUSES = ['downloading', 'flashing', 'rebooting', 'failed'];
+const ACTIVE_STATUSES = ['sent', 'downloading', 'flashing', 'rebooting'];
+
+const DEFAULT_MAX_SIZE = 4 * 1024 * 1024; // Bigger than any app partition in the usual ESP32 layouts
+const DEFAULT_LINK_TTL = 60 * 60 * 1000; // Download links stay valid this long
+const DEFAULT_STALL_MS = 10 * 60 * 1000; // An update with no news from the board for this long failed
+const VERSION_PATTERN = /^[\w.+-]{1,32}$/; // What IDENTIFY accepts as `firmware`
+
+// ESP app images start with 0xE9; the ESP8266 updater also takes gzip-compressed ones
+const IMAGE_MAGIC = [[0xE9], [0x1F, 0x8B]];
+
+function createId() {
+    return crypto.randomBytes(4).toString('hex');
+}
+
+function checksums(data) {
+    return {
+        md5: crypto.createHash('md5').update(data).digest('hex'),
+        sha256: crypto.createHash('sha256').update(data).digest('hex')
+    };
+}
+
+// Checks an upload against its declared version and checksum (MD5 or SHA-256, hex).
+// Returns { image } or { error }.
+function buildImage(data, { version, checksum, notes } = {}, { by = null, maxSize = DEFAULT_MAX_SIZE, now = Date.now() } = {}) {
+    if (!Buffer.isBuffer(data) || !data.length) return { error: 'Send the firmware binary as the request body (application/octet-stream)' };
+    if (data.length > maxSize) return { error: `Firmware is larger than ${Math.round(maxSize / 1024)} KB` };
+    if (!IMAGE_MAGIC.some(magic => magic.every((byte, index) => data[index] === byte))) {
+        return { error: 'Not an ESP firmware image (.bin or .bin.gz)' };
+    }
+    if (typeof version !== 'string' || !VERSION_PATTERN.test(version)) {
+        return { error: 'version must be 1-32 letters, digits or . _ + -' };
+    }
+    if (typeof checksum !== 'string' || !checksum.trim()) return { error: 'checksum (MD5 or SHA-256, hex) is required' };
+
+    const { md5, sha256 } = checksums(data);
+    const expected = checksum.trim().toLowerCase();
+    if (expected !== md5 && expected !== sha256) return { error: 'checksum does not match the uploaded binary' };
+
+    return {
+        image: {
+            id: createId(),
+            version,
+            size: data.length,
+            md5,
+            sha256,
+            notes: typeof notes === 'string' ? notes.trim().slice(0, 200) : '',
+            uploadedAt: now,
+            uploadedBy: by
+        }
+    };
+}
+
+// A single "bytes=" range of a `size`-byte body: { start, end } (inclusive), null to send it whole
+// (no header, or several ranges), or false when it cannot be satisfied
+function parseRange(header, size) {
+    if (typeof header !== 'string') return null;
+    const match = header.trim().match(/^bytes=(\d*)-(\d*)$/);
+    if (!match || (!match[1] && !match[2])) return null;
+    let start;
+    let end;
+    if (!match[1]) {
+        // Suffix: the last N bytes
+        start = Math.max(size - Number(match[2]), 0);
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+    }
+    if (start >= size || start > end) return false;
+    return { start, end };
+}
+
+// --- Download links ---
+// base64url({ f: firmwareId, d: deviceId, exp }) + '.' + HMAC; boards cannot log in, so the link
+// itself carries the permission to download one image
+function sign(payload, secret) {
+    return crypto.createHmac('sha256', secret).update(`firmware:${payload}`).digest('base64url');
+}
+
+function createDownloadToken(firmwareId, deviceId, secret, { ttl = DEFAULT_LINK_TTL, now = Date.now() } = {}) {
+    const payload = Buffer.from(JSON.stringify({ f: firmwareId, d: deviceId, exp: now + ttl })).toString('base64url');
+    return `${payload}.${sign(payload, secret)}`;
+}
+
+// The device a link was made for, or null if it is forged, expired or for another image
+function verifyDownloadToken(token, firmwareId, secret, now = Date.now()) {
+    if (typeof token !== 'string' || !token.includes('.')) return null;
+    const [payload, signature] = token.split('.');
+    if (!safeEqual(signature, sign(payload, secret))) return null;
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        if (claims.f !== firmwareId || !(claims.exp > now)) return null;
+        return claims.d;
+    } catch (e) {
+        return null;
+    }
+}
+
+// --- Update progress ---
+function isActive(update) {
+    return !!update && ACTIVE_STATUSES.includes(update.status);
+}
+
+function startUpdate(image, { from = null, by = null, now = Date.now() } = {}) {
+    return {
+        id: createId(),
+        firmwareId: image.id,
+        version: image.version,
+        from,
+        status: 'sent',
+        progress: 0,
+        error: null,
+        by,
+        startedAt: now,
+        updatedAt: now
+    };
+}
+
+// Applies an OTA_STATUS report; returns the next update, or null when the report is not for it
+function applyReport(update, { updateId, status, progress, error }, now = Date.now()) {
+    if (!isActive(update) || updateId !== update.id || !BOARD_STATUSES.includes(status)) return null;
+    const next = { ...update, status, updatedAt: now };
+    if (typeof progress === 'number') next.progress = Math.min(Math.max(Math.round(progress), 0), 100);
+    if (status === 'flashing' || status === 'rebooting') next.progress = 100;
+    if (status === 'failed') next.error = error || 'Update failed on the board';
+    return next;
+}
+
+// The board is back (IDENTIFY): it runs the new version, or it restarted without it. `rebooted` says
+// whether it booted since it dropped its link (lib/health.js tells from its uptime), null when the
+// firmware does not say. Returns null when it only lost its link on the way (e.g. a Wi-Fi drop
+// mid-download): it resumes with a Range request and goes on reporting, and isStalled() ends an
+// update it never picks up again. Without an uptime, a board that was flashing or rebooting counts
+// as restarted.
+function finishUpdate(update, firmware, rebooted = null, now = Date.now()) {
+    if (firmware === update.version) return { ...update, status: 'done', progress: 100, error: null, updatedAt: now };
+    const restarted = rebooted ?? (update.status === 'flashing' || update.status === 'rebooting');
+    if (!restarted) return null;
+    return { ...update, status: 'failed', error: `Board came back on ${firmware || 'an unknown version'}`, updatedAt: now };
+}
+
+function failUpdate(update, error, now = Date.now()) {
+    return { ...update, status: 'failed', error, updatedAt: now };
+}
+
+function isStalled(update, now = Date.now(), stallMs = DEFAULT_STALL_MS) {
+    return isActive(update) && now - update.updatedAt > stallMs;
+}
+
+module.exports = {
+    OTA_STATUSES,
+    BOARD_STATUSES,
+    DEFAULT_MAX_SIZE,
+    checksums,
+    buildImage,
+    parseRange,
+    createDownloadToken,
+    verifyDownloadToken,
+    isActive,
+    startUpdate,
+    applyReport,
+    finishUpdate,
+    failUpdate,
+    isStalled
+};
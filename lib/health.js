@@ -0,0 +1,179 @@
+// --- Device Health ---
+// What each board's link has been doing over time, to tell Wi-Fi trouble from power trouble.
+// Records, kept by the storage backend: { deviceId, kind, at, ...details }
+//   rssi            { avg, min, max, count }       signal over one window of status reports
+//   connect         { firmware, resetReason, uptime, cause }   every hardware IDENTIFY
+//   disconnect      { code, reason }               the socket closed (1006: dropped without a close frame)
+//   heartbeat-miss  {}                             no pong within a heartbeat; the server drops the socket
+//
+// A connect's `cause` explains the gap before it, from the uptime the board reports:
+//   network   the board stayed up through the gap, so its link (usually Wi-Fi) dropped
+//   power     it booted again from a power-on or brown-out reset
+//   crash     watchdog or exception reset
+//   restart   a deliberate software restart (e.g. a reboot from the app)
+//   other     it rebooted for a reason not listed above
+//   unknown   firmware that does not report its uptime
+const HEALTH_KINDS = ['rssi', 'connect', 'disconnect', 'heartbeat-miss'];
+const CAUSES = ['network', 'power', 'crash', 'restart', 'other', 'unknown'];
+
+const DEFAULT_RSSI_WINDOW = 5 * 60 * 1000;
+// A board with no earlier disconnect on record counts as rebooted if it booted this recently
+const RECENT_BOOT_SECONDS = 120;
+// Clock skew and report latency allowed when comparing uptime with the gap
+const UPTIME_SLACK_MS = 5000;
+
+// Reset reasons as the ESP8266 (ESP.getResetReason()) and ESP32 (esp_reset_reason_t) name them
+const RESET_CAUSES = [
+    [/power|brown.?out/i, 'power'],
+    [/watchdog|wdt|exception|panic/i, 'crash'],
+    [/software|restart|rst_sw/i, 'restart']
+];
+
+function classifyReset(resetReason) {
+    if (!resetReason) return 'other';
+    const match = RESET_CAUSES.find(([pattern]) => pattern.test(resetReason));
+    return match ? match[1] : 'other';
+}
+
+// Cause of the gap before a connect; `lastDisconnect` is a Date or null
+function gapCause({ uptime, resetReason }, lastDisconnect, at) {
+    if (typeof uptime !== 'number') return 'unknown';
+    const rebooted = lastDisconnect
+        ? uptime * 1000 < at - lastDisconnect + UPTIME_SLACK_MS
+        : uptime < RECENT_BOOT_SECONDS;
+    return rebooted ? classifyReset(resetReason) : 'network';
+}
+
+// Counts over a list of records (oldest first)
+function summarize(records) {
+    const summary = {
+        connects: 0,
+        disconnects: 0,
+        heartbeatMisses: 0,
+        causes: Object.fromEntries(CAUSES.map(cause => [cause, 0])),
+        closeCodes: {}
+    };
+    for (const record of records) {
+        if (record.kind === 'connect') {
+            summary.connects++;
+            if (record.cause) summary.causes[record.cause]++;
+        } else if (record.kind === 'disconnect') {
+            summary.disconnects++;
+            summary.closeCodes[record.code] = (summary.closeCodes[record.code] || 0) + 1;
+        } else if (record.kind === 'heartbeat-miss') {
+            summary.heartbeatMisses++;
+        }
+    }
+    return summary;
+}
+
+// Injected:
+//   save(records)     persists health records; errors are the caller's to log
+//   lastDisconnect(deviceId) -> Date|null   newest stored disconnect, for the first connect after a restart
+//   now()
+// Every method returns a promise that settles once its records are saved.
+function createHealthMonitor({ save, lastDisconnect = async () => null, now = () => new Date(), rssiWindow = DEFAULT_RSSI_WINDOW }) {
+    const boards = new Map();
+
+    const board = (deviceId) => {
+        if (!boards.has(deviceId)) {
+            boards.set(deviceId, { connectedAt: null, lastSeen: null, firmware: null, resetReason: null, uptime: null, rssi: null, window: null, disconnectedAt: undefined });
+        }
+        return boards.get(deviceId);
+    };
+
+    const record = (deviceId, kind, details = {}) => save([{ deviceId, kind, at: now(), ...details }]);
+
+    // Closes the current RSSI window into one record
+    function flushRssi(deviceId) {
+        const current = board(deviceId);
+        const window = current.window;
+        if (!window) return Promise.resolve();
+        current.window = null;
+        const avg = Math.round(window.sum / window.count * 10) / 10;
+        return save([{ deviceId, kind: 'rssi', at: window.from, avg, min: window.min, max: window.max, count: window.count }]);
+    }
+
+    return {
+        // Any message or pong from the board
+        seen(deviceId) {
+            board(deviceId).lastSeen = now();
+        },
+
+        async connected(deviceId, { firmware, resetReason, uptime } = {}) {
+            const current = board(deviceId);
+            const at = now();
+            if (current.disconnectedAt === undefined) current.disconnectedAt = await lastDisconnect(deviceId);
+            const cause = gapCause({ uptime, resetReason }, current.disconnectedAt, at);
+            Object.assign(current, {
+                connectedAt: at,
+                lastSeen: at,
+                firmware: firmware || null,
+                resetReason: resetReason || null,
+                uptime: typeof uptime === 'number' ? { value: uptime, at } : null
+            });
+            await record(deviceId, 'connect', { firmware: firmware || null, resetReason: resetReason || null, uptime: uptime ?? null, cause });
+            return cause;
+        },
+
+        // Status reports: { rssi, uptime }
+        async reported(deviceId, { rssi, uptime } = {}) {
+            const current = board(deviceId);
+            const at = now();
+            current.lastSeen = at;
+            if (typeof uptime === 'number') current.uptime = { value: uptime, at };
+            if (typeof rssi !== 'number') return;
+            current.rssi = rssi;
+            if (current.window && at - current.window.from >= rssiWindow) await flushRssi(deviceId);
+            if (!current.window) current.window = { from: at, sum: 0, count: 0, min: rssi, max: rssi };
+            const window = current.window;
+            window.sum += rssi;
+            window.count++;
+            window.min = Math.min(window.min, rssi);
+            window.max = Math.max(window.max, rssi);
+        },
+
+        async heartbeatMissed(deviceId) {
+            await record(deviceId, 'heartbeat-miss');
+        },
+
+        async disconnected(deviceId, { code, reason } = {}) {
+            const current = board(deviceId);
+            current.connectedAt = null;
+            current.disconnectedAt = now();
+            await flushRssi(deviceId);
+            await record(deviceId, 'disconnect', { code: code ?? null, reason: reason || null });
+        },
+
+        // What is known right now: { connectedAt, lastSeen, firmware, resetReason, uptime, bootedAt, rssi }
+        live(deviceId) {
+            const { connectedAt, lastSeen, firmware, resetReason, uptime, rssi } = board(deviceId);
+            const at = now();
+            // Uptime keeps counting between reports
+            const seconds = uptime ? Math.round(uptime.value + (at - uptime.at) / 1000) : null;
+            return {
+                connectedAt,
+                lastSeen,
+                firmware,
+                resetReason,
+                uptime: connectedAt ? seconds : null,
+                bootedAt: uptime ? new Date(uptime.at - uptime.value * 1000) : null,
+                rssi
+            };
+        },
+
+        // Saves the open RSSI windows (on shutdown)
+        async flush() {
+            for (const deviceId of boards.keys()) await flushRssi(deviceId);
+        }
+    };
+}
+
+module.exports = {
+    HEALTH_KINDS,
+    CAUSES,
+    classifyReset,
+    gapCause,
+    summarize,
+    createHealthMonitor
+};
@@ -0,0 +1,132 @@
+const { getZonedParts, localMidnight, shiftDateKey } = require('./clock');
+
+// --- Switch History ---
+// Every transition the hardware confirms becomes one event:
+//   { deviceId, switchId, value, previous, source, at }
+// `source` says who caused it: a command the server sent ('app', 'rest', 'mqtt', 'schedule',
+// 'timer', 'scene', 'rule', 'vacation'), a wall switch ('physical'), or an unexplained change in a status
+// report ('hardware', e.g. the board's own offline schedule).
+const SOURCES = ['app', 'rest', 'mqtt', 'schedule', 'timer', 'scene', 'rule', 'vacation', 'physical', 'hardware'];
+
+// A report this soon after a command with the same value is taken as its confirmation
+const EXPECT_WINDOW = 30 * 1000;
+
+function createTransitionTracker() {
+    // Keyed by IDs the boards choose, hence no prototype
+    const confirmed = Object.create(null); // deviceId -> { switches: {}, physical: {} } as last reported by the board
+    const expected = Object.create(null); // deviceId -> switchId -> { value, source, at }
+
+    const known = (deviceId) => confirmed[deviceId] || (confirmed[deviceId] = { switches: {}, physical: {} });
+
+    return {
+        // Last stored value per channel, so a restart does not log phantom transitions
+        seed(deviceId, switchId, value) {
+            known(deviceId).switches[switchId] = value;
+        },
+
+        // Value the board last reported for a channel (undefined before its first report)
+        confirmedValue(deviceId, switchId) {
+            return known(deviceId).switches[switchId];
+        },
+
+        // The server just sent a command; tag the board's confirmation with its source
+        expect(deviceId, switchId, value, source, at = Date.now()) {
+            if (!expected[deviceId]) expected[deviceId] = {};
+            expected[deviceId][switchId] = { value, source, at };
+        },
+
+        // Compares a hardware report ({ switches, physical }) with the last one; returns the transitions
+        confirm(deviceId, report, at = Date.now()) {
+            const last = known(deviceId);
+            const flipped = new Set();
+            for (const [switchId, value] of Object.entries(report.physical || {})) {
+                if (last.physical[switchId] !== undefined && last.physical[switchId] !== value) flipped.add(switchId);
+                last.physical[switchId] = value;
+            }
+
+            const transitions = [];
+            for (const [switchId, value] of Object.entries(report.switches || {})) {
+                const previous = last.switches[switchId];
+                last.switches[switchId] = value;
+                if (previous === value) continue;
+
+                const hint = expected[deviceId] && expected[deviceId][switchId];
+                let source = 'hardware';
+                if (hint && hint.value === value && at - hint.at <= EXPECT_WINDOW) source = hint.source;
+                else if (flipped.has(switchId)) source = 'physical';
+                if (hint) delete expected[deviceId][switchId];
+
+                transitions.push({ deviceId, switchId, value, previous: previous ?? null, source, at: new Date(at) });
+            }
+            return transitions;
+        }
+    };
+}
+
+// --- Usage ---
+// On-time of one channel within [from, to). `initial` is its value at `from` (from the last
+// event before it); `events` are its transitions inside the range, oldest first.
+// `levelSeconds` weights each second by the level, which drives the energy estimate.
+function computeUsage(events, initial, from, to) {
+    let value = initial || 0;
+    let cursor = from.getTime();
+    let onSeconds = 0;
+    let levelSeconds = 0;
+
+    const advance = (until) => {
+        const seconds = Math.max(0, until - cursor) / 1000;
+        if (value > 0) {
+            onSeconds += seconds;
+            levelSeconds += seconds * value;
+        }
+        cursor = Math.max(cursor, until);
+    };
+
+    for (const event of events) {
+        const at = new Date(event.at).getTime();
+        if (at >= to.getTime()) break;
+        if (at > cursor) advance(at);
+        value = event.value;
+    }
+    advance(to.getTime());
+
+    return { onSeconds: Math.round(onSeconds), levelSeconds };
+}
+
+// kWh for `levelSeconds` of a channel drawing `watts` at its full level `max`
+function toKwh(levelSeconds, max, watts) {
+    if (!watts) return 0;
+    return (levelSeconds / max) * watts / 3600 / 1000;
+}
+
+const BUCKETS = ['day', 'week', 'month'];
+
+// The last `count` local days, weeks (Monday first) or months, oldest first.
+// The newest bucket ends at `now`.
+function bucketRanges(now, timeZone, bucket, count) {
+    const today = getZonedParts(now, timeZone);
+    const starts = [];
+    for (let i = count - 1; i >= 0; i--) {
+        let dateKey;
+        if (bucket === 'week') {
+            const monday = shiftDateKey(today.dateKey, -((today.weekday + 6) % 7));
+            dateKey = shiftDateKey(monday, -7 * i);
+        } else if (bucket === 'month') {
+            const [year, month] = today.dateKey.split('-').map(Number);
+            dateKey = new Date(Date.UTC(year, month - 1 - i, 1)).toISOString().slice(0, 10);
+        } else {
+            dateKey = shiftDateKey(today.dateKey, -i);
+        }
+        starts.push(localMidnight(dateKey, timeZone));
+    }
+    return starts.map((start, index) => ({ start, end: starts[index + 1] || now }));
+}
+
+module.exports = {
+    SOURCES,
+    BUCKETS,
+    createTransitionTracker,
+    computeUsage,
+    toKwh,
+    bucketRanges
+};
@@ -0,0 +1,53 @@
+// --- Wall-Switch Interlocks ---
+// Channels with a wall switch (`physical: true` in IDENTIFY) can disagree with the app: the relay
+// is on while the switch on the wall says off, or the other way round. Each such channel has a
+// policy (device.interlocks[switchId]) that says who wins:
+//
+//   app     app always wins: app commands go through, a wall flip is undone
+//   wall    the wall switch is master: app ON is refused while the wall switch is OFF,
+//           and the relay follows every flip
+//   last    last change wins: app commands go through, a wall flip sets the relay to match it
+//           (what the boards do on their own, hence the default)
+//   toggle  the wall switch toggles: every flip inverts the relay, whatever position it ends in
+//
+// The server enforces the policy: it refuses app requests (checkRequest) and answers wall flips
+// with a corrective TOGGLE when the board did not already end up where the policy wants it
+// (resolveFlip). Values are channel levels; anything above 0 counts as ON.
+const POLICIES = ['app', 'wall', 'last', 'toggle'];
+const DEFAULT_POLICY = 'last';
+
+function isPolicy(policy) {
+    return POLICIES.includes(policy);
+}
+
+// Why a request to set a channel to `value` is refused, or null if the policy allows it.
+// `wall` is the wall switch's last known position.
+function checkRequest(policy, { wall, value }) {
+    if (policy === 'wall' && wall === 0 && value > 0) {
+        return 'The wall switch is OFF and is master for this channel - turn it on at the wall first';
+    }
+    return null;
+}
+
+// The level a channel should end at after its wall switch flipped to `wall`, or null when the
+// board's `current` level already satisfies the policy.
+// `previous` is the level before the flip, `max` the channel's full level.
+function resolveFlip(policy, { wall, previous, current, max }) {
+    if (policy === 'app') return current === previous ? null : previous;
+    if (policy === 'toggle') {
+        const on = !(previous > 0);
+        if ((current > 0) === on) return null;
+        return on ? max : 0;
+    }
+    // wall, last: the relay matches the wall switch
+    if (wall > 0) return current > 0 ? null : (previous || max);
+    return current === 0 ? null : 0;
+}
+
+module.exports = {
+    POLICIES,
+    DEFAULT_POLICY,
+    isPolicy,
+    checkRequest,
+    resolveFlip
+};
@@ -0,0 +1,155 @@
+const mqtt = require('mqtt');
+
+// --- MQTT Bridge ---
+// Mirrors every device onto MQTT and takes commands from it (all payloads retained, QoS 1):
+//   <prefix>/bridge/status                  'online' / 'offline' (last will)
+//   <prefix>/<deviceId>/availability        'online' / 'offline' from isHardwareOnline
+//   <prefix>/<deviceId>/<switchId>/state    'ON' / 'OFF'
+//   <prefix>/<deviceId>/<switchId>/level    raw level of dimmers (0-100) and fans (0-levels)
+//   <prefix>/<deviceId>/<switchId>/set        <- 'ON' / 'OFF' (or a level)
+//   <prefix>/<deviceId>/<switchId>/level/set  <- level
+// Home Assistant discovery configs go to <discoveryPrefix>/<switch|light|fan>/<object id>/config,
+// named after state.names, and are cleared again when a channel disappears.
+//
+//   getState()                          shared memory state ({ devices })
+//   channelMax(channel)                 highest level a channel accepts
+//   toggle(deviceId, switchId, value)   the server's TOGGLE_SWITCH path; resolves to { error } on refusal
+const COMPONENTS = { 'relay': 'switch', 'dimmer': 'light', 'fan-speed': 'fan' };
+
+function createMqttBridge({
+    url,
+    username,
+    password,
+    prefix = 'switchsmart',
+    discoveryPrefix = 'homeassistant',
+    getState,
+    channelMax,
+    toggle,
+    connect = mqtt.connect
+}) {
+    const bridgeTopic = `${prefix}/bridge/status`;
+    const client = connect(url, {
+        username,
+        password,
+        will: { topic: bridgeTopic, payload: 'offline', retain: true, qos: 1 }
+    });
+    const published = new Map(); // topic -> last payload, so only changes go out
+    const discovered = new Map(); // deviceId -> config topics currently announced
+
+    function publish(topic, payload) {
+        if (published.get(topic) === payload) return;
+        published.set(topic, payload);
+        client.publish(topic, payload, { retain: true, qos: 1 });
+    }
+
+    function discoveryConfig(deviceId, device, channel) {
+        const base = `${prefix}/${deviceId}/${channel.id}`;
+        const objectId = `${prefix}_${deviceId}_${channel.id}`;
+        const config = {
+            name: device.names[channel.id] || channel.id,
+            unique_id: objectId,
+            state_topic: `${base}/state`,
+            command_topic: `${base}/set`,
+            payload_on: 'ON',
+            payload_off: 'OFF',
+            availability: [
+                { topic: bridgeTopic },
+                { topic: `${prefix}/${deviceId}/availability` }
+            ],
+            availability_mode: 'all',
+            device: {
+                identifiers: [`${prefix}_${deviceId}`],
+                name: device.label || deviceId,
+                model: 'ESP8266 switch board'
+            }
+        };
+        if (channel.type === 'dimmer') {
+            Object.assign(config, {
+                brightness_state_topic: `${base}/level`,
+                brightness_command_topic: `${base}/level/set`,
+                brightness_scale: channelMax(channel)
+            });
+        } else if (channel.type === 'fan-speed') {
+            Object.assign(config, {
+                percentage_state_topic: `${base}/level`,
+                percentage_command_topic: `${base}/level/set`,
+                speed_range_min: 1,
+                speed_range_max: channelMax(channel)
+            });
+        }
+        const component = COMPONENTS[channel.type] || 'switch';
+        return { topic: `${discoveryPrefix}/${component}/${objectId}/config`, payload: JSON.stringify(config) };
+    }
+
+    // Publishes whatever changed since the last call; cheap enough to run on every STATE_CHANGED
+    function sync() {
+        if (!client.connected) return;
+        for (const [deviceId, device] of Object.entries(getState().devices)) {
+            const configTopics = new Set();
+            for (const channel of device.channels) {
+                const { topic, payload } = discoveryConfig(deviceId, device, channel);
+                configTopics.add(topic);
+                publish(topic, payload);
+            }
+            // Channels the board no longer declares are removed from Home Assistant
+            for (const topic of discovered.get(deviceId) || []) {
+                if (!configTopics.has(topic)) publish(topic, '');
+            }
+            discovered.set(deviceId, configTopics);
+
+            publish(`${prefix}/${deviceId}/availability`, device.isHardwareOnline ? 'online' : 'offline');
+            for (const channel of device.channels) {
+                const value = device.switches[channel.id] || 0;
+                publish(`${prefix}/${deviceId}/${channel.id}/state`, value ? 'ON' : 'OFF');
+                if (channel.type !== 'relay') publish(`${prefix}/${deviceId}/${channel.id}/level`, String(value));
+            }
+        }
+    }
+
+    async function handleCommand(topic, payload) {
+        const [deviceId, switchId, ...rest] = topic.slice(prefix.length + 1).split('/');
+        const device = getState().devices[deviceId];
+        const channel = device && device.channels.find(item => item.id === switchId);
+        if (!channel) return console.log(`[MQTT] Command for unknown ${deviceId}/${switchId} ignored`);
+
+        let value;
+        if (rest.join('/') === 'level/set') value = Number(payload);
+        else if (payload === 'ON') value = channelMax(channel);
+        else if (payload === 'OFF') value = 0;
+        else value = Number(payload);
+
+        const result = await toggle(deviceId, switchId, value);
+        if (result && result.error) {
+            console.log(`[MQTT] ${deviceId}/${switchId} <- ${payload} refused: ${result.error}`);
+            // Controllers update optimistically; resend the real state so they snap back
+            published.delete(`${prefix}/${deviceId}/${switchId}/state`);
+            published.delete(`${prefix}/${deviceId}/${switchId}/level`);
+            sync();
+        }
+    }
+
+    client.on('connect', () => {
+        console.log(`[MQTT] Connected to ${url}`);
+        published.clear(); // The broker may have lost retained messages; send everything again
+        client.publish(bridgeTopic, 'online', { retain: true, qos: 1 });
+        client.subscribe([`${prefix}/+/+/set`, `${prefix}/+/+/level/set`], { qos: 1 });
+        sync();
+    });
+    client.on('message', (topic, payload) => {
+        handleCommand(topic, payload.toString()).catch(err => console.error('[MQTT] Command error:', err));
+    });
+    client.on('error', (err) => console.error('[MQTT] Error:', err.message));
+
+    return {
+        sync,
+        stop() {
+            return new Promise(resolve => {
+                client.publish(bridgeTopic, 'offline', { retain: true, qos: 1 }, () => client.end(false, resolve));
+            });
+        }
+    };
+}
+
+module.exports = {
+    createMqttBridge
+};
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const webpush = require('web-push');
+const { getLocalClock } = require('./clock');
+
+// --- Notifications ---
+// The server emits events here; each user receives those they opted into, outside their quiet
+// hours, as Web Push (to every browser they subscribed) and as POSTs to their webhooks.
+//   event: { type, deviceId, title, body, at, data? }
+const NOTIFICATION_EVENTS = {
+    'device-offline': 'Device went offline',
+    'device-online': 'Device is back online',
+    'schedule-run': 'Schedule ran',
+    'timer-run': 'Timer finished',
+    'command-failed': 'Command failed',
+    'ota-result': 'Firmware update finished',
+    'rule-notify': 'Rule notifications'
+};
+
+// Per-user preferences, stored on the account (user.notifications):
+//   { events: { [type]: boolean }, quietHours: { enabled, start: 'HH:MM', end: 'HH:MM' },
+//     webhooks: [{ id, url }], subscriptions: [PushSubscription JSON] }
+// Quiet hours use the site time zone and may wrap past midnight; events inside them are dropped.
+const MAX_WEBHOOKS = 5;
+const MAX_SUBSCRIPTIONS = 10;
+const WEBHOOK_TIMEOUT_MS = 5000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function defaultPreferences() {
+    return {
+        events: { 'device-offline': true, 'device-online': true, 'schedule-run': false, 'timer-run': false, 'command-failed': true, 'ota-result': true, 'rule-notify': true },
+        quietHours: { enabled: false, start: '22:00', end: '07:00' },
+        webhooks: [],
+        subscriptions: []
+    };
+}
+
+function getPreferences(user) {
+    const defaults = defaultPreferences();
+    const saved = user.notifications || {};
+    return {
+        events: { ...defaults.events, ...saved.events },
+        quietHours: { ...defaults.quietHours, ...saved.quietHours },
+        webhooks: saved.webhooks || [],
+        subscriptions: saved.subscriptions || []
+    };
+}
+
+function isWebhookUrl(url) {
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch {
+        return false;
+    }
+}
+
+// Applies { events?, quietHours?, webhooks? } to a user's preferences.
+// Returns { preferences } or { error, field }; webhooks are replaced as a whole list of URLs or { id?, url }.
+function updatePreferences(current, input) {
+    const next = { ...current, events: { ...current.events }, quietHours: { ...current.quietHours } };
+    if (input.events !== undefined) {
+        if (!input.events || typeof input.events !== 'object') return { error: 'events must be an object', field: 'events' };
+        for (const [type, enabled] of Object.entries(input.events)) {
+            if (!NOTIFICATION_EVENTS[type]) return { error: `Unknown notification event '${type}'`, field: `events.${type}` };
+            if (typeof enabled !== 'boolean') return { error: `events.${type} must be boolean`, field: `events.${type}` };
+            next.events[type] = enabled;
+        }
+    }
+    if (input.quietHours !== undefined) {
+        const { enabled, start, end } = input.quietHours || {};
+        if (enabled !== undefined && typeof enabled !== 'boolean') return { error: 'quietHours.enabled must be boolean', field: 'quietHours.enabled' };
+        if (start !== undefined && !TIME_PATTERN.test(start)) return { error: 'quietHours.start must be HH:MM', field: 'quietHours.start' };
+        if (end !== undefined && !TIME_PATTERN.test(end)) return { error: 'quietHours.end must be HH:MM', field: 'quietHours.end' };
+        if (enabled !== undefined) next.quietHours.enabled = enabled;
+        if (start !== undefined) next.quietHours.start = start;
+        if (end !== undefined) next.quietHours.end = end;
+    }
+    if (input.webhooks !== undefined) {
+        if (!Array.isArray(input.webhooks)) return { error: 'webhooks must be a list', field: 'webhooks' };
+        if (input.webhooks.length > MAX_WEBHOOKS) return { error: `At most ${MAX_WEBHOOKS} webhooks`, field: 'webhooks' };
+        const webhooks = [];
+        for (const [index, item] of input.webhooks.entries()) {
+            const url = typeof item === 'string' ? item : item && item.url;
+            if (!isWebhookUrl(url)) return { error: 'Webhooks must be http(s) URLs', field: `webhooks.${index}` };
+            const existing = current.webhooks.find(hook => hook.url === url || (item.id && hook.id === item.id));
+            webhooks.push({ id: existing ? existing.id : crypto.randomBytes(4).toString('hex'), url });
+        }
+        next.webhooks = webhooks;
+    }
+    return { preferences: next };
+}
+
+function isValidSubscription(subscription) {
+    return !!subscription && isWebhookUrl(subscription.endpoint) && !!subscription.keys &&
+        typeof subscription.keys.p256dh === 'string' && typeof subscription.keys.auth === 'string';
+}
+
+function toMinute(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function isQuiet(quietHours, { hours, minutes }) {
+    if (!quietHours.enabled) return false;
+    const now = hours * 60 + minutes;
+    const start = toMinute(quietHours.start);
+    const end = toMinute(quietHours.end);
+    if (start === end) return false;
+    return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+// VAPID keys identify this server to the browsers' push services; subscriptions are bound to them
+function generateVapidKeys() {
+    return webpush.generateVAPIDKeys();
+}
+
+// Injected (so tests can fake them):
+//   getUsers()                    account records with `notifications`
+//   saveUser(user)                persists an account whose subscriptions changed
+//   getTimeZone()                 site zone for quiet hours
+//   getVapid()                    { publicKey, privateKey, subject } or null (push disabled)
+//   sendPush(subscription, payload, options)  defaults to web-push
+//   postWebhook(url, payload)     defaults to a JSON POST with a timeout
+//   now()
+function createNotifier({
+    getUsers,
+    saveUser,
+    getTimeZone,
+    getVapid = () => null,
+    sendPush = (subscription, payload, options) => webpush.sendNotification(subscription, payload, options),
+    postWebhook = defaultPostWebhook,
+    now = () => new Date()
+}) {
+    async function pushTo(user, preferences, event) {
+        const vapid = getVapid();
+        if (!vapid || !preferences.subscriptions.length) return 0;
+        const payload = JSON.stringify(event);
+        const options = { vapidDetails: vapid, TTL: 60 * 60 };
+        let sent = 0;
+        const gone = [];
+        for (const subscription of preferences.subscriptions) {
+            try {
+                await sendPush(subscription, payload, options);
+                sent++;
+            } catch (err) {
+                // The push service forgot the subscription (uninstalled, permission revoked...)
+                if (err.statusCode === 404 || err.statusCode === 410) gone.push(subscription.endpoint);
+                else console.error(`[Notify] Push to ${user.username} failed:`, err.message);
+            }
+        }
+        if (gone.length) {
+            user.notifications = { ...preferences, subscriptions: preferences.subscriptions.filter(item => !gone.includes(item.endpoint)) };
+            console.log(`[Notify] Dropped ${gone.length} expired push subscriptions of ${user.username}`);
+            await saveUser(user);
+        }
+        return sent;
+    }
+
+    async function hookTo(user, preferences, event) {
+        let sent = 0;
+        for (const webhook of preferences.webhooks) {
+            try {
+                await postWebhook(webhook.url, { ...event, username: user.username });
+                sent++;
+            } catch (err) {
+                console.error(`[Notify] Webhook ${webhook.url} of ${user.username} failed:`, err.message);
+            }
+        }
+        return sent;
+    }
+
+    // Delivers to `only` (a username) or everyone who wants it. Returns { users, pushes, webhooks } delivered.
+    async function emit(input, { only = null, force = false } = {}) {
+        const event = { at: now().toISOString(), ...input };
+        const clock = getLocalClock(now(), getTimeZone());
+        const result = { users: 0, pushes: 0, webhooks: 0 };
+        for (const user of getUsers()) {
+            if (only && user.username !== only) continue;
+            const preferences = getPreferences(user);
+            if (!force && (!preferences.events[event.type] || isQuiet(preferences.quietHours, clock))) continue;
+            const pushes = await pushTo(user, preferences, event);
+            const webhooks = await hookTo(user, preferences, event);
+            if (pushes || webhooks) result.users++;
+            result.pushes += pushes;
+            result.webhooks += webhooks;
+        }
+        if (result.users) console.log(`[Notify] ${event.type}: ${result.pushes} pushes, ${result.webhooks} webhooks to ${result.users} users`);
+        return result;
+    }
+
+    return { emit };
+}
+
+async function defaultPostWebhook(url, payload) {
+    const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'user-agent': 'SwitchSmart' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+}
+
+module.exports = {
+    NOTIFICATION_EVENTS,
+    MAX_SUBSCRIPTIONS,
+    defaultPreferences,
+    getPreferences,
+    updatePreferences,
+    isValidSubscription,
+    isQuiet,
+    generateVapidKeys,
+    createNotifier
+};
@@ -0,0 +1,1006 @@
+const { CAUSES } = require('./health');
+const { OTA_STATUSES } = require('./firmware');
+const { AUDIT_CLIENTS } = require('./audit');
+const { POLICIES } = require('./interlock');
+
+// --- OpenAPI Document for /api/v1 ---
+// Served at GET /api/v1/openapi.json. Keep it in step with the v1 routes in server.js;
+// test/openapi.test.js checks that every reference resolves.
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const param = (name) => ({ $ref: `#/components/parameters/${name}` });
+const response = (name) => ({ $ref: `#/components/responses/${name}` });
+
+// { success: true, ...properties }
+function ok(description, properties = {}) {
+    return {
+        description,
+        content: {
+            'application/json': {
+                schema: {
+                    type: 'object',
+                    properties: { success: { type: 'boolean', enum: [true] }, ...properties }
+                }
+            }
+        }
+    };
+}
+
+function body(schema, required = true) {
+    return { required, content: { 'application/json': { schema } } };
+}
+
+// Responses shared by every authenticated operation, plus the ones it adds
+function responses(success, extra = []) {
+    const result = { ...success, '401': response('Unauthorized'), '403': response('Forbidden') };
+    for (const code of extra) result[code] = response({ 400: 'BadRequest', 404: 'NotFound', 409: 'Offline' }[code]);
+    return result;
+}
+
+const NOTIFICATION_PROPERTIES = { notifications: ref('Notifications') };
+const VACATION_PROPERTIES = { vacation: ref('Vacation'), preview: { type: 'array', items: ref('PlannedEvent') } };
+const IMPORT_PROPERTIES = { changes: { type: 'array', items: ref('Change') } };
+const BUNDLE_FILE = { description: 'The bundle, as a file download', content: { 'application/json': { schema: ref('ConfigBundle') } } };
+
+const date = { type: 'string', format: 'date-time' };
+const nullableDate = { ...date, nullable: true };
+const HEALTH_PROPERTIES = {
+    deviceId: { type: 'string' },
+    from: date,
+    to: date,
+    online: { type: 'boolean' },
+    connectedAt: nullableDate,
+    lastSeen: nullableDate,
+    firmware: { type: 'string', nullable: true },
+    resetReason: { type: 'string', nullable: true, description: 'Why the board last booted, as it reports it' },
+    uptime: { type: 'integer', nullable: true, description: 'Seconds since the board booted, while connected' },
+    bootedAt: nullableDate,
+    rssi: { type: 'number', nullable: true, description: 'Last reported signal (dBm)' },
+    rssiWindows: { type: 'array', items: ref('RssiWindow') },
+    summary: ref('HealthSummary'),
+    events: { type: 'array', items: ref('HealthEvent') }
+};
+
+const COMMAND_RESULT = {
+    '200': ok('Sent to the board', { seq: { type: 'integer', nullable: true, description: 'Command sequence number' } }),
+    '202': ok('Board offline; kept in the offline queue', { queued: ref('QueuedCommand') })
+};
+
+function buildOpenApiDocument(version) {
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Smart Switch API',
+            version,
+            description: 'Everything the app can do over the WebSocket, as plain HTTP. ' +
+                'Log in with POST /api/login and send the token as "Authorization: Bearer <token>". ' +
+                'Errors are always { "success": false, "error": "<message>" }.'
+        },
+        servers: [{ url: '/api/v1' }],
+        security: [{ bearer: [] }],
+        tags: ['Devices', 'Switches', 'Schedules', 'Timers', 'Scenes', 'System', 'History', 'Health', 'Firmware', 'Presence', 'Vacation', 'Rules', 'Settings', 'Backup', 'Notifications', 'Audit']
+            .map(name => ({ name })),
+        paths: {
+            '/devices': {
+                get: {
+                    tags: ['Devices'],
+                    summary: 'List devices',
+                    responses: responses({ '200': ok('Devices', { devices: { type: 'array', items: ref('DeviceSummary') } }) })
+                }
+            },
+            '/devices/{deviceId}': {
+                parameters: [param('deviceId')],
+                get: {
+                    tags: ['Devices'],
+                    summary: 'Full state of one device (guests: without the usernames on queued commands and updates)',
+                    responses: responses({ '200': ok('Device', { device: { type: 'object' } }) }, [404])
+                }
+            },
+            '/devices/{deviceId}/switches': {
+                parameters: [param('deviceId')],
+                get: {
+                    tags: ['Switches'],
+                    summary: 'List channels with their current values',
+                    responses: responses({ '200': ok('Switches', { switches: { type: 'array', items: ref('Switch') } }) }, [404])
+                }
+            },
+            '/devices/{deviceId}/switches/{switchId}': {
+                parameters: [param('deviceId'), param('switchId')],
+                get: {
+                    tags: ['Switches'],
+                    summary: 'One channel',
+                    responses: responses({ '200': ok('Switch', { switch: ref('Switch') }) }, [404])
+                },
+                put: {
+                    tags: ['Switches'],
+                    summary: 'Set a channel (relays 0-1, dimmers 0-100, fans 0-levels)',
+                    requestBody: body(ref('SwitchValue')),
+                    responses: responses(COMMAND_RESULT, [400, 404, 409])
+                }
+            },
+            '/devices/{deviceId}/names': {
+                parameters: [param('deviceId')],
+                get: {
+                    tags: ['Switches'],
+                    summary: 'Channel names',
+                    responses: responses({ '200': ok('Names', { names: { type: 'object', additionalProperties: { type: 'string' } } }) }, [404])
+                }
+            },
+            '/devices/{deviceId}/names/{switchId}': {
+                parameters: [param('deviceId'), param('switchId')],
+                put: {
+                    tags: ['Switches'],
+                    summary: 'Rename a channel',
+                    requestBody: body({ type: 'object', required: ['name'], properties: { name: { type: 'string', minLength: 1, maxLength: 40 } } }),
+                    responses: responses({ '200': ok('Renamed', { name: { type: 'string' } }) }, [400, 404])
+                }
+            },
+            '/devices/{deviceId}/wattage/{switchId}': {
+                parameters: [param('deviceId'), param('switchId')],
+                put: {
+                    tags: ['Switches'],
+                    summary: 'Set the rated draw used for kWh estimates',
+                    requestBody: body({ type: 'object', required: ['watts'], properties: { watts: { type: 'number', minimum: 0, maximum: 10000 } } }),
+                    responses: responses({ '200': ok('Saved', { watts: { type: 'number' } }) }, [400, 404])
+                }
+            },
+            '/devices/{deviceId}/interlocks': {
+                parameters: [param('deviceId')],
+                get: {
+                    tags: ['Switches'],
+                    summary: 'Wall-switch policy of every channel that has a wall switch',
+                    responses: responses({
+                        '200': ok('Policies', { interlocks: { type: 'object', additionalProperties: { type: 'string', enum: POLICIES } } })
+                    }, [404])
+                }
+            },
+            '/devices/{deviceId}/interlocks/{switchId}': {
+                parameters: [param('deviceId'), param('switchId')],
+                put: {
+                    tags: ['Switches'],
+                    summary: 'Set who wins when the wall switch and the app disagree',
+                    description: 'app: the app always wins. wall: the wall switch is master (app ON is refused while it is OFF). ' +
+                        'last: the last change wins (default). toggle: every flip of the wall switch inverts the channel.',
+                    requestBody: body({ type: 'object', required: ['policy'], properties: { policy: { type: 'string', enum: POLICIES } } }),
+                    responses: responses({ '200': ok('Saved', { policy: { type: 'string', enum: POLICIES } }) }, [400, 404])
+                }
+            },
+            '/devices/{deviceId}/schedules': {
+                parameters: [param('deviceId')],
+                get: {
+                    tags: ['Schedules'],
+                    summary: 'Schedules of every channel and scene, keyed by target',
+                    responses: responses({
+                        '200': ok('Schedules', { schedules: { type: 'object', additionalProperties: { type: 'array', items: ref('Schedule') } } })
+                    }, [404])
+                }
+            },
+            '/devices/{deviceId}/schedules/{target}': {
+                parameters: [param('deviceId'), param('target')],
+                get: {
+                    tags: ['Schedules'],
+                    summary: 'Schedules of one target',
+                    responses: responses({ '200': ok('Schedules', { schedules: { type: 'array', items: ref('Schedule') } }) }, [404])
+                },
+                post: {
+                    tags: ['Schedules'],
+                    summary: 'Add a schedule',
+                    requestBody: body(ref('ScheduleInput')),
+                    responses: responses({ '201': ok('Created', { schedule: ref('Schedule') }) }, [400, 404])
+                },
+                delete: {
+                    tags: ['Schedules'],
+                    summary: 'Remove every schedule of the target',
+                    responses: responses({ '200': ok('Removed') }, [404])
+                }
+            },
+            '/devices/{deviceId}/schedules/{target}/{scheduleId}': {
+                parameters: [param('deviceId'), param('target'), { name: 'scheduleId', in: 'path', required: true, schema: { type: 'string' } }],
+                put: {
+                    tags: ['Schedules'],
+                    summary: 'Update a schedule (fields left out are kept)',
+                    requestBody: body(ref('ScheduleInput')),
+                    responses: responses({ '200': ok('Updated', { schedule: ref('Schedule') }) }, [400, 404])
+                },
+                delete: {
+                    tags: ['Schedules'],
+                    summary: 'Remove a schedule',
+                    responses: responses({ '200': ok('Removed') }, [404])
+                }
+            },
+            '/devices/{deviceId}/timers': {
+                parameters: [param('deviceId')],
+                get: {
+                    tags: ['Timers'],
+                    summary: 'Timers of every channel and scene, keyed by target',
+                    responses: responses({ '200': ok('Timers', { timers: { type: 'object', additionalProperties: ref('Timer') } }) }, [404])
+                }
+            },
+            '/devices/{deviceId}/timers/{target}': {
+                parameters: [param('deviceId'), param('target')],
+                put: {
+                    tags: ['Timers'],
+                    summary: 'Start (or restart) a countdown',
+                    requestBody: body({
+                        type: 'object',
+                        required: ['duration', 'action'],
+                        properties: {
+                            duration: { type: 'integer', minimum: 1, maximum: 604800, description: 'Seconds' },
+                            action: { type: 'integer', minimum: 0, description: 'Value to set when it runs out' }
+                        }
+                    }),
+                    responses: responses({ '200': ok('Started', { timer: ref('Timer') }) }, [400, 404])
+                },
+                delete: {
+                    tags: ['Timers'],
+                    summary: 'Cancel the countdown',
+                    responses: responses({ '200': ok('Cancelled') }, [404])
+                }
+            },
+            '/devices/{deviceId}/scenes': {
+                parameters: [param('deviceId')],
+                get: {
+                    tags: ['Scenes'],
+                    summary: 'List scenes',
+                    responses: responses({ '200': ok('Scenes', { scenes: { type: 'array', items: ref('Scene') } }) }, [404])
+                },
+                post: {
+                    tags: ['Scenes'],
+                    summary: 'Add a scene',
+                    requestBody: body(ref('SceneInput')),
+                    responses: responses({ '201': ok('Created', { scene: ref('Scene') }) }, [400, 404])
+                }
+            },
+            '/devices/{deviceId}/scenes/{sceneId}': {
+                parameters: [param('deviceId'), param('sceneId')],
+                put: {
+                    tags: ['Scenes'],
+                    summary: 'Update a scene (fields left out are kept)',
+                    requestBody: body(ref('SceneInput')),
+                    responses: responses({ '200': ok('Updated', { scene: ref('Scene') }) }, [400, 404])
+                },
+                delete: {
+                    tags: ['Scenes'],
+                    summary: 'Remove a scene with its schedules and timer',
+                    responses: responses({ '200': ok('Removed') }, [404])
+                }
+            },
+            '/devices/{deviceId}/scenes/{sceneId}/apply': {
+                parameters: [param('deviceId'), param('sceneId')],
+                post: {
+                    tags: ['Scenes'],
+                    summary: 'Apply a scene as one batched command',
+                    responses: responses({ '200': COMMAND_RESULT['200'] }, [404, 409])
+                }
+            },
+            '/devices/{deviceId}/system': {
+                parameters: [param('deviceId')],
+                get: {
+                    tags: ['System'],
+                    summary: 'Aura mode, signal and connection',
+                    responses: responses({
+                        '200': ok('System', { system: { type: 'object' }, online: { type: 'boolean' } })
+                    }, [404])
+                },
+                patch: {
+                    tags: ['System'],
+                    summary: 'Change the Aura mode',
+                    requestBody: body({ type: 'object', required: ['ledMode'], properties: { ledMode: { type: 'integer', minimum: 0 } } }),
+                    responses: responses(COMMAND_RESULT, [400, 404, 409])
+                }
+            },
+            '/devices/{deviceId}/system/reboot': {
+                parameters: [param('deviceId')],
+                post: {
+                    tags: ['System'],
+                    summary: 'Reboot the board (admin)',
+                    responses: responses({ '200': COMMAND_RESULT['200'] }, [404, 409])
+                }
+            },
+            '/devices/{deviceId}/queue': {
+                parameters: [param('deviceId')],
+                get: {
+                    tags: ['System'],
+                    summary: 'Commands waiting for the board to reconnect',
+                    responses: responses({ '200': ok('Queue', { queue: { type: 'array', items: ref('QueuedCommand') } }) }, [404])
+                }
+            },
+            '/devices/{deviceId}/queue/{entryId}': {
+                parameters: [param('deviceId'), { name: 'entryId', in: 'path', required: true, schema: { type: 'string' } }],
+                delete: {
+                    tags: ['System'],
+                    summary: 'Cancel a queued command',
+                    responses: responses({ '200': ok('Cancelled') }, [404])
+                }
+            },
+            '/devices/{deviceId}/history': {
+                parameters: [param('deviceId')],
+                get: {
+                    tags: ['History'],
+                    summary: 'Confirmed switch transitions (default: the last 24 hours)',
+                    parameters: [
+                        { name: 'switchId', in: 'query', schema: { type: 'string' } },
+                        { name: 'from', in: 'query', schema: { type: 'string', format: 'date-time' } },
+                        { name: 'to', in: 'query', schema: { type: 'string', format: 'date-time' } },
+                        { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 5000, default: 500 } }
+                    ],
+                    responses: responses({ '200': ok('Events', { events: { type: 'array', items: { type: 'object' } } }) }, [400, 404])
+                }
+            },
+            '/devices/{deviceId}/usage': {
+                parameters: [param('deviceId')],
+                get: {
+                    tags: ['History'],
+                    summary: 'On-time and estimated kWh per channel',
+                    parameters: [
+                        { name: 'bucket', in: 'query', schema: { type: 'string', enum: ['day', 'week', 'month'], default: 'day' } },
+                        { name: 'count', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 31, default: 7 } }
+                    ],
+                    responses: responses({ '200': ok('Usage', { channels: { type: 'array', items: { type: 'object' } } }) }, [400, 404])
+                }
+            },
+            '/devices/{deviceId}/health': {
+                parameters: [param('deviceId')],
+                get: {
+                    tags: ['Health'],
+                    summary: 'Link health of the board: signal, connects, drops and why (default: the last 24 hours)',
+                    parameters: [
+                        { name: 'from', in: 'query', schema: { type: 'string', format: 'date-time' } },
+                        { name: 'to', in: 'query', schema: { type: 'string', format: 'date-time' } },
+                        { name: 'limit', in: 'query', description: 'Newest connection events returned', schema: { type: 'integer', minimum: 1, maximum: 1000, default: 100 } }
+                    ],
+                    responses: responses({ '200': ok('Health', HEALTH_PROPERTIES) }, [400, 404])
+                }
+            },
+            '/devices/{deviceId}/ota': {
+                parameters: [param('deviceId')],
+                get: {
+                    tags: ['Firmware'],
+                    summary: 'Firmware the board runs and its latest over-the-air update',
+                    responses: responses({
+                        '200': ok('Update', {
+                            firmware: { type: 'string', nullable: true },
+                            supported: { type: 'boolean', description: 'The board declared OTA support in IDENTIFY' },
+                            ota: { allOf: [ref('OtaUpdate')], nullable: true }
+                        })
+                    }, [404])
+                },
+                post: {
+                    tags: ['Firmware'],
+                    summary: 'Install an uploaded image on the board (admin); progress shows in the device state as `ota`',
+                    requestBody: body({ type: 'object', required: ['firmwareId'], properties: { firmwareId: { type: 'string' } } }),
+                    responses: responses({
+                        '200': ok('Sent to the board', { update: ref('OtaUpdate'), seq: { type: 'integer' } })
+                    }, [400, 404, 409])
+                }
+            },
+            '/firmware': {
+                get: {
+                    tags: ['Firmware'],
+                    summary: 'Uploaded firmware images, newest first (admin)',
+                    responses: responses({ '200': ok('Images', { firmware: { type: 'array', items: ref('FirmwareImage') } }) })
+                },
+                post: {
+                    tags: ['Firmware'],
+                    summary: 'Upload a firmware image (admin); the checksum must match the binary',
+                    parameters: [
+                        { name: 'version', in: 'query', required: true, schema: { type: 'string', pattern: '^[\\w.+-]{1,32}$' } },
+                        { name: 'checksum', in: 'query', required: true, description: 'MD5 or SHA-256 of the binary, hex', schema: { type: 'string' } },
+                        { name: 'notes', in: 'query', schema: { type: 'string', maxLength: 200 } }
+                    ],
+                    requestBody: { required: true, content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } },
+                    responses: responses({ '201': ok('Uploaded', { firmware: ref('FirmwareImage') }) }, [400])
+                }
+            },
+            '/firmware/{firmwareId}': {
+                parameters: [param('firmwareId')],
+                delete: {
+                    tags: ['Firmware'],
+                    summary: 'Remove an image no update is using (admin)',
+                    responses: responses({ '200': ok('Removed') }, [400, 404])
+                }
+            },
+            '/firmware/{firmwareId}/binary': {
+                parameters: [param('firmwareId')],
+                get: {
+                    tags: ['Firmware'],
+                    summary: 'Download an image with the signed link of an OTA_UPDATE command (what boards fetch)',
+                    security: [],
+                    parameters: [
+                        { name: 'token', in: 'query', required: true, schema: { type: 'string' } },
+                        { name: 'Range', in: 'header', description: 'One byte range, to resume a download', schema: { type: 'string', example: 'bytes=65536-' } }
+                    ],
+                    responses: {
+                        '200': { description: 'The image', content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } },
+                        '206': { description: 'The requested range' },
+                        '401': { description: 'Invalid or expired link', content: { 'application/json': { schema: ref('Error') } } },
+                        '404': response('NotFound'),
+                        '416': { description: 'The range lies outside the image' }
+                    }
+                }
+            },
+            '/audit': {
+                get: {
+                    tags: ['Audit'],
+                    summary: 'Who changed what, from which client, oldest first (default: the newest 100 of the last 7 days)',
+                    parameters: [
+                        { name: 'from', in: 'query', schema: { type: 'string', format: 'date-time' } },
+                        { name: 'to', in: 'query', schema: { type: 'string', format: 'date-time' } },
+                        { name: 'username', in: 'query', schema: { type: 'string' } },
+                        { name: 'client', in: 'query', schema: { type: 'string', enum: AUDIT_CLIENTS } },
+                        { name: 'type', in: 'query', description: 'Message type, e.g. TOGGLE_SWITCH', schema: { type: 'string' } },
+                        { name: 'deviceId', in: 'query', schema: { type: 'string' } },
+                        { name: 'target', in: 'query', description: 'Channel, scene, rule... ID', schema: { type: 'string' } },
+                        { name: 'limit', in: 'query', description: 'Newest entries returned', schema: { type: 'integer', minimum: 1, maximum: 1000, default: 100 } }
+                    ],
+                    responses: responses({
+                        '200': ok('Entries', { from: date, to: date, entries: { type: 'array', items: ref('AuditEntry') } })
+                    }, [400])
+                }
+            },
+            '/presence': {
+                get: {
+                    tags: ['Presence'],
+                    summary: 'Who is home, by username (admins and members)',
+                    responses: responses({ '200': ok('Presence', { presence: { type: 'object', additionalProperties: ref('Presence') } }) })
+                },
+                post: {
+                    tags: ['Presence'],
+                    summary: 'Check in as home or away, or with a position placed against the home radius',
+                    description: 'Arrivals and departures fire the arrive/leave rule triggers. Positions are not stored.',
+                    requestBody: body(ref('CheckIn')),
+                    responses: responses({ '200': ok('Checked in', { presence: ref('Presence') }) }, [400])
+                }
+            },
+            '/vacation': {
+                get: {
+                    tags: ['Vacation'],
+                    summary: 'Vacation mode, its learned habits and the planned events of the next 24 hours (admins and members)',
+                    responses: responses({ '200': ok('Vacation mode', VACATION_PROPERTIES) })
+                },
+                put: {
+                    tags: ['Vacation'],
+                    summary: 'Turn vacation mode on or off, pick its switches or change the jitter',
+                    description: 'Partial update. Every change learns the habits of the picked switches again from the last 14 days ' +
+                        'of history (or their schedules) and draws a new plan. Ordinary schedules of the picked switches are paused ' +
+                        'while the mode is on.',
+                    requestBody: body(ref('VacationUpdate')),
+                    responses: responses({ '200': ok('Vacation mode', VACATION_PROPERTIES) }, [400, 404])
+                }
+            },
+            '/rules': {
+                get: {
+                    tags: ['Rules'],
+                    summary: 'List rules (admins and members)',
+                    responses: responses({ '200': ok('Rules', { rules: { type: 'array', items: ref('Rule') } }) })
+                },
+                post: {
+                    tags: ['Rules'],
+                    summary: 'Add a rule',
+                    requestBody: body(ref('Rule')),
+                    responses: responses({ '201': ok('Created', { rule: ref('Rule') }) }, [400, 404])
+                }
+            },
+            '/rules/{ruleId}': {
+                parameters: [param('ruleId')],
+                put: {
+                    tags: ['Rules'],
+                    summary: 'Replace a rule',
+                    requestBody: body(ref('Rule')),
+                    responses: responses({ '200': ok('Updated', { rule: ref('Rule') }) }, [400, 404])
+                },
+                patch: {
+                    tags: ['Rules'],
+                    summary: 'Enable or disable a rule',
+                    requestBody: body({ type: 'object', required: ['enabled'], properties: { enabled: { type: 'boolean' } } }),
+                    responses: responses({ '200': ok('Updated', { rule: ref('Rule') }) }, [400, 404])
+                },
+                delete: {
+                    tags: ['Rules'],
+                    summary: 'Remove a rule',
+                    responses: responses({ '200': ok('Removed') }, [404])
+                }
+            },
+            '/settings': {
+                get: {
+                    tags: ['Settings'],
+                    summary: 'Site settings',
+                    responses: responses({ '200': ok('Settings', { settings: ref('Settings') }) })
+                },
+                patch: {
+                    tags: ['Settings'],
+                    summary: 'Change site settings (admin); one invalid field rejects the whole update',
+                    requestBody: body(ref('Settings')),
+                    responses: responses({ '200': ok('Updated', { settings: ref('Settings') }) }, [400])
+                }
+            },
+            '/config': {
+                get: {
+                    tags: ['Backup'],
+                    summary: 'Export the whole configuration as a versioned bundle (admin)',
+                    responses: responses({ '200': BUNDLE_FILE })
+                },
+                post: {
+                    tags: ['Backup'],
+                    summary: 'Import a bundle (admin), or the data.json of the original single-board server',
+                    description: 'Sections and device fields the bundle leaves out stay as they are. The import is applied at once, ' +
+                        'then every board it names gets its schedules (SYNC_SCHED), timers (SYNC_TIMER) and Aura mode again, ' +
+                        'offline boards when they next connect. A connected board keeps the channels it declared.',
+                    requestBody: body(ref('ConfigBundle')),
+                    responses: responses({ '200': ok('Imported', IMPORT_PROPERTIES) }, [400])
+                }
+            },
+            '/config/preview': {
+                post: {
+                    tags: ['Backup'],
+                    summary: 'Check a bundle and list what importing it would change, without importing it (admin)',
+                    requestBody: body(ref('ConfigBundle')),
+                    responses: responses({ '200': ok('What would change', IMPORT_PROPERTIES) }, [400])
+                }
+            },
+            '/backups': {
+                get: {
+                    tags: ['Backup'],
+                    summary: 'Automatic backups in BACKUP_DIR, newest first (admin)',
+                    responses: responses({
+                        '200': ok('Backups', {
+                            enabled: { type: 'boolean', description: 'Whether BACKUP_DIR is set' },
+                            intervalHours: { type: 'number' },
+                            backups: { type: 'array', items: ref('Backup') }
+                        })
+                    })
+                },
+                post: {
+                    tags: ['Backup'],
+                    summary: 'Write a backup now (admin); the oldest ones beyond BACKUP_KEEP are removed',
+                    responses: responses({
+                        '201': ok('Written', { backup: ref('Backup') }),
+                        '409': { description: 'Automatic backups are off', content: { 'application/json': { schema: ref('Error') } } }
+                    })
+                }
+            },
+            '/backups/{name}': {
+                parameters: [{ name: 'name', in: 'path', required: true, schema: { type: 'string', example: 'config-2026-07-01T03-00-00-000Z.json' } }],
+                get: {
+                    tags: ['Backup'],
+                    summary: 'Download an automatic backup (admin)',
+                    responses: responses({ '200': BUNDLE_FILE }, [404])
+                }
+            },
+            '/notifications': {
+                get: {
+                    tags: ['Notifications'],
+                    summary: 'Your alert preferences, the events on offer and the Web Push (VAPID) public key',
+                    responses: responses({
+                        '200': ok('Preferences', {
+                            available: { type: 'object', additionalProperties: { type: 'string' }, description: 'Event type -> description' },
+                            publicKey: { type: 'string', nullable: true, description: 'applicationServerKey for PushManager.subscribe()' },
+                            ...NOTIFICATION_PROPERTIES
+                        })
+                    })
+                },
+                patch: {
+                    tags: ['Notifications'],
+                    summary: 'Change which events you receive, your quiet hours or your webhooks (webhooks: admins only)',
+                    requestBody: body(ref('NotificationInput')),
+                    responses: responses({ '200': ok('Updated', NOTIFICATION_PROPERTIES) }, [400])
+                }
+            },
+            '/notifications/subscriptions': {
+                post: {
+                    tags: ['Notifications'],
+                    summary: 'Register this browser for Web Push (a PushSubscription as JSON)',
+                    requestBody: body(ref('PushSubscription')),
+                    responses: responses({ '201': ok('Subscribed', NOTIFICATION_PROPERTIES) }, [400])
+                },
+                delete: {
+                    tags: ['Notifications'],
+                    summary: 'Stop pushing to a browser',
+                    parameters: [{ name: 'endpoint', in: 'query', required: true, schema: { type: 'string' } }],
+                    responses: responses({ '200': ok('Unsubscribed', NOTIFICATION_PROPERTIES) }, [404])
+                }
+            },
+            '/notifications/test': {
+                post: {
+                    tags: ['Notifications'],
+                    summary: 'Send yourself a test alert, ignoring event choices and quiet hours',
+                    responses: responses({
+                        '200': ok('Sent', {
+                            delivered: { type: 'object', properties: { pushes: { type: 'integer' }, webhooks: { type: 'integer' } } }
+                        })
+                    })
+                }
+            }
+        },
+        components: {
+            securitySchemes: {
+                bearer: { type: 'http', scheme: 'bearer', description: 'Token from POST /api/login' }
+            },
+            parameters: {
+                deviceId: { name: 'deviceId', in: 'path', required: true, schema: { type: 'string', example: 'main' } },
+                switchId: { name: 'switchId', in: 'path', required: true, schema: { type: 'string', example: 'switch1' } },
+                target: {
+                    name: 'target',
+                    in: 'path',
+                    required: true,
+                    description: 'A channel ID, or scene:<sceneId>',
+                    schema: { type: 'string', example: 'switch1' }
+                },
+                sceneId: { name: 'sceneId', in: 'path', required: true, schema: { type: 'string' } },
+                ruleId: { name: 'ruleId', in: 'path', required: true, schema: { type: 'string' } },
+                firmwareId: { name: 'firmwareId', in: 'path', required: true, schema: { type: 'string' } }
+            },
+            responses: {
+                BadRequest: { description: 'Invalid request', content: { 'application/json': { schema: ref('Error') } } },
+                Unauthorized: { description: 'Missing or expired token', content: { 'application/json': { schema: ref('Error') } } },
+                Forbidden: { description: 'Your role cannot do this', content: { 'application/json': { schema: ref('Error') } } },
+                NotFound: { description: 'Unknown device, channel or item', content: { 'application/json': { schema: ref('Error') } } },
+                Offline: {
+                    description: 'The board is offline, or (code INTERLOCKED) the channel\'s wall switch holds it off',
+                    content: { 'application/json': { schema: ref('Error') } }
+                }
+            },
+            schemas: {
+                Error: {
+                    type: 'object',
+                    required: ['success', 'error'],
+                    properties: {
+                        success: { type: 'boolean', enum: [false] },
+                        error: { type: 'string' },
+                        code: { type: 'string', description: 'ERROR code where the status alone is ambiguous (e.g. INTERLOCKED)' }
+                    }
+                },
+                DeviceSummary: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        label: { type: 'string' },
+                        online: { type: 'boolean' },
+                        firmware: { type: 'string', nullable: true, description: 'Version reported in the last IDENTIFY' },
+                        channels: { type: 'integer' }
+                    }
+                },
+                Switch: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        type: { type: 'string', enum: ['relay', 'dimmer', 'fan-speed'] },
+                        name: { type: 'string' },
+                        value: { type: 'integer' },
+                        max: { type: 'integer' },
+                        physical: { type: 'integer', nullable: true, description: 'Wall switch position, null without one' },
+                        interlock: { type: 'string', enum: POLICIES, nullable: true, description: 'Wall-switch policy, null without one' },
+                        pending: { type: 'boolean', description: 'A command is waiting for the board to confirm it' },
+                        watts: { type: 'number' }
+                    }
+                },
+                SwitchValue: {
+                    type: 'object',
+                    required: ['value'],
+                    properties: { value: { type: 'integer', minimum: 0 } }
+                },
+                ScheduleInput: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean' },
+                        anchor: { type: 'string', enum: ['time', 'sunrise', 'sunset', 'dusk'], default: 'time' },
+                        time: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', description: 'HH:MM, for anchor "time"' },
+                        offset: { type: 'integer', minimum: -720, maximum: 720, description: 'Minutes from the anchor' },
+                        action: { type: 'integer', minimum: 0, description: 'Value to set' },
+                        days: { type: 'integer', minimum: 0, maximum: 127, description: 'Weekday bitmask, bit 0 = Sunday' },
+                        date: { type: 'string', format: 'date', description: 'One-shot date; overrides days' }
+                    }
+                },
+                Schedule: {
+                    allOf: [ref('ScheduleInput'), { type: 'object', properties: { id: { type: 'string' } } }]
+                },
+                Timer: {
+                    type: 'object',
+                    properties: {
+                        active: { type: 'boolean' },
+                        endAt: { type: 'integer', nullable: true, description: 'Epoch milliseconds' },
+                        action: { type: 'integer', nullable: true }
+                    }
+                },
+                SceneInput: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string' },
+                        switches: { type: 'object', additionalProperties: { type: 'integer' } },
+                        ledMode: { type: 'integer', nullable: true }
+                    }
+                },
+                Scene: {
+                    allOf: [ref('SceneInput'), { type: 'object', properties: { id: { type: 'string' } } }]
+                },
+                QueuedCommand: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        action: { type: 'string', enum: ['TOGGLE', 'SYSTEM'] },
+                        switchId: { type: 'string' },
+                        value: { type: 'integer' },
+                        ledMode: { type: 'integer' },
+                        source: { type: 'string' },
+                        by: { type: 'string' },
+                        queuedAt: { type: 'integer' },
+                        expiresAt: { type: 'integer' }
+                    }
+                },
+                Rule: {
+                    type: 'object',
+                    description: 'See lib/rules.js for trigger, condition and action shapes',
+                    properties: {
+                        id: { type: 'string', readOnly: true },
+                        name: { type: 'string' },
+                        enabled: { type: 'boolean' },
+                        deviceId: { type: 'string', nullable: true },
+                        triggers: { type: 'array', items: { type: 'object' } },
+                        conditions: { type: 'array', items: { type: 'object' } },
+                        actions: { type: 'array', items: { type: 'object' } }
+                    }
+                },
+                Presence: {
+                    type: 'object',
+                    properties: {
+                        home: { type: 'boolean' },
+                        since: { type: 'integer', description: 'Epoch ms of the last arrival or departure' },
+                        via: { type: 'string', enum: ['app', 'rest', 'location'] }
+                    }
+                },
+                CheckIn: {
+                    type: 'object',
+                    description: 'Either state, or latitude and longitude',
+                    properties: {
+                        state: { type: 'string', enum: ['home', 'away'] },
+                        latitude: { type: 'number', minimum: -90, maximum: 90 },
+                        longitude: { type: 'number', minimum: -180, maximum: 180 },
+                        accuracy: { type: 'number', minimum: 0, description: 'Meters' }
+                    }
+                },
+                VacationSwitch: {
+                    type: 'object',
+                    required: ['deviceId', 'switchId'],
+                    properties: { deviceId: { type: 'string' }, switchId: { type: 'string' } }
+                },
+                VacationUpdate: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean' },
+                        switches: { type: 'array', items: ref('VacationSwitch') },
+                        jitter: { type: 'integer', minimum: 0, maximum: 60, description: 'Minutes each planned event may move' }
+                    }
+                },
+                Vacation: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean' },
+                        since: { type: 'integer', nullable: true, description: 'Epoch ms the mode was turned on' },
+                        switches: { type: 'array', items: ref('VacationSwitch') },
+                        jitter: { type: 'integer' },
+                        patterns: {
+                            type: 'object',
+                            description: "Learned habits by 'deviceId/switchId'",
+                            additionalProperties: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        on: { type: 'integer', description: 'Minute of the local day' },
+                                        duration: { type: 'integer', description: 'Minutes' },
+                                        level: { type: 'integer' },
+                                        chance: { type: 'number', description: 'Share of days the habit is replayed on' },
+                                        from: { type: 'string', enum: ['history', 'schedule'] }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                },
+                PlannedEvent: {
+                    type: 'object',
+                    properties: {
+                        deviceId: { type: 'string' },
+                        switchId: { type: 'string' },
+                        at: { type: 'integer', description: 'Epoch ms' },
+                        value: { type: 'integer' }
+                    }
+                },
+                Settings: {
+                    type: 'object',
+                    properties: {
+                        timeZone: { type: 'string', example: 'Asia/Kolkata' },
+                        queueOffline: { type: 'boolean' },
+                        queueTtl: { type: 'integer', minimum: 60, maximum: 604800, description: 'Seconds' }
+                    }
+                },
+                ConfigBundle: {
+                    type: 'object',
+                    required: ['format', 'version'],
+                    properties: {
+                        format: { type: 'string', enum: ['switch-smart-config'] },
+                        version: { type: 'integer', enum: [1] },
+                        exportedAt: { ...date, nullable: true },
+                        settings: ref('Settings'),
+                        vacation: ref('VacationUpdate'),
+                        rules: { type: 'array', items: ref('Rule') },
+                        devices: {
+                            type: 'object',
+                            description: 'By device ID',
+                            additionalProperties: {
+                                type: 'object',
+                                properties: {
+                                    label: { type: 'string' },
+                                    channels: {
+                                        type: 'array',
+                                        items: {
+                                            type: 'object',
+                                            properties: {
+                                                id: { type: 'string' },
+                                                type: { type: 'string', example: 'relay' },
+                                                physical: { type: 'boolean' },
+                                                levels: { type: 'integer' }
+                                            }
+                                        }
+                                    },
+                                    names: { type: 'object', additionalProperties: { type: 'string' } },
+                                    scenes: { type: 'array', items: ref('Scene') },
+                                    schedules: {
+                                        type: 'object',
+                                        description: 'By channel ID or scene:<sceneId>',
+                                        additionalProperties: { type: 'array', items: ref('Schedule') }
+                                    },
+                                    timers: { type: 'object', description: 'By channel ID or scene:<sceneId>', additionalProperties: ref('Timer') },
+                                    wattage: { type: 'object', additionalProperties: { type: 'number' } },
+                                    interlocks: { type: 'object', additionalProperties: { type: 'string', enum: POLICIES } },
+                                    ledMode: { type: 'integer' }
+                                }
+                            }
+                        }
+                    }
+                },
+                Backup: {
+                    type: 'object',
+                    properties: { name: { type: 'string' }, size: { type: 'integer', description: 'Bytes' }, at: date }
+                },
+                RssiWindow: {
+                    type: 'object',
+                    description: 'Signal over one window of status reports (dBm)',
+                    properties: {
+                        at: { type: 'string', format: 'date-time', description: 'Start of the window' },
+                        avg: { type: 'number' },
+                        min: { type: 'number' },
+                        max: { type: 'number' },
+                        count: { type: 'integer' }
+                    }
+                },
+                HealthEvent: {
+                    type: 'object',
+                    properties: {
+                        kind: { type: 'string', enum: ['connect', 'disconnect', 'heartbeat-miss'] },
+                        at: { type: 'string', format: 'date-time' },
+                        cause: { type: 'string', enum: CAUSES, description: 'connect: why the board was away' },
+                        firmware: { type: 'string', nullable: true },
+                        resetReason: { type: 'string', nullable: true },
+                        uptime: { type: 'integer', nullable: true },
+                        code: { type: 'integer', nullable: true, description: 'disconnect: WebSocket close code' },
+                        reason: { type: 'string', nullable: true }
+                    }
+                },
+                HealthSummary: {
+                    type: 'object',
+                    properties: {
+                        connects: { type: 'integer' },
+                        disconnects: { type: 'integer' },
+                        heartbeatMisses: { type: 'integer' },
+                        causes: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Connects per cause' },
+                        closeCodes: { type: 'object', additionalProperties: { type: 'integer' } }
+                    }
+                },
+                FirmwareImage: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        version: { type: 'string' },
+                        size: { type: 'integer', description: 'Bytes' },
+                        md5: { type: 'string' },
+                        sha256: { type: 'string' },
+                        notes: { type: 'string' },
+                        uploadedAt: { type: 'integer', description: 'Epoch milliseconds' },
+                        uploadedBy: { type: 'string' }
+                    }
+                },
+                OtaUpdate: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        firmwareId: { type: 'string' },
+                        version: { type: 'string', description: 'Version being installed' },
+                        from: { type: 'string', nullable: true, description: 'Version the board ran before' },
+                        status: { type: 'string', enum: OTA_STATUSES },
+                        progress: { type: 'integer', minimum: 0, maximum: 100, description: 'Percent downloaded' },
+                        error: { type: 'string', nullable: true },
+                        by: { type: 'string' },
+                        startedAt: { type: 'integer', description: 'Epoch milliseconds' },
+                        updatedAt: { type: 'integer', description: 'Epoch milliseconds' }
+                    }
+                },
+                AuditEntry: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        at: date,
+                        actor: {
+                            type: 'object',
+                            properties: {
+                                username: { type: 'string', nullable: true, description: 'null for schedules, rules and the board' },
+                                role: { type: 'string', nullable: true },
+                                ip: { type: 'string', nullable: true },
+                                client: { type: 'string', enum: AUDIT_CLIENTS }
+                            }
+                        },
+                        type: { type: 'string', description: 'WebSocket message type, or the permission of a REST route', example: 'TOGGLE_SWITCH' },
+                        deviceId: { type: 'string', nullable: true },
+                        target: { type: 'string', nullable: true },
+                        changes: { type: 'array', items: ref('Change') }
+                    }
+                },
+                Change: {
+                    type: 'object',
+                    description: 'A side is absent when the path did not exist then',
+                    properties: { path: { type: 'string', example: 'switches.switch1' }, before: {}, after: {} }
+                },
+                Notifications: {
+                    type: 'object',
+                    properties: {
+                        events: { type: 'object', additionalProperties: { type: 'boolean' } },
+                        quietHours: ref('QuietHours'),
+                        webhooks: { type: 'array', items: ref('Webhook') },
+                        subscriptions: { type: 'array', items: { type: 'string' }, description: 'Endpoints of your subscribed browsers' }
+                    }
+                },
+                QuietHours: {
+                    type: 'object',
+                    description: 'Site time zone; may wrap past midnight',
+                    properties: {
+                        enabled: { type: 'boolean' },
+                        start: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', example: '22:00' },
+                        end: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', example: '07:00' }
+                    }
+                },
+                Webhook: {
+                    type: 'object',
+                    properties: { id: { type: 'string' }, url: { type: 'string', format: 'uri' } }
+                },
+                NotificationInput: {
+                    type: 'object',
+                    properties: {
+                        events: {
+                            type: 'object',
+                            additionalProperties: { type: 'boolean' },
+                            example: { 'device-offline': true, 'schedule-run': false }
+                        },
+                        quietHours: ref('QuietHours'),
+                        webhooks: {
+                            type: 'array',
+                            maxItems: 5,
+                            description: 'Replaces the list; each an http(s) URL that receives every alert as a JSON POST',
+                            items: { type: 'string', format: 'uri' }
+                        }
+                    }
+                },
+                PushSubscription: {
+                    type: 'object',
+                    required: ['endpoint', 'keys'],
+                    properties: {
+                        endpoint: { type: 'string', format: 'uri' },
+                        keys: { type: 'object', properties: { p256dh: { type: 'string' }, auth: { type: 'string' } } }
+                    }
+                }
+            }
+        }
+    };
+}
+
+module.exports = {
+    buildOpenApiDocument
+};
@@ -0,0 +1,56 @@
+// --- Presence ---
+// Who is home, from check-ins sent by each member's dashboard or by a phone automation app
+// calling the REST API on arrival and departure. A check-in is either a plain
+// { state: 'home' | 'away' } or the phone's position { latitude, longitude, accuracy? },
+// placed against a radius around the site location (SITE_LATITUDE/SITE_LONGITUDE).
+//
+// state.presence: username -> { home, since, via }
+//   via  'app' or 'rest' for plain check-ins, 'location' for positions
+// Positions are never stored, only whether they were inside the radius.
+//
+// Changes reach the rule engine as { type: 'arrive' | 'leave', username, count } with `count`
+// the number of people home afterwards (see lib/rules.js).
+const DEFAULT_RADIUS = 150; // Meters around the site location that count as home
+const EXIT_MARGIN = 100; // Leaving takes this much more, so a position jittering at the edge does not flap
+const MAX_ACCURACY = 1000; // Positions vaguer than this decide nothing
+const EARTH_RADIUS = 6371000;
+
+// Great-circle distance in meters
+function distance(a, b) {
+    const rad = (degrees) => degrees * Math.PI / 180;
+    const dLat = rad(b.latitude - a.latitude);
+    const dLon = rad(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.latitude)) * Math.cos(rad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(h));
+}
+
+const isCoordinate = (value, limit) => typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limit;
+
+// Whether a check-in puts its sender home: { home, via } or { error }.
+// `wasHome` (true, false or null when unknown) keeps the last answer inside the exit margin.
+function resolveCheckIn(input, { location = null, radius = DEFAULT_RADIUS, wasHome = null, via = 'app' } = {}) {
+    if (input && (input.state === 'home' || input.state === 'away')) return { home: input.state === 'home', via };
+    if (!input || input.latitude === undefined || input.longitude === undefined) {
+        return { error: "A check-in needs state 'home' or 'away', or latitude and longitude" };
+    }
+    if (!isCoordinate(input.latitude, 90) || !isCoordinate(input.longitude, 180)) return { error: 'Invalid latitude or longitude' };
+    if (!location) return { error: 'The home location is not configured (SITE_LATITUDE/SITE_LONGITUDE)' };
+    const accuracy = Number(input.accuracy) || 0;
+    if (accuracy > MAX_ACCURACY) return { error: `Position too vague (±${Math.round(accuracy)} m)` };
+
+    const meters = distance(location, input);
+    if (meters <= radius) return { home: true, via: 'location' };
+    if (meters > radius + Math.max(EXIT_MARGIN, accuracy)) return { home: false, via: 'location' };
+    return { home: !!wasHome, via: 'location' };
+}
+
+function countHome(presence) {
+    return Object.values(presence || {}).filter(entry => entry.home).length;
+}
+
+module.exports = {
+    DEFAULT_RADIUS,
+    distance,
+    resolveCheckIn,
+    countHome
+};
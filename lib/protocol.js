@@ -0,0 +1,282 @@
+const { BOARD_STATUSES } = require('./firmware');
+const { POLICIES } = require('./interlock');
+const { MAX_JITTER } = require('./vacation');
+
+// --- WebSocket Protocol ---
+// Every inbound message is checked against the schema of its type before the server acts on it.
+// Messages are { type, requestId?, data, ... }; a `requestId` (string or number) is echoed in the
+// ERROR reply to that message, so clients can match refusals to what they sent.
+//
+// Versions: boards state the highest version they speak as IDENTIFY.protocol (firmware that
+// omits it speaks 1) and get back { type: 'IDENTIFIED', protocol } with the agreed version.
+//   1  COMMAND / UPDATE_STATUS; boards may declare `acks`
+//   2  boards ack every COMMAND (implies `acks`)
+// Boards that declare `ota` in IDENTIFY take COMMAND OTA_UPDATE and report OTA_STATUS (lib/firmware.js).
+const PROTOCOL_VERSION = 2;
+const MIN_PROTOCOL_VERSION = 1;
+
+// ERROR replies: { type: 'ERROR', code, message, field, requestId } (field and requestId may be null)
+const ERROR_CODES = {
+    BAD_REQUEST: 'BAD_REQUEST', // Not JSON, or not an object with a string `type`
+    UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+    INVALID_FIELD: 'INVALID_FIELD', // Fails the message schema; `field` names the offending path
+    INVALID_VALUE: 'INVALID_VALUE', // Well-formed but refused (out of range for the channel, bad schedule...)
+    UNAUTHORIZED: 'UNAUTHORIZED',
+    FORBIDDEN: 'FORBIDDEN',
+    NOT_FOUND: 'NOT_FOUND',
+    OFFLINE: 'OFFLINE',
+    INTERLOCKED: 'INTERLOCKED', // Held off by the channel's wall switch (lib/interlock.js); status 409
+    UNSUPPORTED_PROTOCOL: 'UNSUPPORTED_PROTOCOL',
+    INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+// Server operations refuse with an HTTP-style status (see server.js)
+const STATUS_CODES = { 400: 'INVALID_VALUE', 401: 'UNAUTHORIZED', 403: 'FORBIDDEN', 404: 'NOT_FOUND', 409: 'OFFLINE' };
+
+// --- Schemas ---
+// { type, optional, nullable, min, max, minLength, maxLength, enum, fields, values, extra }
+// `type` may be a list. Objects declare `fields`; maps (free keys) declare `values`.
+// Unknown object fields are rejected, or dropped with extra: 'strip' (hardware reports, whose
+// firmware may send more than the server uses).
+const ID = { type: 'string', minLength: 1, maxLength: 64 };
+const DEVICE = { ...ID, optional: true };
+const LEVEL = { type: 'integer', min: 0, max: 1000 };
+const TARGET = { ...ID, maxLength: 80 }; // A channel ID or scene:<id>
+const LEVEL_MAP = { type: 'map', optional: true, values: LEVEL };
+
+const HARDWARE_SYSTEM = {
+    type: 'object',
+    optional: true,
+    extra: 'strip',
+    fields: {
+        ledMode: { type: 'integer', min: 0, optional: true },
+        rssi: { type: 'number', optional: true },
+        uptime: { type: 'number', min: 0, optional: true }, // Seconds since the board booted (lib/health.js)
+        reboot: { type: 'integer', optional: true }
+    }
+};
+
+function message(dataFields, topFields = {}, extra = 'reject') {
+    return {
+        type: 'object',
+        extra,
+        fields: {
+            type: { type: 'string' },
+            requestId: { type: ['string', 'number'], maxLength: 64, optional: true },
+            data: { type: 'object', extra, fields: dataFields },
+            ...topFields
+        }
+    };
+}
+
+const SCHEMAS = {
+    // Hardware
+    IDENTIFY: message({
+        channels: { type: 'array', optional: true, maxItems: 32 },
+        switches: LEVEL_MAP,
+        physical: LEVEL_MAP,
+        system: HARDWARE_SYSTEM
+    }, {
+        role: { type: 'string', enum: ['hardware'] },
+        secret: { type: 'string', optional: true },
+        deviceId: DEVICE,
+        label: { type: 'string', maxLength: 64, optional: true },
+        acks: { type: 'boolean', optional: true },
+        protocol: { type: 'integer', min: 1, optional: true },
+        firmware: { type: 'string', maxLength: 32, optional: true },
+        ota: { type: 'boolean', optional: true }, // Takes OTA_UPDATE commands
+        resetReason: { type: 'string', maxLength: 64, optional: true } // Why the board last booted
+    }, 'strip'),
+    UPDATE_STATUS: message({ switches: LEVEL_MAP, physical: LEVEL_MAP, system: HARDWARE_SYSTEM }, {}, 'strip'),
+    OTA_STATUS: message({
+        updateId: ID,
+        status: { type: 'string', enum: BOARD_STATUSES },
+        progress: { type: 'number', min: 0, max: 100, optional: true }, // Percent downloaded
+        error: { type: 'string', maxLength: 200, optional: true, nullable: true }
+    }, {}, 'strip'),
+    ACK: {
+        type: 'object',
+        extra: 'strip',
+        fields: {
+            type: { type: 'string' },
+            seq: { type: 'integer', min: 1 },
+            ok: { type: 'boolean', optional: true },
+            error: { type: 'string', maxLength: 200, optional: true, nullable: true }
+        }
+    },
+
+    // Apps
+    TOGGLE_SWITCH: message({ deviceId: DEVICE, switchId: ID, value: LEVEL }),
+    CANCEL_QUEUED: message({ deviceId: DEVICE, id: ID }),
+    SET_SCHEDULE: message({
+        deviceId: DEVICE,
+        switchId: TARGET,
+        id: { ...ID, optional: true },
+        enabled: { type: 'boolean', optional: true },
+        active: { type: 'boolean', optional: true }, // Older clients
+        anchor: { type: 'string', enum: ['time', 'sunrise', 'sunset', 'dusk'], optional: true },
+        time: { type: 'string', maxLength: 5, optional: true, nullable: true },
+        offset: { type: 'integer', min: -720, max: 720, optional: true },
+        action: { ...LEVEL, optional: true },
+        days: { type: 'integer', min: 0, max: 127, optional: true },
+        date: { type: 'string', maxLength: 10, optional: true, nullable: true }
+    }),
+    SET_TIMER: message({
+        deviceId: DEVICE,
+        switchId: TARGET,
+        active: { type: 'boolean' },
+        duration: { type: 'integer', min: 0, optional: true },
+        action: { ...LEVEL, optional: true, nullable: true }
+    }),
+    DELETE_TASK: message({
+        deviceId: DEVICE,
+        switchId: TARGET,
+        taskType: { type: 'string', enum: ['schedule', 'timer'] },
+        scheduleId: { ...ID, optional: true, nullable: true }
+    }),
+    RENAME: message({ deviceId: DEVICE, id: ID, newName: { type: 'string', minLength: 1, maxLength: 40 } }),
+    SET_SCENE: message({
+        deviceId: DEVICE,
+        id: { ...ID, optional: true },
+        name: { type: 'string', minLength: 1, maxLength: 40, optional: true },
+        switches: LEVEL_MAP,
+        ledMode: { type: 'integer', min: 0, optional: true, nullable: true }
+    }),
+    DELETE_SCENE: message({ deviceId: DEVICE, id: ID }),
+    APPLY_SCENE: message({ deviceId: DEVICE, sceneId: ID }),
+    SET_WATTAGE: message({ deviceId: DEVICE, switchId: ID, watts: { type: 'number', min: 0, max: 10000 } }),
+    SET_INTERLOCK: message({ deviceId: DEVICE, switchId: ID, policy: { type: 'string', enum: POLICIES } }),
+    SET_RULE: message({
+        // `deviceId` is the rule's scope here (null: every device)
+        deviceId: { ...ID, optional: true, nullable: true },
+        id: { ...ID, optional: true },
+        name: { type: 'string', minLength: 1, maxLength: 60, optional: true },
+        enabled: { type: 'boolean', optional: true },
+        triggers: { type: 'array', optional: true, maxItems: 20 },
+        conditions: { type: 'array', optional: true, maxItems: 20 },
+        actions: { type: 'array', optional: true, maxItems: 20 }
+    }),
+    ENABLE_RULE: message({ deviceId: DEVICE, id: ID, enabled: { type: 'boolean' } }),
+    DELETE_RULE: message({ deviceId: DEVICE, id: ID }),
+    UPDATE_SETTINGS: message({
+        deviceId: DEVICE,
+        timeZone: { type: 'string', maxLength: 64, optional: true },
+        queueOffline: { type: 'boolean', optional: true },
+        queueTtl: { type: 'integer', optional: true }
+    }),
+    CHECK_IN: message({
+        deviceId: DEVICE,
+        state: { type: 'string', enum: ['home', 'away'], optional: true },
+        latitude: { type: 'number', min: -90, max: 90, optional: true },
+        longitude: { type: 'number', min: -180, max: 180, optional: true },
+        accuracy: { type: 'number', min: 0, optional: true } // Meters, as reported by the phone
+    }),
+    SET_VACATION: message({
+        deviceId: DEVICE, // Sent by the dashboard with every message; vacation mode is site-wide
+        enabled: { type: 'boolean', optional: true },
+        switches: { type: 'array', optional: true, maxItems: 64, values: { type: 'object', fields: { deviceId: ID, switchId: ID } } },
+        jitter: { type: 'integer', min: 0, max: MAX_JITTER, optional: true } // Minutes
+    }),
+    SYSTEM_UPDATE: message({
+        deviceId: DEVICE,
+        ledMode: { type: 'integer', min: 0, optional: true },
+        reboot: { type: ['integer', 'boolean'], optional: true }
+    })
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    if (type === 'map') return actual === 'object';
+    return actual === type;
+}
+
+// Returns null, or { field, message } for the first problem found. Strips fields marked 'strip' in place.
+function check(value, schema, field) {
+    if (value === undefined) return schema.optional ? null : { field, message: `${field} is required` };
+    if (value === null) return schema.nullable ? null : { field, message: `${field} must not be null` };
+
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+        return { field, message: `${field} must be ${types.map(type => (type === 'map' ? 'object' : type)).join(' or ')}` };
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return { field, message: `${field} must be one of: ${schema.enum.join(', ')}` };
+    }
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) return { field, message: `${field} must be a finite number` };
+        if (schema.min !== undefined && value < schema.min) return { field, message: `${field} must be at least ${schema.min}` };
+        if (schema.max !== undefined && value > schema.max) return { field, message: `${field} must be at most ${schema.max}` };
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) return { field, message: `${field} must not be empty` };
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            return { field, message: `${field} must be at most ${schema.maxLength} characters` };
+        }
+    }
+    if (Array.isArray(value) && schema.maxItems !== undefined && value.length > schema.maxItems) {
+        return { field, message: `${field} must have at most ${schema.maxItems} items` };
+    }
+
+    if (schema.values) {
+        for (const [key, item] of Object.entries(value)) {
+            const problem = check(item, schema.values, `${field}.${key}`);
+            if (problem) return problem;
+        }
+    }
+    if (schema.fields && typeOf(value) === 'object') {
+        for (const key of Object.keys(value)) {
+            if (Object.hasOwn(schema.fields, key)) continue; // Not '__proto__' or 'constructor' via the prototype
+            if (schema.extra === 'strip') delete value[key];
+            else return { field: `${field}.${key}`, message: `${field}.${key} is not allowed` };
+        }
+        for (const [key, fieldSchema] of Object.entries(schema.fields)) {
+            const problem = check(value[key], fieldSchema, `${field}.${key}`);
+            if (problem) return problem;
+        }
+    }
+    return null;
+}
+
+// Checks a parsed message. Returns null when it may be handled, otherwise an error
+// { code, message, field } ready for an ERROR reply. Field paths are relative to the message
+// ('data.switchId'). Fields the schema strips are removed from `payload`.
+function validateMessage(payload) {
+    if (typeOf(payload) !== 'object' || typeof payload.type !== 'string') {
+        return { code: ERROR_CODES.BAD_REQUEST, message: 'Messages must be JSON objects with a string type', field: null };
+    }
+    const schema = Object.hasOwn(SCHEMAS, payload.type) ? SCHEMAS[payload.type] : null;
+    if (!schema) return { code: ERROR_CODES.UNKNOWN_TYPE, message: `Unknown message type '${payload.type}'`, field: 'type' };
+
+    const problem = check(payload, schema, '$');
+    if (!problem) return null;
+    const field = problem.field.replace(/^\$\.?/, '');
+    return { code: ERROR_CODES.INVALID_FIELD, message: problem.message.replace(/^\$\./, ''), field };
+}
+
+// Agrees on a version with a board; null if it only speaks versions this server dropped
+function negotiateProtocol(requested = MIN_PROTOCOL_VERSION) {
+    if (requested < MIN_PROTOCOL_VERSION) return null;
+    return Math.min(requested, PROTOCOL_VERSION);
+}
+
+function errorCode(status) {
+    return STATUS_CODES[status] || ERROR_CODES.INVALID_VALUE;
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION,
+    ERROR_CODES,
+    SCHEMAS,
+    validateMessage,
+    negotiateProtocol,
+    errorCode
+};
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+
+// --- Offline Command Queue ---
+// With the site setting `queueOffline` on, commands for a board that is offline are kept on the
+// device (`device.queue`) and replayed, oldest first, right after its next IDENTIFY:
+//   { id, action: 'TOGGLE', switchId, value, source, by, queuedAt, expiresAt }
+//   { id, action: 'SYSTEM', ledMode, source, by, queuedAt, expiresAt }
+// Only the latest command per switch (and for the Aura mode) is kept; it moves to the back.
+const DEFAULT_QUEUE_TTL = 60 * 60; // Seconds
+const MIN_QUEUE_TTL = 60;
+const MAX_QUEUE_TTL = 7 * 24 * 60 * 60;
+
+function queueKey(entry) {
+    return entry.action === 'TOGGLE' ? `switch:${entry.switchId}` : 'ledMode';
+}
+
+// Returns the new queue and the added entry; `command` is { action: 'TOGGLE', switchId, value } or { action: 'SYSTEM', ledMode }
+function enqueue(queue, command, { by, source, ttl = DEFAULT_QUEUE_TTL, now = Date.now() }) {
+    const entry = {
+        id: crypto.randomBytes(4).toString('hex'),
+        ...command,
+        source,
+        by,
+        queuedAt: now,
+        expiresAt: now + ttl * 1000
+    };
+    return {
+        queue: [...queue.filter(item => queueKey(item) !== queueKey(entry)), entry],
+        entry
+    };
+}
+
+// Splits a queue into entries still deliverable at `now` and expired ones
+function pruneExpired(queue, now = Date.now()) {
+    return {
+        live: queue.filter(entry => entry.expiresAt > now),
+        expired: queue.filter(entry => entry.expiresAt <= now)
+    };
+}
+
+module.exports = {
+    DEFAULT_QUEUE_TTL,
+    MIN_QUEUE_TTL,
+    MAX_QUEUE_TTL,
+    enqueue,
+    pruneExpired
+};
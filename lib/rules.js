@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { EVERY_DAY, isValidTimeSpec, resolveMinute, scheduleMatches } = require('./schedules');
+const { countHome } = require('./presence');
+
+// --- Rule Model ---
+// { id, name, enabled, deviceId, triggers: [...], conditions: [...], actions: [...] }
+// `deviceId` null runs the rule for every device. A `switchId` left out means the
+// device's first channel (the room light on the original board).
+//
+// Triggers (any one fires the rule):
+//   { type: 'time', anchor, time, offset, days }        wall-clock or sun-anchored minute
+//   { type: 'switch', switchId, value }                 a channel changed (value optional: only to that value)
+//   { type: 'physical', switchId, value }               a wall switch was flipped
+//   { type: 'online' } / { type: 'offline' }            the board connected / dropped
+//   { type: 'rssi', direction: 'below'|'above', threshold }   Wi-Fi signal crossed the threshold
+//   { type: 'arrive', username, first }                 someone came home (first: only into an empty house)
+//   { type: 'leave', username, last }                   someone left (last: only when nobody is left)
+// Conditions (all must hold):
+//   { type: 'switch'|'physical', switchId, op, value }
+//   { type: 'led_mode', op, value }
+//   { type: 'presence', username, op, value }           with a username 1 = home, 0 = away;
+//                                                        without one, the number of people home
+//   { type: 'time_window', from: { anchor, time, offset }, to: { ... } }   may wrap past midnight
+// Actions (run in order):
+//   { type: 'toggle', switchId, value }
+//   { type: 'led_mode', mode }                          mode 'previous' restores what a rule last replaced
+//   { type: 'timer', switchId, duration, value }        duration in seconds
+//   { type: 'notify', message }
+//   { type: 'all_off' }                                 every channel of the device off
+// Presence (arrive/leave/presence) comes from lib/presence.js; a username left out means anyone.
+const TRIGGER_TYPES = ['time', 'switch', 'physical', 'online', 'offline', 'rssi', 'arrive', 'leave'];
+const CONDITION_TYPES = ['switch', 'physical', 'led_mode', 'time_window', 'presence'];
+const ACTION_TYPES = ['toggle', 'led_mode', 'timer', 'notify', 'all_off'];
+const OPERATORS = {
+    eq: (a, b) => a === b,
+    ne: (a, b) => a !== b,
+    gt: (a, b) => a > b,
+    lt: (a, b) => a < b
+};
+
+// Actions that flip switches raise new events; chains deeper than this are cut off
+const MAX_CHAIN_DEPTH = 3;
+
+function createRuleId() {
+    return crypto.randomBytes(4).toString('hex');
+}
+
+const isOptionalSwitch = (value) => value === undefined || value === null || typeof value === 'string';
+const isOptionalLevel = (value) => value === undefined || value === null || Number.isInteger(value);
+const isOptionalUser = (value) => value === undefined || value === null || (typeof value === 'string' && value.length > 0);
+const isOptionalFlag = (value) => value === undefined || typeof value === 'boolean';
+
+function checkTrigger(trigger) {
+    switch (trigger.type) {
+        case 'time':
+            if (!isValidTimeSpec(trigger)) return 'time trigger needs a valid time, anchor and offset';
+            if (trigger.days !== undefined && !Number.isInteger(trigger.days)) return 'time trigger days must be a weekday mask';
+            return null;
+        case 'switch':
+        case 'physical':
+            return isOptionalSwitch(trigger.switchId) && isOptionalLevel(trigger.value) ? null : `${trigger.type} trigger has an invalid switch or value`;
+        case 'rssi':
+            if (!['below', 'above'].includes(trigger.direction)) return "rssi trigger direction must be 'below' or 'above'";
+            return Number.isFinite(trigger.threshold) ? null : 'rssi trigger needs a numeric threshold';
+        case 'arrive':
+        case 'leave':
+            if (!isOptionalUser(trigger.username)) return `${trigger.type} trigger has an invalid username`;
+            return isOptionalFlag(trigger.first) && isOptionalFlag(trigger.last) ? null : `${trigger.type} trigger first/last must be true or false`;
+        default:
+            return null; // online / offline carry no options
+    }
+}
+
+function checkCondition(condition) {
+    if (condition.type === 'time_window') {
+        const ok = condition.from && condition.to && isValidTimeSpec(condition.from) && isValidTimeSpec(condition.to);
+        return ok ? null : 'time window needs valid from/to times';
+    }
+    if (!OPERATORS[condition.op]) return `condition operator must be one of: ${Object.keys(OPERATORS).join(', ')}`;
+    if (!Number.isInteger(condition.value)) return `${condition.type} condition needs an integer value`;
+    if (condition.type === 'presence') return isOptionalUser(condition.username) ? null : 'presence condition has an invalid username';
+    return isOptionalSwitch(condition.switchId) ? null : `${condition.type} condition has an invalid switch`;
+}
+
+function checkAction(action) {
+    switch (action.type) {
+        case 'toggle':
+            return isOptionalSwitch(action.switchId) && Number.isInteger(action.value) ? null : 'toggle action needs an integer value';
+        case 'led_mode':
+            return Number.isInteger(action.mode) || action.mode === 'previous' ? null : "led_mode action needs a mode number or 'previous'";
+        case 'timer':
+            if (!Number.isInteger(action.duration) || action.duration <= 0) return 'timer action needs a positive duration in seconds';
+            return isOptionalSwitch(action.switchId) && Number.isInteger(action.value) ? null : 'timer action needs an integer value';
+        case 'all_off':
+            return null;
+        default:
+            return typeof action.message === 'string' && action.message.trim() ? null : 'notify action needs a message';
+    }
+}
+
+function checkList(list, types, label, check, { required }) {
+    if (!Array.isArray(list)) return `${label}s must be a list`;
+    if (required && list.length === 0) return `At least one ${label} is required`;
+    for (const item of list) {
+        if (!item || !types.includes(item.type)) return `Unknown ${label} type '${item && item.type}'`;
+        const error = check(item);
+        if (error) return error.charAt(0).toUpperCase() + error.slice(1);
+    }
+    return null;
+}
+
+// Builds a clean rule from client input: { rule } on success, { error } otherwise
+function buildRule(input, existing = {}) {
+    const merged = { conditions: [], ...existing, ...input };
+    const name = typeof merged.name === 'string' ? merged.name.trim() : '';
+    if (!name) return { error: 'Rule name is required' };
+    if (merged.deviceId !== null && merged.deviceId !== undefined && typeof merged.deviceId !== 'string') {
+        return { error: 'Rule deviceId must be a device ID or null' };
+    }
+
+    const error = checkList(merged.triggers, TRIGGER_TYPES, 'trigger', checkTrigger, { required: true }) ||
+        checkList(merged.conditions, CONDITION_TYPES, 'condition', checkCondition, { required: false }) ||
+        checkList(merged.actions, ACTION_TYPES, 'action', checkAction, { required: true });
+    if (error) return { error };
+
+    return {
+        rule: {
+            id: existing.id || createRuleId(),
+            name,
+            enabled: merged.enabled !== false,
+            deviceId: merged.deviceId || null,
+            triggers: merged.triggers,
+            conditions: merged.conditions,
+            actions: merged.actions
+        }
+    };
+}
+
+// The Aura night/morning behavior that used to be hardcoded in the automation loop
+function createDefaultRules({ auraNight, auraMorning }) {
+    return [
+        {
+            id: 'aura-night',
+            name: 'Aura Night',
+            enabled: true,
+            deviceId: null,
+            // At night start, or whenever the light goes off during the night
+            triggers: [{ type: 'time', ...auraNight, days: EVERY_DAY }, { type: 'switch', value: 0 }],
+            conditions: [
+                { type: 'time_window', from: auraNight, to: auraMorning },
+                { type: 'switch', op: 'eq', value: 0 },
+                { type: 'led_mode', op: 'ne', value: 0 }
+            ],
+            actions: [{ type: 'led_mode', mode: 0 }]
+        },
+        {
+            id: 'aura-morning',
+            name: 'Aura Morning',
+            enabled: true,
+            deviceId: null,
+            triggers: [{ type: 'time', ...auraMorning, days: EVERY_DAY }],
+            conditions: [{ type: 'led_mode', op: 'eq', value: 0 }],
+            actions: [{ type: 'led_mode', mode: 'previous' }]
+        }
+    ];
+}
+
+// --- Rule Engine ---
+// `state.rules` holds the rule list, `state.presence` who is home (lib/presence.js).
+// `run` carries out actions through the server:
+//   { toggle(deviceId, switchId, value), setLedMode(deviceId, mode),
+//     startTimer(deviceId, switchId, duration, value), notify(deviceId, rule, message) }
+function createRuleEngine({ state, getClock, run }) {
+    const previousLedModes = Object.create(null); // deviceId -> mode a rule replaced (restored by mode 'previous')
+    const chain = new AsyncLocalStorage(); // Depth of the rule chain the current event came from
+
+    const primaryChannelId = (device) => (device.channels.length ? device.channels[0].id : null);
+    const channelOf = (item, device) => item.switchId || primaryChannelId(device);
+
+    function triggerMatches(trigger, event, device, clock) {
+        if (trigger.type !== event.type) return false;
+        switch (trigger.type) {
+            case 'time':
+                return scheduleMatches({ ...trigger, enabled: true, days: trigger.days ?? EVERY_DAY, date: null }, clock);
+            case 'switch':
+            case 'physical':
+                return event.switchId === channelOf(trigger, device) &&
+                    (trigger.value === undefined || trigger.value === null || trigger.value === event.value);
+            case 'rssi':
+                // Boards report 0 until they have a reading; that is not a crossing
+                if (!event.previous) return false;
+                return trigger.direction === 'below'
+                    ? event.previous >= trigger.threshold && event.value < trigger.threshold
+                    : event.previous <= trigger.threshold && event.value > trigger.threshold;
+            case 'arrive':
+            case 'leave':
+                if (trigger.username && trigger.username !== event.username) return false;
+                if (trigger.type === 'arrive' && trigger.first) return event.count === 1;
+                if (trigger.type === 'leave' && trigger.last) return event.count === 0;
+                return true;
+            default:
+                return true;
+        }
+    }
+
+    function conditionHolds(condition, device, clock) {
+        switch (condition.type) {
+            case 'time_window': {
+                const from = resolveMinute(condition.from, clock);
+                const to = resolveMinute(condition.to, clock);
+                if (from === null || to === null) return false;
+                const minute = clock.hours * 60 + clock.minutes;
+                return from > to ? (minute >= from || minute < to) : (minute >= from && minute < to);
+            }
+            case 'led_mode':
+                return OPERATORS[condition.op](device.system.ledMode, condition.value);
+            case 'presence': {
+                const presence = state.presence || {};
+                const value = condition.username
+                    ? (presence[condition.username] && presence[condition.username].home ? 1 : 0)
+                    : countHome(presence);
+                return OPERATORS[condition.op](value, condition.value);
+            }
+            default: {
+                const values = condition.type === 'physical' ? device.physical : device.switches;
+                return OPERATORS[condition.op](values[channelOf(condition, device)], condition.value);
+            }
+        }
+    }
+
+    async function execute(rule, deviceId, device) {
+        for (const action of rule.actions) {
+            const switchId = channelOf(action, device);
+            if (action.type === 'toggle') {
+                await run.toggle(deviceId, switchId, action.value);
+            } else if (action.type === 'led_mode') {
+                const mode = action.mode === 'previous' ? (previousLedModes[deviceId] ?? 1) : action.mode;
+                if (device.system.ledMode === mode) continue;
+                if (action.mode !== 'previous') previousLedModes[deviceId] = device.system.ledMode; // Store for later
+                await run.setLedMode(deviceId, mode);
+            } else if (action.type === 'timer') {
+                await run.startTimer(deviceId, switchId, action.duration, action.value);
+            } else if (action.type === 'notify') {
+                await run.notify(deviceId, rule, action.message);
+            } else if (action.type === 'all_off') {
+                for (const channel of device.channels) {
+                    if (device.switches[channel.id]) await run.toggle(deviceId, channel.id, 0);
+                }
+            }
+        }
+    }
+
+    // Runs every enabled rule of `deviceId` whose trigger matches the event
+    async function dispatch(deviceId, event) {
+        const device = state.devices[deviceId];
+        if (!device) return;
+
+        const depth = chain.getStore() || 0;
+        if (depth >= MAX_CHAIN_DEPTH) {
+            console.log(`[Rules] Chain limit reached on ${deviceId}, ignoring ${event.type} event`);
+            return;
+        }
+
+        const clock = event.clock || getClock();
+        for (const rule of state.rules) {
+            if (!rule.enabled || (rule.deviceId && rule.deviceId !== deviceId)) continue;
+            if (!rule.triggers.some(trigger => triggerMatches(trigger, event, device, clock))) continue;
+            if (!rule.conditions.every(condition => conditionHolds(condition, device, clock))) continue;
+
+            console.log(`--- RULE [${deviceId}]: '${rule.name}' fired by ${event.type} ---`);
+            try {
+                await chain.run(depth + 1, () => execute(rule, deviceId, device));
+            } catch (err) {
+                console.error(`[Rules] '${rule.name}' failed:`, err);
+            }
+        }
+    }
+
+    return {
+        dispatch,
+        // Called once a minute by the automation loop with the site clock
+        async tick(clock) {
+            for (const deviceId of Object.keys(state.devices)) {
+                await dispatch(deviceId, { type: 'time', clock });
+            }
+        }
+    };
+}
+
+module.exports = {
+    TRIGGER_TYPES,
+    CONDITION_TYPES,
+    ACTION_TYPES,
+    buildRule,
+    createDefaultRules,
+    createRuleEngine
+};
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+
+// --- Scene Model ---
+// A device holds a list of scenes: { id, name, switches: { switchId: value }, ledMode }
+// `ledMode` is optional (null leaves the Aura alone). Applying a scene sends the board one
+// batched COMMAND { action: 'SCENE', switches, ledMode } instead of a TOGGLE per channel.
+//
+// Schedules and timers can target a scene instead of a channel: they are stored under the
+// key 'scene:<id>' next to the channel keys, and run on the server only.
+const SCENE_PREFIX = 'scene:';
+
+function createSceneId() {
+    return crypto.randomBytes(4).toString('hex');
+}
+
+function sceneTarget(sceneId) {
+    return SCENE_PREFIX + sceneId;
+}
+
+// Scene ID of a schedule/timer key, or null for channel keys
+function parseSceneTarget(key) {
+    return typeof key === 'string' && key.startsWith(SCENE_PREFIX) ? key.slice(SCENE_PREFIX.length) : null;
+}
+
+// Builds a clean scene from client input; returns null when the input is unusable.
+// Channel values are checked by the caller, which knows the device's capability list.
+function buildScene(input, existing = {}) {
+    const merged = { ...existing, ...input };
+    const name = typeof merged.name === 'string' ? merged.name.trim() : '';
+    if (!name || !merged.switches || typeof merged.switches !== 'object') return null;
+
+    const ledMode = merged.ledMode === undefined || merged.ledMode === null ? null : merged.ledMode;
+    if (ledMode !== null && !Number.isInteger(ledMode)) return null;
+    if (Object.keys(merged.switches).length === 0 && ledMode === null) return null;
+
+    return {
+        id: existing.id || createSceneId(),
+        name,
+        switches: { ...merged.switches },
+        ledMode
+    };
+}
+
+module.exports = {
+    sceneTarget,
+    parseSceneTarget,
+    buildScene
+};
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+
+// --- Schedule Model ---
+// A channel holds a list of schedules:
+//   { id, enabled, anchor, time: 'HH:MM', offset, action, days, date }
+// `anchor` is 'time' (fire at `time`) or a sun event ('sunrise', 'sunset', 'dusk');
+// `offset` shifts the anchor by that many minutes (e.g. 15 = a quarter hour after sunset).
+// `days` is a weekday bitmask (bit 0 = Sunday ... bit 6 = Saturday).
+// `date` ('YYYY-MM-DD') turns the entry into a one-shot event and takes precedence over `days`.
+const EVERY_DAY = 0b1111111;
+const ANCHORS = ['time', 'sunrise', 'sunset', 'dusk'];
+const MAX_OFFSET = 12 * 60;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function createScheduleId() {
+    return crypto.randomBytes(4).toString('hex');
+}
+
+// Checks the { anchor, time, offset } part shared by schedules, Aura windows and rules
+function isValidTimeSpec({ anchor = 'time', time, offset = 0 }) {
+    if (!ANCHORS.includes(anchor)) return false;
+    if (anchor === 'time' && !TIME_PATTERN.test(time)) return false;
+    return Number.isInteger(offset) && Math.abs(offset) <= MAX_OFFSET;
+}
+
+// Builds a clean schedule from client input; returns null when the input is unusable
+function buildSchedule(input, existing = {}) {
+    const merged = { ...existing, ...input };
+    const anchor = merged.anchor || 'time';
+    const offset = merged.offset || 0;
+    if (!isValidTimeSpec({ anchor, time: merged.time, offset })) return null;
+    if (merged.date && !DATE_PATTERN.test(merged.date)) return null;
+
+    const days = Number.isInteger(merged.days) ? merged.days & EVERY_DAY : EVERY_DAY;
+    if (!merged.date && days === 0) return null;
+
+    // Older clients send `active` instead of `enabled`
+    const enabled = merged.enabled !== undefined ? !!merged.enabled : merged.active !== false;
+
+    return {
+        id: existing.id || createScheduleId(),
+        enabled,
+        anchor,
+        time: anchor === 'time' ? merged.time : null,
+        offset,
+        action: merged.action,
+        days,
+        date: merged.date || null
+    };
+}
+
+// Accepts the stored value for a channel in either the list format or the
+// pre-list single `{ active, time, action }` slot and returns a list.
+function normalizeScheduleList(value) {
+    if (Array.isArray(value)) return value.map(item => buildSchedule(item, { id: item.id })).filter(Boolean);
+    if (value && value.active && value.time) {
+        const migrated = buildSchedule({ enabled: true, time: value.time, action: value.action, days: EVERY_DAY });
+        return migrated ? [migrated] : [];
+    }
+    return [];
+}
+
+// `clock` is the local wall clock: { hours, minutes, weekday, dateKey, solar }
+// where `solar` holds today's sunrise/sunset/dusk as minutes of the local day (or null without a location).
+//
+// Minute of the local day a time- or sun-anchored spec falls on; null if that sun event does not happen
+function resolveMinute({ anchor = 'time', time, offset = 0 }, clock) {
+    let base;
+    if (anchor === 'time') {
+        const [hour, minute] = time.split(':').map(Number);
+        base = hour * 60 + minute;
+    } else {
+        base = clock.solar ? clock.solar[anchor] : null;
+        if (base === null || base === undefined) return null;
+    }
+    return (((base + offset) % 1440) + 1440) % 1440;
+}
+
+function formatMinute(minuteOfDay) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(Math.floor(minuteOfDay / 60))}:${pad(minuteOfDay % 60)}`;
+}
+
+function scheduleMatches(schedule, clock) {
+    if (!schedule.enabled) return false;
+    if (resolveMinute(schedule, clock) !== clock.hours * 60 + clock.minutes) return false;
+    if (schedule.date) return schedule.date === clock.dateKey;
+    return (schedule.days & (1 << clock.weekday)) !== 0;
+}
+
+module.exports = {
+    EVERY_DAY,
+    ANCHORS,
+    isValidTimeSpec,
+    buildSchedule,
+    normalizeScheduleList,
+    resolveMinute,
+    formatMinute,
+    scheduleMatches
+};
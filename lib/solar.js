@@ -0,0 +1,51 @@
+// --- Solar Calculator (offline) ---
+// Sunrise equation as used by NOAA's simplified algorithm; accurate to about a minute
+// for inhabited latitudes, which is plenty for switching a porch light.
+const DAY_MS = 86400000;
+const J1970 = 2440587.5;
+const J2000 = 2451545.0;
+const OBLIQUITY = 23.4397;
+
+// Sun altitude (degrees) that defines each event
+const ALTITUDES = {
+    sunrise: -0.833, // Upper limb on the horizon, corrected for refraction
+    civil: -6
+};
+
+const rad = (deg) => deg * Math.PI / 180;
+const deg = (r) => r * 180 / Math.PI;
+
+const toJulian = (ms) => ms / DAY_MS + J1970;
+const fromJulian = (j) => new Date(Math.round((j - J1970) * DAY_MS));
+
+// `date` is any instant on the wanted calendar day (UTC); longitude is east-positive.
+// Returns { sunrise, sunset, dawn, dusk } as Dates, or null for events that do not
+// happen that day (polar day/night).
+function getSolarTimes(date, latitude, longitude) {
+    const dayStart = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    const n = Math.ceil(toJulian(dayStart) - J2000 + 0.0008);
+
+    // Mean solar noon, anomaly, equation of center and ecliptic longitude
+    const meanNoon = n - longitude / 360;
+    const M = (357.5291 + 0.98560028 * meanNoon) % 360;
+    const C = 1.9148 * Math.sin(rad(M)) + 0.02 * Math.sin(rad(2 * M)) + 0.0003 * Math.sin(rad(3 * M));
+    const lambda = (M + C + 180 + 102.9372) % 360;
+    const transit = J2000 + meanNoon + 0.0053 * Math.sin(rad(M)) - 0.0069 * Math.sin(rad(2 * lambda));
+
+    const declination = Math.asin(Math.sin(rad(lambda)) * Math.sin(rad(OBLIQUITY)));
+
+    const eventPair = (altitude) => {
+        const cosHourAngle = (Math.sin(rad(altitude)) - Math.sin(rad(latitude)) * Math.sin(declination)) /
+            (Math.cos(rad(latitude)) * Math.cos(declination));
+        if (cosHourAngle < -1 || cosHourAngle > 1) return [null, null];
+        const hourAngle = deg(Math.acos(cosHourAngle)) / 360;
+        return [fromJulian(transit - hourAngle), fromJulian(transit + hourAngle)];
+    };
+
+    const [sunrise, sunset] = eventPair(ALTITUDES.sunrise);
+    const [dawn, dusk] = eventPair(ALTITUDES.civil);
+
+    return { sunrise, sunset, dawn, dusk, noon: fromJulian(transit) };
+}
+
+module.exports = { getSolarTimes };
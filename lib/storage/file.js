@@ -0,0 +1,198 @@
+// --- JSON File Storage ---
+// For self-hosting without a database (e.g. on a Raspberry Pi). Everything lives in one directory:
+//   state.json     devices, settings, rules and users; rewritten on every change (write + rename,
+//                  so a power cut leaves either the old or the new file, never half of one)
+//   history.jsonl  switch history, one event per line, appended; trimmed to the retention on connect
+//   health.jsonl   board health records (lib/health.js), the same way with their own retention
+//   audit.jsonl    the audit log (lib/audit.js), likewise
+//   firmware/      uploaded firmware images, <id>.bin each (their metadata is in state.json)
+// Queries run against an in-memory copy (lib/storage/memory.js) loaded on connect.
+const fs = require('fs/promises');
+const path = require('path');
+const { createMemoryStorage } = require('./memory');
+
+const DEFAULT_EVENT_LIMIT = 100000;
+const DAY = 24 * 60 * 60 * 1000;
+
+function createFileStorage({ dir, retentionDays = 400, healthRetentionDays = 30, auditRetentionDays = 365, eventLimit = DEFAULT_EVENT_LIMIT }) {
+    const memory = createMemoryStorage({ eventLimit });
+    const statePath = path.join(dir, 'state.json');
+    const historyPath = path.join(dir, 'history.jsonl');
+    const healthPath = path.join(dir, 'health.jsonl');
+    const auditPath = path.join(dir, 'audit.jsonl');
+    const firmwareDir = path.join(dir, 'firmware');
+    const imagePath = (id) => path.join(firmwareDir, `${path.basename(id)}.bin`);
+    const images = new Map(); // Firmware metadata: id -> image
+    let writes = Promise.resolve(); // Writes run one after another, in the order they were asked for
+
+    function queueWrite(write) {
+        const result = writes.then(write);
+        writes = result.catch(() => {});
+        return result;
+    }
+
+    function writeState() {
+        return queueWrite(async () => {
+            const snapshot = {
+                devices: await memory.loadDevices(),
+                settings: await memory.loadSettings(),
+                rules: await memory.loadRules(),
+                users: await memory.loadUsers(),
+                firmware: [...images.values()]
+            };
+            const temporary = `${statePath}.tmp`;
+            await fs.writeFile(temporary, JSON.stringify(snapshot, null, 2));
+            await fs.rename(temporary, statePath);
+        });
+    }
+
+    const toLine = (event) => JSON.stringify(event) + '\n';
+
+    async function readJson(file) {
+        try {
+            return JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+
+    // Loads a .jsonl log into memory, then rewrites the file if the retention dropped lines
+    async function loadLog(logPath, days, { add, prune, all }) {
+        let text;
+        try {
+            text = await fs.readFile(logPath, 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') return;
+            throw err;
+        }
+        const lines = text.split('\n').filter(Boolean);
+        const entries = [];
+        for (const line of lines) {
+            try {
+                const entry = JSON.parse(line);
+                entries.push({ ...entry, at: new Date(entry.at) });
+            } catch {
+                // A line cut short by a crash; the rest of the file is still good
+            }
+        }
+        await add(entries);
+        const dropped = await prune(new Date(Date.now() - days * DAY));
+        const kept = await all();
+        if (dropped || kept.length < lines.length) {
+            await fs.writeFile(`${logPath}.tmp`, kept.map(toLine).join(''));
+            await fs.rename(`${logPath}.tmp`, logPath);
+            console.log(`[Storage] ${path.basename(logPath)} compacted to ${kept.length} entries`);
+        }
+    }
+
+    return {
+        name: 'file',
+
+        async connect() {
+            await fs.mkdir(dir, { recursive: true });
+            const snapshot = await readJson(statePath);
+            if (snapshot) {
+                for (const device of snapshot.devices || []) await memory.saveDevice(device.id, device);
+                if (snapshot.settings) await memory.saveSettings(snapshot.settings);
+                for (const rule of snapshot.rules || []) await memory.saveRule(rule);
+                for (const user of snapshot.users || []) await memory.saveUser(user);
+                // Images are read from disk when downloaded; memory only keeps their metadata
+                for (const image of snapshot.firmware || []) images.set(image.id, image);
+            }
+            await loadLog(historyPath, retentionDays, { add: memory.addEvents, prune: memory.pruneEvents, all: memory.allEvents });
+            await loadLog(healthPath, healthRetentionDays, { add: memory.addHealth, prune: memory.pruneHealth, all: memory.allHealth });
+            await loadLog(auditPath, auditRetentionDays, { add: memory.addAudit, prune: memory.pruneAudit, all: memory.allAudit });
+            console.log(`[Storage] Using ${path.resolve(dir)}`);
+        },
+        async close() {
+            await writes;
+        },
+
+        loadDevices: memory.loadDevices,
+        async saveDevice(id, document) {
+            await memory.saveDevice(id, document);
+            await writeState();
+        },
+
+        loadSettings: memory.loadSettings,
+        async saveSettings(fields) {
+            await memory.saveSettings(fields);
+            await writeState();
+        },
+
+        loadRules: memory.loadRules,
+        async saveRule(rule) {
+            await memory.saveRule(rule);
+            await writeState();
+        },
+        async removeRule(id) {
+            await memory.removeRule(id);
+            await writeState();
+        },
+
+        loadUsers: memory.loadUsers,
+        async saveUser(user) {
+            await memory.saveUser(user);
+            await writeState();
+        },
+        async removeUser(username) {
+            await memory.removeUser(username);
+            await writeState();
+        },
+
+        async loadFirmware() {
+            return [...images.values()].map(image => ({ ...image }));
+        },
+        async saveFirmware(image, data) {
+            await queueWrite(async () => {
+                await fs.mkdir(firmwareDir, { recursive: true });
+                await fs.writeFile(`${imagePath(image.id)}.tmp`, data);
+                await fs.rename(`${imagePath(image.id)}.tmp`, imagePath(image.id));
+            });
+            images.set(image.id, { ...image });
+            await writeState();
+        },
+        async readFirmware(id) {
+            if (!images.has(id)) return null;
+            try {
+                return await fs.readFile(imagePath(id));
+            } catch (err) {
+                if (err.code === 'ENOENT') return null;
+                throw err;
+            }
+        },
+        async removeFirmware(id) {
+            images.delete(id);
+            await writeState();
+            await queueWrite(() => fs.rm(imagePath(id), { force: true }));
+        },
+
+        async addEvents(events) {
+            await memory.addEvents(events);
+            await queueWrite(() => fs.appendFile(historyPath, events.map(toLine).join('')));
+        },
+        findEvents: memory.findEvents,
+        lastEvent: memory.lastEvent,
+        latestValues: memory.latestValues,
+        allEvents: memory.allEvents,
+
+        async addHealth(records) {
+            await memory.addHealth(records);
+            await queueWrite(() => fs.appendFile(healthPath, records.map(toLine).join('')));
+        },
+        findHealth: memory.findHealth,
+        allHealth: memory.allHealth,
+
+        async addAudit(entries) {
+            await memory.addAudit(entries);
+            await queueWrite(() => fs.appendFile(auditPath, entries.map(toLine).join('')));
+        },
+        findAudit: memory.findAudit,
+        allAudit: memory.allAudit
+    };
+}
+
+module.exports = {
+    createFileStorage
+};
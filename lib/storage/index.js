@@ -0,0 +1,129 @@
+// --- Storage ---
+// Everything the server keeps across restarts goes through one of these backends (STORAGE):
+//   mongo   MongoDB via Mongoose (MONGODB_URI); the default when MONGODB_URI is set
+//   file    JSON files in DATA_DIR, for self-hosting without a database (e.g. a Raspberry Pi)
+//   memory  nothing survives a restart; the default otherwise, and what the tests use
+//
+// Every backend implements, all async:
+//   connect() / close()
+//   loadDevices() -> [device]        saveDevice(id, device)   device = { id, label, channels, names, scenes,
+//                                                              switches, schedules, timers, wattage, interlocks,
+//                                                              queue, system }
+//   loadSettings() -> settings|null  saveSettings(fields)     merges into { timeZone, queueOffline, queueTtl, rulesSeeded, vapid,
+//                                                              vacation }
+//   loadRules() / saveRule(rule) / removeRule(id)
+//   loadUsers() / saveUser(user) / removeUser(username)        user = { username, passwordHash, role, notifications, presence }
+//   loadFirmware() -> [image]        saveFirmware(image, data: Buffer)   image = { id, version, size, md5, sha256, notes,
+//                                                                        uploadedAt, uploadedBy } (lib/firmware.js)
+//   readFirmware(id) -> Buffer|null  removeFirmware(id)
+//   addEvents(events)                events = [{ deviceId, switchId, value, previous, source, at: Date }]
+//   findEvents(deviceId, { switchId, from, to, limit })  within [from, to), oldest first; `limit` keeps the newest
+//   lastEvent(deviceId, switchId, before) -> event|null
+//   latestValues() -> [{ deviceId, switchId, value }]
+//   allEvents() -> every stored event, oldest first
+//   addHealth(records)               records = [{ deviceId, kind, at: Date, ...details }] (lib/health.js)
+//   findHealth(deviceId, { kind, from, to, limit })  same window rules as findEvents
+//   allHealth() -> every stored health record, oldest first
+//   addAudit(entries)                entries = [{ id, at: Date, actor, type, deviceId, target, changes }] (lib/audit.js)
+//   findAudit({ username, client, type, deviceId, target, from, to, limit })  same window rules as findEvents
+//   allAudit() -> every stored audit entry, oldest first
+const { createMemoryStorage } = require('./memory');
+const { createFileStorage } = require('./file');
+
+const STORAGE_TYPES = ['mongo', 'file', 'memory'];
+const DEFAULT_DATA_DIR = 'data';
+const SNAPSHOT_VERSION = 1;
+
+// options: { type, mongoUri, dataDir, retentionDays, healthRetentionDays, auditRetentionDays, defaultDeviceId }
+function createStorage({ type, mongoUri, dataDir = DEFAULT_DATA_DIR, retentionDays, healthRetentionDays, auditRetentionDays, defaultDeviceId } = {}) {
+    const kind = type || (mongoUri ? 'mongo' : 'memory');
+    switch (kind) {
+        case 'mongo':
+            if (!mongoUri) throw new Error('STORAGE=mongo needs MONGODB_URI');
+            // Only loaded when used, so file and memory installs never touch the driver
+            return require('./mongo').createMongoStorage({ uri: mongoUri, retentionDays, healthRetentionDays, auditRetentionDays, defaultDeviceId });
+        case 'file':
+            return createFileStorage({ dir: dataDir, retentionDays, healthRetentionDays, auditRetentionDays });
+        case 'memory':
+            return createMemoryStorage();
+        default:
+            throw new Error(`Unknown STORAGE '${kind}' (expected ${STORAGE_TYPES.join(', ')})`);
+    }
+}
+
+// --- Snapshots (migration between backends) ---
+// { version, exportedAt, devices, settings, rules, users, events, health, firmware, audit } - plain JSON
+// (health, firmware and audit are absent from snapshots taken before they were kept); firmware images
+// carry their bytes as base64 `data`
+async function exportSnapshot(storage) {
+    return {
+        version: SNAPSHOT_VERSION,
+        exportedAt: new Date().toISOString(),
+        devices: await storage.loadDevices(),
+        settings: await storage.loadSettings(),
+        rules: await storage.loadRules(),
+        users: await storage.loadUsers(),
+        events: await storage.allEvents(),
+        health: await storage.allHealth(),
+        firmware: await Promise.all((await storage.loadFirmware()).map(async image => {
+            const data = await storage.readFirmware(image.id);
+            return { ...image, data: data ? data.toString('base64') : null };
+        })),
+        audit: await storage.allAudit()
+    };
+}
+
+// Accepts a snapshot or the single-board data.json of the original server
+// ({ names: { name1.. }, switches, physical, system }), which becomes the default device.
+function normalizeSnapshot(snapshot, defaultDeviceId = 'main') {
+    if (!snapshot || typeof snapshot !== 'object') throw new Error('Not a storage snapshot');
+    if (snapshot.version === undefined && snapshot.switches) {
+        const { names, switches, system = {} } = snapshot;
+        return {
+            version: SNAPSHOT_VERSION,
+            devices: [{ id: defaultDeviceId, label: defaultDeviceId, names, switches, system: { ledMode: system.ledMode, rssi: system.rssi } }],
+            settings: null,
+            rules: [],
+            users: [],
+            events: [],
+            health: [],
+            firmware: [],
+            audit: []
+        };
+    }
+    if (snapshot.version !== SNAPSHOT_VERSION) throw new Error(`Unsupported snapshot version ${snapshot.version}`);
+    return snapshot;
+}
+
+async function importSnapshot(storage, snapshot) {
+    for (const device of snapshot.devices || []) await storage.saveDevice(device.id, device);
+    if (snapshot.settings) await storage.saveSettings(snapshot.settings);
+    for (const rule of snapshot.rules || []) await storage.saveRule(rule);
+    for (const user of snapshot.users || []) await storage.saveUser(user);
+    const events = (snapshot.events || []).map(event => ({ ...event, at: new Date(event.at) }));
+    if (events.length) await storage.addEvents(events);
+    const health = (snapshot.health || []).map(record => ({ ...record, at: new Date(record.at) }));
+    if (health.length) await storage.addHealth(health);
+    const images = (snapshot.firmware || []).filter(image => image.data);
+    for (const { data, ...image } of images) await storage.saveFirmware(image, Buffer.from(data, 'base64'));
+    const audit = (snapshot.audit || []).map(entry => ({ ...entry, at: new Date(entry.at) }));
+    if (audit.length) await storage.addAudit(audit);
+    return {
+        devices: (snapshot.devices || []).length,
+        rules: (snapshot.rules || []).length,
+        users: (snapshot.users || []).length,
+        events: events.length,
+        health: health.length,
+        firmware: images.length,
+        audit: audit.length
+    };
+}
+
+module.exports = {
+    STORAGE_TYPES,
+    DEFAULT_DATA_DIR,
+    createStorage,
+    exportSnapshot,
+    normalizeSnapshot,
+    importSnapshot
+};
@@ -0,0 +1,168 @@
+// --- In-Memory Storage ---
+// Keeps everything in process memory, so nothing survives a restart. The default without a
+// database, what the tests use, and the query engine behind the file backend.
+// Stored documents are copies: the server mutating its live state never changes them.
+const { matches } = require('../audit');
+
+const DEFAULT_EVENT_LIMIT = 10000;
+const DEFAULT_HEALTH_LIMIT = 20000;
+const DEFAULT_AUDIT_LIMIT = 20000;
+
+const clone = (value) => (value === undefined || value === null ? value : structuredClone(value));
+
+// Appends to a log kept oldest first, dropping the oldest entries beyond `limit`
+function append(log, list, limit) {
+    const start = Math.max(log.length, 1);
+    log.push(...list.map(clone));
+    for (let i = start; i < log.length; i++) {
+        if (log[i].at < log[i - 1].at) { // Imports may arrive out of order
+            log.sort((a, b) => a.at - b.at);
+            break;
+        }
+    }
+    if (log.length > limit) log.splice(0, log.length - limit);
+}
+
+function createMemoryStorage({ eventLimit = DEFAULT_EVENT_LIMIT, healthLimit = DEFAULT_HEALTH_LIMIT, auditLimit = DEFAULT_AUDIT_LIMIT } = {}) {
+    const devices = new Map();
+    const rules = new Map();
+    const users = new Map();
+    const firmware = new Map(); // id -> { image, data }
+    let settings = null;
+    let events = []; // Oldest first
+    let health = []; // Oldest first
+    let audit = []; // Oldest first
+
+    return {
+        name: 'memory',
+
+        async connect() {},
+        async close() {},
+
+        async loadDevices() {
+            return [...devices.values()].map(clone);
+        },
+        async saveDevice(id, document) {
+            devices.set(id, clone({ ...document, id }));
+        },
+
+        async loadSettings() {
+            return clone(settings);
+        },
+        async saveSettings(fields) {
+            settings = { ...settings, ...clone(fields) };
+        },
+
+        async loadRules() {
+            return [...rules.values()].map(clone);
+        },
+        async saveRule(rule) {
+            rules.set(rule.id, clone(rule));
+        },
+        async removeRule(id) {
+            rules.delete(id);
+        },
+
+        async loadUsers() {
+            return [...users.values()].map(clone);
+        },
+        async saveUser(user) {
+            users.set(user.username, clone(user));
+        },
+        async removeUser(username) {
+            users.delete(username);
+        },
+
+        // Image metadata only; the bytes are read one image at a time
+        async loadFirmware() {
+            return [...firmware.values()].map(({ image }) => clone(image));
+        },
+        async saveFirmware(image, data) {
+            firmware.set(image.id, { image: clone(image), data: Buffer.from(data) });
+        },
+        async readFirmware(id) {
+            return firmware.has(id) ? firmware.get(id).data : null;
+        },
+        async removeFirmware(id) {
+            firmware.delete(id);
+        },
+
+        async addEvents(list) {
+            append(events, list, eventLimit);
+        },
+        // Events of one device (optionally one channel) within [from, to), oldest first; `limit` keeps the newest
+        async findEvents(deviceId, { switchId, from, to, limit = 0 }) {
+            const found = events.filter(event => event.deviceId === deviceId && (!switchId || event.switchId === switchId) &&
+                event.at >= from && event.at < to);
+            return (limit ? found.slice(-limit) : found).map(clone);
+        },
+        // The last event of a channel before `before`, or null
+        async lastEvent(deviceId, switchId, before) {
+            for (let i = events.length - 1; i >= 0; i--) {
+                const event = events[i];
+                if (event.deviceId === deviceId && event.switchId === switchId && event.at < before) return clone(event);
+            }
+            return null;
+        },
+        // Last recorded value of every channel: [{ deviceId, switchId, value }]
+        async latestValues() {
+            const latest = new Map();
+            for (const { deviceId, switchId, value } of events) latest.set(`${deviceId}/${switchId}`, { deviceId, switchId, value });
+            return [...latest.values()];
+        },
+        async allEvents() {
+            return events.map(clone);
+        },
+        // Drops events older than `before` (the file backend's retention)
+        async pruneEvents(before) {
+            const kept = events.filter(event => event.at >= before);
+            const dropped = events.length - kept.length;
+            events = kept;
+            return dropped;
+        },
+
+        async addHealth(list) {
+            append(health, list, healthLimit);
+        },
+        // Health records of one device (optionally one kind) within [from, to), oldest first; `limit` keeps the newest
+        async findHealth(deviceId, { kind, from, to, limit = 0 }) {
+            const found = health.filter(record => record.deviceId === deviceId && (!kind || record.kind === kind) &&
+                record.at >= from && record.at < to);
+            return (limit ? found.slice(-limit) : found).map(clone);
+        },
+        async allHealth() {
+            return health.map(clone);
+        },
+        async pruneHealth(before) {
+            const kept = health.filter(record => record.at >= before);
+            const dropped = health.length - kept.length;
+            health = kept;
+            return dropped;
+        },
+
+        async addAudit(entries) {
+            append(audit, entries, auditLimit);
+        },
+        // Audit entries within [from, to) matching the filter (lib/audit.js), oldest first; `limit` keeps the newest
+        async findAudit(filter) {
+            const found = audit.filter(entry => matches(entry, filter));
+            return (filter.limit ? found.slice(-filter.limit) : found).map(clone);
+        },
+        async allAudit() {
+            return audit.map(clone);
+        },
+        async pruneAudit(before) {
+            const kept = audit.filter(entry => entry.at >= before);
+            const dropped = audit.length - kept.length;
+            audit = kept;
+            return dropped;
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_EVENT_LIMIT,
+    DEFAULT_HEALTH_LIMIT,
+    DEFAULT_AUDIT_LIMIT,
+    createMemoryStorage
+};
@@ -0,0 +1,272 @@
+// --- MongoDB Storage (One Document Per Device) ---
+// Per-channel maps are keyed by channel ID, so their shape follows the board's capability list.
+const mongoose = require('mongoose');
+const auth = require('../auth');
+const { DEFAULT_TIME_ZONE } = require('../clock');
+const { DEFAULT_QUEUE_TTL } = require('../queue');
+
+const ChannelSchema = new mongoose.Schema({
+    id: String,
+    type: { type: String, default: 'relay' },
+    physical: { type: Boolean, default: false },
+    levels: Number
+}, { _id: false });
+
+const StateSchema = new mongoose.Schema({
+    id: { type: String, required: true, unique: true }, // Device ID
+    label: { type: String },
+    channels: [ChannelSchema],
+    names: { type: mongoose.Schema.Types.Mixed, default: {} },
+    scenes: { type: mongoose.Schema.Types.Mixed, default: [] }, // Named multi-switch presets (lib/scenes.js)
+    switches: { type: mongoose.Schema.Types.Mixed, default: {} },
+    schedules: { type: mongoose.Schema.Types.Mixed, default: {} },
+    timers: { type: mongoose.Schema.Types.Mixed, default: {} },
+    wattage: { type: mongoose.Schema.Types.Mixed, default: {} }, // switchId -> watts at full level
+    interlocks: { type: mongoose.Schema.Types.Mixed, default: {} }, // switchId -> wall-switch policy (lib/interlock.js)
+    queue: { type: mongoose.Schema.Types.Mixed, default: [] }, // Commands waiting for the board (lib/queue.js)
+    system: {
+        ledMode: { type: Number, default: 1 },
+        rssi: { type: Number, default: 0 }
+    }
+}, { timestamps: true });
+
+const UserSchema = new mongoose.Schema({
+    username: { type: String, required: true, unique: true },
+    passwordHash: { type: String, required: true },
+    role: { type: String, enum: auth.ROLES, default: 'member' },
+    notifications: { type: mongoose.Schema.Types.Mixed, default: null }, // lib/notifications.js preferences
+    presence: { type: mongoose.Schema.Types.Mixed, default: null } // Last check-in, see lib/presence.js
+}, { timestamps: true });
+
+// Site-wide settings (a single document)
+const SettingsSchema = new mongoose.Schema({
+    id: { type: String, default: 'site', unique: true },
+    timeZone: { type: String, default: DEFAULT_TIME_ZONE },
+    queueOffline: { type: Boolean, default: false }, // Keep commands for offline boards instead of rejecting them
+    queueTtl: { type: Number, default: DEFAULT_QUEUE_TTL }, // Seconds a queued command stays deliverable
+    rulesSeeded: { type: Boolean, default: false }, // Default rules are only created once
+    vapid: { publicKey: String, privateKey: String }, // Web Push keys generated on first start
+    vacation: { type: mongoose.Schema.Types.Mixed, default: null } // Vacation mode with its learned habits and plan (lib/vacation.js)
+}, { timestamps: true });
+
+// Automation rules (see lib/rules.js for the trigger/condition/action shapes)
+const RuleSchema = new mongoose.Schema({
+    id: { type: String, required: true, unique: true },
+    name: { type: String, required: true },
+    enabled: { type: Boolean, default: true },
+    deviceId: { type: String, default: null }, // null = every device
+    triggers: { type: mongoose.Schema.Types.Mixed, default: [] },
+    conditions: { type: mongoose.Schema.Types.Mixed, default: [] },
+    actions: { type: mongoose.Schema.Types.Mixed, default: [] }
+}, { timestamps: true });
+
+// Uploaded firmware images (see lib/firmware.js). The bytes sit in the document, so an image is
+// capped by MongoDB's 16 MB document limit, far above any ESP app partition.
+const FirmwareSchema = new mongoose.Schema({
+    id: { type: String, required: true, unique: true },
+    version: { type: String, required: true },
+    size: Number,
+    md5: String,
+    sha256: String,
+    notes: String,
+    uploadedAt: Number,
+    uploadedBy: String,
+    data: Buffer
+});
+
+// Confirmed switch transitions (see lib/history.js), stored as a time-series collection
+function switchEventSchema(retentionDays) {
+    return new mongoose.Schema({
+        at: { type: Date, required: true },
+        meta: { deviceId: String, switchId: String },
+        value: Number,
+        previous: Number,
+        source: String
+    }, {
+        timeseries: { timeField: 'at', metaField: 'meta', granularity: 'minutes' },
+        expireAfterSeconds: retentionDays * 24 * 60 * 60
+    });
+}
+
+// Board health records (see lib/health.js); kind-specific fields vary, so they are kept as-is
+function healthRecordSchema(retentionDays) {
+    return new mongoose.Schema({
+        at: { type: Date, required: true },
+        meta: { deviceId: String, kind: String },
+        details: mongoose.Schema.Types.Mixed
+    }, {
+        timeseries: { timeField: 'at', metaField: 'meta', granularity: 'minutes' },
+        expireAfterSeconds: retentionDays * 24 * 60 * 60
+    });
+}
+
+// Audit log entries (see lib/audit.js). A plain collection rather than a time series: the log is
+// filtered by actor, type and device as much as by time.
+function auditEntrySchema(retentionDays) {
+    const schema = new mongoose.Schema({
+        id: { type: String, required: true },
+        at: { type: Date, required: true },
+        actor: {
+            username: String,
+            role: String,
+            ip: String,
+            client: String
+        },
+        type: String,
+        deviceId: String,
+        target: String,
+        changes: { type: mongoose.Schema.Types.Mixed, default: [] } // [{ path, before, after }]
+    });
+    schema.index({ at: 1 }, { expireAfterSeconds: retentionDays * 24 * 60 * 60 });
+    return schema;
+}
+
+// Mongoose keeps models per connection; one connection per storage lets the migration
+// command read one database while writing another.
+function createMongoStorage({ uri, retentionDays = 400, healthRetentionDays = 30, auditRetentionDays = 365, defaultDeviceId = 'main' }) {
+    const connection = mongoose.createConnection();
+    const State = connection.model('State', StateSchema);
+    const User = connection.model('User', UserSchema);
+    const Settings = connection.model('Settings', SettingsSchema);
+    const Rule = connection.model('Rule', RuleSchema);
+    const Firmware = connection.model('Firmware', FirmwareSchema);
+    const SwitchEvent = connection.model('SwitchEvent', switchEventSchema(retentionDays));
+    const HealthRecord = connection.model('HealthRecord', healthRecordSchema(healthRetentionDays));
+    const AuditEntry = connection.model('AuditEntry', auditEntrySchema(auditRetentionDays));
+
+    const toEvent = ({ at, meta, value, previous, source }) => ({ deviceId: meta.deviceId, switchId: meta.switchId, value, previous, source, at });
+    const toHealth = ({ at, meta, details }) => ({ ...details, deviceId: meta.deviceId, kind: meta.kind, at });
+    const toAudit = ({ id, at, actor, type, deviceId, target, changes }) => ({ id, at, actor, type, deviceId, target, changes });
+    const toRule = ({ id, name, enabled, deviceId, triggers, conditions, actions }) => ({ id, name, enabled, deviceId, triggers, conditions, actions });
+
+    return {
+        name: 'mongo',
+
+        async connect() {
+            await connection.openUri(uri);
+            console.log('Connected to MongoDB Atlas');
+        },
+        async close() {
+            await connection.close();
+        },
+
+        async loadDevices() {
+            // Single-board installs kept everything in 'main_state'; adopt it as the default device
+            await State.updateOne({ id: 'main_state' }, { $set: { id: defaultDeviceId } });
+            const docs = await State.find().lean();
+            return docs.map(({ id, label, channels, names, scenes, switches, schedules, timers, wattage, interlocks, queue, system }) =>
+                ({ id, label, channels, names, scenes, switches, schedules, timers, wattage, interlocks, queue, system }));
+        },
+        async saveDevice(id, document) {
+            const { id: _, ...fields } = document;
+            await State.findOneAndUpdate({ id }, { $set: fields }, { upsert: true });
+        },
+
+        async loadSettings() {
+            const settings = await Settings.findOne({ id: 'site' }).lean();
+            if (!settings) return null;
+            const { timeZone, queueOffline, queueTtl, rulesSeeded, vapid, vacation } = settings;
+            return { timeZone, queueOffline, queueTtl, rulesSeeded, vapid, vacation };
+        },
+        async saveSettings(fields) {
+            await Settings.updateOne({ id: 'site' }, { $set: fields }, { upsert: true });
+        },
+
+        async loadRules() {
+            return (await Rule.find().lean()).map(toRule);
+        },
+        async saveRule(rule) {
+            await Rule.findOneAndUpdate({ id: rule.id }, { $set: rule }, { upsert: true });
+        },
+        async removeRule(id) {
+            await Rule.deleteOne({ id });
+        },
+
+        async loadUsers() {
+            return (await User.find().lean()).map(({ username, passwordHash, role, notifications, presence }) => ({ username, passwordHash, role, notifications, presence }));
+        },
+        async saveUser(user) {
+            await User.findOneAndUpdate({ username: user.username }, { $set: user }, { upsert: true });
+        },
+        async removeUser(username) {
+            await User.deleteOne({ username });
+        },
+
+        async loadFirmware() {
+            const docs = await Firmware.find().select('-data').lean();
+            return docs.map(({ id, version, size, md5, sha256, notes, uploadedAt, uploadedBy }) => ({ id, version, size, md5, sha256, notes, uploadedAt, uploadedBy }));
+        },
+        async saveFirmware(image, data) {
+            await Firmware.findOneAndUpdate({ id: image.id }, { $set: { ...image, data } }, { upsert: true });
+        },
+        async readFirmware(id) {
+            const doc = await Firmware.findOne({ id }).select('data').lean();
+            return doc ? Buffer.from(doc.data.buffer || doc.data) : null; // lean() hands back a BSON Binary
+        },
+        async removeFirmware(id) {
+            await Firmware.deleteOne({ id });
+        },
+
+        async addEvents(events) {
+            await SwitchEvent.insertMany(events.map(({ deviceId, switchId, at, value, previous, source }) =>
+                ({ at, meta: { deviceId, switchId }, value, previous, source })));
+        },
+        async findEvents(deviceId, { switchId, from, to, limit = 0 }) {
+            const query = { 'meta.deviceId': deviceId, at: { $gte: from, $lt: to } };
+            if (switchId) query['meta.switchId'] = switchId;
+            const docs = await SwitchEvent.find(query).sort({ at: limit ? -1 : 1 }).limit(limit).lean();
+            if (limit) docs.reverse(); // Newest `limit` events, still returned oldest first
+            return docs.map(toEvent);
+        },
+        async lastEvent(deviceId, switchId, before) {
+            const doc = await SwitchEvent.findOne({ 'meta.deviceId': deviceId, 'meta.switchId': switchId, at: { $lt: before } }).sort({ at: -1 }).lean();
+            return doc ? toEvent(doc) : null;
+        },
+        async latestValues() {
+            const latest = await SwitchEvent.aggregate([
+                { $sort: { at: -1 } },
+                { $group: { _id: '$meta', value: { $first: '$value' } } }
+            ]);
+            return latest.map(({ _id, value }) => ({ deviceId: _id.deviceId, switchId: _id.switchId, value }));
+        },
+        async allEvents() {
+            return (await SwitchEvent.find().sort({ at: 1 }).lean()).map(toEvent);
+        },
+
+        async addHealth(records) {
+            await HealthRecord.insertMany(records.map(({ deviceId, kind, at, ...details }) => ({ at, meta: { deviceId, kind }, details })));
+        },
+        async findHealth(deviceId, { kind, from, to, limit = 0 }) {
+            const query = { 'meta.deviceId': deviceId, at: { $gte: from, $lt: to } };
+            if (kind) query['meta.kind'] = kind;
+            const docs = await HealthRecord.find(query).sort({ at: limit ? -1 : 1 }).limit(limit).lean();
+            if (limit) docs.reverse();
+            return docs.map(toHealth);
+        },
+        async allHealth() {
+            return (await HealthRecord.find().sort({ at: 1 }).lean()).map(toHealth);
+        },
+
+        async addAudit(entries) {
+            await AuditEntry.insertMany(entries);
+        },
+        async findAudit({ username, client, type, deviceId, target, from, to, limit = 0 }) {
+            const query = { at: { $gte: from, $lt: to } };
+            if (username) query['actor.username'] = username;
+            if (client) query['actor.client'] = client;
+            if (type) query.type = type;
+            if (deviceId) query.deviceId = deviceId;
+            if (target) query.target = target;
+            const docs = await AuditEntry.find(query).sort({ at: limit ? -1 : 1 }).limit(limit).lean();
+            if (limit) docs.reverse();
+            return docs.map(toAudit);
+        },
+        async allAudit() {
+            return (await AuditEntry.find().sort({ at: 1 }).lean()).map(toAudit);
+        }
+    };
+}
+
+module.exports = {
+    createMongoStorage
+};
@@ -0,0 +1,199 @@
+const { getZonedParts, localMidnight, shiftDateKey } = require('./clock');
+const { resolveMinute } = require('./schedules');
+
+// --- Vacation Mode ---
+// While nobody is home, selected channels replay the household's own habits instead of the
+// house sitting dark (or keeping one light on for two weeks).
+//
+// state.vacation: { enabled, since, switches: [{ deviceId, switchId }], jitter, patterns, plan, plannedThrough }
+//
+// Habits are learned per channel from the last LEARN_DAYS of switch history (lib/history.js), which
+// includes every schedule that ran. Each ON period is placed on the local clock, and periods that
+// start within CLUSTER_WINDOW of each other on at least MIN_DAYS different days form one pattern:
+//   { on, duration, level, chance, from }
+//     on        minute of the local day the channel usually turns on (median)
+//     duration  minutes it usually stays on (median)
+//     level     level it was last turned on at
+//     chance    share of the learned days the habit showed up on; a planned day includes it that often
+//     from      'history', or 'schedule' when the history shows no habit and the channel's own
+//               recurring ON/OFF schedules stand in
+// patterns: 'deviceId/switchId' -> [pattern]
+//
+// The plan holds { deviceId, switchId, at, value } events, drawn one local day at a time with every
+// ON and OFF moved by up to ±jitter minutes, and is kept HORIZON ahead of the clock so the next
+// 24 hours can be previewed before the mode is switched on. Replays are logged with the history
+// source 'vacation' and never learned from. Ordinary schedules of the selected channels are
+// paused (also on the boards) while the mode is on.
+const LEARN_DAYS = 14;
+const DEFAULT_JITTER = 20; // Minutes
+const MAX_JITTER = 60;
+const CLUSTER_WINDOW = 90; // ON times this close are the same habit
+const MIN_DAYS = 2; // A one-off is not a habit
+const MIN_ON = 5; // Shorter blips (walking through a room) are not worth replaying
+const MAX_ON = 18 * 60; // Longer ones are lights left on, not habits
+const HORIZON = 24 * 60 * 60 * 1000;
+const LATE = 5 * 60 * 1000; // Events missed by more than this (server down) are dropped, not replayed
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+function channelKey(deviceId, switchId) {
+    return `${deviceId}/${switchId}`;
+}
+
+// Whether vacation mode is currently replaying a channel (its ordinary schedules are paused)
+function isReplaying(vacation, deviceId, switchId) {
+    return !!(vacation && vacation.enabled) &&
+        vacation.switches.some(entry => entry.deviceId === deviceId && entry.switchId === switchId);
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+// ON periods in one channel's events (oldest first): [{ at, level, minutes }].
+// Periods the history does not show both ends of, and those vacation mode caused, are left out.
+function onPeriods(events) {
+    const periods = [];
+    let start = null;
+    for (const event of events) {
+        if (event.value > 0 && !(event.previous > 0)) {
+            start = event;
+        } else if (!(event.value > 0) && start) {
+            const at = new Date(start.at).getTime();
+            if (start.source !== 'vacation') {
+                periods.push({ at, level: start.value, minutes: Math.round((new Date(event.at).getTime() - at) / MINUTE) });
+            }
+            start = null;
+        }
+    }
+    return periods;
+}
+
+// Habits of one channel from its events (oldest first) up to `now`
+function learnPatterns(events, { now, timeZone }) {
+    if (!events.length) return [];
+    // Days the history covers, so a fresh install is not judged against two weeks it never saw
+    const days = Math.min(LEARN_DAYS, Math.max(1, Math.ceil((now - new Date(events[0].at).getTime()) / DAY)));
+
+    const periods = onPeriods(events)
+        .filter(period => period.minutes >= MIN_ON && period.minutes <= MAX_ON)
+        .map(period => {
+            const local = getZonedParts(new Date(period.at), timeZone);
+            return { ...period, minute: local.hours * 60 + local.minutes, dateKey: local.dateKey };
+        })
+        .sort((a, b) => a.minute - b.minute);
+
+    const clusters = [];
+    for (const period of periods) {
+        const last = clusters[clusters.length - 1];
+        if (last && period.minute - last[0].minute <= CLUSTER_WINDOW) last.push(period);
+        else clusters.push([period]);
+    }
+
+    return clusters
+        .map(cluster => ({ cluster, seen: new Set(cluster.map(period => period.dateKey)).size }))
+        .filter(({ seen }) => seen >= MIN_DAYS)
+        .map(({ cluster, seen }) => ({
+            on: median(cluster.map(period => period.minute)),
+            duration: median(cluster.map(period => period.minutes)),
+            level: cluster.reduce((latest, period) => period.at > latest.at ? period : latest).level,
+            chance: Math.min(1, Math.round(seen / days * 100) / 100),
+            from: 'history'
+        }));
+}
+
+// Habits of one channel from its recurring schedules: every ON paired with the next OFF
+// (wrapping past midnight). `clock` resolves sun-anchored times (lib/clock.js getLocalClock).
+function schedulePatterns(schedules, clock) {
+    const times = (schedules || [])
+        .filter(sched => sched.enabled && !sched.date)
+        .map(sched => ({ minute: resolveMinute(sched, clock), value: sched.action, days: sched.days }))
+        .filter(time => time.minute !== null)
+        .sort((a, b) => a.minute - b.minute);
+
+    const patterns = [];
+    times.forEach((time, index) => {
+        if (!(time.value > 0)) return;
+        const off = [...times.slice(index + 1), ...times.slice(0, index)].find(other => !(other.value > 0));
+        if (!off) return;
+        const weekdays = [...Array(7).keys()].filter(day => time.days & (1 << day)).length;
+        patterns.push({
+            on: time.minute,
+            duration: (off.minute - time.minute + 1440) % 1440 || 1440,
+            level: time.value,
+            chance: Math.round(weekdays / 7 * 100) / 100,
+            from: 'schedule'
+        });
+    });
+    return patterns;
+}
+
+// One channel's events for the local day `dateKey`: [{ at, value }], overlapping periods merged.
+// `random()` returns [0, 1) like Math.random.
+function planDay(patterns, { dateKey, timeZone, jitter = DEFAULT_JITTER, random = Math.random }) {
+    const midnight = localMidnight(dateKey, timeZone).getTime();
+    const shift = () => Math.round((random() * 2 - 1) * jitter);
+
+    const periods = [];
+    for (const pattern of patterns) {
+        if (random() >= pattern.chance) continue;
+        const on = midnight + (pattern.on + shift()) * MINUTE;
+        const off = on + Math.max(MIN_ON, pattern.duration + shift()) * MINUTE;
+        periods.push({ on, off, level: pattern.level });
+    }
+    periods.sort((a, b) => a.on - b.on);
+
+    const merged = [];
+    for (const period of periods) {
+        const last = merged[merged.length - 1];
+        if (last && period.on <= last.off) last.off = Math.max(last.off, period.off);
+        else merged.push({ ...period });
+    }
+    return merged.flatMap(({ on, off, level }) => [{ at: on, value: level }, { at: off, value: 0 }]);
+}
+
+// Keeps the plan ahead of the clock: drops what is past and plans every local day up to
+// HORIZON from `now` that is not planned yet. Returns { plan, plannedThrough }.
+function planAhead({ switches, patterns, jitter, plan = [], plannedThrough = null }, { now, timeZone, random = Math.random }) {
+    const today = getZonedParts(new Date(now), timeZone).dateKey;
+    const last = getZonedParts(new Date(now + HORIZON), timeZone).dateKey;
+    const events = plan.filter(event => event.at > now);
+
+    let dateKey = plannedThrough && plannedThrough >= today ? shiftDateKey(plannedThrough, 1) : today;
+    for (; dateKey <= last; dateKey = shiftDateKey(dateKey, 1)) {
+        for (const { deviceId, switchId } of switches) {
+            for (const event of planDay(patterns[channelKey(deviceId, switchId)] || [], { dateKey, timeZone, jitter, random })) {
+                if (event.at > now) events.push({ deviceId, switchId, ...event });
+            }
+        }
+        plannedThrough = dateKey;
+    }
+    return { plan: events.sort((a, b) => a.at - b.at), plannedThrough };
+}
+
+// Planned events that are due at `now` and not too late to replay
+function dueEvents(plan, now) {
+    return plan.filter(event => event.at <= now && event.at > now - LATE);
+}
+
+// Planned events of the next 24 hours
+function preview(plan, now) {
+    return plan.filter(event => event.at > now && event.at <= now + HORIZON);
+}
+
+module.exports = {
+    LEARN_DAYS,
+    DEFAULT_JITTER,
+    MAX_JITTER,
+    channelKey,
+    isReplaying,
+    learnPatterns,
+    schedulePatterns,
+    planDay,
+    planAhead,
+    dueEvents,
+    preview
+};
@@ -0,0 +1,75 @@
+require('dotenv').config();
+const fs = require('fs/promises');
+const { DEFAULT_DATA_DIR, createStorage, exportSnapshot, normalizeSnapshot, importSnapshot } = require('./lib/storage');
+
+// --- Storage Migration ---
+// Copies devices, settings, rules, users, switch history, board health, firmware images and the audit log from one backend to another:
+//   npm run migrate -- <from> <to> [--force]
+// Backends:
+//   mongo[:<uri>]   MongoDB (default: MONGODB_URI)
+//   file[:<dir>]    JSON files (default: DATA_DIR or ./data)
+//   json:<path>     a snapshot file; as the source it also takes the old single-board data.json
+// e.g. moving off Atlas onto a Pi:  npm run migrate -- mongo file:/home/pi/switch-smart
+// Refuses to write into a backend that already has devices unless --force is given.
+const USAGE = 'Usage: npm run migrate -- <mongo[:uri] | file[:dir] | json:path> <mongo[:uri] | file[:dir] | json:path> [--force]';
+
+function parseTarget(spec) {
+    const [kind, ...rest] = spec.split(':');
+    const value = rest.join(':'); // URIs contain colons too
+    const retentionDays = parseInt(process.env.HISTORY_RETENTION_DAYS) || undefined;
+    const healthRetentionDays = parseInt(process.env.HEALTH_RETENTION_DAYS) || undefined;
+    const auditRetentionDays = parseInt(process.env.AUDIT_RETENTION_DAYS) || undefined;
+    switch (kind) {
+        case 'mongo':
+            return { storage: createStorage({ type: 'mongo', mongoUri: value || process.env.MONGODB_URI, retentionDays, healthRetentionDays, auditRetentionDays }) };
+        case 'file':
+            return { storage: createStorage({ type: 'file', dataDir: value || process.env.DATA_DIR || DEFAULT_DATA_DIR, retentionDays, healthRetentionDays, auditRetentionDays }) };
+        case 'json':
+            if (!value) throw new Error('json: needs a file path');
+            return { file: value };
+        default:
+            throw new Error(`Unknown backend '${spec}'`);
+    }
+}
+
+async function migrate(fromSpec, toSpec, force) {
+    const from = parseTarget(fromSpec);
+    const to = parseTarget(toSpec);
+
+    let snapshot;
+    if (from.file) {
+        snapshot = normalizeSnapshot(JSON.parse(await fs.readFile(from.file, 'utf8')));
+    } else {
+        await from.storage.connect();
+        snapshot = await exportSnapshot(from.storage);
+        await from.storage.close();
+    }
+
+    if (to.file) {
+        await fs.writeFile(to.file, JSON.stringify(snapshot, null, 2));
+        console.log(`[Migrate] Wrote ${snapshot.devices.length} devices and ${snapshot.events.length} events to ${to.file}`);
+        return;
+    }
+    await to.storage.connect();
+    try {
+        const existing = await to.storage.loadDevices();
+        if (existing.length && !force) {
+            throw new Error(`${toSpec} already holds ${existing.length} devices - pass --force to merge into it`);
+        }
+        const counts = await importSnapshot(to.storage, snapshot);
+        console.log(`[Migrate] ${fromSpec} -> ${toSpec}: ${counts.devices} devices, ${counts.rules} rules, ${counts.users} users, ${counts.events} events, ${counts.health} health records, ${counts.firmware} firmware images, ${counts.audit} audit entries`);
+    } finally {
+        await to.storage.close();
+    }
+}
+
+const args = process.argv.slice(2);
+const positional = args.filter(arg => !arg.startsWith('--'));
+if (positional.length !== 2) {
+    console.error(USAGE);
+    process.exit(1);
+}
+migrate(positional[0], positional[1], args.includes('--force')).catch(err => {
+    console.error(`[Migrate] ${err.message}`);
+    process.exit(1);
+});
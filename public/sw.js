@@ -0,0 +1,82 @@
+// --- Service Worker ---
+// Caches the app shell so the dashboard opens without a network, shows the server's Web Push alerts
+// (lib/notifications.js) and brings the app forward when one is tapped.
+
+// --- App Shell ---
+// The page, manifest and icon are fetched network-first (a deploy shows up on the next load) and fall
+// back to the cache; the web fonts never change, so they are cache-first. The API and socket are never cached.
+// Bump the version when the shell list changes.
+const SHELL_CACHE = 'shell-v1';
+const FONT_CACHE = 'fonts-v1';
+const SHELL = ['/', '/manifest.webmanifest', '/icon.svg'];
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE)
+        .then(cache => cache.addAll(SHELL))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names
+            .filter(name => name !== SHELL_CACHE && name !== FONT_CACHE)
+            .map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request));
+    } else if (url.origin === self.location.origin && (request.mode === 'navigate' || SHELL.includes(url.pathname))) {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (err) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        // Any page of the app is the dashboard
+        if (request.mode === 'navigate') return cache.match('/');
+        throw err;
+    }
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(FONT_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    // Stylesheet links are no-cors, so the font CSS comes back opaque
+    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+    return response;
+}
+
+// --- Push Alerts ---
+self.addEventListener('push', (event) => {
+    const alert = event.data ? event.data.json() : { type: 'test', title: 'botman', body: '' };
+    event.waitUntil(self.registration.showNotification(alert.title, {
+        body: alert.body,
+        // A newer alert of the same kind for the same device replaces the old one
+        tag: alert.deviceId ? `${alert.type}:${alert.deviceId}` : alert.type,
+        timestamp: alert.at ? Date.parse(alert.at) : Date.now(),
+        data: alert
+    }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+        const open = windows.find(client => new URL(client.url).origin === self.location.origin);
+        return open ? open.focus() : self.clients.openWindow('/');
+    }));
+});
@@ -2,441 +2,2830 @@ require('dotenv').config();
 const express = require('express');
 const http = require('http');
 const WebSocket = require('ws');
-const mongoose = require('mongoose');
+const crypto = require('crypto');
+const auth = require('./lib/auth');
+const { buildSchedule, normalizeScheduleList, resolveMinute, formatMinute } = require('./lib/schedules');
+const { DEFAULT_TIME_ZONE, isValidTimeZone } = require('./lib/clock');
+const { createAutomation, isSleepWindow } = require('./lib/automation');
+const { buildRule, createDefaultRules, createRuleEngine } = require('./lib/rules');
+const { sceneTarget, parseSceneTarget, buildScene } = require('./lib/scenes');
+const { commandSwitches, createCommandTracker } = require('./lib/commands');
+const { DEFAULT_QUEUE_TTL, MIN_QUEUE_TTL, MAX_QUEUE_TTL, enqueue, pruneExpired } = require('./lib/queue');
+const { createMqttBridge } = require('./lib/mqtt');
+const { buildOpenApiDocument } = require('./lib/openapi');
+const { PROTOCOL_VERSION, ERROR_CODES, validateMessage, negotiateProtocol, errorCode } = require('./lib/protocol');
+const { BUCKETS, createTransitionTracker, computeUsage, toKwh, bucketRanges } = require('./lib/history');
+const { createStorage } = require('./lib/storage');
+const { createBus, createPeerTracker } = require('./lib/bus');
+const { createHealthMonitor, summarize: summarizeHealth } = require('./lib/health');
+const { POLICIES: INTERLOCK_POLICIES, DEFAULT_POLICY: DEFAULT_INTERLOCK, isPolicy: isInterlockPolicy, checkRequest: checkInterlock, resolveFlip } = require('./lib/interlock');
+const { DEFAULT_RADIUS: DEFAULT_HOME_RADIUS, resolveCheckIn, countHome } = require('./lib/presence');
+const { LEARN_DAYS, DEFAULT_JITTER, MAX_JITTER, channelKey, isReplaying, learnPatterns, schedulePatterns, planAhead, preview: previewVacation } = require('./lib/vacation');
+const { DEFAULT_INTERVAL: DEFAULT_BACKUP_INTERVAL, DEFAULT_KEEP: DEFAULT_BACKUP_KEEP, configOf, exportBundle, readBundle, createBackupStore, isBackupDue } = require('./lib/backup');
+const { REQUESTED_SOURCES, diff, snapshot, createEntry: createAuditEntry, parseQuery: parseAuditQuery } = require('./lib/audit');
+const {
+    DEFAULT_MAX_SIZE: DEFAULT_FIRMWARE_SIZE, buildImage, parseRange, createDownloadToken, verifyDownloadToken,
+    isActive: isUpdating, startUpdate, applyReport, finishUpdate, failUpdate, isStalled
+} = require('./lib/firmware');
+const notifications = require('./lib/notifications');
 
 const app = express();
 const server = http.createServer(app);
 const wss = new WebSocket.Server({ server });
 
 const PORT = process.env.PORT || 3000;
-const MONGODB_URI = process.env.MONGODB_URI;
-
-// --- MongoDB Configuration (Names Persistence Only) ---
-const StateSchema = new mongoose.Schema({
-    id: { type: String, default: 'main_state', unique: true },
-    names: {
-        name1: { type: String, default: "Light" },
-        name2: { type: String, default: "SOCKET" },
-        name3: { type: String, default: "Tubelight" },
-        name4: { type: String, default: "Fan" }
-    },
-    switches: {
-        switch1: { type: Number, default: 0 },
-        switch2: { type: Number, default: 0 },
-        switch3: { type: Number, default: 0 },
-        switch4: { type: Number, default: 0 }
-    },
-    schedules: {
-        switch1: { active: Boolean, time: String, action: Number },
-        switch2: { active: Boolean, time: String, action: Number },
-        switch3: { active: Boolean, time: String, action: Number },
-        switch4: { active: Boolean, time: String, action: Number }
-    },
-    timers: {
-        switch1: { active: Boolean, endAt: Number, action: Number },
-        switch2: { active: Boolean, endAt: Number, action: Number },
-        switch3: { active: Boolean, endAt: Number, action: Number },
-        switch4: { active: Boolean, endAt: Number, action: Number }
-    },
-    system: {
-        ledMode: { type: Number, default: 1 },
-        rssi: { type: Number, default: 0 }
+
+// --- Security Configuration ---
+const AUTH_SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+const DEVICE_SECRET = process.env.DEVICE_SECRET; // Pre-shared with the ESP firmware
+if (!process.env.AUTH_SECRET) console.warn('[Auth] AUTH_SECRET not set - logins will not survive a restart');
+if (!DEVICE_SECRET) console.warn('[Auth] DEVICE_SECRET not set - hardware IDENTIFY will be refused');
+
+// Legacy firmware identifies without a device ID; it maps onto this one.
+const DEFAULT_DEVICE_ID = 'main';
+
+// --- Channel Capabilities ---
+// Each channel type defines the value range the hardware accepts (0 is always OFF).
+const CHANNEL_TYPES = {
+    'relay': { max: () => 1 },
+    'dimmer': { max: () => 100 },
+    'fan-speed': { max: (channel) => channel.levels || 4 }
+};
+
+// The original board: four relays, wall switches wired to 1 & 4
+const DEFAULT_CHANNELS = [
+    { id: 'switch1', type: 'relay', physical: true, name: "Light" },
+    { id: 'switch2', type: 'relay', physical: false, name: "SOCKET" },
+    { id: 'switch3', type: 'relay', physical: false, name: "Tubelight" },
+    { id: 'switch4', type: 'relay', physical: true, name: "Fan" }
+];
+
+// --- Persistence (see lib/storage for the backends) ---
+// Days of switch history kept (MongoDB and file storage)
+const HISTORY_RETENTION_DAYS = parseInt(process.env.HISTORY_RETENTION_DAYS) || 400;
+const HEALTH_RETENTION_DAYS = parseInt(process.env.HEALTH_RETENTION_DAYS) || 30;
+const AUDIT_RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS) || 365;
+
+const storage = createStorage({
+    type: process.env.STORAGE,
+    mongoUri: process.env.MONGODB_URI,
+    dataDir: process.env.DATA_DIR,
+    retentionDays: HISTORY_RETENTION_DAYS,
+    healthRetentionDays: HEALTH_RETENTION_DAYS,
+    auditRetentionDays: AUDIT_RETENTION_DAYS,
+    defaultDeviceId: DEFAULT_DEVICE_ID
+});
+
+// Memory State (Transient Core) - one entry per ESP controller
+function createDeviceState(label) {
+    const device = {
+        label,
+        channels: [],
+        names: {},
+        scenes: [],
+        physical: {},
+        switches: {},
+        schedules: {},
+        timers: {},
+        wattage: {},
+        interlocks: {}, // switchId -> wall-switch policy, only where it differs from the default (lib/interlock.js)
+        pending: {}, // switchId -> { seq, value } while a switch command awaits confirmation
+        queue: [], // Commands kept while the board is offline
+        system: { ledMode: 0, reboot: 0, rssi: 0 },
+        isHardwareOnline: false,
+        firmware: null, // Version the board reported in its last IDENTIFY
+        ota: null, // Latest firmware update, see lib/firmware.js
+        otaCapable: false, // Board declared in IDENTIFY that it takes OTA_UPDATE
+        acks: false // Board declared in IDENTIFY that it acks every COMMAND
+    };
+    applyChannels(device, DEFAULT_CHANNELS);
+    return device;
+}
+
+// Reshapes a device's per-channel maps to a new capability list.
+// Values of channels that survive are kept; dropped channels disappear.
+function applyChannels(device, channels) {
+    const next = { names: {}, physical: {}, interlocks: {}, switches: {}, schedules: {}, timers: {} };
+
+    device.channels = channels.map(({ id, type, physical, levels }) => {
+        const channel = { id, type: CHANNEL_TYPES[type] ? type : 'relay', physical: !!physical };
+        if (levels) channel.levels = levels;
+        return channel;
+    });
+
+    channels.forEach((channel, index) => {
+        const { id } = channel;
+        next.names[id] = device.names[id] || channel.name || `Switch ${index + 1}`;
+        next.switches[id] = device.switches[id] || 0;
+        next.schedules[id] = device.schedules[id] || [];
+        next.timers[id] = device.timers[id] || { active: false, endAt: 0, action: 0 };
+        if (channel.physical) next.physical[id] = device.physical[id] || 0;
+        if (channel.physical && device.interlocks[id]) next.interlocks[id] = device.interlocks[id];
+    });
+
+    // Scene-targeted schedules and timers are not tied to a channel; they survive any capability change
+    for (const kind of ['schedules', 'timers']) {
+        for (const [key, value] of Object.entries(device[kind])) {
+            if (parseSceneTarget(key)) next[kind][key] = value;
+        }
+    }
+
+    Object.assign(device, next);
+}
+
+function getChannel(device, channelId) {
+    return device.channels.find(channel => channel.id === channelId);
+}
+
+// Validates a value against the channel's type; returns null if out of range.
+function normalizeValue(channel, value) {
+    const max = CHANNEL_TYPES[channel.type].max(channel);
+    const num = Number(value);
+    if (!Number.isInteger(num) || num < 0 || num > max) return null;
+    return num;
+}
+
+// Merges only keys the device already has a channel for
+function assignKnown(target, source) {
+    for (const key of Object.keys(source || {})) {
+        if (target.hasOwnProperty(key)) target[key] = source[key];
+    }
+}
+
+// Pre-channel clients and documents key names as name1..nameN
+function toChannelNames(names) {
+    const result = {};
+    for (const [key, value] of Object.entries(names || {})) {
+        result[key.replace(/^name(\d+)$/, 'switch$1')] = value;
     }
-}, { timestamps: true });
+    return result;
+}
 
-const State = mongoose.model('State', StateSchema);
+// TIME_ZONE only seeds a fresh install; afterwards the Settings panel owns it
+const INITIAL_TIME_ZONE = isValidTimeZone(process.env.TIME_ZONE) ? process.env.TIME_ZONE : DEFAULT_TIME_ZONE;
+if (process.env.TIME_ZONE && process.env.TIME_ZONE !== INITIAL_TIME_ZONE) {
+    console.warn(`[Clock] Unknown TIME_ZONE '${process.env.TIME_ZONE}' - using ${INITIAL_TIME_ZONE}`);
+}
 
-// Memory State (Transient Core)
 let state = {
-    names: { name1: "Light", name2: "SOCKET", name3: "Tubelight", name4: "Fan" },
-    physical: { switch1: 0, switch4: 0 },
-    switches: { switch1: 0, switch2: 0, switch3: 0, switch4: 0 },
-    schedules: {
-        switch1: { active: false, time: "00:00", action: 1 },
-        switch2: { active: false, time: "00:00", action: 1 },
-        switch3: { active: false, time: "00:00", action: 1 },
-        switch4: { active: false, time: "00:00", action: 1 }
-    },
-    timers: {
-        switch1: { active: false, endAt: 0, action: 0 },
-        switch2: { active: false, endAt: 0, action: 0 },
-        switch3: { active: false, endAt: 0, action: 0 },
-        switch4: { active: false, endAt: 0, action: 0 }
-    },
-    system: { ledMode: 0, reboot: 0, rssi: 0 },
-    isHardwareOnline: false
+    settings: { timeZone: INITIAL_TIME_ZONE, queueOffline: false, queueTtl: DEFAULT_QUEUE_TTL },
+    rules: [],
+    // deviceId -> device, without a prototype: boards and URLs name devices, so 'constructor' or
+    // '__proto__' must be an unknown device rather than an Object member
+    devices: Object.assign(Object.create(null), { [DEFAULT_DEVICE_ID]: createDeviceState(DEFAULT_DEVICE_ID) }),
+    presence: {}, // username -> { home, since, via }, see lib/presence.js
+    vacation: { enabled: false, since: null, switches: [], jitter: DEFAULT_JITTER, patterns: {}, plan: [], plannedThrough: null } // See lib/vacation.js
 };
 
-// Connect to MongoDB
-if (MONGODB_URI) {
-    mongoose.connect(MONGODB_URI)
-        .then(async () => {
-            console.log('Connected to MongoDB Atlas');
-            const dbState = await State.findOne({ id: 'main_state' });
-            if (dbState) {
-                // RESTORE FULL STATE FROM DB
-                if (dbState.names) Object.assign(state.names, dbState.names);
-                if (dbState.switches) Object.assign(state.switches, dbState.switches);
-                if (dbState.schedules) Object.assign(state.schedules, dbState.schedules);
-                if (dbState.timers) {
-                    // Filter out expired timers
-                    const now = Date.now();
-                    for (let key in dbState.timers) {
-                        if (dbState.timers[key].active && dbState.timers[key].endAt < now) {
-                            dbState.timers[key].active = false;
-                        }
-                    }
-                    Object.assign(state.timers, dbState.timers);
-                }
-                if (dbState.system) Object.assign(state.system, dbState.system);
+// Live hardware sockets (deviceId -> ws)
+const hardwareSockets = new Map();
 
-                console.log('Full persistent state restored from MongoDB');
-            } else {
-                const newState = new State();
-                await newState.save();
-                console.log('Initialized new system state in MongoDB');
-            }
-        })
-        .catch(err => console.error('MongoDB connection error:', err));
+function getDevice(deviceId) {
+    return state.devices[deviceId || DEFAULT_DEVICE_ID];
 }
 
-// Helper to save state (updates both RAM and DB)
-async function updateAndSave(updates, shouldPersist = false) {
-    // Merge updates into our local state object
-    if (updates.switches) Object.assign(state.switches, updates.switches);
-    if (updates.physical) Object.assign(state.physical, updates.physical);
-    if (updates.names) Object.assign(state.names, updates.names);
-    if (updates.system) Object.assign(state.system, updates.system);
-    if (updates.schedules) Object.assign(state.schedules, updates.schedules);
-    if (updates.timers) Object.assign(state.timers, updates.timers);
-
-    // Save ALL critical state to MongoDB
-    if (MONGODB_URI && shouldPersist) {
-        try {
-            await State.findOneAndUpdate(
-                { id: 'main_state' },
-                {
-                    $set: {
-                        names: state.names,
-                        switches: state.switches,
-                        schedules: state.schedules,
-                        timers: state.timers,
-                        system: state.system
-                    }
-                },
-                { upsert: true }
-            );
-            console.log('[DB] System state persisted to MongoDB');
-        } catch (err) {
-            console.error('[DB] Persistence error:', err);
-        }
+// --- User Accounts (memory cache, persisted through storage) ---
+const users = new Map(); // username -> { username, passwordHash, role }
+
+async function saveUser(user) {
+    users.set(user.username, user);
+    try {
+        await storage.saveUser(user);
+        bus.publish({ kind: 'reload', what: 'users' });
+    } catch (err) {
+        console.error('[DB] User persistence error:', err);
     }
 }
 
-// --- Middleware ---
-app.use(express.json());
-app.use(express.static('public'));
+async function removeUser(username) {
+    users.delete(username);
+    if (state.presence[username]) {
+        delete state.presence[username];
+        broadcast({ type: 'STATE_CHANGED', data: state });
+    }
+    try {
+        await storage.removeUser(username);
+        bus.publish({ kind: 'reload', what: 'users' });
+    } catch (err) {
+        console.error('[DB] User persistence error:', err);
+    }
+}
 
-// --- WebSocket Broadcast ---
-function broadcast(data, excludeWs = null) {
-    const message = JSON.stringify(data);
-    let sentCount = 0;
-    let hardwareCount = 0;
-    wss.clients.forEach(client => {
-        if (client !== excludeWs && client.readyState === WebSocket.OPEN) {
-            client.send(message);
-            sentCount++;
-            if (client.role === 'hardware') {
-                hardwareCount++;
-            }
-        }
-    });
-    if (data.type === 'COMMAND') {
-        console.log(`Broadcast COMMAND sent to ${sentCount} clients (${hardwareCount} hardware)`);
+// --- Rules (memory list, persisted through storage) ---
+async function saveRule(rule) {
+    const index = state.rules.findIndex(item => item.id === rule.id);
+    if (index === -1) state.rules.push(rule);
+    else state.rules[index] = rule;
+    try {
+        await storage.saveRule(rule);
+        bus.publish({ kind: 'reload', what: 'rule', id: rule.id });
+    } catch (err) {
+        console.error('[DB] Rule persistence error:', err);
     }
 }
 
-// --- Server-side Heartbeat (Keep connections alive) ---
-const heartbeatInterval = setInterval(() => {
-    wss.clients.forEach((ws) => {
-        if (ws.isAlive === false) {
-            console.log('Terminating dead connection');
-            return ws.terminate();
-        }
-        ws.isAlive = false;
-        ws.ping();
-    });
-}, 30000); // Ping every 30 seconds
+async function removeRule(id) {
+    state.rules = state.rules.filter(rule => rule.id !== id);
+    try {
+        await storage.removeRule(id);
+        bus.publish({ kind: 'reload', what: 'rule', id });
+    } catch (err) {
+        console.error('[DB] Rule persistence error:', err);
+    }
+}
 
-wss.on('close', () => {
-    clearInterval(heartbeatInterval);
-});
+// First run: seed an admin from the environment so someone can log in
+async function bootstrapAdmin() {
+    const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_USERNAME || !ADMIN_PASSWORD || users.has(ADMIN_USERNAME)) return;
+    await saveUser({ username: ADMIN_USERNAME, passwordHash: auth.hashPassword(ADMIN_PASSWORD), role: 'admin' });
+    console.log(`[Auth] Admin account '${ADMIN_USERNAME}' created from environment`);
+}
 
-// --- AUTOMATION ENGINE (IST) ---
-let preNightLedMode = 1; // Default to Breathing if never set
+// Resolves a session token to the account's *current* role (demotions apply immediately)
+function authenticate(token) {
+    const claims = auth.verifyToken(token, AUTH_SECRET);
+    const user = claims && users.get(claims.sub);
+    return user ? { username: user.username, role: user.role } : null;
+}
 
-setInterval(async () => {
-    const now = new Date();
-    // Calculate IST (UTC + 5:30)
-    const istOffset = 5.5 * 60 * 60 * 1000;
-    const istTime = new Date(now.getTime() + istOffset);
-
-    const hours = istTime.getUTCHours();
-    const minutes = istTime.getUTCMinutes();
-
-    // 1. Aura Night Protocol (22:30 / 10:30 PM)
-    // Window: 10:30 PM to 4:59 AM
-    const isNightTime = (hours > 22 || (hours === 22 && minutes >= 30)) || (hours < 5);
-
-    if (isNightTime) {
-        // If Relay 1 is OFF, turn Aura OFF
-        if (state.switches.switch1 === 0 && state.system.ledMode !== 0) {
-            console.log('--- AUTO-AUTOMATION: It is late and Light is OFF. Disabling Aura. ---');
-            preNightLedMode = state.system.ledMode; // Store for morning
-            await updateAndSave({ system: { ledMode: 0 } }, false);
-            broadcast({ type: 'STATE_CHANGED', data: state });
-            broadcast({ type: 'COMMAND', data: { action: 'SYSTEM', ledMode: 0 } });
+function ensureDevice(deviceId) {
+    if (!state.devices[deviceId]) {
+        state.devices[deviceId] = createDeviceState(deviceId);
+        console.log(`[Devices] Registered new device '${deviceId}'`);
+    }
+    return state.devices[deviceId];
+}
+
+// What storage keeps of a device: everything but live connection state
+const DOCUMENT_FIELDS = ['label', 'channels', 'names', 'scenes', 'switches', 'schedules', 'timers', 'wattage', 'interlocks', 'queue', 'system'];
+
+function deviceDocument(deviceId) {
+    const device = state.devices[deviceId];
+    return { id: deviceId, ...Object.fromEntries(DOCUMENT_FIELDS.map(field => [field, device[field]])) };
+}
+
+// Restores a stored document onto a device; older documents may lack fields or key names by position
+function applyDocument(device, saved) {
+    if (saved.label) device.label = saved.label;
+    if (saved.channels && saved.channels.length) applyChannels(device, saved.channels);
+    if (saved.names) assignKnown(device.names, toChannelNames(saved.names));
+    if (Array.isArray(saved.scenes)) device.scenes = saved.scenes;
+    // Schedules and timers of scenes that still exist count as known keys too
+    for (const scene of device.scenes) {
+        device.schedules[sceneTarget(scene.id)] = [];
+        device.timers[sceneTarget(scene.id)] = { active: false, endAt: 0, action: 0 };
+    }
+    if (saved.switches) assignKnown(device.switches, saved.switches);
+    if (saved.schedules) {
+        for (const key of Object.keys(saved.schedules)) {
+            saved.schedules[key] = normalizeScheduleList(saved.schedules[key]);
         }
+        assignKnown(device.schedules, saved.schedules);
     }
-    // 2. Aura Morning Restore (05:00 AM)
-    else if (hours === 5 && minutes === 0) {
-        if (state.system.ledMode === 0) {
-            console.log(`--- AUTO-AUTOMATION: 5:00 AM IST. Restoring Aura to Mode ${preNightLedMode}. ---`);
-            await updateAndSave({ system: { ledMode: preNightLedMode } }, false);
-            broadcast({ type: 'STATE_CHANGED', data: state });
-            broadcast({ type: 'COMMAND', data: { action: 'SYSTEM', ledMode: preNightLedMode } });
+    if (saved.timers) {
+        // Filter out expired timers
+        const now = Date.now();
+        for (let key in saved.timers) {
+            if (saved.timers[key].active && saved.timers[key].endAt < now) {
+                saved.timers[key].active = false;
+            }
         }
+        assignKnown(device.timers, saved.timers);
+    }
+    if (saved.wattage) device.wattage = saved.wattage;
+    for (const [switchId, policy] of Object.entries(saved.interlocks || {})) {
+        if (device.physical.hasOwnProperty(switchId) && isInterlockPolicy(policy)) device.interlocks[switchId] = policy;
+    }
+    if (Array.isArray(saved.queue)) device.queue = saved.queue;
+    if (saved.system) Object.assign(device.system, saved.system);
+}
+
+// Site settings as stored; the vacation mode is kept with them
+function applySettings(settings) {
+    if (isValidTimeZone(settings.timeZone)) state.settings.timeZone = settings.timeZone;
+    state.settings.queueOffline = settings.queueOffline ?? state.settings.queueOffline;
+    state.settings.queueTtl = settings.queueTtl ?? state.settings.queueTtl;
+    if (settings.vacation) {
+        Object.assign(state.vacation, settings.vacation);
+        state.vacation.switches = state.vacation.switches.filter(({ deviceId, switchId }) => state.devices[deviceId] && getChannel(state.devices[deviceId], switchId));
     }
+}
 
-    // 3. Precision Schedule/Timer Trigger (Double Protection)
-    // Checks if any task is due in the next 60 seconds.
-    // We send a "Pre-Trigger" command to the hardware.
-    for (let i = 1; i <= 4; i++) {
-        const switchId = `switch${i}`;
+// Open storage and restore everything persisted (a fresh install just seeds the defaults and the admin)
+async function restoreState() {
+    await storage.connect();
 
-        // Check Schedule
-        const sched = state.schedules[switchId];
-        if (sched && sched.active) {
-            const [sHour, sMin] = sched.time.split(':').map(Number);
-            if (hours === sHour && minutes === sMin) {
-                console.log(`[Double-Protection] Schedule hit for ${switchId}. Sending reminder.`);
-                broadcast({ type: 'COMMAND', data: { action: 'TOGGLE', switchId, value: sched.action } });
-            }
+    const documents = await storage.loadDevices();
+    if (documents.length > 0) {
+        // RESTORE FULL STATE FROM STORAGE
+        for (const saved of documents) applyDocument(ensureDevice(saved.id), saved);
+        console.log(`Full persistent state restored from ${storage.name} storage (${documents.length} devices)`);
+    } else {
+        await storage.saveDevice(DEFAULT_DEVICE_ID, deviceDocument(DEFAULT_DEVICE_ID));
+        console.log(`Initialized new system state in ${storage.name} storage`);
+    }
+
+    // Last stored value per channel, so the boards' first reports are not logged as changes
+    for (const { deviceId, switchId, value } of await storage.latestValues()) transitions.seed(deviceId, switchId, value);
+
+    const settings = await storage.loadSettings();
+    if (settings) applySettings(settings);
+    console.log(`[Clock] Site time zone: ${state.settings.timeZone}`);
+
+    if (!vapidKeys && settings && settings.vapid && settings.vapid.publicKey) {
+        vapidKeys = { publicKey: settings.vapid.publicKey, privateKey: settings.vapid.privateKey };
+    } else if (!vapidKeys) {
+        vapidKeys = notifications.generateVapidKeys();
+        await storage.saveSettings({ vapid: vapidKeys });
+        console.log('[Notify] Generated Web Push (VAPID) keys');
+    }
+
+    const savedRules = await storage.loadRules();
+    if (savedRules.length || (settings && settings.rulesSeeded)) {
+        state.rules = savedRules;
+    } else {
+        for (const rule of state.rules) await saveRule(rule); // First run: keep the seeded Aura rules
+        await storage.saveSettings({ rulesSeeded: true });
+    }
+    console.log(`[Rules] ${state.rules.length} rules loaded`);
+
+    for (const image of await storage.loadFirmware()) firmwareImages.set(image.id, image);
+    console.log(`[OTA] ${firmwareImages.size} firmware images available`);
+
+    for (const user of await storage.loadUsers()) {
+        users.set(user.username, user);
+        if (user.presence) state.presence[user.username] = user.presence;
+    }
+    console.log(`[Auth] ${users.size} user accounts loaded`);
+    await bootstrapAdmin();
+}
+
+function connectStorage() {
+    return restoreState().catch(err => console.error(`[DB] ${storage.name} storage error:`, err));
+}
+
+// Helper to save a device's state (updates both RAM and DB)
+async function updateAndSave(deviceId, updates, shouldPersist = false) {
+    const device = ensureDevice(deviceId);
+    const before = { switches: { ...device.switches }, physical: { ...device.physical }, rssi: device.system.rssi };
+
+    // Merge updates into our local state object
+    if (updates.label) device.label = updates.label;
+    if (updates.channels) applyChannels(device, updates.channels);
+    if (updates.switches) assignKnown(device.switches, updates.switches);
+    if (updates.physical) assignKnown(device.physical, updates.physical);
+    if (updates.names) assignKnown(device.names, updates.names);
+    if (updates.scenes) device.scenes = updates.scenes;
+    if (updates.system) Object.assign(device.system, updates.system);
+    if (updates.schedules) Object.assign(device.schedules, updates.schedules);
+    if (updates.timers) Object.assign(device.timers, updates.timers);
+    if (updates.wattage) Object.assign(device.wattage, updates.wattage);
+    if (updates.interlocks) device.interlocks = updates.interlocks;
+    if (updates.queue) device.queue = updates.queue;
+
+    // Save ALL critical state
+    if (shouldPersist) {
+        try {
+            await storage.saveDevice(deviceId, deviceDocument(deviceId));
+            bus.publish({ kind: 'reload', what: 'device', deviceId });
+            console.log(`[DB] State of '${deviceId}' persisted (${storage.name})`);
+        } catch (err) {
+            console.error('[DB] Persistence error:', err);
         }
+    }
 
-        // Check Timer
-        const timer = state.timers[switchId];
-        if (timer && timer.active) {
-            const timeLeft = Math.floor((timer.endAt - istTime.getTime()) / 1000);
-            if (timeLeft <= 30 && timeLeft > -30) { // Within 30s window
-                console.log(`[Double-Protection] Timer hit for ${switchId}. Sending reminder.`);
-                broadcast({ type: 'COMMAND', data: { action: 'TOGGLE', switchId, value: timer.action } });
-                // Clean up timer after trigger
-                state.timers[switchId].active = false;
-                broadcast({ type: 'STATE_CHANGED', data: state });
+    // Rules see a board's changes on the instance it is linked through (see sendForwarded)
+    if (!ownedElsewhere(deviceId)) await dispatchChanges(deviceId, before, device);
+}
+
+// Feeds switch, wall-switch and signal changes to the rule engine
+async function dispatchChanges(deviceId, before, device) {
+    for (const kind of ['switches', 'physical']) {
+        for (const [switchId, value] of Object.entries(device[kind])) {
+            if (before[kind][switchId] !== undefined && before[kind][switchId] !== value) {
+                const type = kind === 'switches' ? 'switch' : 'physical';
+                await rules.dispatch(deviceId, { type, switchId, value, previous: before[kind][switchId] });
             }
         }
     }
+    if (before.rssi !== device.system.rssi) {
+        await rules.dispatch(deviceId, { type: 'rssi', value: device.system.rssi, previous: before.rssi });
+    }
+}
 
-    // 4. STAY-AWAKE PROTOCOL (23-Hour Active)
-    // Prevents Render spin-down except during the hardware's deep sleep window (2:30 AM - 3:30 AM IST)
-    const isSleepWindow = (hours === 2 && minutes >= 30) || (hours === 3 && minutes < 30);
-    if (!isSleepWindow && minutes % 10 === 0) {
-        const https = require('https');
-        const selfUrl = process.env.SELF_URL || `https://${process.env.RENDER_EXTERNAL_HOSTNAME}.onrender.com/ping`;
-        if (selfUrl.startsWith('https')) {
-            https.get(selfUrl, (res) => {
-                console.log(`[System] Self-Ping: Active Mode (${res.statusCode})`);
-            }).on('error', (e) => { /* ignore */ });
-        }
+// Helper to change site settings (RAM and DB)
+async function updateSettings(updates) {
+    Object.assign(state.settings, updates);
+    try {
+        await storage.saveSettings(state.settings);
+        bus.publish({ kind: 'reload', what: 'settings' });
+        console.log(`[DB] Site settings persisted (${storage.name})`);
+    } catch (err) {
+        console.error('[DB] Settings persistence error:', err);
     }
-}, 60000); // Check every minute
+}
 
-// --- WebSocket connection handling ---
-wss.on('connection', (ws, req) => {
-    const ip = req.socket.remoteAddress;
-    console.log(`New connection from ${ip}`);
-    ws.role = 'app'; // Default
-    ws.isAlive = true;
+// --- Switch History (kept by the storage backend) ---
+const transitions = createTransitionTracker();
 
-    // Heartbeat pong handler
-    ws.on('pong', () => {
-        ws.isAlive = true;
-    });
+// Logs the transitions in a hardware report ({ switches, physical }) against the board's previous one.
+// Call it before awaiting anything else so reports are compared in the order they arrived.
+async function recordReport(deviceId, report, channels = state.devices[deviceId].channels) {
+    const switches = {};
+    for (const [switchId, value] of Object.entries(report.switches || {})) {
+        if (channels.some(channel => channel.id === switchId)) switches[switchId] = value;
+    }
+    const events = transitions.confirm(deviceId, { switches, physical: report.physical });
+    if (!events.length) return;
 
-    // Initial sync
-    ws.send(JSON.stringify({ type: 'FULL_STATE', data: state }));
+    for (const event of events) {
+        console.log(`[History] ${deviceId}/${event.switchId}: ${event.previous} -> ${event.value} (${event.source})`);
+    }
+    // Changes someone asked for were audited then; the rest (wall switch, schedules...) are audited here
+    const hw = hardwareSockets.get(deviceId);
+    const unrequested = events.filter(event => !REQUESTED_SOURCES.includes(event.source)).map(event => createAuditEntry({
+        actor: { client: event.source, ip: ['physical', 'hardware'].includes(event.source) && hw ? hw.ip : null },
+        type: 'UPDATE_STATUS',
+        deviceId,
+        target: event.switchId,
+        changes: [{ path: `switches.${event.switchId}`, before: event.previous, after: event.value }]
+    }, event.at.getTime()));
+    try {
+        await storage.addEvents(events);
+    } catch (err) {
+        console.error('[DB] History persistence error:', err);
+    }
+    await recordAudit(...unrequested);
+}
 
-    ws.on('message', async (message) => {
-        try {
-            const payload = JSON.parse(message);
-            console.log('Received message:', payload);
+// Events of one device (optionally one channel) within [from, to), oldest first
+function findEvents(deviceId, query) {
+    return storage.findEvents(deviceId, query);
+}
 
-            if (payload.type === 'IDENTIFY') {
-                if (payload.role === 'hardware') {
-                    ws.role = 'hardware';
-                    state.isHardwareOnline = true;
-                    console.log('--- HW DEVICE LINKED ---');
+// A channel's value at `at`, i.e. that of its last event before it (0 if it has none)
+async function valueAt(deviceId, switchId, at) {
+    const event = await storage.lastEvent(deviceId, switchId, at);
+    return event ? event.value : 0;
+}
 
-                    // Initial HW Sync
-                    const updates = {};
-                    if (payload.data.switches) updates.switches = payload.data.switches;
-                    if (payload.data.physical) updates.physical = payload.data.physical;
-                    if (payload.data.system) updates.system = payload.data.system;
+// Tags the board's upcoming confirmation of a command with whoever asked for it
+function expectConfirmation(deviceId, command, source) {
+    for (const [switchId, value] of Object.entries(commandSwitches(command) || {})) {
+        transitions.expect(deviceId, switchId, value, source);
+    }
+}
 
-                    await updateAndSave(updates, false);
+// --- Audit Log (see lib/audit.js) ---
+// What each audited action can change, read before and after it runs; the difference becomes the
+// entry's `changes`. Device actions read the target device, site actions the shared state.
+const DEVICE_AUDIT_SCOPES = {
+    TOGGLE_SWITCH: (device) => ({ switches: device.switches, queue: device.queue }),
+    CANCEL_QUEUED: (device) => ({ queue: device.queue }),
+    SET_SCHEDULE: (device) => ({ schedules: device.schedules }),
+    SET_TIMER: (device) => ({ timers: device.timers }),
+    DELETE_TASK: (device) => ({ schedules: device.schedules, timers: device.timers }),
+    RENAME: (device) => ({ names: device.names }),
+    SET_WATTAGE: (device) => ({ wattage: device.wattage }),
+    SET_INTERLOCK: (device) => ({ interlocks: device.interlocks }),
+    SET_SCENE: (device) => ({ scenes: device.scenes }),
+    DELETE_SCENE: (device) => ({ scenes: device.scenes }),
+    APPLY_SCENE: (device) => ({ switches: device.switches, ledMode: device.system.ledMode }),
+    SYSTEM_UPDATE: (device) => ({ ledMode: device.system.ledMode, queue: device.queue }),
+    REBOOT: () => ({}),
+    OTA_UPDATE: (device) => ({ firmware: device.firmware, ota: device.ota && { version: device.ota.version, status: device.ota.status } })
+};
+const SITE_AUDIT_SCOPES = {
+    SET_RULE: () => ({ rules: state.rules }),
+    ENABLE_RULE: () => ({ rules: state.rules }),
+    DELETE_RULE: () => ({ rules: state.rules }),
+    UPDATE_SETTINGS: () => {
+        const { vapid, ...settings } = state.settings; // Never the Web Push private key
+        return { settings };
+    },
+    IMPORT_CONFIG: () => ({ config: configOf(state) }),
+    SET_VACATION: () => {
+        const { enabled, switches, jitter } = state.vacation;
+        return { vacation: { enabled, switches, jitter } };
+    },
+    CHECK_IN: () => ({ presence: Object.fromEntries(Object.entries(state.presence).map(([username, { home }]) => [username, { home }])) }),
+    MANAGE_USERS: () => ({ users: Object.fromEntries([...users.values()].map(({ username, role }) => [username, { role }])) }),
+    MANAGE_FIRMWARE: () => ({ firmware: [...firmwareImages.values()].map(({ id, version, size }) => ({ id, version, size })) })
+};
 
-                    // Immediately broadcast to all clients that hardware is online
-                    broadcast({ type: 'STATE_CHANGED', data: state });
-                    console.log('Hardware state synced and broadcasted to all clients');
-                }
-            }
-            else if (payload.type === 'UPDATE_STATUS') {
-                // Sent by ESP8266 (Surgical or Periodic)
-                const updates = {};
-                if (payload.data.switches) updates.switches = payload.data.switches;
-                if (payload.data.physical) updates.physical = payload.data.physical;
-                if (payload.data.system) updates.system = payload.data.system;
+// Reads an action's scope now; commit() reads it again and records the entry.
+// Returns null for actions that are not audited.
+function beginAudit(actor, type, { deviceId = null, target = null } = {}) {
+    const siteScope = SITE_AUDIT_SCOPES[type];
+    const deviceScope = DEVICE_AUDIT_SCOPES[type];
+    if (!siteScope && !deviceScope) return null;
+    const auditedDevice = siteScope ? null : deviceId || DEFAULT_DEVICE_ID;
+    const read = () => {
+        if (siteScope) return snapshot(siteScope());
+        const device = state.devices[auditedDevice];
+        return device ? snapshot(deviceScope(device)) : {};
+    };
+    const before = read();
+    return {
+        commit: () => recordAudit(createAuditEntry({ actor, type, deviceId: auditedDevice, target, changes: diff(before, read()) }))
+    };
+}
 
-                await updateAndSave(updates, false);
-                broadcast({ type: 'STATE_CHANGED', data: state }, ws);
+async function recordAudit(...entries) {
+    if (!entries.length) return;
+    for (const { actor, type, deviceId, target, changes } of entries) {
+        const where = [deviceId, target].filter(Boolean).join('/');
+        console.log(`[Audit] ${actor.username || actor.client} (${actor.client}${actor.ip ? `, ${actor.ip}` : ''}) ${type}${where ? ` ${where}` : ''}: ${changes.length} change(s)`);
+    }
+    try {
+        await storage.addAudit(entries);
+    } catch (err) {
+        console.error('[DB] Audit persistence error:', err);
+    }
+}
+
+// --- Offline Command Queue (opt-in, see lib/queue.js) ---
+async function queueCommand(deviceId, command, by, source) {
+    const device = state.devices[deviceId];
+    const { queue, entry } = enqueue(device.queue, command, { by, source, ttl: state.settings.queueTtl });
+    console.log(`[Queue] ${command.action} for offline '${deviceId}' queued by ${by} (${entry.id})`);
+    await updateAndSave(deviceId, { queue }, true);
+    broadcast({ type: 'STATE_CHANGED', data: state });
+    return entry;
+}
+
+// Delivers a board's queue right after it IDENTIFYs, oldest first; expired entries are dropped
+async function replayQueue(deviceId) {
+    const device = state.devices[deviceId];
+    if (!device.queue.length) return;
+    const { live, expired } = pruneExpired(device.queue);
+    if (expired.length) console.log(`[Queue] ${expired.length} expired command(s) for '${deviceId}' dropped`);
+
+    await updateAndSave(deviceId, { queue: [] }, true);
+    for (const entry of live) {
+        if (entry.action === 'TOGGLE') {
+            const channel = getChannel(device, entry.switchId);
+            const level = channel ? normalizeValue(channel, entry.value) : null;
+            if (level === null) continue; // The board no longer declares that channel
+            if (interlockRefusal(device, entry.switchId, level)) {
+                console.log(`[Queue] Queued ${entry.switchId} -> ${level} for '${deviceId}' dropped: held off at the wall`);
+                continue;
             }
-            else if (payload.type === 'TOGGLE_SWITCH') {
-                const { switchId, value } = payload.data;
+            await updateAndSave(deviceId, { switches: { [entry.switchId]: level } }, false);
+            sendToDevice(deviceId, { type: 'COMMAND', data: { action: 'TOGGLE', switchId: entry.switchId, value: level } }, entry.source);
+        } else if (entry.action === 'SYSTEM') {
+            await updateAndSave(deviceId, { system: { ledMode: entry.ledMode } }, false);
+            sendToDevice(deviceId, { type: 'COMMAND', data: { action: 'SYSTEM', ledMode: entry.ledMode } });
+        }
+    }
+    console.log(`[Queue] Replayed ${live.length} queued command(s) to '${deviceId}'`);
+    broadcast({ type: 'STATE_CHANGED', data: state });
+}
 
-                // --- ARMOR PLATING: Reject if Hardware is Offline ---
-                if (!state.isHardwareOnline) {
-                    console.log(`REJECTED: App tried to toggle ${switchId} but HW is OFFLINE.`);
-                    ws.send(JSON.stringify({
-                        type: 'ERROR',
-                        message: 'Hardware Offline - Command Delayed'
-                    }));
-                    ws.send(JSON.stringify({ type: 'STATE_CHANGED', data: state }));
-                    return;
-                }
+// Drops expired entries so the apps stop showing them
+async function pruneQueues() {
+    for (const [deviceId, device] of Object.entries(state.devices)) {
+        const { live, expired } = pruneExpired(device.queue);
+        if (!expired.length) continue;
+        console.log(`[Queue] ${expired.length} queued command(s) for '${deviceId}' expired`);
+        await updateAndSave(deviceId, { queue: live }, true);
+        broadcast({ type: 'STATE_CHANGED', data: state });
+    }
+}
 
-                const switches = { ...state.switches };
+// --- Middleware ---
+app.use(express.json({ limit: '1mb' })); // Configuration bundles (lib/backup.js) outgrow the 100 kB default
+app.use(express.static('public'));
 
-                /* Restrictive Override Removed - Allowing App to Toggle Regardless of Physical Position */
+// --- WebSocket Broadcast (logged-in apps & hardware only) ---
+function broadcast(data, excludeWs = null) {
+    sendToClients(data, excludeWs);
+    // MQTT mirrors exactly what the apps are shown
+    if (mqttBridge && data.type === 'STATE_CHANGED') mqttBridge.sync();
+    // ...and so do the apps connected to the other instances (see Cluster)
+    if (data.type === 'STATE_CHANGED') publishLive();
+    else bus.publish({ kind: 'broadcast', data });
+}
 
-                if (switches.hasOwnProperty(switchId)) {
-                    switches[switchId] = value;
-                    await updateAndSave({ switches }, false); // Toggle is transient until ESP confirms it
+// The sockets connected to this instance only
+function sendToClients(data, excludeWs = null) {
+    const messages = new Map(); // role -> the message as that role sees it, serialized once
+    wss.clients.forEach(client => {
+        const isTrusted = client.user || client.role === 'hardware';
+        if (client !== excludeWs && isTrusted && client.readyState === WebSocket.OPEN) {
+            const role = client.user ? client.user.role : 'hardware';
+            if (!messages.has(role)) messages.set(role, JSON.stringify(messageFor(role, data)));
+            client.send(messages.get(role));
+        }
+    });
+}
 
-                    console.log(`Broadcasting COMMAND to toggle ${switchId} to ${value}`);
-                    broadcast({ type: 'COMMAND', data: { action: 'TOGGLE', switchId, value } });
-                    broadcast({ type: 'STATE_CHANGED', data: state });
-                }
-            }
-            else if (payload.type === 'SET_SCHEDULE') {
-                const { switchId, active, time, action } = payload.data;
-                console.log(`[Schedule] Setting ${switchId} to ${action === 1 ? 'ON' : 'OFF'} at ${time}`);
+// State messages carry only what the role may see (auth.visibleState); the boards get them whole
+function messageFor(role, data) {
+    if (role === 'hardware' || (data.type !== 'STATE_CHANGED' && data.type !== 'FULL_STATE')) return data;
+    return { ...data, data: auth.visibleState(data.data, role) };
+}
 
-                state.schedules[switchId] = { active, time, action };
+// --- Cluster (several instances behind a load balancer, see lib/bus) ---
+// With BUS_URL set, instances share one storage backend (STORAGE=mongo) and talk over the bus:
+//   broadcast  { data }                    an app broadcast other than STATE_CHANGED
+//   live       { deviceId, fields }        what a board linked through the sender reports (LIVE_FIELDS)
+//   ota        { deviceId, ota }           a board's firmware update moved on
+//   reload     { what, deviceId?, id? }    something changed in storage: a 'device', a 'rule', the
+//                                          'settings', the 'vacation' mode, the 'users' or 'firmware'
+//   command    { deviceId, data, source }  a message for a board linked through another instance
+//   claim      { deviceId }                the sender now holds the board's socket
+//   release    { deviceId }                ...and no longer does
+//   hello / bye                            an instance starts (the others answer with their claims
+//                                          and live state) or stops
+//   heartbeat                              every BUS_HEARTBEAT, so the others know who is alive
+// A change is published once storage has it, and the others read just that entity back, so edits
+// made through different instances at once all stand. Two edits of one device still race: each
+// instance saves the whole device document, and the later save wins.
+// Only the instance holding a board's socket sends it COMMANDs and feeds its changes to the rules;
+// only the leader (lib/bus createPeerTracker) runs the clock. Run the MQTT bridge on one instance.
+const INSTANCE_ID = process.env.INSTANCE_ID || crypto.randomBytes(4).toString('hex');
+const BUS_HEARTBEAT = 10 * 1000;
+const bus = createBus({ url: process.env.BUS_URL, channel: process.env.BUS_CHANNEL || undefined, instanceId: INSTANCE_ID });
+const peers = createPeerTracker(INSTANCE_ID);
+const owners = new Map(); // deviceId -> ID of the instance holding the board's socket
+// What only the board's own instance knows for sure
+const LIVE_FIELDS = ['switches', 'physical', 'system', 'pending', 'isHardwareOnline', 'firmware', 'otaCapable', 'acks'];
+const publishedLive = new Map(); // deviceId -> the live fields last published, as JSON
 
-                // 1. Update all Apps
-                broadcast({ type: 'STATE_CHANGED', data: state });
+function ownedElsewhere(deviceId) {
+    const owner = owners.get(deviceId);
+    return !!owner && owner !== INSTANCE_ID;
+}
 
-                // 2. Sync with Hardware (Offline Protection)
-                broadcast({ type: 'COMMAND', data: { action: 'SYNC_SCHED', switchId, active, time, action } });
+function claimDevice(deviceId) {
+    owners.set(deviceId, INSTANCE_ID);
+    bus.publish({ kind: 'claim', deviceId });
+}
 
-                // 3. Persist to DB
-                await updateAndSave({ schedules: state.schedules }, true);
-            }
-            else if (payload.type === 'SET_TIMER') {
-                const { switchId, active, duration, action } = payload.data;
-                console.log(`[Timer] Setting ${switchId} for ${duration}s -> ${action === 1 ? 'ON' : 'OFF'}`);
+function releaseDevice(deviceId) {
+    if (owners.get(deviceId) !== INSTANCE_ID) return;
+    owners.delete(deviceId);
+    publishedLive.delete(deviceId);
+    bus.publish({ kind: 'release', deviceId });
+}
 
-                // Calculate End Time in IST (Now + Duration)
-                // Note: endAt is a timestamp, independent of Timezone logic, but we treat it as UTC+5:30 reference
-                const endAt = Date.now() + (duration * 1000);
+// Shares what the boards linked here reported since the last call (all of it when `force`)
+function publishLive(force = false) {
+    for (const [deviceId, owner] of owners) {
+        if (owner !== INSTANCE_ID) continue;
+        const device = state.devices[deviceId];
+        const fields = Object.fromEntries(LIVE_FIELDS.map(field => [field, device[field]]));
+        const json = JSON.stringify(fields);
+        if (!force && publishedLive.get(deviceId) === json) continue;
+        if (bus.publish({ kind: 'live', deviceId, fields })) publishedLive.set(deviceId, json);
+    }
+}
 
-                state.timers[switchId] = { active, endAt, action };
+// Shows the apps and MQTT here what changed through another instance
+function refreshClients() {
+    sendToClients({ type: 'STATE_CHANGED', data: state });
+    if (mqttBridge) mqttBridge.sync();
+}
 
-                // 1. Update all Apps
-                broadcast({ type: 'STATE_CHANGED', data: state });
+// A device's stored document as the sender saved it. What its board reports is taken only when the
+// sender holds its socket or nobody does; the instance holding it knows better than storage.
+function reloadDevice(deviceId, saved, from) {
+    const device = ensureDevice(deviceId);
+    const stored = createDeviceState(deviceId);
+    applyDocument(stored, saved);
+    const owner = owners.get(deviceId);
+    const live = !owner || owner === from;
+    if (JSON.stringify(stored.channels) !== JSON.stringify(device.channels)) applyChannels(device, stored.channels);
+    for (const field of DOCUMENT_FIELDS) {
+        if (live || !LIVE_FIELDS.includes(field)) device[field] = stored[field];
+    }
+}
 
-                // 2. Sync with Hardware (Offline Protection)
-                broadcast({ type: 'COMMAND', data: { action: 'SYNC_TIMER', switchId, active, duration, action } });
+// A message another instance has for a board linked here. That instance already shows the
+// command's effect; it is applied here too, where the rules see the board's changes.
+async function sendForwarded({ deviceId, data, source }) {
+    if (data.type !== 'COMMAND') return sendToDevice(deviceId, data);
+    const command = data.data;
+    const updates = {};
+    const switches = commandSwitches(command);
+    if (switches) updates.switches = switches;
+    if (command.action === 'SYSTEM') updates.system = { ledMode: command.ledMode, reboot: command.reboot };
+    if (command.action === 'SCENE' && command.ledMode !== null) updates.system = { ledMode: command.ledMode };
+    if (updates.system) updates.system = Object.fromEntries(Object.entries(updates.system).filter(([, value]) => value !== undefined));
 
-                // 3. Persist to DB
-                await updateAndSave({ timers: state.timers }, true);
-            }
-            else if (payload.type === 'DELETE_TASK') {
-                const { switchId, taskType } = payload.data;
-                console.log(`[Delete] Removing ${taskType} for ${switchId}`);
-
-                if (taskType === 'schedule') {
-                    state.schedules[switchId] = { active: false, time: null, action: null };
-                    broadcast({ type: 'COMMAND', data: { action: 'SYNC_SCHED', switchId, active: false } });
-                } else if (taskType === 'timer') {
-                    state.timers[switchId] = { active: false, endAt: null, action: null };
-                    broadcast({ type: 'COMMAND', data: { action: 'SYNC_TIMER', switchId, active: false } });
-                }
-                broadcast({ type: 'STATE_CHANGED', data: state });
-            }
-            else if (payload.type === 'RENAME') {
-                const { id, newName } = payload.data;
-                const names = { ...state.names };
-                if (names.hasOwnProperty(id)) {
-                    names[id] = newName;
-                    await updateAndSave({ names }, true); // PERSIST NAMES
-                    broadcast({ type: 'STATE_CHANGED', data: state });
-                }
-            }
-            else if (payload.type === 'SYSTEM_UPDATE') {
-                // --- ARMOR PLATING: Reject if Hardware is Offline ---
-                if (!state.isHardwareOnline) {
-                    ws.send(JSON.stringify({ type: 'ERROR', message: 'Hardware Offline' }));
-                    ws.send(JSON.stringify({ type: 'STATE_CHANGED', data: state }));
-                    return;
-                }
-                await updateAndSave({ system: payload.data }, false); // Transients (ledMode, reboot)
-                broadcast({ type: 'COMMAND', data: { action: 'SYSTEM', ...payload.data } });
-                broadcast({ type: 'STATE_CHANGED', data: state });
+    if (switches || updates.system) await updateAndSave(deviceId, updates, false);
+    sendToDevice(deviceId, data, source);
+    if (switches || updates.system) broadcast({ type: 'STATE_CHANGED', data: state });
+}
+
+async function reloadFromStorage({ what, deviceId, id, from }) {
+    try {
+        if (what === 'device') {
+            const saved = (await storage.loadDevices()).find(document => document.id === deviceId);
+            if (saved) reloadDevice(deviceId, saved, from);
+        } else if (what === 'rule') {
+            const saved = (await storage.loadRules()).find(rule => rule.id === id);
+            const index = state.rules.findIndex(rule => rule.id === id);
+            if (!saved) state.rules = state.rules.filter(rule => rule.id !== id);
+            else if (index === -1) state.rules.push(saved);
+            else state.rules[index] = saved;
+        } else if (what === 'settings' || what === 'vacation') {
+            const settings = await storage.loadSettings();
+            if (settings) applySettings(settings);
+        } else if (what === 'users') {
+            const loaded = await storage.loadUsers();
+            users.clear();
+            state.presence = {};
+            for (const user of loaded) {
+                users.set(user.username, user);
+                if (user.presence) state.presence[user.username] = user.presence;
             }
-        } catch (e) {
-            console.error('Error processing message:', e);
+        } else if (what === 'firmware') {
+            const loaded = await storage.loadFirmware();
+            firmwareImages.clear();
+            for (const image of loaded) firmwareImages.set(image.id, image);
+            return; // Nothing the apps are shown
         }
-    });
+        refreshClients();
+    } catch (err) {
+        console.error(`[Bus] Reloading ${what} failed:`, err);
+    }
+}
 
-    ws.on('close', (code, reason) => {
-        if (ws.role === 'hardware') {
-            console.log(`--- HW DEVICE DISCONNECTED --- Code: ${code}, Reason: ${reason || 'No reason provided'}`);
-            state.isHardwareOnline = false;
-            broadcast({ type: 'STATE_CHANGED', data: state });
-        } else {
-            console.log(`App disconnected from ${ip}`);
+async function onBusMessage(message) {
+    const { from, deviceId } = message;
+    if (message.kind === 'bye') return peers.forget(from);
+    peers.seen(from);
+    switch (message.kind) {
+        case 'broadcast':
+            sendToClients(message.data);
+            break;
+        case 'live':
+            if (owners.get(deviceId) !== from) return; // Sent before the board moved on
+            Object.assign(ensureDevice(deviceId), message.fields);
+            refreshClients();
+            break;
+        case 'ota':
+            ensureDevice(deviceId).ota = message.ota;
+            refreshClients();
+            break;
+        case 'command':
+            if (hardwareSockets.has(deviceId)) await sendForwarded(message);
+            break;
+        case 'claim': {
+            owners.set(deviceId, from);
+            // The board reconnected through another instance; a socket to it still open here is stale
+            const stale = hardwareSockets.get(deviceId);
+            if (stale) {
+                hardwareSockets.delete(deviceId);
+                commands.failDevice(deviceId, 'Hardware linked through another instance');
+                stale.close(4009, 'Linked through another instance');
+            }
+            alertOnline(deviceId); // An offline alert pending here is moot
+            break;
         }
-    });
+        case 'release':
+            if (owners.get(deviceId) === from) owners.delete(deviceId);
+            break;
+        case 'hello':
+            // The newcomer read everything else from storage
+            for (const id of hardwareSockets.keys()) bus.publish({ kind: 'claim', deviceId: id });
+            publishLive(true);
+            for (const id of hardwareSockets.keys()) {
+                if (state.devices[id].ota) bus.publish({ kind: 'ota', deviceId: id, ota: state.devices[id].ota });
+            }
+            break;
+        case 'reload':
+            await reloadFromStorage(message);
+            break;
+    }
+}
 
-    ws.on('error', (error) => {
-        console.error('WebSocket error:', error);
-    });
-});
+async function joinCluster() {
+    bus.subscribe(message => onBusMessage(message).catch(err => console.error('[Bus] Message error:', err)));
+    await bus.connect();
+    bus.publish({ kind: 'hello' });
+    console.log(`[Bus] Instance ${INSTANCE_ID} joined the ${bus.name} bus`);
+}
 
-// --- REST API ---
-app.get('/ping', (req, res) => res.send('PONG - System Active')); // Wake-up endpoint
-app.get('/api/state', (req, res) => res.json(state));
+// --- MQTT Bridge (optional, see lib/mqtt.js) ---
+// Set MQTT_URL (e.g. mqtt://homeassistant.local:1883) to publish state and accept commands over MQTT
+const mqttBridge = process.env.MQTT_URL ? createMqttBridge({
+    url: process.env.MQTT_URL,
+    username: process.env.MQTT_USERNAME,
+    password: process.env.MQTT_PASSWORD,
+    prefix: process.env.MQTT_PREFIX || undefined,
+    discoveryPrefix: process.env.MQTT_DISCOVERY_PREFIX || undefined,
+    getState: () => state,
+    channelMax: (channel) => CHANNEL_TYPES[channel.type].max(channel),
+    toggle: async (deviceId, switchId, value) => {
+        const audit = beginAudit({ client: 'mqtt' }, 'TOGGLE_SWITCH', { deviceId, target: switchId });
+        const result = await requestToggle(deviceId, switchId, value, 'mqtt', 'mqtt');
+        if (!result.error) await audit.commit();
+        return result;
+    }
+}) : null;
 
-app.post('/api/toggle', async (req, res) => {
-    const { switchId, value } = req.body;
+// --- Device Routing (COMMANDs only go to the target board) ---
+function transmit(deviceId, message) {
+    const hw = hardwareSockets.get(deviceId);
+    if (!hw || hw.readyState !== WebSocket.OPEN) return false;
+    hw.send(JSON.stringify(message));
+    return true;
+}
 
-    /* Restrictive Override Removed */
+// --- Command Delivery (seq/ack with retries, see lib/commands.js) ---
+const COMMAND_TIMEOUT_MS = parseInt(process.env.COMMAND_TIMEOUT_MS) || 3000;
+const COMMAND_RETRIES = process.env.COMMAND_RETRIES ? parseInt(process.env.COMMAND_RETRIES) : 2;
 
-    if (state.switches.hasOwnProperty(switchId)) {
-        const switches = { ...state.switches };
-        switches[switchId] = value;
-        await updateAndSave({ switches }, false);
+const commands = createCommandTracker({
+    transmit,
+    onSettled: (entry, result) => settleCommand(entry, result).catch(err => console.error('[Commands] Settle error:', err)),
+    timeout: COMMAND_TIMEOUT_MS,
+    retries: COMMAND_RETRIES
+});
 
-        broadcast({ type: 'COMMAND', data: { action: 'TOGGLE', switchId, value } });
-        broadcast({ type: 'STATE_CHANGED', data: state });
-        res.json({ success: true, state });
-    } else {
-        res.status(400).json({ success: false, error: 'Invalid switch ID' });
+// `source` ('app', 'schedule', ...) labels the switch history entries the command leads to.
+// Returns the COMMAND's seq (truthy), true when it went to the board's instance (which numbers it),
+// or false if the board is not connected.
+function sendToDevice(deviceId, data, source = null) {
+    // Boards linked through another instance get it from there, numbered there (see sendForwarded)
+    if (!hardwareSockets.has(deviceId) && ownedElsewhere(deviceId)) {
+        console.log(`${data.type === 'COMMAND' ? `COMMAND ${data.data.action}` : data.type} for '${deviceId}' forwarded to instance ${owners.get(deviceId)}`);
+        return bus.publish({ kind: 'command', deviceId, data, source });
+    }
+    if (data.type !== 'COMMAND') {
+        if (!transmit(deviceId, data)) {
+            console.log(`[Devices] '${deviceId}' not connected, ${data.type} dropped`);
+            return false;
+        }
+        return true;
     }
-});
 
-server.listen(PORT, () => {
-    console.log(`Server is running on port ${PORT}`);
-});
+    // Switch commands are always tracked: legacy boards confirm them with UPDATE_STATUS instead of an ACK
+    const device = state.devices[deviceId];
+    const switches = commandSwitches(data.data);
+    const seq = commands.send(deviceId, data.data, { track: !!switches || device.acks });
+    if (!seq) {
+        console.log(`[Devices] '${deviceId}' not connected, COMMAND ${data.data.action} dropped`);
+        return false;
+    }
+    console.log(`COMMAND ${data.data.action} #${seq} routed to '${deviceId}'`);
+    for (const [switchId, value] of Object.entries(switches || {})) device.pending[switchId] = { seq, value };
+    if (source) expectConfirmation(deviceId, data.data, source);
+    return seq;
+}
+
+// The seq a request reports back: none for commands numbered on another instance
+function sentSeq(sent) {
+    return typeof sent === 'number' ? sent : null;
+}
+
+// Clears a settled command's pending marks; a failed switch command falls back to what the board last reported
+async function settleCommand({ deviceId, seq, data, switches }, result) {
+    const device = state.devices[deviceId];
+    const current = Object.keys(switches || {}).filter(switchId => device.pending[switchId] && device.pending[switchId].seq === seq);
+    if (switches && !current.length) return; // Superseded by newer commands to the same channels
+    for (const switchId of current) delete device.pending[switchId];
+
+    if (result.ok) {
+        console.log(`[Commands] #${seq} ${data.action} confirmed by '${deviceId}'`);
+    } else {
+        console.log(`[Commands] #${seq} ${data.action} to '${deviceId}' failed: ${result.error}`);
+        broadcast({ type: 'COMMAND_FAILED', data: { deviceId, seq, action: data.action, switches: current, error: result.error } });
+        if (data.action === 'OTA_UPDATE') {
+            // A board that refuses the update (no room, busy...) says so in its ACK; the update alert covers it
+            if (device.ota && device.ota.id === data.updateId && isUpdating(device.ota)) setOta(deviceId, failUpdate(device.ota, result.error));
+        } else if (hardwareSockets.has(deviceId)) {
+            // Commands lost to a disconnect are covered by the offline alert
+            notify('command-failed', deviceId, `Command failed on ${deviceLabel(deviceId)}`, `${describeCommand(deviceId, data)}: ${result.error}`, { seq });
+        }
+
+        const reverted = {};
+        for (const switchId of current) {
+            const confirmed = transitions.confirmedValue(deviceId, switchId);
+            if (confirmed !== undefined) reverted[switchId] = confirmed;
+        }
+        if (Object.keys(reverted).length) await updateAndSave(deviceId, { switches: reverted }, false);
+    }
+    if (switches) broadcast({ type: 'STATE_CHANGED', data: state });
+}
+
+// --- Notifications (Web Push and webhooks, see lib/notifications.js) ---
+// VAPID keys come from the environment, or are generated on first start and kept in storage
+// (push subscriptions are bound to them, so they must survive restarts).
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || 'mailto:admin@localhost';
+let vapidKeys = process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY
+    ? { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY }
+    : null;
+// A board that reconnects within this many seconds (a Wi-Fi blip, a reboot) raises no alert
+const OFFLINE_ALERT_DELAY = (process.env.OFFLINE_ALERT_DELAY ? parseInt(process.env.OFFLINE_ALERT_DELAY) : 60) * 1000;
+
+const notifier = notifications.createNotifier({
+    // Webhooks a member set up before they became admin-only are not called
+    getUsers: () => [...users.values()].map(user => (auth.can(user.role, 'MANAGE_WEBHOOKS')
+        ? user
+        : { ...user, notifications: { ...notifications.getPreferences(user), webhooks: [] } })),
+    saveUser,
+    getTimeZone,
+    getVapid: () => vapidKeys && { subject: VAPID_SUBJECT, ...vapidKeys }
+});
+
+// Delivery runs in the background so slow push services and webhooks never hold up the caller
+function notify(type, deviceId, title, body, data = {}) {
+    notifier.emit({ type, deviceId, title, body, data }).catch(err => console.error('[Notify] Error:', err));
+}
+
+function deviceLabel(deviceId) {
+    const device = state.devices[deviceId];
+    return (device && device.label) || deviceId;
+}
+
+// "Porch -> ON", "Fan -> speed 3", "Scene Movie night"
+function describeTarget(deviceId, target, value) {
+    const device = state.devices[deviceId];
+    const found = getTarget(device, target);
+    if (!found) return target;
+    if (found.scene) return `Scene ${found.scene.name}`;
+    const { channel } = found;
+    const name = device.names[target] || target;
+    if (!value) return `${name} -> OFF`;
+    if (channel.type === 'dimmer') return `${name} -> ${value}%`;
+    if (channel.type === 'fan-speed') return `${name} -> speed ${value}`;
+    return `${name} -> ON`;
+}
+
+function describeCommand(deviceId, data) {
+    if (data.action === 'TOGGLE') return describeTarget(deviceId, data.switchId, data.value);
+    if (data.action === 'SCENE') return describeTarget(deviceId, sceneTarget(data.sceneId));
+    return data.action;
+}
+
+// Called by the automation loop whenever a schedule or timer fires; `sent` is false if nothing reached the board
+function notifyTask(kind, deviceId, target, value, sent, reason = 'the board is offline') {
+    const what = `${describeTarget(deviceId, target, value)} on ${deviceLabel(deviceId)}`;
+    const label = kind === 'schedule' ? 'Schedule' : 'Timer';
+    if (!sent) return notify('command-failed', deviceId, `${label} could not run`, `${what}: ${reason}`, { target });
+    notify(`${kind}-run`, deviceId, kind === 'schedule' ? 'Schedule ran' : 'Timer finished', what, { target, value });
+}
+
+const offlineAlerts = new Map(); // deviceId -> timeout of the pending alert
+const alertedOffline = new Set(); // Devices whose offline alert went out
+
+function alertOffline(deviceId) {
+    clearTimeout(offlineAlerts.get(deviceId));
+    offlineAlerts.set(deviceId, setTimeout(() => {
+        offlineAlerts.delete(deviceId);
+        alertedOffline.add(deviceId);
+        notify('device-offline', deviceId, `${deviceLabel(deviceId)} went offline`, 'Its switches cannot be controlled until it reconnects.');
+    }, OFFLINE_ALERT_DELAY));
+}
+
+function alertOnline(deviceId) {
+    clearTimeout(offlineAlerts.get(deviceId));
+    offlineAlerts.delete(deviceId);
+    if (alertedOffline.delete(deviceId)) {
+        notify('device-online', deviceId, `${deviceLabel(deviceId)} is back online`, 'The board reconnected.');
+    }
+}
+
+// --- Device Health (see lib/health.js) ---
+const health = createHealthMonitor({
+    save: async (records) => {
+        try {
+            await storage.addHealth(records);
+        } catch (err) {
+            console.error('[DB] Health persistence error:', err);
+        }
+    },
+    lastDisconnect: async (deviceId) => {
+        try {
+            const [last] = await storage.findHealth(deviceId, { kind: 'disconnect', from: new Date(0), to: new Date(), limit: 1 });
+            return last ? last.at : null;
+        } catch (err) {
+            console.error('[DB] Health lookup error:', err);
+            return null;
+        }
+    }
+});
+
+// Uptime only feeds the health records; kept out of the device state, it does not change it every report
+function withoutUptime({ uptime, ...system }) {
+    return system;
+}
+
+// --- Firmware Updates (OTA, see lib/firmware.js) ---
+// Boards download from PUBLIC_URL (e.g. https://home-smart.onrender.com); without it they get a
+// path and resolve it against the server they are connected to.
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+const FIRMWARE_MAX_BYTES = (parseInt(process.env.FIRMWARE_MAX_KB) * 1024) || DEFAULT_FIRMWARE_SIZE;
+const firmwareImages = new Map(); // id -> image metadata; the bytes stay in storage
+
+function firmwareUrl(image, deviceId) {
+    return `${PUBLIC_URL}/api/v1/firmware/${image.id}/binary?token=${createDownloadToken(image.id, deviceId, AUTH_SECRET)}`;
+}
+
+// Moves a board's update on and shows it to the apps; finished updates raise an alert
+function setOta(deviceId, update) {
+    const device = state.devices[deviceId];
+    const changed = !device.ota || device.ota.id !== update.id || device.ota.status !== update.status;
+    device.ota = update;
+    bus.publish({ kind: 'ota', deviceId, ota: update });
+    if (changed) {
+        console.log(`[OTA] '${deviceId}' -> ${update.version}: ${update.status}${update.error ? ` (${update.error})` : ''}`);
+        if (update.status === 'done') {
+            notify('ota-result', deviceId, `${deviceLabel(deviceId)} updated`, `Now running firmware ${update.version}`);
+        } else if (update.status === 'failed') {
+            notify('ota-result', deviceId, `Update failed on ${deviceLabel(deviceId)}`, `Firmware ${update.version}: ${update.error}`);
+        }
+    }
+    broadcast({ type: 'STATE_CHANGED', data: state });
+}
+
+// Updates the board stopped reporting on (it never came back, or hung mid-download)
+function failStalledUpdates() {
+    for (const [deviceId, device] of Object.entries(state.devices)) {
+        if (isStalled(device.ota)) setOta(deviceId, failUpdate(device.ota, 'The board stopped reporting progress'));
+    }
+}
+
+// --- Server-side Heartbeat (Keep connections alive) ---
+// Runs every 30 seconds (see start())
+function heartbeat() {
+    wss.clients.forEach((ws) => {
+        if (ws.isAlive === false) {
+            console.log('Terminating dead connection');
+            if (ws.role === 'hardware') health.heartbeatMissed(ws.deviceId);
+            return ws.terminate();
+        }
+        ws.isAlive = false;
+        ws.ping();
+    });
+}
+
+// --- SITE LOCATION (Sun-anchored schedules) ---
+// Sunrise/sunset are computed locally; no location means sun anchors simply never fire.
+const SITE_LATITUDE = parseFloat(process.env.SITE_LATITUDE);
+const SITE_LONGITUDE = parseFloat(process.env.SITE_LONGITUDE);
+const HAS_LOCATION = Number.isFinite(SITE_LATITUDE) && Number.isFinite(SITE_LONGITUDE);
+if (!HAS_LOCATION) console.warn('[Solar] SITE_LATITUDE/SITE_LONGITUDE not set - sunrise/sunset anchors disabled');
+
+// Aura windows take the same anchors as schedules, e.g. AURA_NIGHT_ANCHOR=dusk AURA_NIGHT_OFFSET=60
+// They only shape the two default Aura rules created on first run; after that the rules are edited in the app.
+const AURA_NIGHT = {
+    anchor: process.env.AURA_NIGHT_ANCHOR || 'time',
+    time: process.env.AURA_NIGHT_TIME || '22:30',
+    offset: parseInt(process.env.AURA_NIGHT_OFFSET) || 0
+};
+const AURA_MORNING = {
+    anchor: process.env.AURA_MORNING_ANCHOR || 'time',
+    time: process.env.AURA_MORNING_TIME || '05:00',
+    offset: parseInt(process.env.AURA_MORNING_OFFSET) || 0
+};
+
+const SITE_LOCATION = HAS_LOCATION ? { latitude: SITE_LATITUDE, longitude: SITE_LONGITUDE } : null;
+const HOME_RADIUS = parseInt(process.env.HOME_RADIUS) || DEFAULT_HOME_RADIUS; // Meters, for positional check-ins
+
+// --- AUTOMATION ENGINE (site time zone, see lib/automation.js) ---
+function getTimeZone() {
+    return state.settings.timeZone;
+}
+
+// --- RULE ENGINE (see lib/rules.js) ---
+// Fresh installs start with the Aura night/morning protocol as two rules; MongoDB replaces these on connect.
+state.rules = createDefaultRules({ auraNight: AURA_NIGHT, auraMorning: AURA_MORNING });
+
+const rules = createRuleEngine({
+    state,
+    getClock: () => automation.getClock(),
+    run: {
+        async toggle(deviceId, switchId, value) {
+            const device = state.devices[deviceId];
+            const channel = getChannel(device, switchId);
+            const level = channel ? normalizeValue(channel, value) : null;
+            const reason = level === null ? 'invalid channel or value'
+                : !device.isHardwareOnline ? 'hardware offline'
+                : interlockRefusal(device, switchId, level) ? 'held off at the wall' : null;
+            if (reason) {
+                console.log(`[Rules] Skipping toggle of ${deviceId}/${switchId} (${reason})`);
+                return;
+            }
+            await updateAndSave(deviceId, { switches: { [switchId]: level } }, false);
+            sendToDevice(deviceId, { type: 'COMMAND', data: { action: 'TOGGLE', switchId, value: level } }, 'rule');
+            broadcast({ type: 'STATE_CHANGED', data: state });
+        },
+        async setLedMode(deviceId, ledMode) {
+            const audit = beginAudit({ client: 'rule' }, 'SYSTEM_UPDATE', { deviceId });
+            await updateAndSave(deviceId, { system: { ledMode } }, false);
+            await audit.commit();
+            broadcast({ type: 'STATE_CHANGED', data: state });
+            sendToDevice(deviceId, { type: 'COMMAND', data: { action: 'SYSTEM', ledMode } });
+        },
+        async startTimer(deviceId, switchId, duration, value) {
+            const channel = getChannel(state.devices[deviceId], switchId);
+            if (!channel || normalizeValue(channel, value) === null) {
+                console.log(`[Rules] Skipping timer on ${deviceId}/${switchId} (invalid channel or value)`);
+                return;
+            }
+            await startTimer(deviceId, switchId, true, duration, value);
+        },
+        async notify(deviceId, rule, message) {
+            broadcast({ type: 'NOTIFY', data: { deviceId, ruleId: rule.id, title: rule.name, message } });
+            notify('rule-notify', deviceId, rule.name, message, { ruleId: rule.id });
+        }
+    }
+});
+
+const automation = createAutomation({
+    state,
+    getTimeZone,
+    location: SITE_LOCATION,
+    rules,
+    updateAndSave,
+    broadcast,
+    sendToDevice,
+    syncSchedules,
+    applyScene: async (deviceId, sceneId, source) => {
+        const { error } = await applyScene(deviceId, sceneId, source);
+        if (error) console.log(`[Scenes] Scheduled scene ${sceneId} on ${deviceId} skipped: ${error}`);
+        return !error;
+    },
+    interlocked: (deviceId, switchId, value) => {
+        const refusal = interlockRefusal(state.devices[deviceId], switchId, value);
+        return refusal && refusal.error;
+    },
+    notify: notifyTask,
+    saveVacation
+});
+
+// Runs every minute (see start())
+async function minuteTick() {
+    // One instance runs the clock (see Cluster); the others would fire everything again
+    if (!peers.isLeader()) return;
+    const clock = await automation.tick();
+    await pruneQueues();
+    failStalledUpdates();
+    await backupIfDue();
+
+    // STAY-AWAKE PROTOCOL (23-Hour Active)
+    // Prevents Render spin-down except during the hardware's deep sleep window (2:30 AM - 3:30 AM local)
+    if (!isSleepWindow(clock) && clock.minutes % 10 === 0) {
+        const https = require('https');
+        const selfUrl = process.env.SELF_URL || `https://${process.env.RENDER_EXTERNAL_HOSTNAME}.onrender.com/ping`;
+        if (selfUrl.startsWith('https')) {
+            https.get(selfUrl, (res) => {
+                console.log(`[System] Self-Ping: Active Mode (${res.statusCode})`);
+            }).on('error', (e) => { /* ignore */ });
+        }
+    }
+}
+
+// --- WebSocket connection handling ---
+wss.on('connection', (ws, req) => {
+    const ip = req.socket.remoteAddress;
+    console.log(`New connection from ${ip}`);
+    ws.ip = ip;
+    ws.role = 'app'; // Default
+    ws.isAlive = true;
+
+    // Apps log in with ?token=...; token-less sockets must IDENTIFY as hardware
+    const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+    ws.user = token ? authenticate(token) : null;
+    if (token && !ws.user) {
+        console.log(`REJECTED: Invalid session token from ${ip}`);
+        return ws.close(4001, 'Unauthorized');
+    }
+
+    // Heartbeat pong handler
+    ws.on('pong', () => {
+        ws.isAlive = true;
+        if (ws.role === 'hardware') health.seen(ws.deviceId);
+    });
+
+    if (ws.user) {
+        // Initial sync
+        ws.send(JSON.stringify({ type: 'SESSION', data: ws.user, protocol: PROTOCOL_VERSION }));
+        ws.send(JSON.stringify(messageFor(ws.user.role, { type: 'FULL_STATE', data: state })));
+    } else {
+        // Grace period for the board to IDENTIFY with its device secret
+        ws.identifyTimeout = setTimeout(() => {
+            if (ws.role !== 'hardware') ws.close(4001, 'Unauthorized');
+        }, 10000);
+    }
+
+    ws.on('message', async (message) => {
+        let requestId = null;
+        const fail = (result) => sendError(ws, result, requestId);
+        try {
+            let payload;
+            try {
+                payload = JSON.parse(message);
+            } catch (e) {
+                return fail({ error: 'Message is not valid JSON', code: ERROR_CODES.BAD_REQUEST });
+            }
+            if (payload && (typeof payload.requestId === 'string' || typeof payload.requestId === 'number')) requestId = payload.requestId;
+
+            // --- SCHEMA: nothing below sees a message that does not match its declared shape ---
+            const invalid = validateMessage(payload);
+            if (invalid) {
+                console.log(`REJECTED: ${invalid.code} from ${ip}: ${invalid.message}`);
+                return fail({ error: invalid.message, code: invalid.code, field: invalid.field });
+            }
+            const { secret, ...loggable } = payload; // Never log the device secret
+            console.log('Received message:', loggable);
+
+            let audit = null;
+            if (!['IDENTIFY', 'UPDATE_STATUS', 'ACK', 'OTA_STATUS'].includes(payload.type)) {
+                // --- ACCESS CONTROL: app messages need a live account with the right role ---
+                const account = ws.user && users.get(ws.user.username);
+                if (!account) return fail({ error: 'Unauthorized', status: 401 });
+                ws.user.role = account.role;
+                const action = payload.type === 'SYSTEM_UPDATE' && payload.data.reboot ? 'REBOOT' : payload.type;
+                if (!auth.can(account.role, action)) {
+                    console.log(`FORBIDDEN: ${account.username} (${account.role}) tried ${action}`);
+                    return fail({ error: `Your role (${account.role}) cannot do that`, status: 403 });
+                }
+                const { deviceId, switchId, sceneId, id } = payload.data || {};
+                audit = beginAudit({ username: account.username, role: account.role, ip, client: 'app' }, action, {
+                    deviceId,
+                    target: switchId || sceneId || id || null
+                });
+            }
+
+            if (payload.type === 'IDENTIFY') {
+                if (payload.role === 'hardware') {
+                    if (!DEVICE_SECRET || !auth.safeEqual(secret, DEVICE_SECRET)) {
+                        console.log(`REJECTED: Hardware IDENTIFY with bad device secret from ${ip}`);
+                        fail({ error: 'Invalid device secret', status: 401 });
+                        return ws.close(4003, 'Invalid device secret');
+                    }
+                    const protocol = negotiateProtocol(payload.protocol);
+                    if (protocol === null) {
+                        console.log(`REJECTED: Hardware IDENTIFY with protocol ${payload.protocol} from ${ip}`);
+                        fail({ error: `Protocol ${payload.protocol} is no longer supported`, code: ERROR_CODES.UNSUPPORTED_PROTOCOL, field: 'protocol' });
+                        return ws.close(4004, 'Unsupported protocol');
+                    }
+                    clearTimeout(ws.identifyTimeout);
+
+                    const deviceId = payload.deviceId || DEFAULT_DEVICE_ID;
+                    const isNewDevice = !state.devices[deviceId];
+                    const device = ensureDevice(deviceId);
+
+                    // A board reconnecting before its old socket timed out replaces it
+                    const previous = hardwareSockets.get(deviceId);
+                    if (previous && previous !== ws) previous.terminate();
+
+                    ws.role = 'hardware';
+                    ws.deviceId = deviceId;
+                    ws.protocol = protocol;
+                    hardwareSockets.set(deviceId, ws);
+                    claimDevice(deviceId);
+                    device.isHardwareOnline = true;
+                    device.acks = !!payload.acks || protocol >= 2;
+                    device.firmware = payload.firmware || null;
+                    device.otaCapable = !!payload.ota;
+                    console.log(`--- HW DEVICE LINKED: ${deviceId} (protocol ${protocol}) ---`);
+                    const system = payload.data.system || {};
+                    const cause = await health.connected(deviceId, { firmware: payload.firmware, resetReason: payload.resetReason, uptime: system.uptime });
+                    await health.reported(deviceId, system);
+                    console.log(`[Health] ${deviceId} linked (firmware ${payload.firmware || 'unknown'}, gap cause: ${cause})`);
+                    alertOnline(deviceId);
+                    // A board that was updating reboots into the new image, or not; one that only
+                    // dropped its link carries on where it was
+                    const rebooted = cause === 'unknown' ? null : cause !== 'network';
+                    const finished = isUpdating(device.ota) && finishUpdate(device.ota, device.firmware, rebooted);
+                    if (finished) setOta(deviceId, finished);
+                    // Boards that omit `protocol` predate negotiation and get no reply they would not understand
+                    if (payload.protocol !== undefined) ws.send(JSON.stringify({ type: 'IDENTIFIED', deviceId, protocol }));
+
+                    // Initial HW Sync
+                    const updates = {};
+                    if (payload.label) updates.label = payload.label;
+                    const channels = parseChannels(payload.data.channels);
+                    if (channels) updates.channels = channels;
+                    if (payload.data.switches) updates.switches = payload.data.switches;
+                    if (payload.data.physical) updates.physical = payload.data.physical;
+                    if (payload.data.system) updates.system = withoutUptime(payload.data.system);
+
+                    // New boards, renamed ones and declared capability lists get written right away
+                    const recorded = recordReport(deviceId, payload.data, channels || device.channels);
+                    await updateAndSave(deviceId, updates, isNewDevice || !!payload.label || !!channels);
+                    await recorded;
+
+                    // Immediately broadcast to all clients that hardware is online
+                    broadcast({ type: 'STATE_CHANGED', data: state });
+                    console.log('Hardware state synced and broadcasted to all clients');
+                    await replayQueue(deviceId);
+                    // Its offline copies may predate an import, or vacation mode starting or ending
+                    if (unsyncedBoards.delete(deviceId)) pushConfig(deviceId);
+                    else for (const { switchId } of state.vacation.switches.filter(entry => entry.deviceId === deviceId)) syncSchedules(deviceId, switchId);
+                    await rules.dispatch(deviceId, { type: 'online' });
+                }
+            }
+            else if (payload.type === 'UPDATE_STATUS') {
+                // Sent by ESP8266 (Surgical or Periodic)
+                if (ws.role !== 'hardware') return fail({ error: 'Only identified hardware reports status', status: 403 });
+
+                const device = state.devices[ws.deviceId];
+                const before = { switches: { ...device.switches }, physical: { ...device.physical } };
+                const updates = {};
+                if (payload.data.switches) {
+                    commands.confirm(ws.deviceId, payload.data.switches);
+                    // Reports sent before the board saw a pending command would flip the card back
+                    updates.switches = {};
+                    for (const [switchId, value] of Object.entries(payload.data.switches)) {
+                        if (!device.pending[switchId]) updates.switches[switchId] = value;
+                    }
+                }
+                if (payload.data.physical) updates.physical = payload.data.physical;
+                if (payload.data.system) updates.system = withoutUptime(payload.data.system);
+
+                const recorded = recordReport(ws.deviceId, payload.data);
+                await updateAndSave(ws.deviceId, updates, false);
+                await recorded;
+                await enforceInterlocks(ws.deviceId, before);
+                await health.reported(ws.deviceId, payload.data.system);
+                broadcast({ type: 'STATE_CHANGED', data: state }, ws);
+            }
+            else if (payload.type === 'ACK') {
+                // Boards that declared `acks` confirm every COMMAND by its seq
+                if (ws.role !== 'hardware') return fail({ error: 'Only identified hardware acks commands', status: 403 });
+                health.seen(ws.deviceId);
+                commands.ack(ws.deviceId, payload.seq, payload.ok !== false, payload.error);
+            }
+            else if (payload.type === 'OTA_STATUS') {
+                // Download progress and the outcome of a firmware update (lib/firmware.js)
+                if (ws.role !== 'hardware') return fail({ error: 'Only identified hardware reports updates', status: 403 });
+                health.seen(ws.deviceId);
+                const device = state.devices[ws.deviceId];
+                const next = applyReport(device.ota, payload.data);
+                if (!next) return fail({ error: 'No such update in progress', status: 404, field: 'data.updateId' });
+                setOta(ws.deviceId, next);
+            }
+            else if (payload.type === 'CANCEL_QUEUED') {
+                const { id } = payload.data;
+                const result = await cancelQueued(payload.data.deviceId || DEFAULT_DEVICE_ID, id, ws.user.username);
+                if (result.error) return fail(result);
+            }
+            else if (payload.type === 'TOGGLE_SWITCH') {
+                const { switchId, value } = payload.data;
+                const deviceId = payload.data.deviceId || DEFAULT_DEVICE_ID;
+                const result = await requestToggle(deviceId, switchId, value, ws.user.username, 'app');
+                if (result.error) return fail(result);
+            }
+            else if (payload.type === 'SET_SCHEDULE') {
+                // Creates a schedule, or updates the one named by `id`
+                const { switchId, id: scheduleId, deviceId, ...fields } = payload.data;
+                const result = await saveSchedule(deviceId || DEFAULT_DEVICE_ID, switchId, scheduleId, fields);
+                if (result.error) return fail(result);
+            }
+            else if (payload.type === 'SET_TIMER') {
+                const { switchId, active, duration, action } = payload.data;
+                const deviceId = payload.data.deviceId || DEFAULT_DEVICE_ID;
+                const result = active
+                    ? await setTimer(deviceId, switchId, duration, action)
+                    : await cancelTimer(deviceId, switchId);
+                if (result.error) return fail(result);
+            }
+            else if (payload.type === 'DELETE_TASK') {
+                const { switchId, taskType, scheduleId } = payload.data;
+                const deviceId = payload.data.deviceId || DEFAULT_DEVICE_ID;
+                let result;
+                if (taskType === 'schedule') result = await deleteSchedules(deviceId, switchId, scheduleId);
+                else if (taskType === 'timer') result = await cancelTimer(deviceId, switchId);
+                else result = { error: `Unknown task type '${taskType}'`, status: 400 };
+                if (result.error) return fail(result);
+            }
+            else if (payload.type === 'RENAME') {
+                const { id, newName } = payload.data;
+                const result = await renameChannel(payload.data.deviceId || DEFAULT_DEVICE_ID, id, newName);
+                if (result.error) return fail(result);
+            }
+            else if (payload.type === 'SET_SCENE') {
+                // Creates a scene, or updates the one named by `id`
+                const { id: sceneId, deviceId, ...fields } = payload.data;
+                const result = await saveScene(deviceId || DEFAULT_DEVICE_ID, sceneId, fields);
+                if (result.error) return fail(result);
+            }
+            else if (payload.type === 'DELETE_SCENE') {
+                const { id } = payload.data;
+                const result = await deleteScene(payload.data.deviceId || DEFAULT_DEVICE_ID, id);
+                if (result.error) return fail(result);
+            }
+            else if (payload.type === 'APPLY_SCENE') {
+                const { sceneId } = payload.data;
+                const deviceId = payload.data.deviceId || DEFAULT_DEVICE_ID;
+                const result = await applyScene(deviceId, sceneId, 'scene');
+                if (result.error) {
+                    console.log(`REJECTED: Scene ${sceneId} on ${deviceId}: ${result.error}`);
+                    return fail(result);
+                }
+            }
+            else if (payload.type === 'SET_WATTAGE') {
+                const { switchId, watts } = payload.data;
+                const result = await setWattage(payload.data.deviceId || DEFAULT_DEVICE_ID, switchId, watts);
+                if (result.error) return fail(result);
+            }
+            else if (payload.type === 'SET_INTERLOCK') {
+                const { switchId, policy } = payload.data;
+                const result = await setInterlock(payload.data.deviceId || DEFAULT_DEVICE_ID, switchId, policy);
+                if (result.error) return fail(result);
+            }
+            else if (payload.type === 'SET_RULE') {
+                // Creates a rule, or replaces the one named by `id`
+                const { id: ruleId, ...fields } = payload.data;
+                const result = await saveRuleRequest(ruleId, fields, ws.user.username);
+                if (result.error) return fail(result);
+            }
+            else if (payload.type === 'ENABLE_RULE') {
+                const { id, enabled } = payload.data;
+                const result = await enableRule(id, enabled);
+                if (result.error) return fail(result);
+            }
+            else if (payload.type === 'DELETE_RULE') {
+                const result = await deleteRule(payload.data.id);
+                if (result.error) return fail(result);
+            }
+            else if (payload.type === 'UPDATE_SETTINGS') {
+                const result = await changeSettings(payload.data, ws.user.username);
+                if (result.error) return fail(result);
+            }
+            else if (payload.type === 'CHECK_IN') {
+                const result = await checkIn(ws.user.username, payload.data, 'app');
+                if (result.error) return fail(result);
+            }
+            else if (payload.type === 'SET_VACATION') {
+                const result = await setVacation(payload.data, ws.user.username);
+                if (result.error) return fail(result);
+            }
+            else if (payload.type === 'SYSTEM_UPDATE') {
+                const { deviceId, ...systemData } = payload.data;
+                const result = await requestSystemUpdate(deviceId || DEFAULT_DEVICE_ID, systemData, ws.user.username, 'app');
+                if (result.error) return fail(result);
+            }
+            // Every refusal above returned early: getting here means the change was accepted
+            if (audit) await audit.commit();
+        } catch (e) {
+            console.error('Error processing message:', e);
+            fail({ error: 'Internal server error', code: ERROR_CODES.INTERNAL_ERROR });
+        }
+    });
+
+    ws.on('close', (code, reason) => {
+        clearTimeout(ws.identifyTimeout);
+        if (ws.role === 'hardware') {
+            console.log(`--- HW DEVICE DISCONNECTED: ${ws.deviceId} --- Code: ${code}, Reason: ${reason || 'No reason provided'}`);
+            // Only the socket currently holding the device may mark it offline
+            if (hardwareSockets.get(ws.deviceId) === ws) {
+                hardwareSockets.delete(ws.deviceId);
+                state.devices[ws.deviceId].isHardwareOnline = false;
+                commands.failDevice(ws.deviceId, 'Hardware disconnected');
+                broadcast({ type: 'STATE_CHANGED', data: state });
+                releaseDevice(ws.deviceId); // After the state that shows it offline
+                rules.dispatch(ws.deviceId, { type: 'offline' });
+                alertOffline(ws.deviceId);
+                health.disconnected(ws.deviceId, { code, reason: reason.toString() });
+            }
+        } else {
+            console.log(`App disconnected from ${ip}`);
+        }
+    });
+
+    ws.on('error', (error) => {
+        console.error('WebSocket error:', error);
+    });
+});
+
+// --- User Operations (shared by the WebSocket protocol, REST and MQTT) ---
+// Each validates its input, applies the change, broadcasts and persists it. Refusals come back
+// as { error, status } with the HTTP status REST answers with; anything else is success.
+const MAX_NAME_LENGTH = 40;
+const MAX_TIMER_SECONDS = 7 * 24 * 60 * 60;
+
+function unknownDevice(deviceId) {
+    return { error: `Unknown device '${deviceId}'`, status: 404 };
+}
+
+function unknownChannel(switchId) {
+    return { error: `Unknown channel '${switchId}'`, status: 404 };
+}
+
+function invalidValue(channel) {
+    return { error: `Invalid value for ${channel.type} '${channel.id}'`, status: 400 };
+}
+
+// --- Wall-Switch Interlocks (see lib/interlock.js) ---
+function interlockPolicy(device, switchId) {
+    return device.interlocks[switchId] || DEFAULT_INTERLOCK;
+}
+
+// Refusal for setting a channel to `level` against its wall-switch policy, or null if allowed
+function interlockRefusal(device, switchId, level) {
+    if (!device.physical.hasOwnProperty(switchId)) return null;
+    const error = checkInterlock(interlockPolicy(device, switchId), { wall: device.physical[switchId], value: level });
+    return error ? { error, status: 409, code: ERROR_CODES.INTERLOCKED } : null;
+}
+
+async function setInterlock(deviceId, switchId, policy) {
+    const device = getDevice(deviceId);
+    if (!device) return unknownDevice(deviceId);
+    const channel = getChannel(device, switchId);
+    if (!channel) return unknownChannel(switchId);
+    if (!channel.physical) return { error: `Channel '${switchId}' has no wall switch`, status: 400 };
+    if (!isInterlockPolicy(policy)) return { error: `Policy must be one of ${INTERLOCK_POLICIES.join(', ')}`, status: 400 };
+
+    // Only policies other than the default are stored
+    const interlocks = { ...device.interlocks };
+    if (policy === DEFAULT_INTERLOCK) delete interlocks[switchId];
+    else interlocks[switchId] = policy;
+    console.log(`[Interlock] ${deviceId}/${switchId} policy set to '${policy}'`);
+    await updateAndSave(deviceId, { interlocks }, true);
+    broadcast({ type: 'STATE_CHANGED', data: state });
+    return { policy };
+}
+
+// Answers a hardware report the way each channel's wall-switch policy wants: wall flips get
+// resolveFlip's level, and a relay the board switched on by itself (its offline copy of a
+// schedule, say) while the wall switch holds it off is switched back off.
+// `before` holds the device's switches and physical maps from before the report was applied.
+async function enforceInterlocks(deviceId, before) {
+    const device = state.devices[deviceId];
+    for (const channel of device.channels) {
+        const { id } = channel;
+        if (!channel.physical || before.physical[id] === undefined) continue;
+        if (device.pending[id]) continue; // A command already on its way has the last word
+
+        const policy = interlockPolicy(device, id);
+        const wall = device.physical[id];
+        const current = device.switches[id];
+        let level = null;
+        if (before.physical[id] !== wall) {
+            level = resolveFlip(policy, { wall, previous: before.switches[id], current, max: CHANNEL_TYPES[channel.type].max(channel) });
+        } else if (current !== before.switches[id] && checkInterlock(policy, { wall, value: current })) {
+            level = 0;
+        }
+        if (level === null) continue;
+        console.log(`[Interlock] ${deviceId}/${id}: wall switch ${wall ? 'ON' : 'OFF'} under '${policy}' policy, setting ${level}`);
+        await updateAndSave(deviceId, { switches: { [id]: level } }, false);
+        sendToDevice(deviceId, { type: 'COMMAND', data: { action: 'TOGGLE', switchId: id, value: level } }, 'physical');
+    }
+}
+
+// The one path for user switch changes (app, REST, MQTT): validates, then sends the COMMAND,
+// or queues it for an offline board. Returns { error, status } on refusal, else { seq } or { queued }.
+async function requestToggle(deviceId, switchId, value, by, source) {
+    const device = getDevice(deviceId);
+    if (!device) return unknownDevice(deviceId);
+    if (typeof switchId !== 'string') return { error: 'switchId is required', status: 400 };
+
+    const channel = getChannel(device, switchId);
+    if (!channel) return unknownChannel(switchId);
+    const level = normalizeValue(channel, value);
+    if (level === null) return invalidValue(channel);
+
+    const refusal = interlockRefusal(device, switchId, level);
+    if (refusal) {
+        console.log(`REJECTED: ${by} tried to set ${deviceId}/${switchId} to ${level}: ${refusal.error}`);
+        return refusal;
+    }
+
+    // --- ARMOR PLATING: Queue or reject if Hardware is Offline ---
+    if (!device.isHardwareOnline) {
+        if (state.settings.queueOffline) {
+            return { queued: await queueCommand(deviceId, { action: 'TOGGLE', switchId, value: level }, by, source) };
+        }
+        console.log(`REJECTED: ${by} tried to toggle ${deviceId}/${switchId} but HW is OFFLINE.`);
+        return { error: 'Hardware Offline - Command Delayed', status: 409 };
+    }
+
+    await updateAndSave(deviceId, { switches: { [switchId]: level } }, false); // Toggle is transient until ESP confirms it
+
+    console.log(`Routing COMMAND to set ${deviceId}/${switchId} to ${level}`);
+    const seq = sendToDevice(deviceId, { type: 'COMMAND', data: { action: 'TOGGLE', switchId, value: level } }, source);
+    broadcast({ type: 'STATE_CHANGED', data: state });
+    return { seq: sentSeq(seq) };
+}
+
+// Creates a schedule on a channel or scene target, or updates the one named by `scheduleId`
+async function saveSchedule(deviceId, switchId, scheduleId, fields) {
+    const device = getDevice(deviceId);
+    if (!device) return unknownDevice(deviceId);
+    const target = getTarget(device, switchId);
+    if (!target) return unknownChannel(switchId);
+
+    const list = device.schedules[switchId] || [];
+    const existing = scheduleId ? list.find(item => item.id === scheduleId) : null;
+    if (scheduleId && !existing) return { error: `Unknown schedule '${scheduleId}'`, status: 404 };
+
+    const sched = buildSchedule(fields, existing || {});
+    if (!sched) return { error: 'Invalid schedule (time, days or date)', status: 400 };
+    if (target.channel && normalizeValue(target.channel, sched.action) === null) return invalidValue(target.channel);
+    console.log(`[Schedule] ${existing ? 'Updating' : 'Adding'} ${sched.id} on ${deviceId}/${switchId}: ${sched.action ? 'ON' : 'OFF'} at ${sched.time}`);
+
+    if (existing) list[list.indexOf(existing)] = sched;
+    else list.push(sched);
+    device.schedules[switchId] = list; // First schedule of a scene
+
+    // 1. Update all Apps
+    broadcast({ type: 'STATE_CHANGED', data: state });
+
+    // 2. Sync with Hardware (Offline Protection)
+    syncSchedules(deviceId, switchId);
+
+    // 3. Persist to DB
+    await updateAndSave(deviceId, { schedules: device.schedules }, true);
+    return { schedule: sched };
+}
+
+// Removes one schedule, or every schedule of the target without a `scheduleId`
+async function deleteSchedules(deviceId, switchId, scheduleId) {
+    const device = getDevice(deviceId);
+    if (!device) return unknownDevice(deviceId);
+    if (!getTarget(device, switchId)) return unknownChannel(switchId);
+    const list = device.schedules[switchId] || [];
+    if (scheduleId && !list.some(item => item.id === scheduleId)) return { error: `Unknown schedule '${scheduleId}'`, status: 404 };
+    console.log(`[Delete] Removing schedule ${scheduleId || '(all)'} for ${deviceId}/${switchId}`);
+
+    device.schedules[switchId] = scheduleId ? list.filter(item => item.id !== scheduleId) : [];
+    syncSchedules(deviceId, switchId);
+    broadcast({ type: 'STATE_CHANGED', data: state });
+    await updateAndSave(deviceId, { schedules: device.schedules }, true);
+    return {};
+}
+
+// Starts (or restarts) a countdown that sets the target to `action` after `duration` seconds
+async function setTimer(deviceId, switchId, duration, action) {
+    const device = getDevice(deviceId);
+    if (!device) return unknownDevice(deviceId);
+    const target = getTarget(device, switchId);
+    if (!target) return unknownChannel(switchId);
+    if (!Number.isInteger(duration) || duration < 1 || duration > MAX_TIMER_SECONDS) {
+        return { error: 'Timer duration must be between 1 second and 7 days', status: 400 };
+    }
+    if (target.channel && normalizeValue(target.channel, action) === null) return invalidValue(target.channel);
+    await startTimer(deviceId, switchId, true, duration, action);
+    return { timer: device.timers[switchId] };
+}
+
+async function cancelTimer(deviceId, switchId) {
+    const device = getDevice(deviceId);
+    if (!device) return unknownDevice(deviceId);
+    if (!getTarget(device, switchId)) return unknownChannel(switchId);
+    console.log(`[Delete] Cancelling timer for ${deviceId}/${switchId}`);
+
+    device.timers[switchId] = { active: false, endAt: null, action: null };
+    if (!parseSceneTarget(switchId)) {
+        sendToDevice(deviceId, { type: 'COMMAND', data: { action: 'SYNC_TIMER', switchId, active: false } });
+    }
+    broadcast({ type: 'STATE_CHANGED', data: state });
+    await updateAndSave(deviceId, { timers: device.timers }, true);
+    return {};
+}
+
+// Accepts channel IDs and legacy nameN keys
+async function renameChannel(deviceId, switchId, name) {
+    const device = getDevice(deviceId);
+    if (!device) return unknownDevice(deviceId);
+    const [channelId] = Object.keys(toChannelNames({ [switchId]: name }));
+    if (!getChannel(device, channelId)) return unknownChannel(switchId);
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+        return { error: `Name must be 1 to ${MAX_NAME_LENGTH} characters`, status: 400 };
+    }
+    await updateAndSave(deviceId, { names: { [channelId]: trimmed } }, true); // PERSIST NAMES
+    broadcast({ type: 'STATE_CHANGED', data: state });
+    return { name: trimmed };
+}
+
+// Aura mode and reboot; only the Aura mode can wait in the offline queue
+async function requestSystemUpdate(deviceId, { ledMode, reboot }, by, source) {
+    const device = getDevice(deviceId);
+    if (!device) return unknownDevice(deviceId);
+    if (ledMode === undefined && !reboot) return { error: 'Nothing to update (ledMode or reboot)', status: 400 };
+    if (ledMode !== undefined && (!Number.isInteger(ledMode) || ledMode < 0)) {
+        return { error: 'ledMode must be a non-negative integer', status: 400 };
+    }
+
+    // --- ARMOR PLATING: Queue (Aura mode only) or reject if Hardware is Offline ---
+    if (!device.isHardwareOnline) {
+        if (state.settings.queueOffline && ledMode !== undefined && !reboot) {
+            return { queued: await queueCommand(deviceId, { action: 'SYSTEM', ledMode }, by, source) };
+        }
+        return { error: 'Hardware Offline', status: 409 };
+    }
+    const systemData = reboot ? { reboot: 1 } : { ledMode };
+    await updateAndSave(deviceId, { system: systemData }, false); // Transients (ledMode, reboot)
+    const seq = sendToDevice(deviceId, { type: 'COMMAND', data: { action: 'SYSTEM', ...systemData } }, source);
+    broadcast({ type: 'STATE_CHANGED', data: state });
+    return { seq: sentSeq(seq) };
+}
+
+// --- Firmware (uploads and over-the-air updates, see lib/firmware.js) ---
+async function uploadFirmware(data, input, by) {
+    const { image, error } = buildImage(data, input, { by, maxSize: FIRMWARE_MAX_BYTES });
+    if (error) return { error, status: 400 };
+    await storage.saveFirmware(image, data);
+    firmwareImages.set(image.id, image);
+    bus.publish({ kind: 'reload', what: 'firmware' });
+    console.log(`[OTA] ${by} uploaded firmware ${image.version} (${image.size} bytes, md5 ${image.md5})`);
+    return { firmware: image };
+}
+
+async function deleteFirmware(firmwareId) {
+    if (!firmwareImages.has(firmwareId)) return { error: 'Unknown firmware', status: 404 };
+    const installing = Object.keys(state.devices).find(deviceId => {
+        const { ota } = state.devices[deviceId];
+        return isUpdating(ota) && ota.firmwareId === firmwareId;
+    });
+    if (installing) return { error: `'${installing}' is still installing this image`, status: 400 };
+    await storage.removeFirmware(firmwareId);
+    firmwareImages.delete(firmwareId);
+    bus.publish({ kind: 'reload', what: 'firmware' });
+    return {};
+}
+
+// Tells a board to fetch and flash an uploaded image; it reports back with OTA_STATUS
+async function startOta(deviceId, firmwareId, by) {
+    const device = getDevice(deviceId);
+    if (!device) return unknownDevice(deviceId);
+    const image = firmwareImages.get(firmwareId);
+    if (!image) return { error: 'Unknown firmware', status: 404 };
+    if (!device.isHardwareOnline) return { error: 'Hardware Offline', status: 409 };
+    if (!device.otaCapable) return { error: 'This board does not take over-the-air updates', status: 400 };
+    if (isUpdating(device.ota)) return { error: `Already updating to ${device.ota.version}`, status: 400 };
+    if (device.firmware === image.version) return { error: `The board already runs ${image.version}`, status: 400 };
+
+    const update = startUpdate(image, { from: device.firmware, by });
+    const { md5, sha256, size } = image;
+    const command = { action: 'OTA_UPDATE', updateId: update.id, url: firmwareUrl(image, deviceId), version: image.version, size, md5, sha256 };
+    const seq = sendToDevice(deviceId, { type: 'COMMAND', data: command });
+    if (!seq) return { error: 'Hardware Offline', status: 409 };
+    console.log(`[OTA] ${by} started ${device.firmware || 'unknown'} -> ${image.version} on '${deviceId}'`);
+    setOta(deviceId, update);
+    return { update, seq: sentSeq(seq) };
+}
+
+// Creates a scene, or updates the one named by `sceneId`
+async function saveScene(deviceId, sceneId, fields) {
+    const device = getDevice(deviceId);
+    if (!device) return unknownDevice(deviceId);
+    const existing = sceneId ? device.scenes.find(item => item.id === sceneId) : null;
+    if (sceneId && !existing) return { error: `Unknown scene '${sceneId}'`, status: 404 };
+
+    const scene = buildScene(fields, existing || {});
+    if (!scene) return { error: 'Invalid scene (name, switches or ledMode)', status: 400 };
+    for (const [switchId, value] of Object.entries(scene.switches)) {
+        const channel = getChannel(device, switchId);
+        if (!channel) return unknownChannel(switchId);
+        if (normalizeValue(channel, value) === null) return invalidValue(channel);
+    }
+    console.log(`[Scenes] ${existing ? 'Updating' : 'Adding'} '${scene.name}' (${scene.id}) on ${deviceId}`);
+
+    if (existing) device.scenes[device.scenes.indexOf(existing)] = scene;
+    else device.scenes.push(scene);
+    await updateAndSave(deviceId, { scenes: device.scenes }, true);
+    broadcast({ type: 'STATE_CHANGED', data: state });
+    return { scene };
+}
+
+async function deleteScene(deviceId, sceneId) {
+    const device = getDevice(deviceId);
+    if (!device) return unknownDevice(deviceId);
+    if (!device.scenes.some(scene => scene.id === sceneId)) return { error: `Unknown scene '${sceneId}'`, status: 404 };
+    console.log(`[Scenes] Removing scene ${sceneId} from ${deviceId}`);
+
+    // Schedules and timers that targeted the scene go with it
+    delete device.schedules[sceneTarget(sceneId)];
+    delete device.timers[sceneTarget(sceneId)];
+    device.scenes = device.scenes.filter(scene => scene.id !== sceneId);
+    await updateAndSave(deviceId, { scenes: device.scenes, schedules: device.schedules, timers: device.timers }, true);
+    broadcast({ type: 'STATE_CHANGED', data: state });
+    return {};
+}
+
+// Rated draw of a channel at full level, used for the kWh estimates
+async function setWattage(deviceId, switchId, watts) {
+    const device = getDevice(deviceId);
+    if (!device) return unknownDevice(deviceId);
+    if (!getChannel(device, switchId)) return unknownChannel(switchId);
+    const value = Number(watts);
+    if (watts === null || watts === '' || !Number.isFinite(value) || value < 0 || value > 10000) {
+        return { error: 'Wattage must be between 0 and 10000', status: 400 };
+    }
+    await updateAndSave(deviceId, { wattage: { [switchId]: value } }, true);
+    broadcast({ type: 'STATE_CHANGED', data: state });
+    return { watts: value };
+}
+
+// Creates a rule, or replaces the one named by `ruleId`
+async function saveRuleRequest(ruleId, fields, by) {
+    const existing = ruleId ? state.rules.find(rule => rule.id === ruleId) : null;
+    if (ruleId && !existing) return { error: `Unknown rule '${ruleId}'`, status: 404 };
+    if (fields.deviceId && !getDevice(fields.deviceId)) return unknownDevice(fields.deviceId);
+
+    const { rule, error } = buildRule(fields, existing || {});
+    if (error) return { error: `Invalid rule: ${error}`, status: 400 };
+    console.log(`[Rules] ${existing ? 'Updating' : 'Adding'} '${rule.name}' (${rule.id}) by ${by}`);
+    await saveRule(rule);
+    broadcast({ type: 'STATE_CHANGED', data: state });
+    return { rule };
+}
+
+async function enableRule(ruleId, enabled) {
+    const rule = state.rules.find(item => item.id === ruleId);
+    if (!rule) return { error: `Unknown rule '${ruleId}'`, status: 404 };
+    const updated = { ...rule, enabled: !!enabled };
+    await saveRule(updated);
+    broadcast({ type: 'STATE_CHANGED', data: state });
+    return { rule: updated };
+}
+
+async function deleteRule(ruleId) {
+    if (!state.rules.some(rule => rule.id === ruleId)) return { error: `Unknown rule '${ruleId}'`, status: 404 };
+    console.log(`[Rules] Removing rule ${ruleId}`);
+    await removeRule(ruleId);
+    broadcast({ type: 'STATE_CHANGED', data: state });
+    return {};
+}
+
+// Partial: only the fields sent are changed; one invalid field rejects the whole update
+async function changeSettings({ timeZone, queueOffline, queueTtl }, by) {
+    const updates = {};
+    if (timeZone !== undefined) {
+        if (!isValidTimeZone(timeZone)) return { error: `Unknown time zone '${timeZone}'`, status: 400 };
+        updates.timeZone = timeZone;
+    }
+    if (queueOffline !== undefined) updates.queueOffline = !!queueOffline;
+    if (queueTtl !== undefined) {
+        if (!Number.isInteger(queueTtl) || queueTtl < MIN_QUEUE_TTL || queueTtl > MAX_QUEUE_TTL) {
+            return { error: 'Queue expiry must be between 1 minute and 7 days', status: 400 };
+        }
+        updates.queueTtl = queueTtl;
+    }
+    console.log(`[Settings] ${Object.keys(updates).join(', ')} changed by ${by}`);
+    await updateSettings(updates);
+    broadcast({ type: 'STATE_CHANGED', data: state });
+    if (!updates.timeZone) return { settings: state.settings };
+
+    // Boards keep resolved sun times in their offline copy; those depend on the zone
+    for (const [deviceId, device] of Object.entries(state.devices)) {
+        for (const { id: switchId } of device.channels) {
+            if (device.schedules[switchId].some(sched => sched.anchor !== 'time')) syncSchedules(deviceId, switchId);
+        }
+    }
+    return { settings: state.settings };
+}
+
+async function cancelQueued(deviceId, id, by) {
+    const device = getDevice(deviceId);
+    if (!device) return unknownDevice(deviceId);
+    if (!device.queue.some(entry => entry.id === id)) return { error: `Unknown queued command '${id}'`, status: 404 };
+    console.log(`[Queue] ${by} cancelled ${id} for '${deviceId}'`);
+    await updateAndSave(deviceId, { queue: device.queue.filter(entry => entry.id !== id) }, true);
+    broadcast({ type: 'STATE_CHANGED', data: state });
+    return {};
+}
+
+// --- Presence (see lib/presence.js) ---
+// A member's check-in: { state: 'home' | 'away' } or their phone's position. Arrivals and departures
+// are kept on the account and handed to the rules of every device.
+async function checkIn(username, input, via) {
+    const previous = state.presence[username];
+    const { home, via: how, error } = resolveCheckIn(input, {
+        location: SITE_LOCATION,
+        radius: HOME_RADIUS,
+        wasHome: previous ? previous.home : null,
+        via
+    });
+    if (error) return { error, status: 400 };
+    if (previous && previous.home === home) return { presence: previous };
+
+    const entry = { home, since: Date.now(), via: how };
+    state.presence[username] = entry;
+    await saveUser({ ...users.get(username), presence: entry });
+    const count = countHome(state.presence);
+    console.log(`[Presence] ${username} is ${home ? 'home' : 'away'} (${how}), ${count} home`);
+    broadcast({ type: 'STATE_CHANGED', data: state });
+
+    // A first check-in saying 'away' is no departure
+    if (previous || home) {
+        for (const deviceId of Object.keys(state.devices)) {
+            await rules.dispatch(deviceId, { type: home ? 'arrive' : 'leave', username, count });
+        }
+    }
+    return { presence: entry };
+}
+
+// --- Vacation Mode (see lib/vacation.js) ---
+function saveVacation() {
+    return storage.saveSettings({ vacation: state.vacation })
+        .then(() => bus.publish({ kind: 'reload', what: 'vacation' }))
+        .catch(err => console.error('[DB] Vacation persistence error:', err));
+}
+
+// The mode's settings and learned habits, with the plan of the next 24 hours
+function vacationView(now = Date.now()) {
+    const { plan, plannedThrough, ...vacation } = state.vacation;
+    return { vacation, preview: previewVacation(plan, now) };
+}
+
+// Habits of each channel from its recent history, or from its schedules when the history shows none
+async function learnHabits(switches, now) {
+    const clock = automation.getClock();
+    const from = new Date(now - LEARN_DAYS * 24 * 60 * 60 * 1000);
+    const patterns = {};
+    for (const { deviceId, switchId } of switches) {
+        const events = await findEvents(deviceId, { switchId, from, to: new Date(now) });
+        const learned = learnPatterns(events, { now, timeZone: getTimeZone() });
+        patterns[channelKey(deviceId, switchId)] = learned.length
+            ? learned
+            : schedulePatterns(state.devices[deviceId].schedules[switchId], clock);
+    }
+    return patterns;
+}
+
+// Partial like the site settings. Every change learns the habits again and draws a new plan, so
+// the preview shows what will run; channels that start or stop being replayed get their
+// schedules paused or restored on the board.
+async function setVacation({ enabled, switches, jitter }, by) {
+    const vacation = state.vacation;
+    const next = { enabled: vacation.enabled, switches: vacation.switches, jitter: vacation.jitter };
+    if (switches !== undefined) {
+        if (!Array.isArray(switches)) return { error: 'switches must be a list of { deviceId, switchId }', status: 400 };
+        next.switches = [];
+        for (const entry of switches) {
+            const { deviceId, switchId } = entry || {};
+            const device = typeof deviceId === 'string' && state.devices[deviceId];
+            if (!device) return unknownDevice(deviceId);
+            if (!getChannel(device, switchId)) return { error: `Unknown channel '${switchId}' on '${deviceId}'`, status: 404 };
+            if (!next.switches.some(other => other.deviceId === deviceId && other.switchId === switchId)) next.switches.push({ deviceId, switchId });
+        }
+    }
+    if (jitter !== undefined) {
+        if (!Number.isInteger(jitter) || jitter < 0 || jitter > MAX_JITTER) return { error: `Jitter must be 0 to ${MAX_JITTER} minutes`, status: 400 };
+        next.jitter = jitter;
+    }
+    if (enabled !== undefined) next.enabled = !!enabled;
+    if (next.enabled && !next.switches.length) return { error: 'Pick at least one switch for vacation mode', status: 400 };
+
+    const now = Date.now();
+    const before = vacation.switches.filter(({ deviceId, switchId }) => isReplaying(vacation, deviceId, switchId));
+    const patterns = await learnHabits(next.switches, now);
+    Object.assign(vacation, next, {
+        since: next.enabled ? (vacation.enabled ? vacation.since : now) : null,
+        patterns,
+        ...planAhead({ ...next, patterns }, { now, timeZone: getTimeZone() })
+    });
+    console.log(`[Vacation] ${vacation.enabled ? 'On' : 'Off'} for ${vacation.switches.length} switches (±${vacation.jitter} min), changed by ${by}`);
+
+    const wasReplaying = ({ deviceId, switchId }) => before.some(entry => entry.deviceId === deviceId && entry.switchId === switchId);
+    for (const entry of [...before, ...vacation.switches.filter(entry => !wasReplaying(entry))]) {
+        if (isReplaying(vacation, entry.deviceId, entry.switchId) !== wasReplaying(entry)) syncSchedules(entry.deviceId, entry.switchId);
+    }
+    await saveVacation();
+    broadcast({ type: 'STATE_CHANGED', data: state });
+    return vacationView(now);
+}
+
+// --- Configuration Backups (see lib/backup.js) ---
+// Bundles of the whole configuration to download, preview and import; with BACKUP_DIR set the
+// server also writes one there every BACKUP_INTERVAL hours and keeps the newest BACKUP_KEEP.
+const backups = process.env.BACKUP_DIR
+    ? createBackupStore({ dir: process.env.BACKUP_DIR, keep: parseInt(process.env.BACKUP_KEEP) || DEFAULT_BACKUP_KEEP })
+    : null;
+const BACKUP_INTERVAL = parseFloat(process.env.BACKUP_INTERVAL) || DEFAULT_BACKUP_INTERVAL; // Hours
+let lastBackupAt = null; // Read from the directory on the first tick
+const unsyncedBoards = new Set(); // Imported while offline: their copies go out when they link
+
+// Applies one device's imported fields (see readBundle) to `device`, a copy while the import is
+// staged. Returns why they do not fit the device's channels, or null; fields left out stay.
+function applyDeviceConfig(device, config, now) {
+    if (config.label) device.label = config.label;
+    // A connected board's own capability list wins over the bundle's
+    if (config.channels && !device.isHardwareOnline) applyChannels(device, config.channels);
+
+    for (const kind of ['names', 'wattage']) {
+        const unknown = Object.keys(config[kind] || {}).find(switchId => !getChannel(device, switchId));
+        if (unknown) return `${kind}.${unknown}: unknown channel`;
+    }
+    if (config.names) Object.assign(device.names, config.names);
+    if (config.wattage) device.wattage = { ...config.wattage };
+    if (config.interlocks) {
+        const unknown = Object.keys(config.interlocks).find(switchId => !device.physical.hasOwnProperty(switchId));
+        if (unknown) return `interlocks.${unknown}: no wall switch`;
+        device.interlocks = Object.fromEntries(Object.entries(config.interlocks).filter(([, policy]) => policy !== DEFAULT_INTERLOCK));
+    }
+
+    if (config.scenes) {
+        for (const scene of config.scenes) {
+            for (const [switchId, value] of Object.entries(scene.switches)) {
+                const channel = getChannel(device, switchId);
+                if (!channel || normalizeValue(channel, value) === null) return `scenes.${scene.id}.switches.${switchId} does not fit the channel`;
+            }
+        }
+        // Schedules and timers of scenes that go away go with them
+        for (const kind of ['schedules', 'timers']) {
+            for (const key of Object.keys(device[kind])) {
+                const sceneId = parseSceneTarget(key);
+                if (sceneId && !config.scenes.some(scene => scene.id === sceneId)) delete device[kind][key];
+            }
+        }
+        device.scenes = config.scenes;
+        for (const { id } of device.scenes) {
+            device.schedules[sceneTarget(id)] = device.schedules[sceneTarget(id)] || [];
+            device.timers[sceneTarget(id)] = device.timers[sceneTarget(id)] || { active: false, endAt: 0, action: 0 };
+        }
+    }
+
+    // Both maps are replaced whole: targets the bundle leaves out end up without any
+    if (config.schedules) {
+        for (const [key, list] of Object.entries(config.schedules)) {
+            const target = getTarget(device, key);
+            if (!target) return `schedules.${key}: unknown channel or scene`;
+            if (target.channel && list.some(sched => normalizeValue(target.channel, sched.action) === null)) return `schedules.${key} does not fit the channel`;
+        }
+        for (const key of Object.keys(device.schedules)) device.schedules[key] = config.schedules[key] || [];
+    }
+    if (config.timers) {
+        for (const [key, timer] of Object.entries(config.timers)) {
+            const target = getTarget(device, key);
+            if (!target) return `timers.${key}: unknown channel or scene`;
+            if (target.channel && timer.active && normalizeValue(target.channel, timer.action) === null) return `timers.${key} does not fit the channel`;
+        }
+        for (const key of Object.keys(device.timers)) {
+            const timer = config.timers[key];
+            device.timers[key] = timer && timer.active && timer.endAt > now ? timer : { active: false, endAt: 0, action: 0 };
+        }
+    }
+    if (config.ledMode !== undefined) device.system.ledMode = config.ledMode;
+    return null;
+}
+
+// Applies a bundle to copies of the devices it names: { devices, after } with `after` the whole
+// configuration as it would be, or { error } when it does not fit
+function stageImport(bundle, now) {
+    const devices = Object.create(null);
+    for (const [deviceId, config] of Object.entries(bundle.devices || {})) {
+        const device = state.devices[deviceId] ? snapshot(state.devices[deviceId]) : createDeviceState(deviceId);
+        const error = applyDeviceConfig(device, config, now);
+        if (error) return { error: `devices.${deviceId}.${error}`, status: 400 };
+        devices[deviceId] = device;
+    }
+    const after = {
+        settings: { ...state.settings, ...bundle.settings },
+        vacation: { ...state.vacation, ...bundle.vacation },
+        rules: bundle.rules || state.rules,
+        devices: Object.assign(Object.create(null), state.devices, devices)
+    };
+    for (const { deviceId, switchId } of after.vacation.switches) {
+        if (!after.devices[deviceId] || !getChannel(after.devices[deviceId], switchId)) {
+            return { error: `vacation.switches: unknown channel '${switchId}' on '${deviceId}'`, status: 400 };
+        }
+    }
+    return { devices, after };
+}
+
+// Sends a board its offline copy of every schedule and timer, and its Aura mode
+function pushConfig(deviceId) {
+    const device = state.devices[deviceId];
+    for (const { id: switchId } of device.channels) {
+        syncSchedules(deviceId, switchId);
+        const timer = device.timers[switchId];
+        const remaining = Math.round((timer.endAt - Date.now()) / 1000);
+        sendToDevice(deviceId, {
+            type: 'COMMAND',
+            data: timer.active && remaining > 0
+                ? { action: 'SYNC_TIMER', switchId, active: true, duration: remaining, value: timer.action }
+                : { action: 'SYNC_TIMER', switchId, active: false }
+        });
+    }
+    sendToDevice(deviceId, { type: 'COMMAND', data: { action: 'SYSTEM', ledMode: device.system.ledMode } });
+}
+
+// Validates a bundle (or a legacy data.json) and lists what importing it changes: { changes } as
+// in the audit log (lib/audit.js diff). Unless `dryRun` it is then swapped in all at once, saved,
+// and every board it names gets its schedules, timers and Aura again.
+async function importConfig(input, by, { dryRun = false } = {}) {
+    const { bundle, error } = readBundle(input, { defaultDeviceId: DEFAULT_DEVICE_ID });
+    if (error) return { error, status: 400 };
+    const now = Date.now();
+    const staged = stageImport(bundle, now);
+    if (staged.error) return staged;
+    const changes = diff(configOf(state), configOf(staged.after));
+    if (dryRun || !changes.length) return { changes };
+
+    // Nothing is awaited until every device is swapped, so no message or tick sees half an import
+    for (const [deviceId, staging] of Object.entries(staged.devices)) {
+        const device = ensureDevice(deviceId);
+        for (const key of ['label', 'channels', 'names', 'scenes', 'switches', 'physical', 'schedules', 'timers', 'wattage', 'interlocks']) {
+            device[key] = staging[key];
+        }
+        device.system.ledMode = staging.system.ledMode;
+    }
+    const previousRules = state.rules;
+    if (bundle.rules) state.rules = bundle.rules;
+    console.log(`[Backup] ${by} imported a configuration bundle (${changes.length} changes)`);
+
+    if (bundle.settings) await changeSettings(bundle.settings, by);
+    if (bundle.rules) {
+        for (const rule of bundle.rules) await saveRule(rule); // Already in place; this persists them
+        for (const { id } of previousRules) {
+            if (!bundle.rules.some(rule => rule.id === id)) await removeRule(id);
+        }
+    }
+    for (const deviceId of Object.keys(staged.devices)) {
+        await updateAndSave(deviceId, {}, true);
+        if (state.devices[deviceId].isHardwareOnline) pushConfig(deviceId);
+        else unsyncedBoards.add(deviceId);
+    }
+    if (bundle.vacation) await setVacation(bundle.vacation, by);
+    broadcast({ type: 'STATE_CHANGED', data: state });
+    return { changes };
+}
+
+async function runBackup(by) {
+    const { name, size, at, pruned } = await backups.write(exportBundle(state));
+    lastBackupAt = at;
+    console.log(`[Backup] ${name} written by ${by}${pruned ? `, ${pruned} old backups removed` : ''}`);
+    return { backup: { name, size, at } };
+}
+
+// Called every minute (see minuteTick)
+async function backupIfDue() {
+    if (!backups) return;
+    try {
+        if (lastBackupAt === null) {
+            const [newest] = await backups.list();
+            lastBackupAt = newest ? newest.at : 0;
+        }
+        if (isBackupDue(lastBackupAt, BACKUP_INTERVAL)) await runBackup('schedule');
+    } catch (err) {
+        console.error('[Backup] Automatic backup failed:', err);
+    }
+}
+
+// --- Notification preferences of one account (see lib/notifications.js) ---
+// Push subscriptions carry the browser's keys; only their endpoints are shown back
+function notificationView(username) {
+    const { events, quietHours, webhooks, subscriptions } = notifications.getPreferences(users.get(username));
+    return { events, quietHours, webhooks, subscriptions: subscriptions.map(item => item.endpoint) };
+}
+
+async function savePreferences(username, preferences) {
+    await saveUser({ ...users.get(username), notifications: preferences });
+    return { notifications: notificationView(username) };
+}
+
+async function changeNotifications({ username, role }, input) {
+    if (input.webhooks !== undefined && !auth.can(role, 'MANAGE_WEBHOOKS')) return { error: 'Forbidden', status: 403 };
+    const { preferences, error } = notifications.updatePreferences(notifications.getPreferences(users.get(username)), input);
+    if (error) return { error, status: 400 };
+    console.log(`[Notify] ${username} changed ${Object.keys(input).join(', ')}`);
+    return savePreferences(username, preferences);
+}
+
+async function addPushSubscription(username, subscription) {
+    if (!notifications.isValidSubscription(subscription)) return { error: 'Not a push subscription', status: 400 };
+    const { endpoint, keys: { p256dh, auth } } = subscription;
+    const preferences = notifications.getPreferences(users.get(username));
+    // Re-subscribing replaces the old entry; past the limit the oldest browsers give way
+    const subscriptions = [...preferences.subscriptions.filter(item => item.endpoint !== endpoint), { endpoint, keys: { p256dh, auth } }]
+        .slice(-notifications.MAX_SUBSCRIPTIONS);
+    console.log(`[Notify] ${username} subscribed a browser to push`);
+    return savePreferences(username, { ...preferences, subscriptions });
+}
+
+async function removePushSubscription(username, endpoint) {
+    const preferences = notifications.getPreferences(users.get(username));
+    if (!preferences.subscriptions.some(item => item.endpoint === endpoint)) return { error: 'Unknown push subscription', status: 404 };
+    return savePreferences(username, { ...preferences, subscriptions: preferences.subscriptions.filter(item => item.endpoint !== endpoint) });
+}
+
+// Sent regardless of the account's event choices and quiet hours
+async function sendTestNotification(username) {
+    const delivered = await notifier.emit({ type: 'test', deviceId: null, title: 'Test notification', body: 'Alerts from botman will arrive like this.' },
+        { only: username, force: true });
+    return { delivered: { pushes: delivered.pushes, webhooks: delivered.webhooks } };
+}
+
+async function startTimer(deviceId, switchId, active, duration, action) {
+    const device = state.devices[deviceId];
+    console.log(`[Timer] Setting ${deviceId}/${switchId} for ${duration}s -> ${action === 1 ? 'ON' : 'OFF'}`);
+
+    // endAt is an absolute timestamp; the site time zone never enters into it
+    const endAt = Date.now() + (duration * 1000);
+
+    device.timers[switchId] = { active, endAt, action };
+
+    // 1. Update all Apps
+    broadcast({ type: 'STATE_CHANGED', data: state });
+
+    // 2. Sync with Hardware (Offline Protection) - scene timers run on the server only
+    if (!parseSceneTarget(switchId)) {
+        // The timer's level travels as `value`: a second `action` key would overwrite 'SYNC_TIMER'
+        sendToDevice(deviceId, { type: 'COMMAND', data: { action: 'SYNC_TIMER', switchId, active, duration, value: action } });
+    }
+
+    // 3. Persist to DB
+    await updateAndSave(deviceId, { timers: device.timers }, true);
+}
+
+// Schedules and timers target a channel or a scene ('scene:<id>'); null if neither exists
+function getTarget(device, target) {
+    const sceneId = parseSceneTarget(target);
+    if (sceneId) {
+        const scene = device.scenes.find(item => item.id === sceneId);
+        return scene ? { scene } : null;
+    }
+    const channel = getChannel(device, target);
+    return channel ? { channel } : null;
+}
+
+// Applies a scene as one batched COMMAND
+async function applyScene(deviceId, sceneId, source = 'scene') {
+    const device = getDevice(deviceId);
+    if (!device) return unknownDevice(deviceId);
+    const scene = device.scenes.find(item => item.id === sceneId);
+    if (!scene) return { error: `Unknown scene '${sceneId}'`, status: 404 };
+    if (!device.isHardwareOnline) return { error: 'Hardware Offline - Command Delayed', status: 409 };
+
+    // Channels the board no longer declares, and those their wall switch holds off, are skipped
+    const switches = {};
+    for (const [switchId, value] of Object.entries(scene.switches)) {
+        const channel = getChannel(device, switchId);
+        const level = channel ? normalizeValue(channel, value) : null;
+        if (level === null) continue;
+        if (interlockRefusal(device, switchId, level)) {
+            console.log(`[Interlock] Scene '${scene.name}' leaves ${deviceId}/${switchId} alone: held off at the wall`);
+            continue;
+        }
+        switches[switchId] = level;
+    }
+    const updates = { switches };
+    if (scene.ledMode !== null) updates.system = { ledMode: scene.ledMode };
+
+    console.log(`[Scenes] Applying '${scene.name}' on ${deviceId}`);
+    await updateAndSave(deviceId, updates, false); // Transient until the ESP confirms it
+    const seq = sendToDevice(deviceId, { type: 'COMMAND', data: { action: 'SCENE', sceneId, switches, ledMode: scene.ledMode } }, source);
+    broadcast({ type: 'STATE_CHANGED', data: state });
+    return { seq: sentSeq(seq) };
+}
+
+// Hardware keeps an offline copy of each channel's full schedule list.
+// Sun-anchored entries carry today's resolved time since the board has no solar math.
+function syncSchedules(deviceId, switchId) {
+    if (parseSceneTarget(switchId)) return; // Scene schedules run on the server only
+    const localClock = automation.getClock();
+    // Paused on the board too while vacation mode replays the channel
+    const schedules = isReplaying(state.vacation, deviceId, switchId) ? [] : state.devices[deviceId].schedules[switchId].map(sched => {
+        if (sched.anchor === 'time') return sched;
+        const minute = resolveMinute(sched, localClock);
+        return { ...sched, time: minute === null ? null : formatMinute(minute) };
+    });
+    sendToDevice(deviceId, { type: 'COMMAND', data: { action: 'SYNC_SCHED', switchId, schedules } });
+}
+
+// Structured refusal (see lib/protocol.js); 409s (board offline) also resend the state so
+// optimistic cards snap back
+function sendError(ws, { error, status, code = errorCode(status), field = null }, requestId = null) {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    ws.send(JSON.stringify({ type: 'ERROR', code, message: error, field, requestId }));
+    if (status === 409) ws.send(JSON.stringify(messageFor(ws.user ? ws.user.role : 'hardware', { type: 'STATE_CHANGED', data: state })));
+}
+
+// Sanitizes the capability list a board declares in IDENTIFY
+function parseChannels(channels) {
+    if (!Array.isArray(channels) || channels.length === 0) return null;
+    const seen = new Set();
+    const parsed = channels.filter(channel => {
+        if (!channel || typeof channel.id !== 'string' || seen.has(channel.id)) return false;
+        seen.add(channel.id);
+        return true;
+    });
+    return parsed.length ? parsed : null;
+}
+
+// --- REST Auth Middleware ---
+// Expects "Authorization: Bearer <token>" from POST /api/login
+function requireAuth(permission) {
+    return (req, res, next) => {
+        const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+        const user = authenticate(token);
+        if (!user) return res.status(401).json({ success: false, error: 'Unauthorized' });
+        if (permission && !auth.can(user.role, permission)) {
+            return res.status(403).json({ success: false, error: 'Forbidden' });
+        }
+        req.user = user;
+        // Changes are audited once they succeed, under the route's permission
+        const audit = req.method !== 'GET' && beginAudit({ ...user, ip: req.ip, client: 'rest' }, permission, {
+            deviceId: req.params.deviceId || (req.body && req.body.deviceId),
+            target: requestTarget(req)
+        });
+        if (audit) res.on('finish', () => res.statusCode < 300 && audit.commit());
+        next();
+    };
+}
+
+// What a REST change is about, for the audit log: the channel, scene, rule, image... it names
+function requestTarget({ params, body }) {
+    const { switchId, target, sceneId, id, ruleId, firmwareId, entryId, username } = params;
+    return switchId || target || sceneId || id || ruleId || firmwareId || entryId || username ||
+        (body && (body.switchId || body.username)) || null;
+}
+
+// --- REST API ---
+app.get('/ping', (req, res) => res.send('PONG - System Active')); // Wake-up endpoint
+
+app.post('/api/login', (req, res) => {
+    const { username, password } = req.body || {};
+    const user = users.get(username);
+    if (!user || typeof password !== 'string' || !auth.verifyPassword(password, user.passwordHash)) {
+        console.log(`[Auth] Failed login for '${username}' from ${req.ip}`);
+        return res.status(401).json({ success: false, error: 'Invalid username or password' });
+    }
+    console.log(`[Auth] ${username} logged in (${user.role})`);
+    res.json({ success: true, token: auth.createToken(user, AUTH_SECRET), user: { username, role: user.role } });
+});
+
+app.get('/api/users', requireAuth('MANAGE_USERS'), (req, res) => {
+    res.json([...users.values()].map(({ username, role }) => ({ username, role })));
+});
+
+app.post('/api/users', requireAuth('MANAGE_USERS'), async (req, res) => {
+    const { username, password, role = 'member' } = req.body || {};
+    if (typeof username !== 'string' || !username.trim() || typeof password !== 'string' || password.length < 8) {
+        return res.status(400).json({ success: false, error: 'Username and a password of at least 8 characters are required' });
+    }
+    if (!auth.ROLES.includes(role)) {
+        return res.status(400).json({ success: false, error: `Role must be one of: ${auth.ROLES.join(', ')}` });
+    }
+    await saveUser({ username: username.trim(), passwordHash: auth.hashPassword(password), role });
+    res.json({ success: true, user: { username: username.trim(), role } });
+});
+
+app.delete('/api/users/:username', requireAuth('MANAGE_USERS'), async (req, res) => {
+    if (!users.has(req.params.username)) return res.status(404).json({ success: false, error: 'Unknown user' });
+    if (req.params.username === req.user.username) {
+        return res.status(400).json({ success: false, error: 'You cannot delete your own account' });
+    }
+    await removeUser(req.params.username);
+    res.json({ success: true });
+});
+
+app.get('/api/state', requireAuth('VIEW_STATE'), (req, res) => res.json(auth.visibleState(state, req.user.role)));
+app.get('/api/devices/:deviceId/state', requireAuth('VIEW_STATE'), (req, res) => {
+    const device = getDevice(req.params.deviceId);
+    if (!device) return res.status(404).json({ success: false, error: 'Unknown device' });
+    res.json(auth.visibleDevice(device, req.user.role));
+});
+
+// Confirmed transitions, newest `limit` within [from, to) (default: the last 24 hours)
+async function getHistory(req, res) {
+    const { deviceId } = req.params;
+    const device = getDevice(deviceId);
+    if (!device) return res.status(404).json({ success: false, error: 'Unknown device' });
+    const { switchId } = req.query;
+    if (switchId && !getChannel(device, switchId)) return res.status(404).json({ success: false, error: 'Unknown channel' });
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+    if (isNaN(from) || isNaN(to)) return res.status(400).json({ success: false, error: 'Invalid from/to date' });
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 500, 1), 5000);
+
+    const events = await findEvents(deviceId, { switchId, from, to, limit });
+    res.json({ success: true, deviceId, from, to, events });
+}
+
+// A board's link over [from, to) (default: the last 24 hours): what is known now, RSSI windows,
+// connects/disconnects/heartbeat misses and their counts, see lib/health.js
+async function getHealth(req, res) {
+    const { deviceId } = req.params;
+    const device = getDevice(deviceId);
+    if (!device) return res.status(404).json({ success: false, error: 'Unknown device' });
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+    if (isNaN(from) || isNaN(to)) return res.status(400).json({ success: false, error: 'Invalid from/to date' });
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+
+    const records = await storage.findHealth(deviceId, { from, to });
+    const rssiWindows = records.filter(record => record.kind === 'rssi').map(({ at, avg, min, max, count }) => ({ at, avg, min, max, count }));
+    const events = records.filter(record => record.kind !== 'rssi').slice(-limit)
+        .map(({ deviceId: _, ...record }) => record);
+    res.json({
+        success: true,
+        deviceId,
+        from,
+        to,
+        online: device.isHardwareOnline,
+        ...health.live(deviceId),
+        summary: summarizeHealth(records),
+        rssiWindows,
+        events
+    });
+}
+
+// On-time and estimated kWh per channel for the last `count` local days, weeks or months
+async function getUsage(req, res) {
+    const { deviceId } = req.params;
+    const device = getDevice(deviceId);
+    if (!device) return res.status(404).json({ success: false, error: 'Unknown device' });
+    const bucket = req.query.bucket || 'day';
+    if (!BUCKETS.includes(bucket)) return res.status(400).json({ success: false, error: `bucket must be one of ${BUCKETS.join(', ')}` });
+    const count = Math.min(Math.max(parseInt(req.query.count) || 7, 1), 31);
+
+    const now = new Date();
+    const ranges = bucketRanges(now, getTimeZone(), bucket, count);
+    const channels = [];
+    for (const channel of device.channels) {
+        const max = CHANNEL_TYPES[channel.type].max(channel);
+        const watts = device.wattage[channel.id] || 0;
+        const events = await findEvents(deviceId, { switchId: channel.id, from: ranges[0].start, to: now });
+        let initial = await valueAt(deviceId, channel.id, ranges[0].start);
+
+        const buckets = ranges.map(({ start, end }) => {
+            const inside = events.filter(event => event.at >= start && event.at < end);
+            const { onSeconds, levelSeconds } = computeUsage(inside, initial, start, end);
+            if (inside.length) initial = inside[inside.length - 1].value;
+            return { onSeconds, kWh: toKwh(levelSeconds, max, watts) };
+        });
+        channels.push({
+            switchId: channel.id,
+            name: device.names[channel.id],
+            watts,
+            onSeconds: buckets.reduce((sum, item) => sum + item.onSeconds, 0),
+            kWh: buckets.reduce((sum, item) => sum + item.kWh, 0),
+            buckets
+        });
+    }
+    res.json({ success: true, deviceId, bucket, timeZone: getTimeZone(), ranges, channels });
+}
+
+app.get('/api/devices/:deviceId/history', requireAuth('VIEW_STATE'), getHistory);
+app.get('/api/devices/:deviceId/usage', requireAuth('VIEW_STATE'), getUsage);
+app.get('/api/devices/:deviceId/health', requireAuth('VIEW_STATE'), getHealth);
+
+app.post('/api/scenes/:id/apply', requireAuth('APPLY_SCENE'), async (req, res) => {
+    const deviceId = (req.body && req.body.deviceId) || DEFAULT_DEVICE_ID;
+    const { error, status } = await applyScene(deviceId, req.params.id, 'rest');
+    if (error) return res.status(status).json({ success: false, error });
+    res.json({ success: true, state: auth.visibleState(state, req.user.role) });
+});
+
+app.post('/api/toggle', requireAuth('TOGGLE_SWITCH'), async (req, res) => {
+    const { switchId, value, deviceId } = req.body || {};
+    const result = await requestToggle(deviceId || DEFAULT_DEVICE_ID, switchId, value, req.user.username, 'rest');
+    if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+    const visible = auth.visibleState(state, req.user.role);
+    if (result.queued) return res.status(202).json({ success: true, queued: result.queued, state: visible });
+    res.json({ success: true, seq: result.seq, state: visible });
+});
+
+// --- REST API v1 ---
+// Resource-style routes over the same operations as the WebSocket protocol. Every answer is
+// { success: true, ... } or { success: false, error } with a matching status code; refusals the
+// status alone does not tell apart (a 409 for a wall-held channel) add the ERROR `code`.
+// The OpenAPI document (lib/openapi.js) is served at /api/v1/openapi.json without a token.
+const v1 = express.Router();
+const openApiDocument = buildOpenApiDocument(require('./package.json').version);
+
+// Sends an operation's result; queued commands answer 202
+function reply(res, result, successStatus = 200) {
+    if (result.error) return res.status(result.status).json({ success: false, error: result.error, code: result.code });
+    res.status(result.queued ? 202 : successStatus).json({ success: true, ...result });
+}
+
+function switchView(device, channel) {
+    const { id, type } = channel;
+    return {
+        id,
+        type,
+        name: device.names[id],
+        value: device.switches[id],
+        max: CHANNEL_TYPES[type].max(channel),
+        physical: channel.physical ? device.physical[id] : null,
+        interlock: channel.physical ? interlockPolicy(device, id) : null,
+        pending: !!device.pending[id],
+        watts: device.wattage[id] || 0
+    };
+}
+
+v1.get('/openapi.json', (req, res) => res.json(openApiDocument));
+
+// Boards cannot log in: they download with the signed link from their OTA_UPDATE command.
+// Range requests let them resume a download that broke off.
+v1.get('/firmware/:firmwareId/binary', async (req, res) => {
+    const image = firmwareImages.get(req.params.firmwareId);
+    if (!image) return res.status(404).json({ success: false, error: 'Unknown firmware' });
+    const deviceId = verifyDownloadToken(req.query.token, image.id, AUTH_SECRET);
+    if (!deviceId) return res.status(401).json({ success: false, error: 'Invalid or expired download link' });
+    const data = await storage.readFirmware(image.id);
+    if (!data) return res.status(404).json({ success: false, error: 'Unknown firmware' });
+
+    const etag = `"${image.sha256}"`;
+    res.set({
+        'Content-Type': 'application/octet-stream',
+        'Content-Disposition': `attachment; filename="firmware-${image.version}.bin"`,
+        'Accept-Ranges': 'bytes',
+        'ETag': etag,
+        'x-MD5': image.md5 // Checked by the ESP8266 and ESP32 HTTP updaters
+    });
+    // If-Range: only resume when the board still holds part of this very image
+    const ifRange = req.headers['if-range'];
+    const range = ifRange && ifRange !== etag ? null : parseRange(req.headers.range, data.length);
+    if (range === false) return res.status(416).set('Content-Range', `bytes */${data.length}`).end();
+    console.log(`[OTA] '${deviceId}' downloading ${image.version}${range ? ` (bytes ${range.start}-${range.end})` : ''}`);
+    if (!range) return res.send(data);
+    res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${data.length}`).send(data.subarray(range.start, range.end + 1));
+});
+
+v1.use(requireAuth('VIEW_STATE'));
+v1.use((req, res, next) => {
+    if (req.body === undefined) req.body = {};
+    if (typeof req.body !== 'object' || Array.isArray(req.body)) {
+        return res.status(400).json({ success: false, error: 'Request body must be a JSON object' });
+    }
+    next();
+});
+v1.param('deviceId', (req, res, next, deviceId) => {
+    req.device = state.devices[deviceId];
+    if (!req.device) return reply(res, unknownDevice(deviceId));
+    next();
+});
+
+v1.get('/devices', (req, res) => {
+    const devices = Object.entries(state.devices).map(([id, device]) => ({
+        id,
+        label: device.label,
+        online: device.isHardwareOnline,
+        firmware: device.firmware,
+        channels: device.channels.length
+    }));
+    res.json({ success: true, devices });
+});
+v1.get('/devices/:deviceId', (req, res) => res.json({ success: true, device: auth.visibleDevice(req.device, req.user.role) }));
+
+// Switches & names
+v1.get('/devices/:deviceId/switches', (req, res) => {
+    res.json({ success: true, switches: req.device.channels.map(channel => switchView(req.device, channel)) });
+});
+v1.get('/devices/:deviceId/switches/:switchId', (req, res) => {
+    const channel = getChannel(req.device, req.params.switchId);
+    if (!channel) return reply(res, unknownChannel(req.params.switchId));
+    res.json({ success: true, switch: switchView(req.device, channel) });
+});
+v1.put('/devices/:deviceId/switches/:switchId', requireAuth('TOGGLE_SWITCH'), async (req, res) => {
+    const { deviceId, switchId } = req.params;
+    reply(res, await requestToggle(deviceId, switchId, (req.body || {}).value, req.user.username, 'rest'));
+});
+v1.get('/devices/:deviceId/names', (req, res) => res.json({ success: true, names: req.device.names }));
+v1.put('/devices/:deviceId/names/:switchId', requireAuth('RENAME'), async (req, res) => {
+    reply(res, await renameChannel(req.params.deviceId, req.params.switchId, req.body.name));
+});
+v1.put('/devices/:deviceId/wattage/:switchId', requireAuth('SET_WATTAGE'), async (req, res) => {
+    reply(res, await setWattage(req.params.deviceId, req.params.switchId, req.body.watts));
+});
+v1.get('/devices/:deviceId/interlocks', (req, res) => {
+    const interlocks = {};
+    for (const channel of req.device.channels) {
+        if (channel.physical) interlocks[channel.id] = interlockPolicy(req.device, channel.id);
+    }
+    res.json({ success: true, interlocks });
+});
+v1.put('/devices/:deviceId/interlocks/:switchId', requireAuth('SET_INTERLOCK'), async (req, res) => {
+    reply(res, await setInterlock(req.params.deviceId, req.params.switchId, req.body.policy));
+});
+
+// Schedules & timers (targets are channel IDs or scene:<id>)
+v1.get('/devices/:deviceId/schedules', (req, res) => res.json({ success: true, schedules: req.device.schedules }));
+v1.get('/devices/:deviceId/schedules/:target', (req, res) => {
+    const { target } = req.params;
+    if (!getTarget(req.device, target)) return reply(res, unknownChannel(target));
+    res.json({ success: true, schedules: req.device.schedules[target] || [] });
+});
+v1.post('/devices/:deviceId/schedules/:target', requireAuth('SET_SCHEDULE'), async (req, res) => {
+    const { id, deviceId, switchId, ...fields } = req.body;
+    reply(res, await saveSchedule(req.params.deviceId, req.params.target, null, fields), 201);
+});
+v1.put('/devices/:deviceId/schedules/:target/:scheduleId', requireAuth('SET_SCHEDULE'), async (req, res) => {
+    const { id, deviceId, switchId, ...fields } = req.body;
+    reply(res, await saveSchedule(req.params.deviceId, req.params.target, req.params.scheduleId, fields));
+});
+v1.delete('/devices/:deviceId/schedules/:target', requireAuth('DELETE_TASK'), async (req, res) => {
+    reply(res, await deleteSchedules(req.params.deviceId, req.params.target, null));
+});
+v1.delete('/devices/:deviceId/schedules/:target/:scheduleId', requireAuth('DELETE_TASK'), async (req, res) => {
+    const { deviceId, target, scheduleId } = req.params;
+    reply(res, await deleteSchedules(deviceId, target, scheduleId));
+});
+v1.get('/devices/:deviceId/timers', (req, res) => res.json({ success: true, timers: req.device.timers }));
+v1.put('/devices/:deviceId/timers/:target', requireAuth('SET_TIMER'), async (req, res) => {
+    const { duration, action } = req.body;
+    reply(res, await setTimer(req.params.deviceId, req.params.target, duration, action));
+});
+v1.delete('/devices/:deviceId/timers/:target', requireAuth('DELETE_TASK'), async (req, res) => {
+    reply(res, await cancelTimer(req.params.deviceId, req.params.target));
+});
+
+// Scenes
+v1.get('/devices/:deviceId/scenes', (req, res) => res.json({ success: true, scenes: req.device.scenes }));
+v1.post('/devices/:deviceId/scenes', requireAuth('SET_SCENE'), async (req, res) => {
+    const { id, deviceId, ...fields } = req.body;
+    reply(res, await saveScene(req.params.deviceId, null, fields), 201);
+});
+v1.put('/devices/:deviceId/scenes/:sceneId', requireAuth('SET_SCENE'), async (req, res) => {
+    const { id, deviceId, ...fields } = req.body;
+    reply(res, await saveScene(req.params.deviceId, req.params.sceneId, fields));
+});
+v1.delete('/devices/:deviceId/scenes/:sceneId', requireAuth('DELETE_SCENE'), async (req, res) => {
+    reply(res, await deleteScene(req.params.deviceId, req.params.sceneId));
+});
+v1.post('/devices/:deviceId/scenes/:sceneId/apply', requireAuth('APPLY_SCENE'), async (req, res) => {
+    reply(res, await applyScene(req.params.deviceId, req.params.sceneId, 'rest'));
+});
+
+// System & offline queue
+v1.get('/devices/:deviceId/system', (req, res) => {
+    res.json({ success: true, system: req.device.system, online: req.device.isHardwareOnline });
+});
+v1.patch('/devices/:deviceId/system', requireAuth('SYSTEM_UPDATE'), async (req, res) => {
+    if (req.body.ledMode === undefined) return reply(res, { error: 'ledMode is required', status: 400 });
+    reply(res, await requestSystemUpdate(req.params.deviceId, { ledMode: req.body.ledMode }, req.user.username, 'rest'));
+});
+v1.post('/devices/:deviceId/system/reboot', requireAuth('REBOOT'), async (req, res) => {
+    reply(res, await requestSystemUpdate(req.params.deviceId, { reboot: 1 }, req.user.username, 'rest'));
+});
+v1.get('/devices/:deviceId/ota', (req, res) => {
+    const { ota, firmware, otaCapable } = auth.visibleDevice(req.device, req.user.role);
+    res.json({ success: true, firmware, supported: otaCapable, ota });
+});
+v1.post('/devices/:deviceId/ota', requireAuth('OTA_UPDATE'), async (req, res) => {
+    reply(res, await startOta(req.params.deviceId, req.body.firmwareId, req.user.username));
+});
+v1.get('/devices/:deviceId/queue', (req, res) => {
+    res.json({ success: true, queue: auth.visibleDevice(req.device, req.user.role).queue });
+});
+v1.delete('/devices/:deviceId/queue/:entryId', requireAuth('CANCEL_QUEUED'), async (req, res) => {
+    reply(res, await cancelQueued(req.params.deviceId, req.params.entryId, req.user.username));
+});
+
+// History
+v1.get('/devices/:deviceId/history', getHistory);
+v1.get('/devices/:deviceId/usage', getUsage);
+v1.get('/devices/:deviceId/health', getHealth);
+
+// Firmware images (admins)
+v1.get('/firmware', requireAuth('MANAGE_FIRMWARE'), (req, res) => {
+    res.json({ success: true, firmware: [...firmwareImages.values()].sort((a, b) => b.uploadedAt - a.uploadedAt) });
+});
+// The binary is the request body; version, checksum and notes come in the query string
+v1.post('/firmware', requireAuth('MANAGE_FIRMWARE'), express.raw({ type: 'application/octet-stream', limit: FIRMWARE_MAX_BYTES }), async (req, res) => {
+    reply(res, await uploadFirmware(req.body, req.query, req.user.username), 201);
+});
+v1.delete('/firmware/:firmwareId', requireAuth('MANAGE_FIRMWARE'), async (req, res) => {
+    reply(res, await deleteFirmware(req.params.firmwareId));
+});
+
+// Audit log: who changed what, from which client (see lib/audit.js), oldest first
+v1.get('/audit', requireAuth('VIEW_AUDIT'), async (req, res) => {
+    const { filter, error } = parseAuditQuery(req.query);
+    if (error) return reply(res, { error, status: 400 });
+    res.json({ success: true, from: filter.from, to: filter.to, entries: await storage.findAudit(filter) });
+});
+
+// Presence: who is home; members check in for themselves (e.g. from a phone automation app)
+v1.get('/presence', requireAuth('VIEW_HOUSEHOLD'), (req, res) => res.json({ success: true, presence: state.presence }));
+v1.post('/presence', requireAuth('CHECK_IN'), async (req, res) => {
+    reply(res, await checkIn(req.user.username, req.body || {}, 'rest'));
+});
+
+// Vacation mode: settings, learned habits and the next 24 hours of the plan
+v1.get('/vacation', requireAuth('VIEW_HOUSEHOLD'), (req, res) => res.json({ success: true, ...vacationView() }));
+v1.put('/vacation', requireAuth('SET_VACATION'), async (req, res) => {
+    reply(res, await setVacation(req.body || {}, req.user.username));
+});
+
+// Rules & settings
+v1.get('/rules', requireAuth('VIEW_HOUSEHOLD'), (req, res) => res.json({ success: true, rules: state.rules }));
+v1.post('/rules', requireAuth('SET_RULE'), async (req, res) => {
+    const { id, ...fields } = req.body;
+    reply(res, await saveRuleRequest(null, fields, req.user.username), 201);
+});
+v1.put('/rules/:ruleId', requireAuth('SET_RULE'), async (req, res) => {
+    const { id, ...fields } = req.body;
+    reply(res, await saveRuleRequest(req.params.ruleId, fields, req.user.username));
+});
+v1.patch('/rules/:ruleId', requireAuth('ENABLE_RULE'), async (req, res) => {
+    if (typeof req.body.enabled !== 'boolean') return reply(res, { error: 'enabled must be true or false', status: 400 });
+    reply(res, await enableRule(req.params.ruleId, req.body.enabled));
+});
+v1.delete('/rules/:ruleId', requireAuth('DELETE_RULE'), async (req, res) => {
+    reply(res, await deleteRule(req.params.ruleId));
+});
+v1.get('/settings', (req, res) => res.json({ success: true, settings: state.settings }));
+v1.patch('/settings', requireAuth('UPDATE_SETTINGS'), async (req, res) => {
+    reply(res, await changeSettings(req.body, req.user.username));
+});
+
+// Configuration backups (lib/backup.js): the bundle, a preview of importing one, the import itself,
+// and the automatic backups in BACKUP_DIR
+v1.get('/config', requireAuth('EXPORT_CONFIG'), (req, res) => {
+    const bundle = exportBundle(state);
+    res.attachment(`switch-smart-config-${bundle.exportedAt.slice(0, 10)}.json`).json(bundle);
+});
+v1.post('/config/preview', requireAuth('EXPORT_CONFIG'), async (req, res) => {
+    reply(res, await importConfig(req.body, req.user.username, { dryRun: true }));
+});
+v1.post('/config', requireAuth('IMPORT_CONFIG'), async (req, res) => {
+    reply(res, await importConfig(req.body, req.user.username));
+});
+v1.get('/backups', requireAuth('EXPORT_CONFIG'), async (req, res) => res.json({
+    success: true,
+    enabled: !!backups,
+    intervalHours: BACKUP_INTERVAL,
+    backups: backups ? await backups.list() : []
+}));
+v1.post('/backups', requireAuth('EXPORT_CONFIG'), async (req, res) => {
+    if (!backups) return reply(res, { error: 'Automatic backups are off (set BACKUP_DIR)', status: 409 });
+    reply(res, await runBackup(req.user.username), 201);
+});
+v1.get('/backups/:name', requireAuth('EXPORT_CONFIG'), async (req, res) => {
+    const text = backups && await backups.read(req.params.name);
+    if (!text) return reply(res, { error: `Unknown backup '${req.params.name}'`, status: 404 });
+    res.attachment(req.params.name).type('json').send(text);
+});
+
+// Alerts for the signed-in account: which events, quiet hours, webhooks and push subscriptions
+v1.get('/notifications', (req, res) => res.json({
+    success: true,
+    available: notifications.NOTIFICATION_EVENTS,
+    publicKey: vapidKeys && vapidKeys.publicKey,
+    notifications: notificationView(req.user.username)
+}));
+v1.patch('/notifications', async (req, res) => reply(res, await changeNotifications(req.user, req.body)));
+v1.post('/notifications/subscriptions', async (req, res) => {
+    reply(res, await addPushSubscription(req.user.username, req.body), 201);
+});
+v1.delete('/notifications/subscriptions', async (req, res) => {
+    reply(res, await removePushSubscription(req.user.username, req.query.endpoint));
+});
+v1.post('/notifications/test', async (req, res) => reply(res, await sendTestNotification(req.user.username)));
+
+// Anything else under /api/v1 answers in the same shape
+v1.use((req, res) => res.status(404).json({ success: false, error: `No route for ${req.method} ${req.originalUrl}` }));
+
+// Also catches body parser errors, which happen before the router runs
+function apiError(err, req, res, next) {
+    if (err.type === 'entity.parse.failed') return res.status(400).json({ success: false, error: 'Malformed JSON body' });
+    if (err.type === 'entity.too.large') return res.status(413).json({ success: false, error: 'Request body is too large' });
+    console.error('[API] Error:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+}
+app.use('/api/v1', v1, apiError);
+
+// --- Lifecycle ---
+// `node server.js` starts right away; index.js and the tests call start() and stop() themselves.
+const intervals = [];
+
+// Resolves once the server listens and the persisted state is restored
+async function start(port = PORT) {
+    const restored = connectStorage();
+    intervals.push(
+        setInterval(heartbeat, 30000),
+        setInterval(minuteTick, 60000),
+        setInterval(() => bus.publish({ kind: 'heartbeat' }), BUS_HEARTBEAT)
+    );
+    await new Promise(resolve => {
+        server.listen(port, () => {
+            console.log(`Server is running on port ${server.address().port}`);
+            resolve();
+        });
+    });
+    await restored;
+    await joinCluster(); // Only now, so the boards the others answer with land on the stored state
+    return server;
+}
+
+async function stop() {
+    intervals.splice(0).forEach(clearInterval);
+    offlineAlerts.forEach(clearTimeout);
+    for (const client of wss.clients) client.terminate();
+    if (mqttBridge) await mqttBridge.stop();
+    await new Promise(resolve => wss.close(() => server.close(resolve)));
+    await health.flush();
+    bus.publish({ kind: 'bye' });
+    await bus.close();
+    await storage.close();
+}
+
+module.exports = {
+    app,
+    server,
+    state,
+    start,
+    stop
+};
+
+if (require.main === module) start();
@@ -1,4 +1,5 @@
 const WebSocket = require('ws');
+const crypto = require('crypto');
 
 // --- CONFIGURATION ---
 const REMOTE_URL = 'wss://home-smart.onrender.com';
@@ -7,93 +8,255 @@ const LOCAL_URL = 'ws://localhost:3000';
 // Change this to switch between testing local or remote
 const WS_URL = REMOTE_URL;
 
+// Run several simulators side by side with different IDs (e.g. DEVICE_ID=bedroom)
+const DEVICE_ID = process.env.DEVICE_ID || 'main';
+
+// Must match the server's DEVICE_SECRET or IDENTIFY is refused
+const DEVICE_SECRET = process.env.DEVICE_SECRET || '';
+
+// Flaky-link testing: SIM_DROP=0.3 ignores 30% of COMMANDs, SIM_DELAY_MS=2000 answers late,
+// SIM_NO_ACK=1 behaves like old firmware (protocol 1, no ACKs, switch changes confirmed by UPDATE_STATUS only)
+const DROP_RATE = parseFloat(process.env.SIM_DROP) || 0;
+const DELAY_MS = parseInt(process.env.SIM_DELAY_MS) || 0;
+const SEND_ACKS = process.env.SIM_NO_ACK !== '1';
+
+// Reported in IDENTIFY for the diagnostics page; SIM_RESET_REASON mimics ESP.getResetReason()
+let firmware = process.env.SIM_FIRMWARE || 'sim-2.0.0';
+let resetReason = process.env.SIM_RESET_REASON || 'Power On';
+let bootedAt = Date.now();
+const uptime = () => Math.round((Date.now() - bootedAt) / 1000);
+
+// Fake OTA: downloads the image in OTA_CHUNK ranges, checks its MD5, then "reboots" into it.
+// SIM_OTA_FAIL=1 fails the flash step, to try the failure path.
+const OTA_CHUNK = 64 * 1024;
+const OTA_FAIL = process.env.SIM_OTA_FAIL === '1';
+
 console.log(`\n🚀 STARTING ESP8266 SIMULATOR v2.0`);
-console.log(`🔗 Target: ${WS_URL}\n`);
+console.log(`🔗 Target: ${WS_URL}`);
+console.log(`🆔 Device: ${DEVICE_ID}`);
+console.log(`📶 Acks: ${SEND_ACKS ? 'on' : 'off'}, drop: ${DROP_RATE * 100}%, delay: ${DELAY_MS}ms\n`);
+
+let ws;
+let heartbeatTimer = null;
+let rebooting = false;
 
-const ws = new WebSocket(WS_URL);
+// Capability list declared in IDENTIFY (same layout as the wall-box board)
+const CHANNELS = [
+    { id: 'switch1', type: 'relay', physical: true },
+    { id: 'switch2', type: 'relay', physical: false },
+    { id: 'switch3', type: 'relay', physical: false },
+    { id: 'switch4', type: 'relay', physical: true }
+];
 
 let state = {
+    channels: CHANNELS,
     switches: { switch1: 0, switch2: 0, switch3: 0, switch4: 0 },
     physical: { switch1: 1, switch4: 1 }, // Default to physical ON for safety
     system: { ledMode: 1 }
 };
 
-ws.on('open', () => {
-    console.log('✅ Connected to Server');
-
-    // 1. IDENTIFY as hardware
-    const idMsg = {
-        type: 'IDENTIFY',
-        role: 'hardware',
-        data: state
-    };
-    ws.send(JSON.stringify(idMsg));
-    console.log('📡 Sent IDENTIFY as HARDWARE');
-
-    // 2. Periodic Status Heartbeat
-    setInterval(() => {
-        const heartbeat = {
-            type: 'UPDATE_STATUS',
-            data: {
-                switches: state.switches,
-                physical: state.physical,
-                rssi: Math.floor(Math.random() * -15) - 45
-            }
-        };
-        ws.send(JSON.stringify(heartbeat));
-        console.log('💓 Heartbeat Sent');
-    }, 15000);
-});
+function connect() {
+    ws = new WebSocket(WS_URL);
 
-ws.on('message', (data) => {
-    try {
-        const msg = JSON.parse(data);
+    ws.on('open', () => {
+        console.log('✅ Connected to Server');
 
-        if (msg.type === 'COMMAND') {
-            const { action } = msg.data;
+        // 1. IDENTIFY as hardware
+        const idMsg = {
+            type: 'IDENTIFY',
+            role: 'hardware',
+            deviceId: DEVICE_ID,
+            secret: DEVICE_SECRET,
+            ...(SEND_ACKS ? { protocol: 2 } : {}), // Protocol 2 boards ack every COMMAND
+            firmware,
+            resetReason,
+            ota: true, // Takes OTA_UPDATE (see handleOta)
+            data: { ...state, system: { ...state.system, uptime: uptime() } }
+        };
+        ws.send(JSON.stringify(idMsg));
+        console.log('📡 Sent IDENTIFY as HARDWARE');
 
-            if (action === 'TOGGLE') {
-                const { switchId, value } = msg.data;
-                console.log(`\n⚡ COMMAND RECEIVED: Turn ${switchId} ${value === 1 ? 'ON' : 'OFF'}`);
+        // 2. Periodic Status Heartbeat
+        heartbeatTimer = setInterval(() => {
+            const heartbeat = {
+                type: 'UPDATE_STATUS',
+                data: {
+                    switches: state.switches,
+                    physical: state.physical,
+                    system: { rssi: Math.floor(Math.random() * -15) - 45, uptime: uptime() }
+                }
+            };
+            ws.send(JSON.stringify(heartbeat));
+            console.log('💓 Heartbeat Sent');
+        }, 15000);
+    });
 
-                // Simulate physical relay action
-                state.switches[switchId] = value;
+    ws.on('message', (data) => {
+        try {
+            const msg = JSON.parse(data);
 
-                // Confirm back to server
-                ws.send(JSON.stringify({
-                    type: 'UPDATE_STATUS',
-                    data: { switches: state.switches }
-                }));
-                console.log(`✅ ${switchId} status updated to ${value}`);
-            }
-
-            else if (action === 'SYSTEM') {
-                if (msg.data.ledMode !== undefined) {
-                    state.system.ledMode = msg.data.ledMode;
-                    console.log(`🌈 AURA UPDATE: Mode changed to ${state.system.ledMode}`);
-                }
-                if (msg.data.reboot) {
-                    console.log(`🔄 REBOOT COMMAND RECEIVED! Restarting simulation...`);
-                    process.exit(0);
+            if (msg.type === 'COMMAND') {
+                if (Math.random() < DROP_RATE) {
+                    console.log(`\n🕳️  COMMAND #${msg.seq} DROPPED (simulated)`);
+                    return;
                 }
+                setTimeout(() => handleCommand(msg), DELAY_MS);
+            }
+            else if (msg.type === 'IDENTIFIED') {
+                console.log(`🤝 Linked as '${msg.deviceId}' on protocol ${msg.protocol}`);
             }
+            else if (msg.type === 'ERROR') {
+                console.log(`⛔ Server refused: [${msg.code}] ${msg.message}${msg.field ? ` (${msg.field})` : ''}`);
+            }
+
+        } catch (e) {
+            console.error('❌ Parse Error:', e);
         }
+    });
+
+    ws.on('close', () => {
+        clearInterval(heartbeatTimer);
+        if (rebooting) return;
+        console.log('❌ Connection Closed. Simulation Ended.');
+        process.exit(0);
+    });
 
-    } catch (e) {
-        console.error('❌ Parse Error:', e);
+    ws.on('error', (err) => {
+        console.error('🚨 WebSocket Error:', err.message);
+    });
+}
+
+// Retries reuse the seq; a command seen before is acked again but not re-applied
+const handledSeqs = [];
+
+function ack(seq) {
+    if (SEND_ACKS && seq !== undefined) ws.send(JSON.stringify({ type: 'ACK', seq, ok: true }));
+}
+
+function handleCommand(msg) {
+    if (handledSeqs.includes(msg.seq)) {
+        console.log(`\n🔁 Duplicate COMMAND #${msg.seq}, re-acking`);
+        return ack(msg.seq);
     }
-});
+    if (msg.seq !== undefined) {
+        handledSeqs.push(msg.seq);
+        if (handledSeqs.length > 50) handledSeqs.shift();
+    }
+    ack(msg.seq);
 
-ws.on('close', () => {
-    console.log('❌ Connection Closed. Simulation Ended.');
-    process.exit(0);
-});
+    const { action } = msg.data;
+
+    if (action === 'TOGGLE') {
+        const { switchId, value } = msg.data;
+        console.log(`\n⚡ COMMAND RECEIVED: Turn ${switchId} ${value === 1 ? 'ON' : 'OFF'}`);
+
+        // Simulate physical relay action
+        state.switches[switchId] = value;
+
+        // Confirm back to server
+        ws.send(JSON.stringify({
+            type: 'UPDATE_STATUS',
+            data: { switches: state.switches }
+        }));
+        console.log(`✅ ${switchId} status updated to ${value}`);
+    }
+
+    else if (action === 'SCENE') {
+        // Batched: every relay flips in one go, then a single confirmation
+        const { switches, ledMode } = msg.data;
+        console.log(`\n🎬 SCENE RECEIVED: ${JSON.stringify(switches)}${ledMode != null ? ` + Aura ${ledMode}` : ''}`);
+        Object.assign(state.switches, switches);
+        if (ledMode != null) state.system.ledMode = ledMode;
+
+        ws.send(JSON.stringify({
+            type: 'UPDATE_STATUS',
+            data: { switches: state.switches, system: state.system }
+        }));
+    }
+
+    else if (action === 'SYSTEM') {
+        if (msg.data.ledMode !== undefined) {
+            state.system.ledMode = msg.data.ledMode;
+            console.log(`🌈 AURA UPDATE: Mode changed to ${state.system.ledMode}`);
+        }
+        if (msg.data.reboot) {
+            console.log(`🔄 REBOOT COMMAND RECEIVED! Restarting simulation...`);
+            setTimeout(() => process.exit(0), 100); // Let the ACK go out first
+        }
+    }
+
+    else if (action === 'OTA_UPDATE') {
+        handleOta(msg.data).catch(err => reportOta(msg.data.updateId, 'failed', undefined, err.message));
+    }
+}
+
+function reportOta(updateId, status, progress, error) {
+    ws.send(JSON.stringify({ type: 'OTA_STATUS', data: { updateId, status, progress, error } }));
+}
+
+// What ESPhttpUpdate does, minus the flash: fetch, verify, restart into the new version
+async function handleOta({ updateId, url, version, size, md5 }) {
+    console.log(`\n📦 OTA UPDATE RECEIVED: ${firmware} -> ${version} (${size} bytes)`);
+    // A bare path is relative to the server this board talks to
+    const source = new URL(url, WS_URL.replace(/^ws/, 'http'));
+    const chunks = [];
+    let received = 0;
+    while (received < size) {
+        const end = Math.min(received + OTA_CHUNK, size) - 1;
+        const res = await fetch(source, { headers: { range: `bytes=${received}-${end}` } });
+        if (res.status !== 206 && res.status !== 200) throw new Error(`Download failed (HTTP ${res.status})`);
+        const chunk = Buffer.from(await res.arrayBuffer());
+        if (res.status === 200) chunks.length = 0; // Server ignored the range and sent it whole
+        chunks.push(chunk);
+        received = res.status === 200 ? chunk.length : received + chunk.length;
+        const progress = Math.round(received / size * 100);
+        reportOta(updateId, 'downloading', progress);
+        console.log(`⬇️  ${progress}%`);
+    }
+
+    const image = Buffer.concat(chunks);
+    if (crypto.createHash('md5').update(image).digest('hex') !== md5) throw new Error('MD5 mismatch');
+    reportOta(updateId, 'flashing');
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    if (OTA_FAIL) throw new Error('Flash write failed (simulated)');
+
+    reportOta(updateId, 'rebooting');
+    console.log(`🔄 Flashed ${version}, rebooting...`);
+    rebooting = true;
+    ws.close();
+    setTimeout(() => {
+        firmware = version;
+        resetReason = 'Software/System restart';
+        bootedAt = Date.now();
+        rebooting = false;
+        connect();
+    }, 2000);
+}
+
+connect();
+
+// Wall switches: type a channel number (1 or 4) and Enter to flip its wall switch.
+// Like the real board, the relay follows the flip; the server then applies the channel's
+// interlock policy (app always wins, wall switch is master, last change wins, or toggles).
+const WALL_CHANNELS = CHANNELS.filter(channel => channel.physical);
+
+function flipWall(switchId) {
+    const position = state.physical[switchId] ? 0 : 1;
+    state.physical[switchId] = position;
+    state.switches[switchId] = position;
+    console.log(`\n🖐 WALL SWITCH ${switchId} flipped ${position ? 'ON' : 'OFF'}`);
+    if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ type: 'UPDATE_STATUS', data: { switches: state.switches, physical: state.physical } }));
+    }
+}
 
-ws.on('error', (err) => {
-    console.error('🚨 WebSocket Error:', err.message);
+process.stdin.setEncoding('utf8');
+process.stdin.on('data', (input) => {
+    const channel = CHANNELS[parseInt(input.trim()) - 1];
+    if (channel && channel.physical) flipWall(channel.id);
+    else console.log(`Wall switches: ${WALL_CHANNELS.map(item => item.id.replace('switch', '')).join(', ')}`);
 });
 
-// Helper for users to simulate physical switch 1 & 4 from console
-console.log('--- TO TEST PHYSICAL LOCKS ---');
-console.log('In a real device, if physical switch is OFF, App cannot turn relay ON.');
-console.log('------------------------------\n');
+console.log('--- WALL SWITCHES ---');
+console.log(`Type ${WALL_CHANNELS.map(item => item.id.replace('switch', '')).join(' or ')} and Enter to flip that wall switch.`);
+console.log('---------------------\n');
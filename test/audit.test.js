@@ -0,0 +1,62 @@
+// Audit log: what changed between two reads of a scope, entries and the query string of GET /api/v1/audit.
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { diff, snapshot, createEntry, parseQuery, matches } = require('../lib/audit');
+
+test('only what changed is kept, by dotted path', () => {
+    assert.deepStrictEqual(diff({ switches: { switch1: 0, switch2: 1 } }, { switches: { switch1: 1, switch2: 1 } }), [
+        { path: 'switches.switch1', before: 0, after: 1 }
+    ]);
+    assert.deepStrictEqual(diff({ names: {} }, { names: { switch1: 'Fan' } }), [{ path: 'names.switch1', after: 'Fan' }]);
+    assert.deepStrictEqual(diff({ ledMode: 1 }, { ledMode: 1 }), []);
+});
+
+test('lists of items with IDs are compared item by item', () => {
+    const before = { schedules: { switch1: [{ id: 'a1', time: '07:00', days: [1, 2] }, { id: 'b2', time: '22:00', days: [] }] } };
+    const after = { schedules: { switch1: [{ id: 'a1', time: '07:30', days: [1, 2] }, { id: 'c3', time: '06:00', days: [] }] } };
+    assert.deepStrictEqual(diff(before, after), [
+        { path: 'schedules.switch1.a1.time', before: '07:00', after: '07:30' },
+        { path: 'schedules.switch1.b2.id', before: 'b2' },
+        { path: 'schedules.switch1.b2.time', before: '22:00' },
+        { path: 'schedules.switch1.b2.days', before: [] },
+        { path: 'schedules.switch1.c3.id', after: 'c3' },
+        { path: 'schedules.switch1.c3.time', after: '06:00' },
+        { path: 'schedules.switch1.c3.days', after: [] }
+    ]);
+    // A snapshot does not follow later changes to the live object
+    const live = { switches: { switch1: 0 } };
+    const taken = snapshot(live);
+    live.switches.switch1 = 1;
+    assert.deepStrictEqual(diff(taken, live), [{ path: 'switches.switch1', before: 0, after: 1 }]);
+});
+
+test('entries carry the actor and default what is unknown to null', () => {
+    const entry = createEntry({ actor: { client: 'physical' }, type: 'UPDATE_STATUS', deviceId: 'main', target: 'switch1' }, 1000);
+    assert.match(entry.id, /^[0-9a-f]{8}$/);
+    assert.deepStrictEqual({ ...entry, id: undefined }, {
+        id: undefined,
+        at: new Date(1000),
+        actor: { username: null, role: null, ip: null, client: 'physical' },
+        type: 'UPDATE_STATUS',
+        deviceId: 'main',
+        target: 'switch1',
+        changes: []
+    });
+});
+
+test('queries default to the newest 100 entries of the last week and refuse unknown clients', () => {
+    const now = Date.UTC(2025, 0, 8);
+    assert.deepStrictEqual(parseQuery({}, now), { filter: { from: new Date(Date.UTC(2025, 0, 1)), to: new Date(now), limit: 100 } });
+    const { filter } = parseQuery({ username: 'ana', client: 'app', type: 'RENAME', deviceId: 'main', limit: '5000', from: '2025-01-07T00:00:00Z' }, now);
+    assert.deepStrictEqual(filter, {
+        from: new Date(Date.UTC(2025, 0, 7)), to: new Date(now), limit: 1000, username: 'ana', client: 'app', type: 'RENAME', deviceId: 'main'
+    });
+    assert.match(parseQuery({ client: 'fax' }, now).error, /client must be one of/);
+    assert.match(parseQuery({ from: 'yesterday' }, now).error, /Invalid from\/to/);
+
+    const entry = createEntry({ actor: { username: 'ana', client: 'app' }, type: 'RENAME', deviceId: 'main', target: 'switch1' }, now - 1000);
+    assert.ok(matches(entry, filter));
+    assert.ok(!matches(entry, { ...filter, username: 'bo' }));
+    assert.ok(!matches(entry, { ...filter, to: new Date(now - 1000) }));
+});
@@ -0,0 +1,215 @@
+// Automation engine against a fake clock: schedules, timers and Aura must follow
+// the site's wall clock in whatever IANA zone it is set to, DST included.
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { createAutomation, isSleepWindow } = require('../lib/automation');
+const { getZonedParts, isValidTimeZone } = require('../lib/clock');
+const { buildSchedule, EVERY_DAY } = require('../lib/schedules');
+const { createDefaultRules, createRuleEngine } = require('../lib/rules');
+
+const MONDAY = 1 << 1;
+
+function createHarness({ timeZone, schedules = [], timer, ledMode = 1, light = 1, location = null, online = true, vacation }) {
+    const state = {
+        settings: { timeZone },
+        rules: createDefaultRules({
+            auraNight: { anchor: 'time', time: '22:30', offset: 0 },
+            auraMorning: { anchor: 'time', time: '05:00', offset: 0 }
+        }),
+        devices: {
+            main: {
+                channels: [{ id: 'switch1', type: 'relay', physical: true }],
+                switches: { switch1: light },
+                schedules: { switch1: schedules.map(spec => buildSchedule(spec)) },
+                timers: { switch1: timer || { active: false, endAt: 0, action: 0 } },
+                system: { ledMode }
+            }
+        },
+        vacation
+    };
+    const commands = [];
+    const notified = [];
+    let current = new Date(0);
+
+    const rules = createRuleEngine({
+        state,
+        getClock: () => automation.getClock(),
+        run: {
+            setLedMode: async (deviceId, ledMode) => { state.devices[deviceId].system.ledMode = ledMode; }
+        }
+    });
+
+    const automation = createAutomation({
+        state,
+        getTimeZone: () => state.settings.timeZone,
+        location,
+        rules,
+        updateAndSave: async () => {},
+        broadcast: () => {},
+        sendToDevice: (deviceId, data) => online && commands.push(data.data),
+        syncSchedules: () => {},
+        applyScene: async (deviceId, sceneId) => online && commands.push({ action: 'SCENE', sceneId }),
+        notify: (...args) => notified.push(args),
+        now: () => current,
+        random: () => 0.5
+    });
+
+    return {
+        state,
+        commands,
+        notified,
+        // Advances the fake clock and runs one engine pass
+        async at(iso) {
+            current = new Date(iso);
+            commands.length = 0;
+            await automation.tick();
+            return commands.filter(cmd => cmd.action === 'TOGGLE');
+        }
+    };
+}
+
+test('clock: wall-clock parts follow the zone and its DST rules', () => {
+    assert.deepStrictEqual(getZonedParts(new Date('2026-07-06T01:30:00Z'), 'Asia/Kolkata'),
+        { hours: 7, minutes: 0, weekday: 1, dateKey: '2026-07-06' });
+    // 11:00 UTC is 07:00 EDT in summer but 06:00 EST in winter
+    assert.strictEqual(getZonedParts(new Date('2026-07-06T11:00:00Z'), 'America/New_York').hours, 7);
+    assert.strictEqual(getZonedParts(new Date('2026-01-05T11:00:00Z'), 'America/New_York').hours, 6);
+    // Midnight is hour 0, not 24
+    assert.strictEqual(getZonedParts(new Date('2026-01-05T00:00:00Z'), 'Europe/London').hours, 0);
+});
+
+test('clock: only real IANA zones are accepted', () => {
+    assert.ok(isValidTimeZone('Europe/London'));
+    assert.ok(!isValidTimeZone('Mars/Olympus_Mons'));
+    assert.ok(!isValidTimeZone(''));
+    assert.ok(!isValidTimeZone(undefined));
+});
+
+test('schedule fires at 07:00 Asia/Kolkata (01:30 UTC)', async () => {
+    const hw = createHarness({ timeZone: 'Asia/Kolkata', schedules: [{ time: '07:00', action: 1 }] });
+    assert.deepStrictEqual(await hw.at('2026-07-06T01:29:00Z'), []);
+    assert.deepStrictEqual(await hw.at('2026-07-06T01:30:00Z'), [{ action: 'TOGGLE', switchId: 'switch1', value: 1 }]);
+    assert.deepStrictEqual(await hw.at('2026-07-06T01:31:00Z'), []);
+    // The old fixed-offset engine would fire this at 07:00 UTC
+    assert.deepStrictEqual(await hw.at('2026-07-06T07:00:00Z'), []);
+});
+
+test('schedule keeps its wall-clock minute across a DST change in America/New_York', async () => {
+    const hw = createHarness({ timeZone: 'America/New_York', schedules: [{ time: '07:00', action: 1 }] });
+    // Saturday before the spring-forward (EST, UTC-5)
+    assert.strictEqual((await hw.at('2026-03-07T12:00:00Z')).length, 1);
+    // Monday after it (EDT, UTC-4): same 07:00, one UTC hour earlier
+    assert.strictEqual((await hw.at('2026-03-09T12:00:00Z')).length, 0);
+    assert.strictEqual((await hw.at('2026-03-09T11:00:00Z')).length, 1);
+});
+
+test('schedule follows Europe/London from GMT into BST', async () => {
+    const hw = createHarness({ timeZone: 'Europe/London', schedules: [{ time: '18:15', action: 0 }] });
+    assert.strictEqual((await hw.at('2026-03-27T18:15:00Z')).length, 1); // GMT
+    assert.strictEqual((await hw.at('2026-03-30T18:15:00Z')).length, 0);
+    assert.strictEqual((await hw.at('2026-03-30T17:15:00Z')).length, 1); // BST
+});
+
+test('weekday masks and one-shot dates use the local calendar day', async () => {
+    // 00:30 on Monday in Kolkata is still Sunday evening in UTC
+    const hw = createHarness({
+        timeZone: 'Asia/Kolkata',
+        schedules: [
+            { time: '00:30', action: 1, days: MONDAY },
+            { time: '00:30', action: 0, days: EVERY_DAY, date: '2026-07-06' }
+        ]
+    });
+    const fired = await hw.at('2026-07-05T19:00:00Z');
+    assert.deepStrictEqual(fired.map(cmd => cmd.value).sort(), [0, 1]);
+    // The one-shot entry retires after firing
+    assert.strictEqual(hw.state.devices.main.schedules.switch1[1].enabled, false);
+});
+
+test('changing the zone moves the firing instant', async () => {
+    const hw = createHarness({ timeZone: 'Asia/Kolkata', schedules: [{ time: '07:00', action: 1 }] });
+    hw.state.settings.timeZone = 'Australia/Sydney'; // AEST, UTC+10 in July
+    assert.strictEqual((await hw.at('2026-07-06T01:30:00Z')).length, 0);
+    assert.strictEqual((await hw.at('2026-07-05T21:00:00Z')).length, 1);
+});
+
+for (const timeZone of ['Asia/Kolkata', 'America/New_York', 'Pacific/Auckland']) {
+    test(`timer fires at its end instant regardless of zone (${timeZone})`, async () => {
+        const endAt = Date.parse('2026-07-06T12:00:00Z');
+        const hw = createHarness({ timeZone, timer: { active: true, endAt, action: 0 } });
+        assert.deepStrictEqual(await hw.at('2026-07-06T11:59:00Z'), []);
+        assert.deepStrictEqual(await hw.at('2026-07-06T11:59:40Z'), [{ action: 'TOGGLE', switchId: 'switch1', value: 0 }]);
+        assert.strictEqual(hw.state.devices.main.timers.switch1.active, false);
+    });
+}
+
+test('schedules and timers can target a scene', async () => {
+    const hw = createHarness({ timeZone: 'Europe/London' });
+    const device = hw.state.devices.main;
+    device.schedules['scene:movie'] = [buildSchedule({ time: '21:00', action: 1 })];
+    device.timers['scene:movie'] = { active: true, endAt: Date.parse('2026-07-06T12:00:00Z'), action: 1 };
+
+    await hw.at('2026-07-06T20:00:00Z'); // 21:00 BST
+    assert.deepStrictEqual(hw.commands, [{ action: 'SCENE', sceneId: 'movie' }]);
+    await hw.at('2026-07-06T12:00:10Z');
+    assert.deepStrictEqual(hw.commands, [{ action: 'SCENE', sceneId: 'movie' }]);
+    assert.strictEqual(device.timers['scene:movie'].active, false);
+});
+
+test('schedule and timer runs are reported, with whether they reached the board', async () => {
+    const timer = { active: true, endAt: Date.parse('2026-07-06T12:00:00Z'), action: 0 };
+    const hw = createHarness({ timeZone: 'UTC', schedules: [{ time: '07:00', action: 1 }], timer });
+    await hw.at('2026-07-06T07:00:00Z');
+    await hw.at('2026-07-06T12:00:00Z');
+    assert.deepStrictEqual(hw.notified, [['schedule', 'main', 'switch1', 1, true], ['timer', 'main', 'switch1', 0, true]]);
+
+    const offline = createHarness({ timeZone: 'UTC', schedules: [{ time: '07:00', action: 1 }], online: false });
+    await offline.at('2026-07-06T07:00:00Z');
+    assert.deepStrictEqual(offline.notified, [['schedule', 'main', 'switch1', 1, false]]);
+});
+
+test('vacation mode replays its plan and pauses the channel\'s schedules', async () => {
+    const vacation = {
+        enabled: true,
+        switches: [{ deviceId: 'main', switchId: 'switch1' }],
+        jitter: 20,
+        patterns: { 'main/switch1': [{ on: 19 * 60, duration: 120, level: 1, chance: 1 }] },
+        plan: [],
+        plannedThrough: null
+    };
+    const hw = createHarness({ timeZone: 'Asia/Kolkata', schedules: [{ time: '19:30', action: 0 }], vacation });
+    // The first pass plans today and tomorrow (no jitter with random() = 0.5)
+    assert.deepStrictEqual(await hw.at('2026-07-06T12:00:00Z'), []);
+    assert.strictEqual(hw.state.vacation.plannedThrough, '2026-07-07');
+    assert.strictEqual(hw.state.vacation.plan.length, 4);
+
+    // 19:00 IST replays the habit; the 19:30 schedule stays quiet; 21:00 turns it off
+    assert.deepStrictEqual(await hw.at('2026-07-06T13:30:00Z'), [{ action: 'TOGGLE', switchId: 'switch1', value: 1 }]);
+    assert.deepStrictEqual(await hw.at('2026-07-06T14:00:00Z'), []);
+    assert.deepStrictEqual(await hw.at('2026-07-06T15:30:00Z'), [{ action: 'TOGGLE', switchId: 'switch1', value: 0 }]);
+    assert.strictEqual(hw.state.vacation.plan.length, 2);
+
+    // Switched off, the plan keeps rolling but nothing is replayed and schedules are back
+    vacation.enabled = false;
+    assert.deepStrictEqual(await hw.at('2026-07-07T13:30:00Z'), []);
+    assert.deepStrictEqual(await hw.at('2026-07-07T14:00:00Z'), [{ action: 'TOGGLE', switchId: 'switch1', value: 0 }]);
+    assert.strictEqual(hw.state.vacation.plannedThrough, '2026-07-08');
+});
+
+test('Aura night window and morning restore follow the zone', async () => {
+    const hw = createHarness({ timeZone: 'America/New_York', light: 0, ledMode: 3 });
+    await hw.at('2026-07-06T02:29:00Z'); // 22:29 EDT
+    assert.strictEqual(hw.state.devices.main.system.ledMode, 3);
+    await hw.at('2026-07-06T02:30:00Z'); // 22:30 EDT
+    assert.strictEqual(hw.state.devices.main.system.ledMode, 0);
+    await hw.at('2026-07-06T09:00:00Z'); // 05:00 EDT
+    assert.strictEqual(hw.state.devices.main.system.ledMode, 3);
+});
+
+test('sleep window covers 02:30-03:29 local', () => {
+    const local = (iso, zone) => getZonedParts(new Date(iso), zone);
+    assert.ok(isSleepWindow(local('2026-07-05T21:00:00Z', 'Asia/Kolkata'))); // 02:30 IST
+    assert.ok(!isSleepWindow(local('2026-07-05T22:00:00Z', 'Asia/Kolkata'))); // 03:30 IST
+    assert.ok(isSleepWindow(local('2026-07-06T07:00:00Z', 'America/New_York'))); // 03:00 EDT
+    assert.ok(!isSleepWindow(local('2026-07-06T02:30:00Z', 'America/New_York'))); // 22:30 EDT
+});
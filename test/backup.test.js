@@ -0,0 +1,124 @@
+// Configuration bundles: export, reading (and refusing) uploads, the legacy data.json, and the
+// automatic backup directory with its retention.
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildSchedule } = require('../lib/schedules');
+const { FORMAT, BUNDLE_VERSION, configOf, exportBundle, readBundle, createBackupStore, isBackupDue } = require('../lib/backup');
+
+const HOUR = 60 * 60 * 1000;
+const state = {
+    settings: { timeZone: 'Asia/Kolkata', queueOffline: true, queueTtl: 3600, vapid: { privateKey: 'secret' } },
+    vacation: { enabled: false, since: null, switches: [], jitter: 20, patterns: {}, plan: [{ at: 1 }], plannedThrough: null },
+    rules: [],
+    devices: {
+        main: {
+            label: 'Hall',
+            channels: [{ id: 'switch1', type: 'relay', physical: true }],
+            names: { switch1: 'Lamp' },
+            scenes: [],
+            switches: { switch1: 1 },
+            physical: { switch1: 0 },
+            schedules: { switch1: [buildSchedule({ time: '18:30', action: 1 }, { id: 's1' })] },
+            timers: { switch1: { active: false, endAt: 0, action: 0 } },
+            wattage: { switch1: 60 },
+            interlocks: {},
+            queue: [{ id: 'q1' }],
+            system: { ledMode: 2, reboot: 0, rssi: -60 },
+            isHardwareOnline: true
+        }
+    }
+};
+const bundle = (sections) => ({ format: FORMAT, version: BUNDLE_VERSION, ...sections });
+
+test('export: configuration only, no live readings or secrets', () => {
+    const exported = exportBundle(state, new Date('2026-07-01T00:00:00Z'));
+    assert.strictEqual(exported.exportedAt, '2026-07-01T00:00:00.000Z');
+    assert.deepStrictEqual(exported.settings, { timeZone: 'Asia/Kolkata', queueOffline: true, queueTtl: 3600 });
+    assert.deepStrictEqual(exported.vacation, { enabled: false, switches: [], jitter: 20 });
+    assert.deepStrictEqual(Object.keys(exported.devices.main),
+        ['label', 'channels', 'names', 'scenes', 'schedules', 'timers', 'wattage', 'interlocks', 'ledMode']);
+    assert.strictEqual(exported.devices.main.ledMode, 2);
+
+    // Reading an export back gives the same configuration
+    const { bundle: read } = readBundle(JSON.parse(JSON.stringify(exported)));
+    const { format, version, exportedAt, ...config } = read;
+    assert.deepStrictEqual(config, configOf(state));
+});
+
+test('read: sections and fields left out stay out', () => {
+    const { bundle: read } = readBundle(bundle({ devices: { main: { names: { switch1: 'Porch' } } } }));
+    assert.deepStrictEqual(read, { format: FORMAT, version: BUNDLE_VERSION, exportedAt: null, devices: { main: { names: { switch1: 'Porch' } } } });
+});
+
+test('read: refuses other files, versions and broken sections with the offending path', () => {
+    assert.match(readBundle([]).error, /Not a configuration bundle/);
+    assert.match(readBundle({ format: 'other', version: 1 }).error, /Not a configuration bundle/);
+    assert.match(readBundle(bundle({ version: 2 })).error, /Unsupported bundle version 2/);
+    assert.match(readBundle(bundle({ settings: { timeZone: 'Mars/Olympus' } })).error, /settings\.timeZone/);
+    assert.match(readBundle(bundle({ settings: { queueTtl: 5 } })).error, /settings\.queueTtl/);
+    assert.match(readBundle(bundle({ vacation: { enabled: true, switches: [] } })).error, /at least one switch/);
+    assert.match(readBundle(bundle({ rules: [{ id: 'r1', name: 'No triggers' }] })).error, /rules\[0\]/);
+    assert.match(readBundle(bundle({ devices: { main: { channels: [{ id: 'a' }, { id: 'a' }] } } })).error, /distinct ids/);
+    assert.match(readBundle(bundle({ devices: { main: { wattage: { switch1: -5 } } } })).error, /devices\.main\.wattage\.switch1/);
+    assert.match(readBundle(bundle({ devices: { main: { interlocks: { switch1: 'sometimes' } } } })).error, /interlocks\.switch1/);
+    assert.match(readBundle(bundle({ devices: { main: { schedules: { switch1: [{ id: 's1', time: '25:00', action: 1 }] } } } })).error,
+        /devices\.main\.schedules\.switch1\[0\]/);
+    // A scene schedule needs its scene in the same bundle
+    assert.match(readBundle(bundle({ devices: { main: { schedules: { 'scene:gone': [] } } } })).error, /unknown scene/);
+});
+
+test('read: timers that are off come in cleared', () => {
+    const { bundle: read } = readBundle(bundle({
+        devices: { main: { timers: { switch1: { active: true, endAt: 5000, action: 1 }, switch2: { active: false, endAt: 5000, action: 1 } } } }
+    }));
+    assert.deepStrictEqual(read.devices.main.timers, {
+        switch1: { active: true, endAt: 5000, action: 1 },
+        switch2: { active: false, endAt: 0, action: 0 }
+    });
+});
+
+test('read: the original data.json seeds the default device', () => {
+    const legacy = {
+        names: { name1: 'Fan', name2: 'Lamp', name3: 'Switch 3', name4: 'Switch 4' },
+        switches: { switch1: 1, switch2: 0, switch3: 0, switch4: 0 },
+        physical: { switch1: 0, switch4: 0 },
+        system: { ledMode: 3, reboot: 0, rssi: -70 }
+    };
+    const { bundle: read } = readBundle(legacy, { defaultDeviceId: 'main' });
+    assert.deepStrictEqual(read.devices, {
+        main: { names: { switch1: 'Fan', switch2: 'Lamp', switch3: 'Switch 3', switch4: 'Switch 4' }, ledMode: 3 }
+    });
+    assert.strictEqual(read.settings, undefined);
+});
+
+test('backups: written atomically, listed newest first, pruned past the limit', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'switch-backup-'));
+    try {
+        const store = createBackupStore({ dir: path.join(dir, 'nested'), keep: 2 });
+        assert.deepStrictEqual(await store.list(), []);
+        const start = Date.parse('2026-07-01T03:00:00Z');
+        const written = [];
+        for (let i = 0; i < 3; i++) written.push(await store.write(exportBundle(state), new Date(start + i * HOUR)));
+        assert.strictEqual(written[0].name, 'config-2026-07-01T03-00-00-000Z.json');
+        assert.strictEqual(written[2].pruned, 1);
+
+        fs.writeFileSync(path.join(dir, 'nested', 'notes.txt'), 'not a backup');
+        assert.deepStrictEqual((await store.list()).map(backup => backup.name), [written[2].name, written[1].name]);
+        assert.strictEqual(JSON.parse(await store.read(written[2].name)).format, FORMAT);
+        assert.strictEqual(await store.read(written[0].name), null);
+        assert.strictEqual(await store.read('../notes.txt'), null);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('backups: due after the interval, and right away without one', () => {
+    const now = Date.parse('2026-07-02T03:00:00Z');
+    assert.strictEqual(isBackupDue(null, 24, now), true);
+    assert.strictEqual(isBackupDue(new Date(now - 23 * HOUR), 24, now), false);
+    assert.strictEqual(isBackupDue(new Date(now - 24 * HOUR), 24, now), true);
+});
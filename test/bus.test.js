@@ -0,0 +1,357 @@
+// Message bus: the in-process and Redis adapters, leader election, and two server instances
+// sharing broadcasts, commands and edits through a stand-in Redis server.
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+const { createBus, createPeerTracker } = require('../lib/bus');
+const { encode, createReader } = require('../lib/bus/redis');
+const storageModule = require('../lib/storage');
+
+// A stand-in for a Redis server: AUTH, SUBSCRIBE, PUBLISH and QUIT are all the bus needs.
+// With `garble`, the first SUBSCRIBE is answered with a reply no RESP reader knows.
+function createStubRedis({ password = null, garble = false } = {}) {
+    const subscribers = new Map(); // channel -> Set of sockets
+    const received = [];
+    const sockets = new Set();
+    const server = net.createServer(socket => {
+        const reader = createReader();
+        sockets.add(socket);
+        socket.on('error', () => {});
+        socket.on('close', () => {
+            sockets.delete(socket);
+            subscribers.forEach(set => set.delete(socket));
+        });
+        socket.on('data', (chunk) => {
+            for (const [name, ...args] of reader.feed(chunk)) {
+                received.push([name, ...args]);
+                if (name === 'AUTH') {
+                    socket.write(args[args.length - 1] === password ? '+OK\r\n' : '-WRONGPASS invalid username-password pair\r\n');
+                } else if (name === 'SUBSCRIBE' && garble) {
+                    garble = false;
+                    socket.write('?garbled\r\n');
+                } else if (name === 'SUBSCRIBE') {
+                    if (!subscribers.has(args[0])) subscribers.set(args[0], new Set());
+                    subscribers.get(args[0]).add(socket);
+                    socket.write(`*3\r\n$9\r\nsubscribe\r\n$${args[0].length}\r\n${args[0]}\r\n:1\r\n`);
+                } else if (name === 'PUBLISH') {
+                    const listeners = subscribers.get(args[0]) || new Set();
+                    listeners.forEach(listener => listener.write(encode(['message', args[0], args[1]])));
+                    socket.write(`:${listeners.size}\r\n`);
+                } else if (name === 'QUIT') {
+                    socket.end('+OK\r\n');
+                }
+            }
+        });
+    });
+    return {
+        received,
+        listen: () => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port))),
+        close: () => new Promise(resolve => {
+            sockets.forEach(socket => socket.destroy());
+            server.close(resolve);
+        })
+    };
+}
+
+// Resolves with the first `count` messages a bus hands its subscriber
+function collect(bus, count) {
+    const messages = [];
+    return new Promise(resolve => bus.subscribe(message => {
+        messages.push(message);
+        if (messages.length === count) resolve(messages);
+    }));
+}
+
+test('RESP: commands encode as bulk strings, replies decode across chunk boundaries', () => {
+    assert.strictEqual(encode(['PUBLISH', 'ch', 'héllo']), '*3\r\n$7\r\nPUBLISH\r\n$2\r\nch\r\n$6\r\nhéllo\r\n');
+    const reader = createReader();
+    const wire = Buffer.from('+OK\r\n:3\r\n$-1\r\n-ERR nope\r\n*3\r\n$7\r\nmessage\r\n$2\r\nch\r\n$5\r\nhello\r\n');
+    assert.deepStrictEqual(reader.feed(wire.subarray(0, 20)).slice(0, 3), ['OK', 3, null]);
+    const rest = reader.feed(wire.subarray(20));
+    assert.strictEqual(rest[0].message, 'ERR nope');
+    assert.deepStrictEqual(rest[1], ['message', 'ch', 'hello']);
+    assert.deepStrictEqual(reader.feed(Buffer.from('$5\r\nhel')), []);
+    assert.deepStrictEqual(reader.feed(Buffer.from('lo\r\n')), ['hello']);
+});
+
+test('memory: buses on one hub reach each other, never themselves', async () => {
+    const hub = new EventEmitter();
+    const a = createBus({ instanceId: 'a', hub });
+    const b = createBus({ instanceId: 'b', hub });
+    const atB = collect(b, 1);
+    let echoed = false;
+    a.subscribe(() => { echoed = true; });
+    assert.strictEqual(a.publish({ kind: 'heartbeat' }), true);
+    assert.deepStrictEqual(await atB, [{ kind: 'heartbeat', from: 'a' }]);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(echoed, false);
+    await Promise.all([a.close(), b.close()]);
+    assert.strictEqual(hub.listenerCount('message'), 0);
+});
+
+test('redis: instances exchange messages over the server, logging in first', async () => {
+    const redis = createStubRedis({ password: 'secret' });
+    const port = await redis.listen();
+    const url = `redis://:secret@127.0.0.1:${port}`;
+    const a = createBus({ url, instanceId: 'a' });
+    const b = createBus({ url, channel: 'other', instanceId: 'b' });
+    const c = createBus({ url, instanceId: 'c' });
+    try {
+        await Promise.all([a.connect(), b.connect(), c.connect()]);
+        const atC = collect(c, 1);
+        let strays = 0;
+        a.subscribe(() => strays++);
+        b.subscribe(() => strays++);
+        assert.strictEqual(a.publish({ kind: 'claim', deviceId: 'main' }), true);
+        assert.deepStrictEqual(await atC, [{ kind: 'claim', deviceId: 'main', from: 'a' }]);
+        assert.strictEqual(strays, 0); // Not back to the sender, nor onto another channel
+        assert.ok(redis.received.some(([name, ...args]) => name === 'AUTH' && args[0] === 'secret'));
+    } finally {
+        await Promise.all([a.close(), b.close(), c.close()]);
+        await redis.close();
+    }
+    assert.throws(() => createBus({ url: 'amqp://localhost' }), /Unknown BUS_URL scheme/);
+});
+
+test('redis: an unreadable reply drops the connection, which is then opened again', async () => {
+    const redis = createStubRedis({ garble: true });
+    const port = await redis.listen();
+    const url = `redis://127.0.0.1:${port}`;
+    const a = createBus({ url, instanceId: 'a' });
+    const b = createBus({ url, instanceId: 'b' });
+    try {
+        await Promise.all([a.connect(), b.connect()]);
+        const atA = collect(a, 1);
+        // One subscriber got the garbled reply; it subscribes again after the retry delay
+        for (let waited = 0; redis.received.filter(([name]) => name === 'SUBSCRIBE').length < 3; waited += 100) {
+            assert.ok(waited < 5000, 'The subscriber never came back');
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        b.publish({ kind: 'heartbeat' });
+        assert.deepStrictEqual(await atA, [{ kind: 'heartbeat', from: 'b' }]);
+    } finally {
+        await Promise.all([a.close(), b.close()]);
+        await redis.close();
+    }
+});
+
+test('leader: the lowest instance ID heard from lately', () => {
+    const tracker = createPeerTracker('b', { timeout: 1000 });
+    assert.strictEqual(tracker.isLeader(0), true); // Alone
+    tracker.seen('c', 0);
+    assert.strictEqual(tracker.isLeader(0), true);
+    tracker.seen('a', 0);
+    assert.strictEqual(tracker.isLeader(500), false);
+    assert.deepStrictEqual(tracker.peers(500), ['a', 'c']);
+    assert.strictEqual(tracker.isLeader(1500), true); // 'a' went quiet
+    tracker.seen('a', 2000);
+    tracker.forget('a'); // ...or said goodbye
+    assert.strictEqual(tracker.isLeader(2000), true);
+});
+
+// --- Two server instances behind one bus ---
+const SECRET = 'test-device-secret';
+
+// Starts server.js in a child process; resolves with its base URL
+function startInstance(instanceId, busUrl) {
+    const child = spawn(process.execPath, ['-e', "require('./server').start(0).then(server => console.log(`LISTENING ${server.address().port}`))"], {
+        cwd: path.join(__dirname, '..'),
+        env: {
+            ...process.env,
+            INSTANCE_ID: instanceId,
+            BUS_URL: busUrl,
+            AUTH_SECRET: 'shared-auth-secret',
+            DEVICE_SECRET: SECRET,
+            ADMIN_USERNAME: 'admin',
+            ADMIN_PASSWORD: 'admin-password',
+            MONGODB_URI: '',
+            STORAGE: 'memory',
+            MQTT_URL: '',
+            TIME_ZONE: 'UTC'
+        },
+        stdio: ['ignore', 'pipe', 'ignore']
+    });
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Instance ${instanceId} did not start`)), 15000);
+        readline.createInterface({ input: child.stdout }).on('line', (line) => {
+            const match = /^LISTENING (\d+)$/.exec(line);
+            if (!match) return;
+            clearTimeout(timer);
+            resolve({ child, baseUrl: `http://127.0.0.1:${match[1]}` });
+        });
+        child.once('exit', (code) => reject(new Error(`Instance ${instanceId} exited (${code})`)));
+    });
+}
+
+// A socket keeping what it receives; next() resolves with the first message matching `predicate`
+function openSocket(url) {
+    const ws = new WebSocket(url);
+    const inbox = [];
+    const waiters = [];
+    ws.on('message', (data) => {
+        const message = JSON.parse(data);
+        const waiter = waiters.find(item => item.predicate(message));
+        if (waiter) {
+            waiters.splice(waiters.indexOf(waiter), 1);
+            waiter.resolve(message);
+        } else {
+            inbox.push(message);
+        }
+    });
+    const next = (predicate) => {
+        const index = inbox.findIndex(predicate);
+        if (index !== -1) return Promise.resolve(inbox.splice(index, 1)[0]);
+        return new Promise((resolve, reject) => {
+            const waiter = { predicate, resolve };
+            waiters.push(waiter);
+            setTimeout(() => {
+                if (waiters.includes(waiter)) reject(new Error('Timed out waiting for a message'));
+            }, 5000);
+        });
+    };
+    const send = (message) => ws.send(JSON.stringify(message));
+    return { ws, next, send, opened: new Promise((resolve, reject) => ws.once('open', resolve).once('error', reject)) };
+}
+
+test('cluster: an app on one instance switches a board linked through another', async () => {
+    const redis = createStubRedis();
+    const busUrl = `redis://127.0.0.1:${await redis.listen()}`;
+    const instances = [];
+    const sockets = [];
+    try {
+        instances.push(await startInstance('a', busUrl));
+        instances.push(await startInstance('b', busUrl));
+        const [a, b] = instances;
+
+        const { token } = await (await fetch(`${a.baseUrl}/api/login`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ username: 'admin', password: 'admin-password' })
+        })).json();
+        const app = openSocket(`${a.baseUrl.replace('http', 'ws')}?token=${token}`);
+        const board = openSocket(b.baseUrl.replace('http', 'ws'));
+        sockets.push(app.ws, board.ws);
+        await Promise.all([app.opened, board.opened]);
+        await app.next(message => message.type === 'FULL_STATE');
+
+        board.send({
+            type: 'IDENTIFY', role: 'hardware', deviceId: 'main', secret: SECRET, protocol: 2,
+            data: { switches: { switch1: 0, switch2: 0, switch3: 0, switch4: 0 }, physical: { switch1: 0, switch4: 0 } }
+        });
+        await board.next(message => message.type === 'IDENTIFIED');
+        // The board's instance shares its state; the app's instance shows the board online
+        await app.next(message => message.type === 'STATE_CHANGED' && message.data.devices.main.isHardwareOnline);
+
+        // The command goes over the bus to the instance holding the board's socket
+        app.send({ type: 'TOGGLE_SWITCH', data: { deviceId: 'main', switchId: 'switch2', value: 1 } });
+        const command = await board.next(message => message.type === 'COMMAND');
+        assert.deepStrictEqual(command.data, { action: 'TOGGLE', switchId: 'switch2', value: 1 });
+        assert.ok(Number.isInteger(command.seq));
+        board.send({ type: 'ACK', seq: command.seq });
+
+        // ...and what the board reports comes back to the app
+        board.send({ type: 'UPDATE_STATUS', data: { switches: { switch2: 1, switch3: 1 } } });
+        await app.next(message => message.type === 'STATE_CHANGED' && message.data.devices.main.switches.switch3 === 1);
+
+        // The board going away shows on the app's instance too
+        board.ws.close();
+        await app.next(message => message.type === 'STATE_CHANGED' && !message.data.devices.main.isHardwareOnline);
+    } finally {
+        sockets.forEach(ws => ws.terminate());
+        for (const { child } of instances) {
+            const exited = new Promise(resolve => child.once('exit', resolve));
+            child.kill();
+            await exited;
+        }
+        await redis.close();
+    }
+});
+
+// server.js loaded afresh in this process, so several instances can share one memory storage
+function loadInstance(instanceId, busUrl, storage) {
+    Object.assign(process.env, {
+        INSTANCE_ID: instanceId,
+        BUS_URL: busUrl,
+        AUTH_SECRET: 'shared-auth-secret',
+        DEVICE_SECRET: SECRET,
+        ADMIN_USERNAME: 'admin',
+        ADMIN_PASSWORD: 'admin-password',
+        MONGODB_URI: '',
+        STORAGE: 'memory',
+        MQTT_URL: '',
+        TIME_ZONE: 'UTC'
+    });
+    const { createStorage } = storageModule;
+    storageModule.createStorage = () => storage;
+    delete require.cache[require.resolve('../server')];
+    try {
+        return require('../server');
+    } finally {
+        storageModule.createStorage = createStorage;
+    }
+}
+
+// Resolves once `check` holds, polling like an app would
+async function eventually(check) {
+    for (const deadline = Date.now() + 5000; !(await check());) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the instances to agree');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+test('cluster: edits made through two instances at once both stand', async () => {
+    const redis = createStubRedis();
+    const busUrl = `redis://127.0.0.1:${await redis.listen()}`;
+    const storage = storageModule.createStorage({ type: 'memory' });
+    const instances = [];
+    try {
+        for (const id of ['a', 'b']) {
+            const instance = loadInstance(id, busUrl, storage);
+            const server = await instance.start(0);
+            instances.push({ ...instance, baseUrl: `http://127.0.0.1:${server.address().port}` });
+        }
+        const [a, b] = instances;
+        const { token } = await (await fetch(`${a.baseUrl}/api/login`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ username: 'admin', password: 'admin-password' })
+        })).json();
+        const call = (instance, method, url, body) => fetch(`${instance.baseUrl}/api/v1${url}`, {
+            method,
+            headers: { 'content-type': 'application/json', authorization: `Bearer ${token}` },
+            body: JSON.stringify(body)
+        });
+
+        // A rule through one instance and a schedule through the other, neither waiting for the other
+        const [ruleResponse, scheduleResponse] = await Promise.all([
+            call(a, 'POST', '/rules', { name: 'Welcome', triggers: [{ type: 'online' }], actions: [{ type: 'notify', message: 'Hi' }] }),
+            call(b, 'POST', '/devices/main/schedules/switch2', { time: '06:45', action: 1, days: 127 })
+        ]);
+        assert.strictEqual(ruleResponse.status, 201);
+        assert.strictEqual(scheduleResponse.status, 201);
+        const { rule } = await ruleResponse.json();
+        const { schedule } = await scheduleResponse.json();
+        for (const { state } of instances) {
+            await eventually(() => state.rules.some(item => item.id === rule.id)
+                && state.devices.main.schedules.switch2.some(item => item.id === schedule.id));
+        }
+
+        // A later save of the device through the first instance keeps the schedule made through the second
+        assert.strictEqual((await call(a, 'PUT', '/devices/main/names/switch1', { name: 'Porch' })).status, 200);
+        await eventually(() => b.state.devices.main.names.switch1 === 'Porch');
+        const [stored] = (await storage.loadDevices()).filter(device => device.id === 'main');
+        assert.strictEqual(stored.names.switch1, 'Porch');
+        assert.deepStrictEqual(stored.schedules.switch2.map(item => item.id), [schedule.id]);
+        assert.ok((await storage.loadRules()).some(item => item.id === rule.id));
+        assert.deepStrictEqual(b.state.devices.main.schedules.switch2.map(item => item.id), [schedule.id]);
+    } finally {
+        for (const instance of instances) await instance.stop();
+        await redis.close();
+    }
+});
@@ -0,0 +1,100 @@
+// Command delivery: sequence numbers, acks, confirmation by status report, retries and failure.
+// Timers are faked so retries run instantly.
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { commandSwitches, createCommandTracker } = require('../lib/commands');
+
+function createHarness({ retries = 2, connected = true } = {}) {
+    const harness = { sent: [], settled: [], timers: [], connected };
+    harness.tracker = createCommandTracker({
+        transmit: (deviceId, message) => {
+            if (!harness.connected) return false;
+            harness.sent.push(message);
+            return true;
+        },
+        onSettled: (entry, result) => harness.settled.push([entry.seq, result]),
+        retries,
+        schedule: (fn) => {
+            const timer = { fn, cancelled: false };
+            harness.timers.push(timer);
+            return timer;
+        },
+        cancel: (timer) => { if (timer) timer.cancelled = true; }
+    });
+    // Fires every live timer once (one timeout period)
+    harness.elapse = () => {
+        const due = harness.timers.splice(0);
+        for (const timer of due) if (!timer.cancelled) timer.fn();
+    };
+    return harness;
+}
+
+const toggle = (switchId, value) => ({ action: 'TOGGLE', switchId, value });
+
+test('commandSwitches: only switch-changing commands expect values', () => {
+    assert.deepStrictEqual(commandSwitches(toggle('switch1', 1)), { switch1: 1 });
+    assert.deepStrictEqual(commandSwitches({ action: 'SCENE', switches: { switch1: 0, switch2: 1 }, ledMode: 2 }), { switch1: 0, switch2: 1 });
+    assert.strictEqual(commandSwitches({ action: 'SCENE', switches: {}, ledMode: 2 }), null);
+    assert.strictEqual(commandSwitches({ action: 'SYSTEM', ledMode: 0 }), null);
+});
+
+test('each command gets the next seq and settles on its ack', () => {
+    const hw = createHarness();
+    const first = hw.tracker.send('main', toggle('switch1', 1));
+    const second = hw.tracker.send('main', { action: 'SYSTEM', ledMode: 3 });
+    assert.strictEqual(second, first + 1);
+    assert.deepStrictEqual(hw.sent[0], { type: 'COMMAND', seq: first, data: toggle('switch1', 1) });
+
+    hw.tracker.ack('other', second); // Acks only count from the board the command went to
+    hw.tracker.ack('main', second);
+    assert.deepStrictEqual(hw.settled, [[second, { ok: true }]]);
+    hw.elapse();
+    assert.strictEqual(hw.sent.length, 3); // Only the unacked toggle was resent
+});
+
+test('a status report showing the requested values confirms a switch command', () => {
+    const hw = createHarness();
+    const scene = hw.tracker.send('main', { action: 'SCENE', switches: { switch1: 0, switch2: 1 }, ledMode: null });
+    hw.tracker.confirm('main', { switch1: 0, switch2: 0 });
+    assert.deepStrictEqual(hw.settled, []);
+    hw.tracker.confirm('main', { switch1: 0, switch2: 1, switch3: 1 });
+    assert.deepStrictEqual(hw.settled, [[scene, { ok: true }]]);
+});
+
+test('unanswered commands are resent with the same seq, then fail', () => {
+    const hw = createHarness({ retries: 2 });
+    const seq = hw.tracker.send('main', toggle('switch1', 1));
+    hw.elapse();
+    hw.elapse();
+    assert.deepStrictEqual(hw.sent.map(message => message.seq), [seq, seq, seq]);
+    assert.deepStrictEqual(hw.settled, []);
+    hw.elapse();
+    assert.deepStrictEqual(hw.settled, [[seq, { ok: false, error: 'No response from hardware' }]]);
+    hw.tracker.ack('main', seq); // Too late: nothing left to settle
+    assert.strictEqual(hw.settled.length, 1);
+});
+
+test('a negative ack fails the command with the board\'s reason', () => {
+    const hw = createHarness();
+    const seq = hw.tracker.send('main', toggle('switch4', 1));
+    hw.tracker.ack('main', seq, false, 'Wall switch is off');
+    assert.deepStrictEqual(hw.settled, [[seq, { ok: false, error: 'Wall switch is off' }]]);
+});
+
+test('untracked, undeliverable and orphaned commands', () => {
+    const hw = createHarness({ connected: false });
+    assert.strictEqual(hw.tracker.send('main', toggle('switch1', 1)), null);
+
+    hw.connected = true;
+    hw.tracker.send('main', { action: 'SYNC_SCHED', switchId: 'switch1', schedules: [] }, { track: false });
+    const seq = hw.tracker.send('main', toggle('switch1', 1));
+    hw.tracker.failDevice('main', 'Hardware disconnected');
+    assert.deepStrictEqual(hw.settled, [[seq, { ok: false, error: 'Hardware disconnected' }]]);
+
+    // A retry that finds the socket gone fails right away
+    const next = hw.tracker.send('main', toggle('switch2', 1));
+    hw.connected = false;
+    hw.elapse();
+    assert.deepStrictEqual(hw.settled[1], [next, { ok: false, error: 'Hardware disconnected' }]);
+});
@@ -0,0 +1,95 @@
+// Firmware updates: upload checks, byte ranges, signed download links and an update's progress.
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const {
+    buildImage, parseRange, createDownloadToken, verifyDownloadToken,
+    startUpdate, applyReport, finishUpdate, isStalled, isActive
+} = require('../lib/firmware');
+
+const image = Buffer.concat([Buffer.from([0xE9, 0x03, 0x02, 0x20]), crypto.randomBytes(1020)]);
+const md5 = crypto.createHash('md5').update(image).digest('hex');
+const sha256 = crypto.createHash('sha256').update(image).digest('hex');
+const SECRET = 'test-secret';
+
+test('uploads need an ESP image, a version and a matching checksum', () => {
+    const { image: built } = buildImage(image, { version: '1.5.0', checksum: md5.toUpperCase(), notes: ' Fixes the fan ' }, { by: 'admin', now: 1000 });
+    assert.deepStrictEqual({ ...built, id: undefined }, {
+        id: undefined, version: '1.5.0', size: 1024, md5, sha256, notes: 'Fixes the fan', uploadedAt: 1000, uploadedBy: 'admin'
+    });
+    assert.ok(buildImage(image, { version: '1.5.0', checksum: sha256 }).image);
+
+    assert.match(buildImage(image, { version: '1.5.0', checksum: '00' + md5.slice(2) }).error, /does not match/);
+    assert.match(buildImage(image, { version: '1.5.0' }).error, /checksum/);
+    assert.match(buildImage(image, { version: '1.5 beta', checksum: md5 }).error, /version/);
+    assert.match(buildImage(Buffer.from('hello'), { version: '1.5.0', checksum: md5 }).error, /Not an ESP firmware image/);
+    assert.match(buildImage(image, { version: '1.5.0', checksum: md5 }, { maxSize: 512 }).error, /larger than/);
+    assert.match(buildImage({}, { version: '1.5.0', checksum: md5 }).error, /request body/);
+    // gzip-compressed images (ESP8266) are fine
+    const gzipped = Buffer.from([0x1F, 0x8B, 0x08, 0x00]);
+    assert.ok(buildImage(gzipped, { version: '1.5.0', checksum: crypto.createHash('md5').update(gzipped).digest('hex') }).image);
+});
+
+test('one byte range at a time; anything else sends the whole image', () => {
+    assert.deepStrictEqual(parseRange('bytes=0-99', 1024), { start: 0, end: 99 });
+    assert.deepStrictEqual(parseRange('bytes=1000-', 1024), { start: 1000, end: 1023 });
+    assert.deepStrictEqual(parseRange('bytes=1000-5000', 1024), { start: 1000, end: 1023 });
+    assert.deepStrictEqual(parseRange('bytes=-24', 1024), { start: 1000, end: 1023 });
+    assert.strictEqual(parseRange('bytes=1024-', 1024), false);
+    assert.strictEqual(parseRange('bytes=50-10', 1024), false);
+    assert.strictEqual(parseRange(undefined, 1024), null);
+    assert.strictEqual(parseRange('bytes=0-9,20-29', 1024), null);
+    assert.strictEqual(parseRange('items=0-9', 1024), null);
+});
+
+test('download links name one image and one board, and expire', () => {
+    const token = createDownloadToken('abcd1234', 'garage', SECRET, { ttl: 1000, now: 5000 });
+    assert.strictEqual(verifyDownloadToken(token, 'abcd1234', SECRET, 5500), 'garage');
+    assert.strictEqual(verifyDownloadToken(token, 'abcd1234', SECRET, 6000), null);
+    assert.strictEqual(verifyDownloadToken(token, 'other', SECRET, 5500), null);
+    assert.strictEqual(verifyDownloadToken(token, 'abcd1234', 'another-secret', 5500), null);
+    assert.strictEqual(verifyDownloadToken(`${token}x`, 'abcd1234', SECRET, 5500), null);
+    assert.strictEqual(verifyDownloadToken(undefined, 'abcd1234', SECRET, 5500), null);
+});
+
+test('an update moves on with the board\'s reports and ends when it comes back', () => {
+    const update = startUpdate({ id: 'img1', version: '1.5.0' }, { from: '1.4.0', by: 'admin', now: 0 });
+    assert.strictEqual(update.status, 'sent');
+    assert.ok(isActive(update));
+
+    assert.strictEqual(applyReport(update, { updateId: 'someone-else', status: 'downloading' }), null);
+    assert.strictEqual(applyReport(update, { updateId: update.id, status: 'done' }), null); // Only the server says done
+    const downloading = applyReport(update, { updateId: update.id, status: 'downloading', progress: 42.4 }, 1000);
+    assert.deepStrictEqual([downloading.status, downloading.progress, downloading.updatedAt], ['downloading', 42, 1000]);
+    const rebooting = applyReport(downloading, { updateId: update.id, status: 'rebooting' }, 2000);
+    assert.strictEqual(rebooting.progress, 100);
+
+    assert.deepStrictEqual([finishUpdate(rebooting, '1.5.0').status, finishUpdate(rebooting, '1.5.0').error], ['done', null]);
+    const rolledBack = finishUpdate(rebooting, '1.4.0');
+    assert.strictEqual(rolledBack.status, 'failed');
+    assert.match(rolledBack.error, /came back on 1.4.0/);
+    assert.ok(!isActive(rolledBack));
+    assert.strictEqual(applyReport(rolledBack, { updateId: update.id, status: 'downloading' }), null);
+
+    // Back on the old version without a restart: it lost its link and resumes
+    assert.strictEqual(finishUpdate(update, '1.4.0'), null);
+    assert.strictEqual(finishUpdate(downloading, '1.4.0'), null);
+    assert.strictEqual(finishUpdate(downloading, '1.4.0', false), null);
+    const flashing = applyReport(downloading, { updateId: update.id, status: 'flashing' });
+    assert.strictEqual(finishUpdate(flashing, '1.4.0', false), null);
+    assert.strictEqual(finishUpdate(downloading, '1.5.0').status, 'done');
+
+    // Rebooted onto the old version: the flash failed or was rejected, or the download is lost
+    assert.match(finishUpdate(flashing, '1.4.0', true).error, /came back on 1.4.0/);
+    assert.strictEqual(finishUpdate(flashing, '1.4.0').status, 'failed'); // No uptime to tell
+    assert.strictEqual(finishUpdate(downloading, '1.4.0', true).status, 'failed');
+    assert.strictEqual(finishUpdate(rebooting, '1.4.0', false), null); // Still up: it has yet to restart
+
+    const failed = applyReport(update, { updateId: update.id, status: 'failed', error: 'Not enough space' });
+    assert.strictEqual(failed.error, 'Not enough space');
+
+    assert.ok(!isStalled(downloading, 1000 + 60 * 1000));
+    assert.ok(isStalled(downloading, 1000 + 11 * 60 * 1000));
+    assert.ok(!isStalled(rolledBack, 60 * 60 * 1000));
+});
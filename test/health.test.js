@@ -0,0 +1,108 @@
+// Device health: reset reasons, telling Wi-Fi drops from reboots by the uptime a board reports,
+// RSSI windows and the live view.
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { classifyReset, gapCause, summarize, createHealthMonitor } = require('../lib/health');
+
+const MINUTE = 60 * 1000;
+
+function createHarness({ lastDisconnect = null } = {}) {
+    let clock = Date.parse('2026-07-06T12:00:00Z');
+    const saved = [];
+    const monitor = createHealthMonitor({
+        save: async (records) => saved.push(...records),
+        lastDisconnect: async () => lastDisconnect,
+        now: () => new Date(clock),
+        rssiWindow: 5 * MINUTE
+    });
+    const advance = (ms) => { clock += ms; };
+    return { monitor, saved, advance, kinds: () => saved.map(record => record.kind) };
+}
+
+test('reset reasons from ESP8266 and ESP32 firmware', () => {
+    assert.strictEqual(classifyReset('Power On'), 'power');
+    assert.strictEqual(classifyReset('ESP_RST_BROWNOUT'), 'power');
+    assert.strictEqual(classifyReset('Hardware Watchdog'), 'crash');
+    assert.strictEqual(classifyReset('Exception'), 'crash');
+    assert.strictEqual(classifyReset('ESP_RST_PANIC'), 'crash');
+    assert.strictEqual(classifyReset('Software/System restart'), 'restart');
+    assert.strictEqual(classifyReset('ESP_RST_SW'), 'restart');
+    assert.strictEqual(classifyReset('External System'), 'other');
+    assert.strictEqual(classifyReset(null), 'other');
+});
+
+test('a board that stayed up through the gap lost its link; one that booted since was reset', () => {
+    const at = Date.parse('2026-07-06T12:00:00Z');
+    const disconnected = new Date(at - 10 * MINUTE);
+    assert.strictEqual(gapCause({ uptime: 3600, resetReason: 'Power On' }, disconnected, at), 'network');
+    assert.strictEqual(gapCause({ uptime: 30, resetReason: 'Power On' }, disconnected, at), 'power');
+    assert.strictEqual(gapCause({ uptime: 30, resetReason: 'Hardware Watchdog' }, disconnected, at), 'crash');
+    assert.strictEqual(gapCause({ resetReason: 'Power On' }, disconnected, at), 'unknown');
+    // No disconnect on record: only a fresh boot counts as a reboot
+    assert.strictEqual(gapCause({ uptime: 20, resetReason: 'Power On' }, null, at), 'power');
+    assert.strictEqual(gapCause({ uptime: 86400, resetReason: 'Power On' }, null, at), 'network');
+});
+
+test('connects, drops and heartbeat misses are recorded with their cause', async () => {
+    const { monitor, saved, advance, kinds } = createHarness();
+    assert.strictEqual(await monitor.connected('main', { firmware: '1.4.0', resetReason: 'Power On', uptime: 10 }), 'power');
+    advance(30 * MINUTE);
+    await monitor.heartbeatMissed('main');
+    await monitor.disconnected('main', { code: 1006, reason: '' });
+
+    // Back 2 minutes later without having rebooted: a Wi-Fi drop
+    advance(2 * MINUTE);
+    assert.strictEqual(await monitor.connected('main', { firmware: '1.4.0', resetReason: 'Power On', uptime: 10 + 32 * 60 }), 'network');
+    assert.deepStrictEqual(kinds(), ['connect', 'heartbeat-miss', 'disconnect', 'connect']);
+    assert.deepStrictEqual(saved[2], { deviceId: 'main', kind: 'disconnect', at: new Date('2026-07-06T12:30:00Z'), code: 1006, reason: null });
+
+    const summary = summarize(saved);
+    assert.strictEqual(summary.connects, 2);
+    assert.strictEqual(summary.disconnects, 1);
+    assert.strictEqual(summary.heartbeatMisses, 1);
+    assert.deepStrictEqual(summary.closeCodes, { 1006: 1 });
+    assert.strictEqual(summary.causes.power, 1);
+    assert.strictEqual(summary.causes.network, 1);
+});
+
+test('the first connect after a server restart looks up the last stored disconnect', async () => {
+    const { monitor } = createHarness({ lastDisconnect: new Date('2026-07-06T11:00:00Z') });
+    // Up for 2 hours, so it never went down during the hour it was away
+    assert.strictEqual(await monitor.connected('main', { resetReason: 'Power On', uptime: 7200 }), 'network');
+});
+
+test('RSSI readings are kept as one record per window', async () => {
+    const { monitor, saved, advance } = createHarness();
+    await monitor.connected('main', { uptime: 5 });
+    for (const rssi of [-60, -70, -50]) {
+        await monitor.reported('main', { rssi });
+        advance(MINUTE);
+    }
+    assert.strictEqual(saved.filter(record => record.kind === 'rssi').length, 0);
+    advance(3 * MINUTE);
+    await monitor.reported('main', { rssi: -80 }); // Opens the next window
+    const [window] = saved.filter(record => record.kind === 'rssi');
+    assert.deepStrictEqual(window, { deviceId: 'main', kind: 'rssi', at: new Date('2026-07-06T12:00:00Z'), avg: -60, min: -70, max: -50, count: 3 });
+
+    // A drop closes the open window
+    await monitor.disconnected('main', { code: 1001 });
+    assert.deepStrictEqual(saved.filter(record => record.kind === 'rssi').map(record => record.avg), [-60, -80]);
+});
+
+test('the live view counts uptime on from the last report', async () => {
+    const { monitor, advance } = createHarness();
+    await monitor.connected('main', { firmware: '1.4.0', resetReason: 'Software/System restart', uptime: 100 });
+    await monitor.reported('main', { rssi: -55, uptime: 160 });
+    advance(40 * 1000);
+    const live = monitor.live('main');
+    assert.strictEqual(live.uptime, 200);
+    assert.strictEqual(live.rssi, -55);
+    assert.strictEqual(live.firmware, '1.4.0');
+    assert.strictEqual(live.resetReason, 'Software/System restart');
+    assert.deepStrictEqual(live.bootedAt, new Date('2026-07-06T11:57:20Z'));
+
+    await monitor.disconnected('main', { code: 1006 });
+    assert.strictEqual(monitor.live('main').uptime, null);
+    assert.strictEqual(monitor.live('never-seen').lastSeen, null);
+});
@@ -0,0 +1,86 @@
+// Switch history: source tagging of confirmed transitions, on-time and kWh totals,
+// and day/week/month buckets on the site's local calendar.
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTransitionTracker, computeUsage, toKwh, bucketRanges } = require('../lib/history');
+const { localMidnight } = require('../lib/clock');
+
+const at = (iso) => Date.parse(iso);
+
+test('tracker: only changes are logged, and the first report sets the baseline', () => {
+    const tracker = createTransitionTracker();
+    const first = tracker.confirm('main', { switches: { switch1: 0, switch2: 1 } }, at('2026-07-06T08:00:00Z'));
+    assert.deepStrictEqual(first.map(event => [event.switchId, event.previous, event.value]), [['switch1', null, 0], ['switch2', null, 1]]);
+    assert.deepStrictEqual(tracker.confirm('main', { switches: { switch1: 0, switch2: 1 } }), []);
+
+    // Seeded values (from stored history) suppress the phantom baseline after a restart
+    const restarted = createTransitionTracker();
+    restarted.seed('main', 'switch1', 1);
+    assert.deepStrictEqual(restarted.confirm('main', { switches: { switch1: 1 } }), []);
+});
+
+test('tracker: confirmations carry the source of the command that caused them', () => {
+    const tracker = createTransitionTracker();
+    tracker.seed('main', 'switch1', 0);
+    tracker.seed('main', 'switch2', 0);
+
+    tracker.expect('main', 'switch1', 1, 'schedule', at('2026-07-06T08:00:00Z'));
+    const [event] = tracker.confirm('main', { switches: { switch1: 1 } }, at('2026-07-06T08:00:01Z'));
+    assert.strictEqual(event.source, 'schedule');
+    assert.strictEqual(event.previous, 0);
+    assert.strictEqual(event.at.toISOString(), '2026-07-06T08:00:01.000Z');
+
+    // A stale or mismatching expectation does not claim an unrelated change
+    tracker.expect('main', 'switch2', 1, 'app', at('2026-07-06T08:00:00Z'));
+    assert.strictEqual(tracker.confirm('main', { switches: { switch2: 1 } }, at('2026-07-06T08:05:00Z'))[0].source, 'hardware');
+});
+
+test('tracker: a wall switch flip in the same report is a physical change', () => {
+    const tracker = createTransitionTracker();
+    tracker.confirm('main', { switches: { switch1: 0 }, physical: { switch1: 0 } });
+    const [event] = tracker.confirm('main', { switches: { switch1: 1 }, physical: { switch1: 1 } });
+    assert.strictEqual(event.source, 'physical');
+});
+
+test('usage: on-time within the range, with the value carried in from before it', () => {
+    const from = new Date('2026-07-06T00:00:00Z');
+    const to = new Date('2026-07-07T00:00:00Z');
+    const events = [
+        { at: new Date('2026-07-06T02:00:00Z'), value: 0 }, // On since yesterday, off at 02:00
+        { at: new Date('2026-07-06T20:00:00Z'), value: 1 },
+        { at: new Date('2026-07-06T21:30:00Z'), value: 0 }
+    ];
+    assert.strictEqual(computeUsage(events, 1, from, to).onSeconds, 3.5 * 3600);
+    assert.strictEqual(computeUsage(events, 0, from, to).onSeconds, 1.5 * 3600);
+    // Still on at the end of the range
+    assert.strictEqual(computeUsage([], 1, from, to).onSeconds, 24 * 3600);
+});
+
+test('usage: energy follows wattage and the level of dimmers and fans', () => {
+    const from = new Date('2026-07-06T00:00:00Z');
+    const to = new Date('2026-07-06T10:00:00Z');
+    const relay = computeUsage([], 1, from, to);
+    assert.strictEqual(toKwh(relay.levelSeconds, 1, 60), 0.6); // 60 W for 10 h
+    const fan = computeUsage([{ at: new Date('2026-07-06T05:00:00Z'), value: 4 }], 2, from, to);
+    assert.strictEqual(toKwh(fan.levelSeconds, 4, 80), 0.6); // Half power for 5 h, full for 5 h
+    assert.strictEqual(toKwh(relay.levelSeconds, 1, 0), 0);
+});
+
+test('buckets: days start at local midnight, DST days included', () => {
+    // 2026-03-08 in New York is only 23 hours long
+    const ranges = bucketRanges(new Date('2026-03-09T15:00:00Z'), 'America/New_York', 'day', 3);
+    assert.deepStrictEqual(ranges.map(range => range.start.toISOString()),
+        ['2026-03-07T05:00:00.000Z', '2026-03-08T05:00:00.000Z', '2026-03-09T04:00:00.000Z']);
+    assert.strictEqual(ranges[2].end.toISOString(), '2026-03-09T15:00:00.000Z');
+    assert.strictEqual(localMidnight('2026-07-06', 'Asia/Kolkata').toISOString(), '2026-07-05T18:30:00.000Z');
+});
+
+test('buckets: weeks start on Monday and months on the 1st', () => {
+    const now = new Date('2026-07-08T12:00:00Z'); // Wednesday
+    const weeks = bucketRanges(now, 'Europe/London', 'week', 2);
+    assert.deepStrictEqual(weeks.map(range => range.start.toISOString()), ['2026-06-28T23:00:00.000Z', '2026-07-05T23:00:00.000Z']);
+    const months = bucketRanges(now, 'Europe/London', 'month', 3);
+    assert.deepStrictEqual(months.map(range => range.start.toISOString()),
+        ['2026-04-30T23:00:00.000Z', '2026-05-31T23:00:00.000Z', '2026-06-30T23:00:00.000Z']);
+});
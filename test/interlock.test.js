@@ -0,0 +1,41 @@
+// Wall-switch interlock policies: which app requests are refused and how wall flips are answered.
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { POLICIES, DEFAULT_POLICY, isPolicy, checkRequest, resolveFlip } = require('../lib/interlock');
+
+test('only a wall-master channel refuses the app, and only ON while the wall switch is OFF', () => {
+    assert.ok(POLICIES.every(isPolicy));
+    assert.ok(isPolicy(DEFAULT_POLICY));
+    assert.ok(!isPolicy('maybe'));
+
+    assert.match(checkRequest('wall', { wall: 0, value: 1 }), /wall switch is OFF/);
+    assert.match(checkRequest('wall', { wall: 0, value: 40 }), /wall switch is OFF/); // Dimmers too
+    assert.strictEqual(checkRequest('wall', { wall: 0, value: 0 }), null);
+    assert.strictEqual(checkRequest('wall', { wall: 1, value: 1 }), null);
+    for (const policy of ['app', 'last', 'toggle']) assert.strictEqual(checkRequest(policy, { wall: 0, value: 1 }), null);
+});
+
+test('wall flips: follow the wall, undo it, or invert the relay', () => {
+    const flip = (policy, wall, previous, current) => resolveFlip(policy, { wall, previous, current, max: 100 });
+
+    // wall and last: the relay matches the wall switch, keeping a dimmed level
+    for (const policy of ['wall', 'last']) {
+        assert.strictEqual(flip(policy, 1, 0, 0), 100);
+        assert.strictEqual(flip(policy, 1, 40, 0), 40);
+        assert.strictEqual(flip(policy, 1, 0, 100), null); // The board already followed it
+        assert.strictEqual(flip(policy, 0, 100, 100), 0);
+        assert.strictEqual(flip(policy, 0, 100, 0), null);
+    }
+
+    // app: whatever the board did, the relay goes back to where it was
+    assert.strictEqual(flip('app', 0, 100, 0), 100);
+    assert.strictEqual(flip('app', 1, 0, 100), 0);
+    assert.strictEqual(flip('app', 1, 0, 0), null);
+
+    // toggle: every flip inverts, whichever way the wall switch went
+    assert.strictEqual(flip('toggle', 0, 0, 0), 100);
+    assert.strictEqual(flip('toggle', 1, 100, 100), 0);
+    assert.strictEqual(flip('toggle', 1, 0, 100), null);
+    assert.strictEqual(flip('toggle', 0, 100, 0), null);
+});
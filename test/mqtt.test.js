@@ -0,0 +1,148 @@
+// MQTT bridge against an in-process aedes broker: discovery, state, availability and commands.
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const mqtt = require('mqtt');
+const { Aedes } = require('aedes');
+const { createMqttBridge } = require('../lib/mqtt');
+
+const CHANNEL_MAX = { 'relay': () => 1, 'dimmer': () => 100, 'fan-speed': (channel) => channel.levels };
+
+function createState() {
+    return {
+        devices: {
+            main: {
+                label: 'Living Room',
+                channels: [
+                    { id: 'switch1', type: 'relay' },
+                    { id: 'dim1', type: 'dimmer' },
+                    { id: 'fan1', type: 'fan-speed', levels: 4 }
+                ],
+                names: { switch1: 'Ceiling Light' },
+                switches: { switch1: 1, dim1: 40, fan1: 0 },
+                isHardwareOnline: true
+            }
+        }
+    };
+}
+
+// Polls until predicate(messages) holds; the broker delivers asynchronously
+function waitFor(messages, predicate) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const poll = () => {
+            if (predicate(messages)) return resolve();
+            if (Date.now() - started > 2000) return reject(new Error('Timed out waiting for MQTT messages'));
+            setTimeout(poll, 10);
+        };
+        poll();
+    });
+}
+
+async function createHarness(t) {
+    const broker = await Aedes.createBroker();
+    const server = net.createServer(broker.handle);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `mqtt://127.0.0.1:${server.address().port}`;
+
+    const harness = { state: createState(), toggles: [], refuse: null, retained: {} };
+    harness.bridge = createMqttBridge({
+        url,
+        getState: () => harness.state,
+        channelMax: (channel) => CHANNEL_MAX[channel.type](channel),
+        toggle: async (deviceId, switchId, value) => {
+            harness.toggles.push([deviceId, switchId, value]);
+            if (harness.refuse) return { error: harness.refuse };
+            harness.state.devices[deviceId].switches[switchId] = value;
+            harness.bridge.sync();
+            return { seq: harness.toggles.length };
+        }
+    });
+
+    // A second client plays Home Assistant and remembers the latest payload per topic
+    harness.client = mqtt.connect(url);
+    harness.client.on('message', (topic, payload) => { harness.retained[topic] = payload.toString(); });
+    await new Promise(resolve => harness.client.on('connect', resolve));
+    await harness.client.subscribeAsync(['switchsmart/#', 'homeassistant/#']);
+    await waitFor(harness.retained, seen => seen['switchsmart/main/fan1/level'] !== undefined);
+
+    t.after(async () => {
+        await harness.bridge.stop();
+        await harness.client.endAsync();
+        await new Promise(resolve => broker.close(resolve));
+        await new Promise(resolve => server.close(resolve));
+    });
+    return harness;
+}
+
+test('publishes discovery configs named after state.names', async (t) => {
+    const { retained } = await createHarness(t);
+
+    const relay = JSON.parse(retained['homeassistant/switch/switchsmart_main_switch1/config']);
+    assert.strictEqual(relay.name, 'Ceiling Light');
+    assert.strictEqual(relay.command_topic, 'switchsmart/main/switch1/set');
+    assert.deepStrictEqual(relay.availability.map(item => item.topic),
+        ['switchsmart/bridge/status', 'switchsmart/main/availability']);
+    assert.strictEqual(relay.device.name, 'Living Room');
+
+    const dimmer = JSON.parse(retained['homeassistant/light/switchsmart_main_dim1/config']);
+    assert.strictEqual(dimmer.name, 'dim1');
+    assert.strictEqual(dimmer.brightness_scale, 100);
+
+    const fan = JSON.parse(retained['homeassistant/fan/switchsmart_main_fan1/config']);
+    assert.strictEqual(fan.speed_range_max, 4);
+    assert.strictEqual(fan.percentage_command_topic, 'switchsmart/main/fan1/level/set');
+});
+
+test('publishes state, levels and availability, then only what changes', async (t) => {
+    const harness = await createHarness(t);
+    const { retained, state, bridge } = harness;
+    assert.strictEqual(retained['switchsmart/bridge/status'], 'online');
+    assert.strictEqual(retained['switchsmart/main/availability'], 'online');
+    assert.strictEqual(retained['switchsmart/main/switch1/state'], 'ON');
+    assert.strictEqual(retained['switchsmart/main/dim1/level'], '40');
+    assert.strictEqual(retained['switchsmart/main/fan1/state'], 'OFF');
+    assert.strictEqual(retained['switchsmart/main/switch1/level'], undefined);
+
+    state.devices.main.isHardwareOnline = false;
+    state.devices.main.names.dim1 = 'Reading Lamp';
+    bridge.sync();
+    await waitFor(retained, seen => seen['switchsmart/main/availability'] === 'offline');
+    await waitFor(retained, seen => JSON.parse(seen['homeassistant/light/switchsmart_main_dim1/config']).name === 'Reading Lamp');
+});
+
+test('command topics go through toggle', async (t) => {
+    const harness = await createHarness(t);
+    const { client, retained, toggles } = harness;
+
+    await client.publishAsync('switchsmart/main/switch1/set', 'OFF');
+    await client.publishAsync('switchsmart/main/dim1/set', 'ON');
+    await client.publishAsync('switchsmart/main/fan1/level/set', '3');
+    await client.publishAsync('switchsmart/main/nope/set', 'ON');
+    await waitFor(toggles, seen => seen.length === 3);
+    assert.deepStrictEqual(toggles, [['main', 'switch1', 0], ['main', 'dim1', 100], ['main', 'fan1', 3]]);
+    await waitFor(retained, seen => seen['switchsmart/main/fan1/level'] === '3' && seen['switchsmart/main/switch1/state'] === 'OFF');
+});
+
+test('a refused command republishes the real state', async (t) => {
+    const harness = await createHarness(t);
+    const { client, retained } = harness;
+    harness.refuse = 'Hardware Offline - Command Delayed';
+
+    // Home Assistant shows its own optimistic state until the bridge answers
+    await client.publishAsync('switchsmart/main/switch1/state', 'OFF', { retain: true });
+    await waitFor(retained, seen => seen['switchsmart/main/switch1/state'] === 'OFF');
+    await client.publishAsync('switchsmart/main/switch1/set', 'OFF');
+    await waitFor(retained, seen => seen['switchsmart/main/switch1/state'] === 'ON');
+});
+
+test('channels that disappear have their discovery config cleared', async (t) => {
+    const harness = await createHarness(t);
+    const { retained, state, bridge } = harness;
+
+    state.devices.main.channels = state.devices.main.channels.filter(channel => channel.id !== 'fan1');
+    bridge.sync();
+    await waitFor(retained, seen => seen['homeassistant/fan/switchsmart_main_fan1/config'] === '');
+    assert.ok(retained['homeassistant/switch/switchsmart_main_switch1/config']);
+});
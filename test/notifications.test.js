@@ -0,0 +1,135 @@
+// Notifications: preference validation, quiet hours across midnight, and who gets what over
+// (faked) Web Push and webhooks.
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    defaultPreferences,
+    getPreferences,
+    updatePreferences,
+    isValidSubscription,
+    isQuiet,
+    createNotifier
+} = require('../lib/notifications');
+
+const subscription = (name) => ({ endpoint: `https://push.example/${name}`, keys: { p256dh: 'key', auth: 'secret' } });
+
+function createHarness(users, { vapid = { publicKey: 'pub', privateKey: 'priv', subject: 'mailto:a@b.c' }, at = '2026-07-06T12:00:00Z', failPush = {} } = {}) {
+    const pushes = [];
+    const hooks = [];
+    const saved = [];
+    const notifier = createNotifier({
+        getUsers: () => users,
+        saveUser: async (user) => saved.push(user),
+        getTimeZone: () => 'UTC',
+        getVapid: () => vapid,
+        sendPush: async (target, payload) => {
+            if (failPush[target.endpoint]) throw Object.assign(new Error('push failed'), { statusCode: failPush[target.endpoint] });
+            pushes.push({ endpoint: target.endpoint, payload: JSON.parse(payload) });
+        },
+        postWebhook: async (url, payload) => {
+            if (url.includes('broken')) throw new Error('HTTP 500');
+            hooks.push({ url, payload });
+        },
+        now: () => new Date(at)
+    });
+    return { notifier, pushes, hooks, saved };
+}
+
+const offline = { type: 'device-offline', deviceId: 'main', title: 'main went offline', body: '' };
+
+test('preferences: partial updates are validated field by field', () => {
+    const current = defaultPreferences();
+    const { preferences } = updatePreferences(current, {
+        events: { 'schedule-run': true },
+        quietHours: { enabled: true, start: '23:30' },
+        webhooks: ['https://hooks.example/a']
+    });
+    assert.strictEqual(preferences.events['schedule-run'], true);
+    assert.strictEqual(preferences.events['device-offline'], true);
+    assert.deepStrictEqual(preferences.quietHours, { enabled: true, start: '23:30', end: '07:00' });
+    assert.strictEqual(preferences.webhooks[0].url, 'https://hooks.example/a');
+    // Re-sending a known URL keeps its ID
+    const again = updatePreferences(preferences, { webhooks: [{ url: 'https://hooks.example/a' }] }).preferences;
+    assert.strictEqual(again.webhooks[0].id, preferences.webhooks[0].id);
+
+    assert.strictEqual(updatePreferences(current, { events: { 'coffee-ready': true } }).field, 'events.coffee-ready');
+    assert.strictEqual(updatePreferences(current, { events: { 'device-offline': 'yes' } }).field, 'events.device-offline');
+    assert.strictEqual(updatePreferences(current, { quietHours: { start: '25:00' } }).field, 'quietHours.start');
+    assert.strictEqual(updatePreferences(current, { webhooks: ['ftp://files.example'] }).field, 'webhooks.0');
+    assert.strictEqual(updatePreferences(current, { webhooks: new Array(6).fill('https://a.example') }).field, 'webhooks');
+});
+
+test('preferences: accounts without any get the defaults', () => {
+    assert.deepStrictEqual(getPreferences({ username: 'ana' }), defaultPreferences());
+});
+
+test('push subscriptions need an https endpoint and both keys', () => {
+    assert.ok(isValidSubscription(subscription('a')));
+    assert.ok(!isValidSubscription({ endpoint: 'https://push.example/a', keys: { auth: 'x' } }));
+    assert.ok(!isValidSubscription({ endpoint: 'not a url', keys: { p256dh: 'k', auth: 'x' } }));
+    assert.ok(!isValidSubscription(null));
+});
+
+test('quiet hours may wrap past midnight', () => {
+    const night = { enabled: true, start: '22:00', end: '07:00' };
+    assert.ok(isQuiet(night, { hours: 23, minutes: 0 }));
+    assert.ok(isQuiet(night, { hours: 6, minutes: 59 }));
+    assert.ok(!isQuiet(night, { hours: 7, minutes: 0 }));
+    assert.ok(!isQuiet(night, { hours: 12, minutes: 0 }));
+    const lunch = { enabled: true, start: '12:00', end: '13:00' };
+    assert.ok(isQuiet(lunch, { hours: 12, minutes: 30 }));
+    assert.ok(!isQuiet(lunch, { hours: 13, minutes: 0 }));
+    assert.ok(!isQuiet({ ...night, enabled: false }, { hours: 23, minutes: 0 }));
+});
+
+test('each user gets the events they chose, on every channel they set up', async () => {
+    const users = [
+        { username: 'ana', notifications: { subscriptions: [subscription('phone'), subscription('laptop')], webhooks: [{ id: '1', url: 'https://hooks.example/ana' }] } },
+        { username: 'bo', notifications: { events: { 'device-offline': false }, subscriptions: [subscription('bo')] } },
+        { username: 'cy' } // Nothing to deliver to
+    ];
+    const { notifier, pushes, hooks } = createHarness(users);
+    assert.deepStrictEqual(await notifier.emit(offline), { users: 1, pushes: 2, webhooks: 1 });
+    assert.deepStrictEqual(pushes.map(push => push.endpoint), ['https://push.example/phone', 'https://push.example/laptop']);
+    assert.strictEqual(pushes[0].payload.title, 'main went offline');
+    assert.strictEqual(pushes[0].payload.at, '2026-07-06T12:00:00.000Z');
+    assert.strictEqual(hooks[0].payload.username, 'ana');
+    assert.strictEqual(hooks[0].payload.type, 'device-offline');
+
+    // schedule-run is off by default
+    assert.deepStrictEqual(await notifier.emit({ ...offline, type: 'schedule-run' }), { users: 0, pushes: 0, webhooks: 0 });
+});
+
+test('quiet hours hold alerts back unless forced', async () => {
+    const users = [{ username: 'ana', notifications: { quietHours: { enabled: true, start: '22:00', end: '07:00' }, webhooks: [{ id: '1', url: 'https://hooks.example/a' }] } }];
+    const { notifier, hooks } = createHarness(users, { at: '2026-07-06T23:15:00Z' });
+    assert.strictEqual((await notifier.emit(offline)).webhooks, 0);
+    assert.strictEqual((await notifier.emit({ ...offline, type: 'test' }, { only: 'ana', force: true })).webhooks, 1);
+    assert.strictEqual(hooks.length, 1);
+});
+
+test('expired push subscriptions are dropped and failing channels do not stop the others', async () => {
+    const users = [{
+        username: 'ana',
+        notifications: {
+            subscriptions: [subscription('gone'), subscription('flaky'), subscription('ok')],
+            webhooks: [{ id: '1', url: 'https://broken.example' }, { id: '2', url: 'https://hooks.example/a' }]
+        }
+    }];
+    const { notifier, pushes, saved } = createHarness(users, {
+        failPush: { 'https://push.example/gone': 410, 'https://push.example/flaky': 500 }
+    });
+    assert.deepStrictEqual(await notifier.emit(offline), { users: 1, pushes: 1, webhooks: 1 });
+    assert.deepStrictEqual(pushes.map(push => push.endpoint), ['https://push.example/ok']);
+    assert.strictEqual(saved.length, 1);
+    assert.deepStrictEqual(users[0].notifications.subscriptions.map(item => item.endpoint),
+        ['https://push.example/flaky', 'https://push.example/ok']);
+});
+
+test('without VAPID keys only webhooks are used', async () => {
+    const users = [{ username: 'ana', notifications: { subscriptions: [subscription('phone')], webhooks: [{ id: '1', url: 'https://hooks.example/a' }] } }];
+    const { notifier, pushes } = createHarness(users, { vapid: null });
+    assert.deepStrictEqual(await notifier.emit(offline), { users: 1, pushes: 0, webhooks: 1 });
+    assert.strictEqual(pushes.length, 0);
+});
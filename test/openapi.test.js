@@ -0,0 +1,46 @@
+// OpenAPI document for /api/v1: internal references resolve and every operation is described.
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildOpenApiDocument } = require('../lib/openapi');
+
+const doc = buildOpenApiDocument('1.2.3');
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Every { $ref } anywhere in the document
+function collectRefs(node, refs = []) {
+    if (Array.isArray(node)) node.forEach(item => collectRefs(item, refs));
+    else if (node && typeof node === 'object') {
+        if (typeof node.$ref === 'string') refs.push(node.$ref);
+        Object.values(node).forEach(value => collectRefs(value, refs));
+    }
+    return refs;
+}
+
+test('carries the given version', () => {
+    assert.strictEqual(doc.openapi, '3.0.3');
+    assert.strictEqual(doc.info.version, '1.2.3');
+    assert.deepStrictEqual(doc.servers, [{ url: '/api/v1' }]);
+});
+
+test('every $ref points at a component', () => {
+    for (const ref of collectRefs(doc)) {
+        const [, section, name] = ref.match(/^#\/components\/(\w+)\/(\w+)$/) || [];
+        assert.ok(doc.components[section] && doc.components[section][name], `Dangling ${ref}`);
+    }
+});
+
+test('every operation has a summary and answers, and path parameters are declared', () => {
+    for (const [path, item] of Object.entries(doc.paths)) {
+        const declared = (item.parameters || []).map(p => (p.$ref ? doc.components.parameters[p.$ref.split('/').pop()] : p).name);
+        for (const name of (path.match(/\{(\w+)\}/g) || []).map(part => part.slice(1, -1))) {
+            assert.ok(declared.includes(name), `${path} does not declare {${name}}`);
+        }
+        for (const method of METHODS.filter(key => item[key])) {
+            const operation = item[method];
+            assert.ok(operation.summary, `${method.toUpperCase()} ${path} has no summary`);
+            assert.ok(Object.keys(operation.responses).some(code => code.startsWith('2')), `${method.toUpperCase()} ${path} has no success response`);
+            assert.ok(operation.responses['401'], `${method.toUpperCase()} ${path} does not document 401`);
+        }
+    }
+});
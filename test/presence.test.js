@@ -0,0 +1,43 @@
+// Presence check-ins: plain home/away, positions against the home radius and its exit margin.
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { distance, resolveCheckIn, countHome } = require('../lib/presence');
+
+const HOME = { latitude: 28.6139, longitude: 77.2090 };
+// A point `meters` due north of home
+const north = (meters, extra = {}) => ({ latitude: HOME.latitude + meters / 111195, longitude: HOME.longitude, ...extra });
+
+test('distances are great-circle meters', () => {
+    assert.strictEqual(Math.round(distance(HOME, north(500))), 500);
+    assert.strictEqual(distance(HOME, HOME), 0);
+    assert.ok(Math.abs(distance({ latitude: 0, longitude: 0 }, { latitude: 0, longitude: 1 }) - 111195) < 1);
+});
+
+test('plain check-ins say home or away themselves', () => {
+    assert.deepStrictEqual(resolveCheckIn({ state: 'home' }, { via: 'rest' }), { home: true, via: 'rest' });
+    assert.deepStrictEqual(resolveCheckIn({ state: 'away' }), { home: false, via: 'app' });
+    assert.match(resolveCheckIn({ state: 'maybe' }).error, /state 'home' or 'away'/);
+    assert.match(resolveCheckIn({}).error, /latitude and longitude/);
+});
+
+test('positions: inside the radius is home, leaving takes the exit margin', () => {
+    const options = (wasHome) => ({ location: HOME, radius: 150, wasHome });
+    assert.deepStrictEqual(resolveCheckIn(north(100), options(false)), { home: true, via: 'location' });
+    assert.deepStrictEqual(resolveCheckIn(north(400), options(true)), { home: false, via: 'location' });
+    // Between the radius and the margin nothing changes
+    assert.strictEqual(resolveCheckIn(north(200), options(true)).home, true);
+    assert.strictEqual(resolveCheckIn(north(200), options(false)).home, false);
+    assert.strictEqual(resolveCheckIn(north(200), options(null)).home, false);
+    // A vague fix widens the margin, a very vague one decides nothing
+    assert.strictEqual(resolveCheckIn(north(400, { accuracy: 300 }), options(true)).home, true);
+    assert.match(resolveCheckIn(north(100, { accuracy: 5000 }), options(false)).error, /too vague/);
+
+    assert.match(resolveCheckIn(north(100), { location: null }).error, /not configured/);
+    assert.match(resolveCheckIn({ latitude: 95, longitude: 0 }, options(false)).error, /Invalid/);
+});
+
+test('countHome counts who is home', () => {
+    assert.strictEqual(countHome({ ana: { home: true }, raj: { home: false }, mo: { home: true } }), 2);
+    assert.strictEqual(countHome(undefined), 0);
+});
@@ -0,0 +1,48 @@
+// WebSocket message validation (lib/protocol.js): unknown types, rejected and stripped fields,
+// and keys that name Object members.
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { ERROR_CODES, validateMessage, negotiateProtocol, errorCode } = require('../lib/protocol');
+
+test('messages must be objects with a type the server knows', () => {
+    assert.strictEqual(validateMessage([]).code, ERROR_CODES.BAD_REQUEST);
+    assert.strictEqual(validateMessage({ data: {} }).code, ERROR_CODES.BAD_REQUEST);
+    assert.deepStrictEqual(validateMessage({ type: 'FLY' }),
+        { code: ERROR_CODES.UNKNOWN_TYPE, message: "Unknown message type 'FLY'", field: 'type' });
+    // Names of Object members are no message types
+    for (const type of ['constructor', 'toString', 'hasOwnProperty', '__proto__']) {
+        assert.strictEqual(validateMessage({ type }).code, ERROR_CODES.UNKNOWN_TYPE, type);
+    }
+});
+
+test('app messages refuse fields their schema does not declare, Object member names included', () => {
+    assert.strictEqual(validateMessage({ type: 'TOGGLE_SWITCH', data: { switchId: 'switch1', value: 1 } }), null);
+    assert.deepStrictEqual(validateMessage({ type: 'TOGGLE_SWITCH', data: { switchId: 'switch1', value: 1, force: true } }),
+        { code: ERROR_CODES.INVALID_FIELD, message: 'data.force is not allowed', field: 'data.force' });
+    assert.strictEqual(validateMessage({ type: 'TOGGLE_SWITCH', data: { switchId: 'switch1', value: 1 }, extra: 1 }).field, 'extra');
+
+    const polluted = JSON.parse('{"type":"TOGGLE_SWITCH","data":{"switchId":"switch1","value":1,"__proto__":{"admin":true}}}');
+    assert.strictEqual(validateMessage(polluted).field, 'data.__proto__');
+    const shadowed = { type: 'RENAME', data: { id: 'switch1', newName: 'Porch', constructor: 'x' } };
+    assert.strictEqual(validateMessage(shadowed).field, 'data.constructor');
+});
+
+test('hardware reports drop what the server does not use, Object member names included', () => {
+    const report = JSON.parse('{"type":"UPDATE_STATUS","data":{"switches":{"switch1":1},"system":{"rssi":-60,"heap":1234,"__proto__":{"polluted":true},"constructor":1}},"debug":true}');
+    assert.strictEqual(validateMessage(report), null);
+    assert.deepStrictEqual(Object.keys(report), ['type', 'data']);
+    assert.deepStrictEqual(Object.keys(report.data.system), ['rssi']);
+    assert.strictEqual(Object.getPrototypeOf(report.data.system), Object.prototype);
+    assert.strictEqual({}.polluted, undefined);
+
+    assert.strictEqual(validateMessage({ type: 'UPDATE_STATUS', data: { switches: { switch1: 1001 } } }).field, 'data.switches.switch1');
+});
+
+test('protocol versions and HTTP statuses map to what the boards and apps expect', () => {
+    assert.strictEqual(negotiateProtocol(), 1);
+    assert.strictEqual(negotiateProtocol(99), 2);
+    assert.strictEqual(negotiateProtocol(0), null);
+    assert.strictEqual(errorCode(404), 'NOT_FOUND');
+    assert.strictEqual(errorCode(500), ERROR_CODES.INVALID_VALUE);
+});
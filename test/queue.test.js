@@ -0,0 +1,41 @@
+// Offline command queue: latest-wins merging per switch and expiry.
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { enqueue, pruneExpired } = require('../lib/queue');
+
+const NOW = Date.parse('2026-07-06T08:00:00Z');
+const options = (fields = {}) => ({ by: 'admin', source: 'app', ttl: 600, now: NOW, ...fields });
+
+test('entries carry who queued them and when they expire', () => {
+    const { queue, entry } = enqueue([], { action: 'TOGGLE', switchId: 'switch1', value: 1 }, options());
+    assert.deepStrictEqual(queue, [entry]);
+    assert.strictEqual(entry.by, 'admin');
+    assert.strictEqual(entry.source, 'app');
+    assert.strictEqual(entry.queuedAt, NOW);
+    assert.strictEqual(entry.expiresAt, NOW + 600 * 1000);
+    assert.match(entry.id, /^[0-9a-f]{8}$/);
+});
+
+test('the latest command per switch wins and moves to the back', () => {
+    let queue = [];
+    ({ queue } = enqueue(queue, { action: 'TOGGLE', switchId: 'switch1', value: 1 }, options()));
+    ({ queue } = enqueue(queue, { action: 'TOGGLE', switchId: 'switch2', value: 1 }, options()));
+    ({ queue } = enqueue(queue, { action: 'SYSTEM', ledMode: 3 }, options()));
+    ({ queue } = enqueue(queue, { action: 'TOGGLE', switchId: 'switch1', value: 0 }, options({ by: 'guest' })));
+    ({ queue } = enqueue(queue, { action: 'SYSTEM', ledMode: 0 }, options()));
+
+    assert.deepStrictEqual(queue.map(entry => [entry.switchId || 'aura', entry.value ?? entry.ledMode, entry.by]),
+        [['switch2', 1, 'admin'], ['switch1', 0, 'guest'], ['aura', 0, 'admin']]);
+});
+
+test('expired entries are split off', () => {
+    let queue = [];
+    ({ queue } = enqueue(queue, { action: 'TOGGLE', switchId: 'switch1', value: 1 }, options({ ttl: 60 })));
+    ({ queue } = enqueue(queue, { action: 'TOGGLE', switchId: 'switch2', value: 1 }, options({ ttl: 3600 })));
+
+    const { live, expired } = pruneExpired(queue, NOW + 60 * 1000);
+    assert.deepStrictEqual(live.map(entry => entry.switchId), ['switch2']);
+    assert.deepStrictEqual(expired.map(entry => entry.switchId), ['switch1']);
+    assert.strictEqual(pruneExpired(queue, NOW).live.length, 2);
+});
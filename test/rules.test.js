@@ -0,0 +1,232 @@
+// Rule engine: validation, every trigger type, conditions, actions and the chain limit.
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildRule, createDefaultRules, createRuleEngine } = require('../lib/rules');
+
+const AURA = {
+    auraNight: { anchor: 'time', time: '22:30', offset: 0 },
+    auraMorning: { anchor: 'time', time: '05:00', offset: 0 }
+};
+
+// `clock` is the fake local wall clock handed to every event
+function createHarness({ rules = [], switches = { switch1: 0, switch2: 0 }, ledMode = 1, clock = { hours: 12, minutes: 0, weekday: 1 } } = {}) {
+    const state = {
+        rules: rules.map(input => buildRule(input).rule),
+        devices: {
+            main: {
+                channels: [{ id: 'switch1', type: 'relay' }, { id: 'switch2', type: 'relay' }],
+                switches: { ...switches },
+                physical: { switch1: 0 },
+                system: { ledMode, rssi: -50 }
+            }
+        }
+    };
+    const log = [];
+    const harness = { state, log, clock };
+
+    const engine = createRuleEngine({
+        state,
+        getClock: () => harness.clock,
+        run: {
+            async toggle(deviceId, switchId, value) {
+                log.push(['toggle', switchId, value]);
+                const previous = state.devices[deviceId].switches[switchId];
+                state.devices[deviceId].switches[switchId] = value;
+                // Like updateAndSave, a change raises a new switch event
+                if (previous !== value) await engine.dispatch(deviceId, { type: 'switch', switchId, value, previous });
+            },
+            async setLedMode(deviceId, mode) {
+                log.push(['led_mode', mode]);
+                state.devices[deviceId].system.ledMode = mode;
+            },
+            async startTimer(deviceId, switchId, duration, value) {
+                log.push(['timer', switchId, duration, value]);
+            },
+            async notify(deviceId, rule, message) {
+                log.push(['notify', rule.name, message]);
+            }
+        }
+    });
+    harness.engine = engine;
+    return harness;
+}
+
+const rule = (fields) => ({ name: 'Test', actions: [{ type: 'notify', message: 'hit' }], ...fields });
+
+test('buildRule rejects incomplete or malformed rules', () => {
+    assert.match(buildRule({ triggers: [{ type: 'online' }], actions: [] }).error, /name/);
+    assert.match(buildRule(rule({ triggers: [] })).error, /At least one trigger/);
+    assert.match(buildRule(rule({ triggers: [{ type: 'sunrise' }] })).error, /Unknown trigger type/);
+    assert.match(buildRule(rule({ triggers: [{ type: 'time', time: '25:00' }] })).error, /Time trigger/);
+    assert.match(buildRule(rule({ triggers: [{ type: 'rssi', direction: 'below' }] })).error, /threshold/);
+    assert.match(buildRule(rule({ triggers: [{ type: 'online' }], conditions: [{ type: 'switch', op: '>=', value: 1 }] })).error, /operator/);
+    assert.match(buildRule(rule({ triggers: [{ type: 'online' }], actions: [{ type: 'timer', duration: 0, value: 1 }] })).error, /duration/);
+    assert.match(buildRule(rule({ triggers: [{ type: 'online' }], actions: [{ type: 'notify', message: ' ' }] })).error, /message/);
+});
+
+test('buildRule keeps the id of the rule being edited', () => {
+    const { rule: created } = buildRule(rule({ triggers: [{ type: 'online' }] }));
+    assert.strictEqual(created.enabled, true);
+    assert.strictEqual(created.deviceId, null);
+    const { rule: edited } = buildRule({ name: 'Renamed' }, created);
+    assert.strictEqual(edited.id, created.id);
+    assert.strictEqual(edited.name, 'Renamed');
+    assert.deepStrictEqual(edited.triggers, created.triggers);
+});
+
+test('switch trigger fires only for its channel and value', async () => {
+    const hw = createHarness({ rules: [rule({ triggers: [{ type: 'switch', switchId: 'switch2', value: 1 }] })] });
+    await hw.engine.dispatch('main', { type: 'switch', switchId: 'switch1', value: 1, previous: 0 });
+    await hw.engine.dispatch('main', { type: 'switch', switchId: 'switch2', value: 0, previous: 1 });
+    assert.deepStrictEqual(hw.log, []);
+    await hw.engine.dispatch('main', { type: 'switch', switchId: 'switch2', value: 1, previous: 0 });
+    assert.deepStrictEqual(hw.log, [['notify', 'Test', 'hit']]);
+});
+
+test('physical trigger without a switchId means the first channel', async () => {
+    const hw = createHarness({ rules: [rule({ triggers: [{ type: 'physical' }], actions: [{ type: 'toggle', switchId: 'switch2', value: 1 }] })] });
+    await hw.engine.dispatch('main', { type: 'physical', switchId: 'switch1', value: 1, previous: 0 });
+    assert.deepStrictEqual(hw.log, [['toggle', 'switch2', 1]]);
+});
+
+test('online/offline triggers and device scoping', async () => {
+    const hw = createHarness({
+        rules: [
+            rule({ name: 'Back', triggers: [{ type: 'online' }] }),
+            rule({ name: 'Other board', deviceId: 'garage', triggers: [{ type: 'offline' }] })
+        ]
+    });
+    await hw.engine.dispatch('main', { type: 'offline' });
+    await hw.engine.dispatch('main', { type: 'online' });
+    assert.deepStrictEqual(hw.log, [['notify', 'Back', 'hit']]);
+});
+
+test('rssi trigger fires on the crossing only', async () => {
+    const hw = createHarness({ rules: [rule({ triggers: [{ type: 'rssi', direction: 'below', threshold: -80 }] })] });
+    await hw.engine.dispatch('main', { type: 'rssi', value: -85, previous: 0 }); // First reading
+    await hw.engine.dispatch('main', { type: 'rssi', value: -70, previous: -60 });
+    assert.strictEqual(hw.log.length, 0);
+    await hw.engine.dispatch('main', { type: 'rssi', value: -82, previous: -70 });
+    await hw.engine.dispatch('main', { type: 'rssi', value: -90, previous: -82 }); // Still below
+    assert.strictEqual(hw.log.length, 1);
+});
+
+test('time triggers honour weekday masks', async () => {
+    const hw = createHarness({
+        rules: [rule({ triggers: [{ type: 'time', time: '07:00', days: 1 << 6 }], actions: [{ type: 'timer', switchId: 'switch1', duration: 600, value: 0 }] })],
+        clock: { hours: 7, minutes: 0, weekday: 1 }
+    });
+    await hw.engine.tick(hw.clock);
+    assert.deepStrictEqual(hw.log, []);
+    hw.clock = { hours: 7, minutes: 0, weekday: 6 };
+    await hw.engine.tick(hw.clock);
+    assert.deepStrictEqual(hw.log, [['timer', 'switch1', 600, 0]]);
+});
+
+test('conditions must all hold; time windows may wrap midnight', async () => {
+    const hw = createHarness({
+        rules: [rule({
+            triggers: [{ type: 'online' }],
+            conditions: [
+                { type: 'switch', switchId: 'switch2', op: 'eq', value: 1 },
+                { type: 'time_window', from: { time: '23:00' }, to: { time: '06:00' } }
+            ]
+        })],
+        switches: { switch1: 0, switch2: 1 },
+        clock: { hours: 12, minutes: 0, weekday: 1 }
+    });
+    await hw.engine.dispatch('main', { type: 'online' });
+    assert.strictEqual(hw.log.length, 0);
+    hw.clock = { hours: 1, minutes: 15, weekday: 1 };
+    await hw.engine.dispatch('main', { type: 'online' });
+    assert.strictEqual(hw.log.length, 1);
+    hw.state.devices.main.switches.switch2 = 0;
+    await hw.engine.dispatch('main', { type: 'online' });
+    assert.strictEqual(hw.log.length, 1);
+});
+
+test('presence: the last one out turns everything off, arrivals after dark turn a light on', async () => {
+    const hw = createHarness({
+        rules: [
+            rule({ name: 'Away', triggers: [{ type: 'leave', last: true }], actions: [{ type: 'all_off' }] }),
+            rule({
+                name: 'Welcome',
+                triggers: [{ type: 'arrive' }],
+                conditions: [{ type: 'time_window', from: { time: '18:00' }, to: { time: '06:00' } }],
+                actions: [{ type: 'toggle', switchId: 'switch2', value: 1 }]
+            }),
+            rule({
+                name: 'Ana home alone',
+                triggers: [{ type: 'arrive', username: 'ana', first: true }],
+                conditions: [{ type: 'presence', username: 'ana', op: 'eq', value: 1 }, { type: 'presence', op: 'eq', value: 1 }]
+            })
+        ],
+        switches: { switch1: 1, switch2: 1 }
+    });
+    hw.state.presence = { ana: { home: true }, raj: { home: false } };
+
+    await hw.engine.dispatch('main', { type: 'leave', username: 'raj', count: 1 }); // Someone is still home
+    assert.deepStrictEqual(hw.log, []);
+    await hw.engine.dispatch('main', { type: 'leave', username: 'ana', count: 0 });
+    assert.deepStrictEqual(hw.log, [['toggle', 'switch1', 0], ['toggle', 'switch2', 0]]);
+
+    hw.log.length = 0;
+    await hw.engine.dispatch('main', { type: 'arrive', username: 'ana', count: 1 }); // Noon: no light
+    assert.deepStrictEqual(hw.log, [['notify', 'Ana home alone', 'hit']]);
+    hw.log.length = 0;
+    hw.clock = { hours: 20, minutes: 0, weekday: 1 };
+    hw.state.presence.raj.home = true;
+    await hw.engine.dispatch('main', { type: 'arrive', username: 'raj', count: 2 });
+    assert.deepStrictEqual(hw.log, [['toggle', 'switch2', 1]]);
+
+    assert.match(buildRule(rule({ triggers: [{ type: 'leave', last: 'yes' }] })).error, /first\/last/);
+    assert.match(buildRule(rule({ triggers: [{ type: 'online' }], conditions: [{ type: 'presence', username: 5, op: 'eq', value: 1 }] })).error, /username/);
+});
+
+test('disabled rules never fire', async () => {
+    const hw = createHarness({ rules: [rule({ enabled: false, triggers: [{ type: 'online' }] })] });
+    await hw.engine.dispatch('main', { type: 'online' });
+    assert.deepStrictEqual(hw.log, []);
+});
+
+test('rules that trigger each other stop at the chain limit', async () => {
+    const hw = createHarness({
+        rules: [
+            rule({ name: 'A', triggers: [{ type: 'switch', switchId: 'switch1' }], actions: [{ type: 'toggle', switchId: 'switch2', value: 1 }] }),
+            rule({ name: 'B', triggers: [{ type: 'switch', switchId: 'switch2' }], actions: [{ type: 'toggle', switchId: 'switch1', value: 0 }] })
+        ],
+        switches: { switch1: 0, switch2: 0 }
+    });
+    hw.state.devices.main.switches.switch1 = 1;
+    await hw.engine.dispatch('main', { type: 'switch', switchId: 'switch1', value: 1, previous: 0 });
+    // A -> B -> A again: the third hop is cut off
+    assert.deepStrictEqual(hw.log, [['toggle', 'switch2', 1], ['toggle', 'switch1', 0], ['toggle', 'switch2', 1]]);
+});
+
+test('default Aura rules: night dims when the light goes off, morning restores the mode', async () => {
+    const hw = createHarness({ rules: createDefaultRules(AURA), switches: { switch1: 1, switch2: 0 }, ledMode: 4 });
+
+    // Light still on at 22:30: nothing happens
+    hw.clock = { hours: 22, minutes: 30, weekday: 1 };
+    await hw.engine.tick(hw.clock);
+    assert.strictEqual(hw.state.devices.main.system.ledMode, 4);
+
+    // Turned off later that night: Aura goes dark right away
+    hw.clock = { hours: 23, minutes: 10, weekday: 1 };
+    hw.state.devices.main.switches.switch1 = 0;
+    await hw.engine.dispatch('main', { type: 'switch', switchId: 'switch1', value: 0, previous: 1 });
+    assert.strictEqual(hw.state.devices.main.system.ledMode, 0);
+
+    // Off during the day does not touch Aura
+    hw.state.devices.main.system.ledMode = 2;
+    hw.clock = { hours: 14, minutes: 0, weekday: 2 };
+    await hw.engine.dispatch('main', { type: 'switch', switchId: 'switch1', value: 0, previous: 1 });
+    assert.strictEqual(hw.state.devices.main.system.ledMode, 2);
+
+    // 05:00 restores the mode the night rule replaced
+    hw.state.devices.main.system.ledMode = 0;
+    hw.clock = { hours: 5, minutes: 0, weekday: 2 };
+    await hw.engine.tick(hw.clock);
+    assert.strictEqual(hw.state.devices.main.system.ledMode, 4);
+});
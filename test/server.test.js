@@ -0,0 +1,861 @@
+// The server in-process: every WebSocket message type end to end, against an app socket and a
+// simulated board, plus schema rejections and structured ERROR replies. Memory storage only.
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const WebSocket = require('ws');
+
+process.env.DEVICE_SECRET = 'test-device-secret';
+process.env.ADMIN_USERNAME = 'admin';
+process.env.ADMIN_PASSWORD = 'admin-password';
+process.env.MONGODB_URI = '';
+process.env.STORAGE = 'memory';
+process.env.MQTT_URL = '';
+process.env.TIME_ZONE = 'UTC';
+process.env.OFFLINE_ALERT_DELAY = '0';
+const { state, start, stop } = require('../server');
+
+let baseUrl;
+let app;
+let hw;
+
+// A socket that keeps every message it receives; expect() takes the first one matching
+function createClient(url) {
+    const ws = new WebSocket(url);
+    const client = { ws, inbox: [], waiters: [] };
+    ws.on('message', (data) => {
+        const message = JSON.parse(data);
+        const waiter = client.waiters.find(item => item.matches(message));
+        if (waiter) {
+            client.waiters.splice(client.waiters.indexOf(waiter), 1);
+            waiter.resolve(message);
+        } else {
+            client.inbox.push(message);
+        }
+    });
+    client.send = (message) => ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+    client.expect = (type, predicate = () => true) => {
+        const matches = (message) => message.type === type && predicate(message);
+        const index = client.inbox.findIndex(matches);
+        if (index !== -1) return Promise.resolve(client.inbox.splice(index, 1)[0]);
+        return new Promise((resolve, reject) => {
+            const waiter = { matches, resolve };
+            client.waiters.push(waiter);
+            setTimeout(() => {
+                if (!client.waiters.includes(waiter)) return;
+                client.waiters.splice(client.waiters.indexOf(waiter), 1);
+                reject(new Error(`Timed out waiting for ${type}`));
+            }, 2000);
+        });
+    };
+    client.opened = new Promise((resolve, reject) => {
+        ws.once('open', resolve);
+        ws.once('error', reject);
+    });
+    client.closed = new Promise(resolve => ws.once('close', (code) => resolve(code)));
+    return client;
+}
+
+async function login(username, password) {
+    const res = await fetch(`${baseUrl}/api/login`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    return (await res.json()).token;
+}
+
+async function connectApp(token) {
+    const client = createClient(`${baseUrl.replace('http', 'ws')}?token=${token}`);
+    await client.opened;
+    await client.expect('FULL_STATE');
+    return client;
+}
+
+// A board that acks every COMMAND and keeps them in `commands`
+async function connectBoard(deviceId = 'main', fields = { protocol: 2 }) {
+    const client = createClient(baseUrl.replace('http', 'ws'));
+    client.commands = [];
+    client.ws.on('message', (data) => {
+        const message = JSON.parse(data);
+        if (message.type !== 'COMMAND') return;
+        client.commands.push(message.data);
+        client.send({ type: 'ACK', seq: message.seq });
+    });
+    await client.opened;
+    client.send({
+        type: 'IDENTIFY',
+        role: 'hardware',
+        deviceId,
+        secret: process.env.DEVICE_SECRET,
+        ...fields,
+        data: { switches: { switch1: 0, switch2: 0, switch3: 0, switch4: 0 }, physical: { switch1: 1, switch4: 1 }, ...fields.data }
+    });
+    return client;
+}
+
+// Resolves once the board has received a COMMAND with this action
+async function nextCommand(board, action) {
+    for (let waited = 0; waited < 2000; waited += 10) {
+        const index = board.commands.findIndex(command => command.action === action);
+        if (index !== -1) return board.commands.splice(index, 1)[0];
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`Board never got ${action}`);
+}
+
+// Sends a message and resolves with the ERROR it was refused with
+async function refused(client, message) {
+    const requestId = `r${Math.random().toString(16).slice(2)}`;
+    client.send({ ...message, requestId });
+    return client.expect('ERROR', error => error.requestId === requestId);
+}
+
+test.before(async () => {
+    const server = await start(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    app = await connectApp(await login('admin', 'admin-password'));
+    hw = await connectBoard();
+    await hw.expect('IDENTIFIED');
+});
+
+test.after(async () => {
+    await stop();
+});
+
+test('malformed, unknown and invalid messages get structured errors', async () => {
+    app.send('not json');
+    assert.deepStrictEqual(await app.expect('ERROR'), {
+        type: 'ERROR', code: 'BAD_REQUEST', message: 'Message is not valid JSON', field: null, requestId: null
+    });
+
+    const unknown = await refused(app, { type: 'MAKE_COFFEE', data: {} });
+    assert.strictEqual(unknown.code, 'UNKNOWN_TYPE');
+    assert.strictEqual(unknown.field, 'type');
+
+    const badValue = await refused(app, { type: 'TOGGLE_SWITCH', data: { switchId: 'switch1', value: 'on' } });
+    assert.strictEqual(badValue.code, 'INVALID_FIELD');
+    assert.strictEqual(badValue.field, 'data.value');
+    assert.strictEqual(badValue.message, 'data.value must be integer');
+
+    const missing = await refused(app, { type: 'SET_TIMER', data: { switchId: 'switch1' } });
+    assert.strictEqual(missing.field, 'data.active');
+
+    const extra = await refused(app, { type: 'SYSTEM_UPDATE', data: { ledMode: 2, firmwareUrl: 'http://evil' } });
+    assert.strictEqual(extra.field, 'data.firmwareUrl');
+    assert.strictEqual(state.devices.main.system.firmwareUrl, undefined);
+
+    const longName = await refused(app, { type: 'RENAME', data: { id: 'switch1', newName: 'x'.repeat(41) } });
+    assert.strictEqual(longName.field, 'data.newName');
+
+    const numericId = { type: 'TOGGLE_SWITCH', requestId: 42, data: { switchId: 7, value: 1 } };
+    app.send(numericId);
+    const echoed = await app.expect('ERROR', error => error.requestId === 42);
+    assert.strictEqual(echoed.field, 'data.switchId');
+});
+
+test('IDENTIFY checks the device secret and negotiates the protocol', async () => {
+    const intruder = createClient(baseUrl.replace('http', 'ws'));
+    await intruder.opened;
+    intruder.send({ type: 'IDENTIFY', role: 'hardware', secret: 'guess', data: {} });
+    assert.strictEqual((await intruder.expect('ERROR')).code, 'UNAUTHORIZED');
+    assert.strictEqual(await intruder.closed, 4003);
+
+    const future = await connectBoard('future', { protocol: 9 });
+    assert.deepStrictEqual(await future.expect('IDENTIFIED'), { type: 'IDENTIFIED', deviceId: 'future', protocol: 2 });
+    assert.strictEqual(state.devices.future.acks, true);
+
+    const legacy = await connectBoard('legacy', {});
+    await app.expect('STATE_CHANGED', message => message.data.devices.legacy && message.data.devices.legacy.isHardwareOnline);
+    assert.strictEqual(state.devices.legacy.acks, false);
+    assert.strictEqual(legacy.inbox.some(message => message.type === 'IDENTIFIED'), false);
+
+    future.ws.close();
+    legacy.ws.close();
+    await Promise.all([future.closed, legacy.closed]);
+});
+
+test('device IDs that name Object members are devices like any other', async () => {
+    const token = await login('admin', 'admin-password');
+    const get = (path) => fetch(`${baseUrl}/api/v1${path}`, { headers: { authorization: `Bearer ${token}` } });
+    assert.strictEqual((await get('/devices/constructor')).status, 404);
+    assert.strictEqual((await get('/devices/toString')).status, 404);
+    const toggle = { type: 'TOGGLE_SWITCH', data: { deviceId: 'hasOwnProperty', switchId: 'switch1', value: 1 } };
+    assert.strictEqual((await refused(app, toggle)).code, 'NOT_FOUND');
+
+    const board = await connectBoard('__proto__');
+    await board.expect('IDENTIFIED');
+    await app.expect('STATE_CHANGED', message => Object.hasOwn(message.data.devices, '__proto__'));
+    assert.strictEqual({}.isHardwareOnline, undefined); // Object.prototype untouched
+    assert.strictEqual((await get('/devices/__proto__')).status, 200);
+    board.ws.close();
+    await board.closed;
+});
+
+test('TOGGLE_SWITCH goes to the board, which acks and reports back', async () => {
+    app.send({ type: 'TOGGLE_SWITCH', data: { switchId: 'switch2', value: 1 } });
+    assert.deepStrictEqual(await nextCommand(hw, 'TOGGLE'), { action: 'TOGGLE', switchId: 'switch2', value: 1 });
+    assert.strictEqual(state.devices.main.switches.switch2, 1);
+
+    hw.send({ type: 'UPDATE_STATUS', data: { switches: { switch2: 1 }, system: { rssi: -61, freeHeap: 12 } } });
+    await app.expect('STATE_CHANGED', message => message.data.devices.main.system.rssi === -61);
+    assert.deepStrictEqual(state.devices.main.pending, {});
+    assert.strictEqual(state.devices.main.system.freeHeap, undefined); // Unknown report fields are dropped
+
+    assert.strictEqual((await refused(app, { type: 'TOGGLE_SWITCH', data: { switchId: 'switch9', value: 1 } })).code, 'NOT_FOUND');
+    assert.strictEqual((await refused(app, { type: 'TOGGLE_SWITCH', data: { switchId: 'switch1', value: 2 } })).code, 'INVALID_VALUE');
+});
+
+test('UPDATE_STATUS and ACK are only taken from identified hardware', async () => {
+    const status = await refused(app, { type: 'UPDATE_STATUS', data: { switches: { switch1: 1 } } });
+    assert.strictEqual(status.code, 'FORBIDDEN');
+    assert.strictEqual((await refused(app, { type: 'ACK', seq: 1 })).code, 'FORBIDDEN');
+    assert.strictEqual(state.devices.main.switches.switch1, 0);
+});
+
+test('RENAME accepts channel IDs and legacy keys', async () => {
+    app.send({ type: 'RENAME', data: { id: 'switch1', newName: '  Porch  ' } });
+    app.send({ type: 'RENAME', data: { id: 'name3', newName: 'Desk' } });
+    await app.expect('STATE_CHANGED', message => message.data.devices.main.names.switch3 === 'Desk');
+    assert.strictEqual(state.devices.main.names.switch1, 'Porch');
+    assert.strictEqual((await refused(app, { type: 'RENAME', data: { id: 'switch9', newName: 'Ghost' } })).code, 'NOT_FOUND');
+});
+
+test('SET_SCHEDULE and DELETE_TASK only touch existing targets', async () => {
+    app.send({ type: 'SET_SCHEDULE', data: { switchId: 'switch3', time: '07:30', action: 1, days: 62 } });
+    const sync = await nextCommand(hw, 'SYNC_SCHED');
+    assert.strictEqual(sync.schedules[0].time, '07:30');
+    const [schedule] = state.devices.main.schedules.switch3;
+
+    const unknown = await refused(app, { type: 'SET_SCHEDULE', data: { switchId: '__proto__', time: '07:30', action: 1 } });
+    assert.strictEqual(unknown.code, 'NOT_FOUND');
+    assert.ok(!Object.keys(state.devices.main.schedules).includes('__proto__'));
+    assert.strictEqual((await refused(app, { type: 'SET_SCHEDULE', data: { switchId: 'switch3', time: '7am', action: 1 } })).code, 'INVALID_VALUE');
+
+    app.send({ type: 'DELETE_TASK', data: { switchId: 'switch3', taskType: 'schedule', scheduleId: schedule.id } });
+    assert.deepStrictEqual((await nextCommand(hw, 'SYNC_SCHED')).schedules, []);
+    const task = await refused(app, { type: 'DELETE_TASK', data: { switchId: 'switch3', taskType: 'alarm' } });
+    assert.strictEqual(task.field, 'data.taskType');
+});
+
+test('SET_TIMER starts and cancels countdowns', async () => {
+    app.send({ type: 'SET_TIMER', data: { switchId: 'switch4', active: true, duration: 600, action: 1 } });
+    assert.deepStrictEqual(await nextCommand(hw, 'SYNC_TIMER'), { action: 'SYNC_TIMER', switchId: 'switch4', active: true, duration: 600, value: 1 });
+    assert.strictEqual(state.devices.main.timers.switch4.active, true);
+
+    app.send({ type: 'DELETE_TASK', data: { switchId: 'switch4', taskType: 'timer' } });
+    assert.strictEqual((await nextCommand(hw, 'SYNC_TIMER')).active, false);
+    assert.strictEqual(state.devices.main.timers.switch4.active, false);
+
+    const zero = await refused(app, { type: 'SET_TIMER', data: { switchId: 'switch4', active: true, duration: 0, action: 1 } });
+    assert.strictEqual(zero.code, 'INVALID_VALUE');
+});
+
+test('SET_SCENE, APPLY_SCENE and DELETE_SCENE', async () => {
+    app.send({ type: 'SET_SCENE', data: { name: 'Movie', switches: { switch1: 0, switch3: 1 }, ledMode: 2 } });
+    await app.expect('STATE_CHANGED', message => message.data.devices.main.scenes.length === 1);
+    const [scene] = state.devices.main.scenes;
+
+    app.send({ type: 'APPLY_SCENE', data: { sceneId: scene.id } });
+    assert.deepStrictEqual(await nextCommand(hw, 'SCENE'),
+        { action: 'SCENE', sceneId: scene.id, switches: { switch1: 0, switch3: 1 }, ledMode: 2 });
+
+    app.send({ type: 'DELETE_SCENE', data: { id: scene.id } });
+    await app.expect('STATE_CHANGED', message => message.data.devices.main.scenes.length === 0);
+    assert.strictEqual((await refused(app, { type: 'APPLY_SCENE', data: { sceneId: scene.id } })).code, 'NOT_FOUND');
+});
+
+test('SET_WATTAGE', async () => {
+    app.send({ type: 'SET_WATTAGE', data: { switchId: 'switch3', watts: 36 } });
+    await app.expect('STATE_CHANGED', message => message.data.devices.main.wattage.switch3 === 36);
+    const tooMuch = await refused(app, { type: 'SET_WATTAGE', data: { switchId: 'switch3', watts: 20000 } });
+    assert.strictEqual(tooMuch.field, 'data.watts');
+});
+
+test('wall-switch interlocks: policies over WebSocket and REST, refusals and answers to wall flips', async () => {
+    const token = await login('admin', 'admin-password');
+    const api = async (method, path, body) => {
+        const res = await fetch(`${baseUrl}/api/v1${path}`, {
+            method,
+            headers: { 'content-type': 'application/json', authorization: `Bearer ${token}` },
+            body: body && JSON.stringify(body)
+        });
+        return { status: res.status, ...(await res.json()) };
+    };
+    // Earlier tests' STATE_CHANGED messages predate the board
+    const hall = (message) => message.data.devices.hall || { interlocks: {}, physical: {} };
+    const board = await connectBoard('hall');
+    await board.expect('IDENTIFIED');
+    assert.deepStrictEqual((await api('GET', '/devices/hall/interlocks')).interlocks, { switch1: 'last', switch4: 'last' });
+
+    // Wall switch is master: app ON is refused while it is OFF
+    app.send({ type: 'SET_INTERLOCK', data: { deviceId: 'hall', switchId: 'switch1', policy: 'wall' } });
+    await app.expect('STATE_CHANGED', message => hall(message).interlocks.switch1 === 'wall');
+    assert.strictEqual((await refused(app, { type: 'SET_INTERLOCK', data: { deviceId: 'hall', switchId: 'switch2', policy: 'wall' } })).code, 'INVALID_VALUE');
+    assert.strictEqual((await refused(app, { type: 'SET_INTERLOCK', data: { deviceId: 'hall', switchId: 'switch1', policy: 'maybe' } })).field, 'data.policy');
+
+    board.send({ type: 'UPDATE_STATUS', data: { physical: { switch1: 0 } } });
+    await app.expect('STATE_CHANGED', message => hall(message).physical.switch1 === 0);
+    const held = await refused(app, { type: 'TOGGLE_SWITCH', data: { deviceId: 'hall', switchId: 'switch1', value: 1 } });
+    assert.strictEqual(held.code, 'INTERLOCKED');
+    assert.match(held.message, /wall switch is OFF/);
+    const rest = await api('PUT', '/devices/hall/switches/switch1', { value: 1 });
+    assert.deepStrictEqual([rest.status, rest.code], [409, 'INTERLOCKED']);
+    assert.strictEqual(state.devices.hall.switches.switch1, 0);
+
+    // The relay follows the wall switch back on when the board did not
+    board.send({ type: 'UPDATE_STATUS', data: { physical: { switch1: 1 } } });
+    assert.deepStrictEqual(await nextCommand(board, 'TOGGLE'), { action: 'TOGGLE', switchId: 'switch1', value: 1 });
+
+    // Toggles: a flip to OFF still inverts the relay
+    assert.strictEqual((await api('PUT', '/devices/hall/interlocks/switch4', { policy: 'toggle' })).policy, 'toggle');
+    board.send({ type: 'UPDATE_STATUS', data: { physical: { switch4: 0 } } });
+    assert.deepStrictEqual(await nextCommand(board, 'TOGGLE'), { action: 'TOGGLE', switchId: 'switch4', value: 1 });
+
+    // App always wins: the board's own reaction to a flip is undone
+    assert.strictEqual((await api('PUT', '/devices/hall/interlocks/switch4', { policy: 'app' })).status, 200);
+    board.send({ type: 'UPDATE_STATUS', data: { switches: { switch4: 0 }, physical: { switch4: 1 } } });
+    assert.deepStrictEqual(await nextCommand(board, 'TOGGLE'), { action: 'TOGGLE', switchId: 'switch4', value: 1 });
+
+    // Back to the default, which is not stored
+    assert.strictEqual((await api('PUT', '/devices/hall/interlocks/switch4', { policy: 'last' })).status, 200);
+    assert.deepStrictEqual(state.devices.hall.interlocks, { switch1: 'wall' });
+    assert.strictEqual((await api('PUT', '/devices/hall/interlocks/switch2', { policy: 'app' })).status, 400);
+    board.ws.close();
+});
+
+test('SET_RULE, ENABLE_RULE and DELETE_RULE', async () => {
+    const rule = { name: 'Hello', triggers: [{ type: 'online' }], actions: [{ type: 'notify', message: 'Back online' }] };
+    app.send({ type: 'SET_RULE', data: rule });
+    await app.expect('STATE_CHANGED', message => message.data.rules.some(item => item.name === 'Hello'));
+    const { id } = state.rules.find(item => item.name === 'Hello');
+
+    app.send({ type: 'ENABLE_RULE', data: { id, enabled: false } });
+    await app.expect('STATE_CHANGED', message => message.data.rules.some(item => item.id === id && !item.enabled));
+    assert.strictEqual((await refused(app, { type: 'SET_RULE', data: { name: 'Empty' } })).code, 'INVALID_VALUE');
+
+    app.send({ type: 'DELETE_RULE', data: { id } });
+    await app.expect('STATE_CHANGED', message => !message.data.rules.some(item => item.id === id));
+    assert.strictEqual((await refused(app, { type: 'DELETE_RULE', data: { id } })).code, 'NOT_FOUND');
+});
+
+test('presence: CHECK_IN and REST check-ins track who is home and fire arrive rules', async () => {
+    const token = await login('admin', 'admin-password');
+    const checkIn = async (body) => {
+        const res = await fetch(`${baseUrl}/api/v1/presence`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', authorization: `Bearer ${token}` },
+            body: JSON.stringify(body)
+        });
+        return { status: res.status, ...(await res.json()) };
+    };
+
+    app.send({ type: 'CHECK_IN', data: { state: 'away' } });
+    await app.expect('STATE_CHANGED', message => message.data.presence.admin && message.data.presence.admin.home === false);
+    app.send({ type: 'SET_RULE', data: { name: 'Welcome home', triggers: [{ type: 'arrive', first: true }], actions: [{ type: 'notify', message: 'Hello' }] } });
+    await app.expect('STATE_CHANGED', message => message.data.rules.some(item => item.name === 'Welcome home'));
+
+    const home = await checkIn({ state: 'home' });
+    assert.deepStrictEqual([home.status, home.presence.home, home.presence.via], [200, true, 'rest']);
+    assert.strictEqual((await app.expect('NOTIFY')).data.message, 'Hello');
+    assert.strictEqual(state.presence.admin.home, true);
+
+    // No site location in the tests: positions cannot be placed
+    assert.match((await checkIn({ latitude: 28.6, longitude: 77.2 })).error, /home location/);
+    assert.strictEqual((await refused(app, { type: 'CHECK_IN', data: { state: 'maybe' } })).field, 'data.state');
+    const rule = state.rules.find(item => item.name === 'Welcome home');
+    app.send({ type: 'DELETE_RULE', data: { id: rule.id } });
+    await app.expect('STATE_CHANGED', message => !message.data.rules.some(item => item.id === rule.id));
+});
+
+test('vacation mode: habits from schedules, a 24-hour preview and schedules paused on the board', async () => {
+    const token = await login('admin', 'admin-password');
+    const vacation = async (method, body) => {
+        const res = await fetch(`${baseUrl}/api/v1/vacation`, {
+            method,
+            headers: { 'content-type': 'application/json', authorization: `Bearer ${token}` },
+            body: body && JSON.stringify(body)
+        });
+        return { status: res.status, ...(await res.json()) };
+    };
+
+    for (const [time, action] of [['18:30', 1], ['23:00', 0]]) {
+        app.send({ type: 'SET_SCHEDULE', data: { switchId: 'switch3', time, action } });
+        await nextCommand(hw, 'SYNC_SCHED');
+    }
+    assert.match((await vacation('PUT', { enabled: true })).error, /at least one switch/);
+
+    // switch3 has no history to learn from, so its schedules stand in
+    const on = await vacation('PUT', { enabled: true, switches: [{ deviceId: 'main', switchId: 'switch3' }], jitter: 10 });
+    assert.strictEqual(on.status, 200);
+    assert.deepStrictEqual(on.vacation.patterns['main/switch3'], [{ on: 18 * 60 + 30, duration: 270, level: 1, chance: 1, from: 'schedule' }]);
+    assert.ok(on.preview.length >= 1 && on.preview.every(event => event.switchId === 'switch3'));
+    assert.deepStrictEqual(await nextCommand(hw, 'SYNC_SCHED'), { action: 'SYNC_SCHED', switchId: 'switch3', schedules: [] });
+    assert.ok(state.vacation.since);
+    assert.deepStrictEqual((await vacation('GET')).preview, on.preview);
+
+    assert.strictEqual((await refused(app, { type: 'SET_VACATION', data: { jitter: 90 } })).field, 'data.jitter');
+    const unknown = await refused(app, { type: 'SET_VACATION', data: { switches: [{ deviceId: 'main', switchId: 'switch9' }] } });
+    assert.strictEqual(unknown.code, 'NOT_FOUND');
+
+    // Switched off, the board gets its schedules back
+    app.send({ type: 'SET_VACATION', data: { enabled: false, switches: [] } });
+    assert.strictEqual((await nextCommand(hw, 'SYNC_SCHED')).schedules.length, 2);
+    await app.expect('STATE_CHANGED', message => message.data.vacation && !message.data.vacation.enabled);
+    for (const schedule of state.devices.main.schedules.switch3) {
+        app.send({ type: 'DELETE_TASK', data: { switchId: 'switch3', taskType: 'schedule', scheduleId: schedule.id } });
+        await nextCommand(hw, 'SYNC_SCHED');
+    }
+});
+
+test('SYSTEM_UPDATE sends the Aura mode; reboots need an admin', async () => {
+    app.send({ type: 'SYSTEM_UPDATE', data: { ledMode: 3 } });
+    assert.deepStrictEqual(await nextCommand(hw, 'SYSTEM'), { action: 'SYSTEM', ledMode: 3 });
+
+    await fetch(`${baseUrl}/api/users`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', authorization: `Bearer ${await login('admin', 'admin-password')}` },
+        body: JSON.stringify({ username: 'member', password: 'member-password', role: 'member' })
+    });
+    const member = await connectApp(await login('member', 'member-password'));
+    assert.strictEqual((await refused(member, { type: 'SYSTEM_UPDATE', data: { reboot: 1 } })).code, 'FORBIDDEN');
+    assert.strictEqual((await refused(member, { type: 'UPDATE_SETTINGS', data: { queueOffline: true } })).code, 'FORBIDDEN');
+    member.ws.close();
+
+    const anonymous = createClient(baseUrl.replace('http', 'ws'));
+    await anonymous.opened;
+    assert.strictEqual((await refused(anonymous, { type: 'TOGGLE_SWITCH', data: { switchId: 'switch1', value: 1 } })).code, 'UNAUTHORIZED');
+    anonymous.ws.close();
+});
+
+test('UPDATE_SETTINGS, offline queueing and CANCEL_QUEUED', async () => {
+    hw.ws.close();
+    await app.expect('STATE_CHANGED', message => !message.data.devices.main.isHardwareOnline);
+    const offline = await refused(app, { type: 'TOGGLE_SWITCH', data: { switchId: 'switch1', value: 1 } });
+    assert.strictEqual(offline.code, 'OFFLINE');
+    assert.ok(await app.expect('STATE_CHANGED')); // Resent so the card snaps back
+
+    assert.strictEqual((await refused(app, { type: 'UPDATE_SETTINGS', data: { queueTtl: 5 } })).code, 'INVALID_VALUE');
+    app.send({ type: 'UPDATE_SETTINGS', data: { queueOffline: true, queueTtl: 600 } });
+    await app.expect('STATE_CHANGED', message => message.data.settings.queueOffline);
+
+    app.send({ type: 'TOGGLE_SWITCH', data: { switchId: 'switch1', value: 1 } });
+    app.send({ type: 'TOGGLE_SWITCH', data: { switchId: 'switch3', value: 0 } });
+    await app.expect('STATE_CHANGED', message => message.data.devices.main.queue.length === 2);
+    const [first] = state.devices.main.queue;
+    app.send({ type: 'CANCEL_QUEUED', data: { id: first.id } });
+    await app.expect('STATE_CHANGED', message => message.data.devices.main.queue.length === 1);
+
+    hw = await connectBoard();
+    assert.deepStrictEqual(await nextCommand(hw, 'TOGGLE'), { action: 'TOGGLE', switchId: 'switch3', value: 0 });
+    await app.expect('STATE_CHANGED', message => message.data.devices.main.queue.length === 0);
+});
+
+test('alert preferences over REST; offline boards reach webhooks', async () => {
+    const received = [];
+    const receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push(JSON.parse(body));
+            res.end();
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    const hookUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+
+    const token = await login('admin', 'admin-password');
+    const api = async (path, method = 'GET', body, bearer = token) => {
+        const res = await fetch(`${baseUrl}/api/v1${path}`, {
+            method,
+            headers: { 'content-type': 'application/json', authorization: `Bearer ${bearer}` },
+            body: body && JSON.stringify(body)
+        });
+        return { status: res.status, ...(await res.json()) };
+    };
+    const nextAlert = async (type) => {
+        for (let waited = 0; waited < 2000; waited += 10) {
+            const index = received.findIndex(alert => alert.type === type);
+            if (index !== -1) return received.splice(index, 1)[0];
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        throw new Error(`No ${type} alert`);
+    };
+
+    const initial = await api('/notifications');
+    assert.ok(initial.available['device-offline']);
+    assert.strictEqual(typeof initial.publicKey, 'string');
+    assert.deepStrictEqual(initial.notifications.webhooks, []);
+
+    assert.strictEqual((await api('/notifications', 'PATCH', { quietHours: { start: '7pm' } })).status, 400);
+    assert.strictEqual((await api('/notifications/subscriptions', 'POST', { endpoint: 'https://push.example/x' })).status, 400);
+    const updated = await api('/notifications', 'PATCH', { events: { 'device-online': false }, webhooks: [hookUrl] });
+    assert.strictEqual(updated.status, 200);
+    assert.strictEqual(updated.notifications.events['device-online'], false);
+
+    const subscribed = await api('/notifications/subscriptions', 'POST', { endpoint: 'https://push.example/x', keys: { p256dh: 'k', auth: 'a' } });
+    assert.strictEqual(subscribed.status, 201);
+    assert.deepStrictEqual(subscribed.notifications.subscriptions, ['https://push.example/x']);
+    assert.strictEqual((await api(`/notifications/subscriptions?endpoint=${encodeURIComponent('https://push.example/x')}`, 'DELETE')).status, 200);
+    assert.strictEqual((await api('/notifications/subscriptions?endpoint=nope', 'DELETE')).status, 404);
+
+    assert.deepStrictEqual((await api('/notifications/test', 'POST')).delivered, { pushes: 0, webhooks: 1 });
+    assert.strictEqual((await nextAlert('test')).username, 'admin');
+
+    const board = await connectBoard('porch', { protocol: 2, label: 'Porch' });
+    await board.expect('IDENTIFIED');
+    board.ws.close();
+    const alert = await nextAlert('device-offline');
+    assert.strictEqual(alert.deviceId, 'porch');
+    assert.strictEqual(alert.title, 'Porch went offline');
+
+    // Webhooks make the server call out, into the home network too: admins only
+    await fetch(`${baseUrl}/api/users`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', authorization: `Bearer ${token}` },
+        body: JSON.stringify({ username: 'visitor', password: 'visitor-password', role: 'guest' })
+    });
+    const guest = await login('visitor', 'visitor-password');
+    assert.strictEqual((await api('/notifications', 'PATCH', { webhooks: [hookUrl] }, guest)).status, 403);
+    const member = await login('member', 'member-password');
+    assert.strictEqual((await api('/notifications', 'PATCH', { webhooks: [hookUrl] }, member)).status, 403);
+    assert.strictEqual((await api('/notifications', 'PATCH', { events: { 'rule-notify': false } }, guest)).status, 200);
+
+    await api('/notifications', 'PATCH', { webhooks: [] });
+    await new Promise(resolve => receiver.close(resolve));
+});
+
+test('guests are shown the devices, not who is home, the rules, the vacation plan or who queued what', async () => {
+    const token = await login('admin', 'admin-password');
+    await fetch(`${baseUrl}/api/users`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', authorization: `Bearer ${token}` },
+        body: JSON.stringify({ username: 'viewer', password: 'viewer-password', role: 'guest' })
+    });
+    const guestToken = await login('viewer', 'viewer-password');
+    const get = async (path) => {
+        const res = await fetch(`${baseUrl}${path}`, { headers: { authorization: `Bearer ${guestToken}` } });
+        return { status: res.status, ...(await res.json()) };
+    };
+    const post = async (path, body) => {
+        const res = await fetch(`${baseUrl}${path}`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', authorization: `Bearer ${guestToken}` },
+            body: JSON.stringify(body)
+        });
+        return { status: res.status, ...(await res.json()) };
+    };
+
+    const guest = createClient(`${baseUrl.replace('http', 'ws')}?token=${guestToken}`);
+    const full = await guest.expect('FULL_STATE');
+    assert.ok(Object.keys(state.presence).length && state.rules.length);
+    assert.deepStrictEqual([full.data.presence, full.data.rules, full.data.vacation], [{}, [], undefined]);
+    assert.deepStrictEqual(Object.keys(full.data.devices), Object.keys(state.devices));
+
+    // Queued while the board is away: members see by whom, guests do not
+    const shed = await connectBoard('shed');
+    await shed.expect('IDENTIFIED');
+    shed.ws.close();
+    await app.expect('STATE_CHANGED', message => message.data.devices.shed && !message.data.devices.shed.isHardwareOnline);
+    app.send({ type: 'TOGGLE_SWITCH', data: { deviceId: 'shed', switchId: 'switch1', value: 1 } });
+    const queued = (message) => message.data.devices.shed && message.data.devices.shed.queue.length === 1;
+    const forMember = await app.expect('STATE_CHANGED', queued);
+    const forGuest = await guest.expect('STATE_CHANGED', queued);
+    assert.strictEqual(forMember.data.devices.shed.queue[0].by, 'admin');
+    assert.strictEqual(forGuest.data.devices.shed.queue[0].by, undefined);
+    assert.deepStrictEqual([forGuest.data.presence, forGuest.data.rules], [{}, []]);
+
+    const rest = await get('/api/state');
+    assert.deepStrictEqual([rest.presence, rest.rules, rest.vacation], [{}, [], undefined]);
+    assert.strictEqual((await get('/api/devices/shed/state')).queue[0].by, undefined);
+    assert.strictEqual((await get('/api/v1/devices/shed')).device.queue[0].by, undefined);
+    assert.strictEqual((await get('/api/v1/devices/shed/queue')).queue[0].by, undefined);
+    for (const path of ['/presence', '/rules', '/vacation']) assert.strictEqual((await get(`/api/v1${path}`)).status, 403);
+
+    // The legacy routes guests may call answer with the state as they see it too
+    const toggled = await post('/api/toggle', { deviceId: 'shed', switchId: 'switch2', value: 1 });
+    assert.strictEqual(toggled.status, 202);
+    assert.deepStrictEqual([toggled.state.presence, toggled.state.rules, toggled.state.vacation], [{}, [], undefined]);
+    assert.deepStrictEqual(toggled.state.devices.shed.queue.map(entry => entry.by), [undefined, undefined]);
+    const bodiless = await fetch(`${baseUrl}/api/toggle`, { method: 'POST', headers: { authorization: `Bearer ${guestToken}` } });
+    assert.strictEqual(bodiless.status, 400);
+    const main = state.devices.main;
+    app.send({ type: 'SET_SCENE', data: { name: 'Same again', switches: { switch3: main.switches.switch3 }, ledMode: main.system.ledMode } });
+    await app.expect('STATE_CHANGED', message => message.data.devices.main.scenes.some(item => item.name === 'Same again'));
+    const [scene] = main.scenes;
+    const applied = await post(`/api/scenes/${scene.id}/apply`, {});
+    assert.strictEqual(applied.status, 200);
+    assert.deepStrictEqual([applied.state.presence, applied.state.rules, applied.state.vacation], [{}, [], undefined]);
+    await nextCommand(hw, 'SCENE');
+    app.send({ type: 'DELETE_SCENE', data: { id: scene.id } });
+    await app.expect('STATE_CHANGED', message => message.data.devices.main.scenes.length === 0);
+
+    for (const { id } of [...state.devices.shed.queue]) app.send({ type: 'CANCEL_QUEUED', data: { deviceId: 'shed', id } });
+    await guest.expect('STATE_CHANGED', message => message.data.devices.shed.queue.length === 0);
+    guest.ws.close();
+});
+
+test('the dashboard installs as an app: manifest, icon and service worker are served without a login', async () => {
+    const manifestRes = await fetch(`${baseUrl}/manifest.webmanifest`);
+    assert.strictEqual(manifestRes.status, 200);
+    assert.match(manifestRes.headers.get('content-type'), /manifest\+json/);
+    const manifest = await manifestRes.json();
+    assert.strictEqual(manifest.start_url, '/');
+    assert.strictEqual(manifest.display, 'standalone');
+    for (const icon of manifest.icons) assert.strictEqual((await fetch(`${baseUrl}${icon.src}`)).status, 200);
+
+    const worker = await fetch(`${baseUrl}/sw.js`);
+    assert.strictEqual(worker.status, 200);
+    // Everything the worker pre-caches must exist, or its install fails
+    const shell = JSON.parse((await worker.text()).match(/const SHELL = (\[.*?\]);/)[1].replace(/'/g, '"'));
+    for (const path of shell) assert.strictEqual((await fetch(`${baseUrl}${path}`)).status, 200, path);
+});
+
+test('board health: firmware and reset reason from IDENTIFY, signal windows and drops with their close code', async () => {
+    const token = await login('admin', 'admin-password');
+    const get = async (path) => (await fetch(`${baseUrl}/api/v1${path}`, { headers: { authorization: `Bearer ${token}` } })).json();
+
+    const board = await connectBoard('garage', { protocol: 2, firmware: '1.4.0', resetReason: 'Hardware Watchdog' });
+    await board.expect('IDENTIFIED');
+    board.send({ type: 'UPDATE_STATUS', data: { system: { rssi: -67, uptime: 12 } } });
+    await app.expect('STATE_CHANGED', message => message.data.devices.garage && message.data.devices.garage.system.rssi === -67);
+    const live = await get('/devices/garage/health');
+    assert.strictEqual(live.online, true);
+    assert.strictEqual(live.firmware, '1.4.0');
+    assert.strictEqual(live.resetReason, 'Hardware Watchdog');
+    assert.strictEqual(live.rssi, -67);
+    assert.ok(live.uptime >= 12);
+    assert.strictEqual((await get('/devices')).devices.find(device => device.id === 'garage').firmware, '1.4.0');
+
+    board.ws.close(1000, 'bye');
+    let health;
+    for (let waited = 0; waited < 2000; waited += 20) {
+        health = await get('/devices/garage/health');
+        if (health.summary.disconnects) break;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.strictEqual(health.online, false);
+    assert.strictEqual(health.uptime, null);
+    assert.deepStrictEqual(health.events.map(event => event.kind), ['connect', 'disconnect']);
+    assert.strictEqual(health.events[0].cause, 'unknown'); // No uptime in this IDENTIFY
+    assert.deepStrictEqual(health.events[1], { kind: 'disconnect', at: health.events[1].at, code: 1000, reason: 'bye' });
+    assert.deepStrictEqual(health.rssiWindows.map(window => [window.avg, window.count]), [[-67, 1]]);
+    assert.strictEqual(state.devices.garage.system.uptime, undefined); // Health data, not device state
+    assert.deepStrictEqual(health.summary.closeCodes, { 1000: 1 });
+    assert.strictEqual((await get('/devices/nope/health')).success, false);
+});
+
+test('firmware updates: upload, OTA_UPDATE with a signed range-capable link, progress and the reboot into the new version', async () => {
+    const token = await login('admin', 'admin-password');
+    const api = async (method, path, body, headers = { 'content-type': 'application/json' }) => {
+        const res = await fetch(`${baseUrl}/api/v1${path}`, {
+            method,
+            headers: { authorization: `Bearer ${token}`, ...headers },
+            body: body === undefined || Buffer.isBuffer(body) ? body : JSON.stringify(body)
+        });
+        return { status: res.status, body: await res.json() };
+    };
+    const binary = Buffer.concat([Buffer.from([0xE9]), require('crypto').randomBytes(999)]);
+    const md5 = require('crypto').createHash('md5').update(binary).digest('hex');
+    const upload = (query) => api('POST', `/firmware?${query}`, binary, { 'content-type': 'application/octet-stream' });
+
+    assert.strictEqual((await upload('version=2.0.0&checksum=deadbeef')).status, 400);
+    const uploaded = await upload(`version=2.0.0&checksum=${md5}`);
+    assert.strictEqual(uploaded.status, 201);
+    const firmwareId = uploaded.body.firmware.id;
+    assert.deepStrictEqual((await api('GET', '/firmware')).body.firmware.map(image => image.version), ['2.0.0']);
+
+    // The board from test.before never declared `ota`
+    assert.match((await api('POST', '/devices/main/ota', { firmwareId })).body.error, /over-the-air/);
+
+    let board = await connectBoard('attic', { protocol: 2, firmware: '1.0.0', ota: true });
+    await board.expect('IDENTIFIED');
+    assert.strictEqual((await api('POST', '/devices/attic/ota', { firmwareId: 'nope' })).status, 404);
+    const started = await api('POST', '/devices/attic/ota', { firmwareId });
+    assert.strictEqual(started.status, 200);
+    assert.deepStrictEqual([started.body.update.status, started.body.update.from], ['sent', '1.0.0']);
+    assert.match((await api('POST', '/devices/attic/ota', { firmwareId })).body.error, /Already updating/);
+    assert.strictEqual((await api('DELETE', `/firmware/${firmwareId}`)).status, 400); // In use
+
+    const command = await nextCommand(board, 'OTA_UPDATE');
+    assert.deepStrictEqual([command.version, command.size, command.md5], ['2.0.0', 1000, md5]);
+    const download = (range, url = command.url) => fetch(`${baseUrl}${url}`, { headers: range ? { range } : {} });
+    const head = await download('bytes=0-99');
+    assert.strictEqual(head.status, 206);
+    assert.strictEqual(head.headers.get('content-range'), 'bytes 0-99/1000');
+    assert.strictEqual(head.headers.get('x-md5'), md5);
+    const rest = await download('bytes=100-');
+    const fetched = Buffer.concat([Buffer.from(await head.arrayBuffer()), Buffer.from(await rest.arrayBuffer())]);
+    assert.ok(fetched.equals(binary));
+    assert.strictEqual((await download('bytes=1000-')).status, 416);
+    assert.strictEqual((await download(null, command.url.replace(/token=.*/, 'token=forged.x'))).status, 401);
+
+    const { updateId } = command;
+    const otaOf = (message) => (message.data.devices.attic || {}).ota || {};
+    board.send({ type: 'OTA_STATUS', data: { updateId, status: 'downloading', progress: 50 } });
+    await app.expect('STATE_CHANGED', message => otaOf(message).progress === 50);
+    assert.strictEqual((await refused(board, { type: 'OTA_STATUS', data: { updateId: 'other', status: 'downloading' } })).code, 'NOT_FOUND');
+    assert.strictEqual((await refused(app, { type: 'OTA_STATUS', data: { updateId, status: 'failed' } })).code, 'FORBIDDEN');
+
+    // A Wi-Fi drop mid-download: the board comes back on the old version, up all along, and resumes where it was
+    board.ws.close();
+    await board.closed;
+    board = await connectBoard('attic', { protocol: 2, firmware: '1.0.0', ota: true, data: { system: { uptime: 3600 } } });
+    await board.expect('IDENTIFIED');
+    assert.deepStrictEqual([state.devices.attic.ota.status, state.devices.attic.ota.progress], ['downloading', 50]);
+    const resumed = await download('bytes=500-');
+    assert.strictEqual(resumed.headers.get('content-range'), 'bytes 500-999/1000');
+    assert.ok(Buffer.from(await resumed.arrayBuffer()).equals(binary.subarray(500)));
+    board.send({ type: 'OTA_STATUS', data: { updateId, status: 'downloading', progress: 100 } });
+    await app.expect('STATE_CHANGED', message => otaOf(message).progress === 100);
+
+    // The flash did not take: the board just booted, still on the old version
+    board.send({ type: 'OTA_STATUS', data: { updateId, status: 'flashing' } });
+    await app.expect('STATE_CHANGED', message => otaOf(message).status === 'flashing');
+    board.ws.close();
+    await board.closed;
+    board = await connectBoard('attic', { protocol: 2, firmware: '1.0.0', ota: true, data: { system: { uptime: 2 } } });
+    await board.expect('IDENTIFIED');
+    assert.deepStrictEqual([state.devices.attic.ota.status, state.devices.attic.ota.error], ['failed', 'Board came back on 1.0.0']);
+
+    // Flashed: the board restarts and comes back on the new version
+    assert.strictEqual((await api('POST', '/devices/attic/ota', { firmwareId })).status, 200);
+    const retry = await nextCommand(board, 'OTA_UPDATE');
+    board.send({ type: 'OTA_STATUS', data: { updateId: retry.updateId, status: 'rebooting' } });
+    await app.expect('STATE_CHANGED', message => otaOf(message).status === 'rebooting');
+    board.ws.close();
+    await board.closed;
+    board = await connectBoard('attic', { protocol: 2, firmware: '2.0.0', ota: true });
+    await app.expect('STATE_CHANGED', message => otaOf(message).status === 'done');
+    const finished = (await api('GET', '/devices/attic/ota')).body;
+    assert.deepStrictEqual([finished.firmware, finished.supported, finished.ota.status], ['2.0.0', true, 'done']);
+    assert.match((await api('POST', '/devices/attic/ota', { firmwareId })).body.error, /already runs 2.0.0/);
+
+    assert.strictEqual((await api('DELETE', `/firmware/${firmwareId}`)).status, 200);
+    assert.strictEqual((await download('bytes=0-9')).status, 404);
+    board.ws.close();
+});
+
+test('audit log: who changed what from which client, wall switches included, filtered over REST', async () => {
+    const token = await login('admin', 'admin-password');
+    const api = async (method, path, body, auth = token) => {
+        const res = await fetch(`${baseUrl}/api${path}`, {
+            method,
+            headers: { 'content-type': 'application/json', authorization: `Bearer ${auth}` },
+            body: body && JSON.stringify(body)
+        });
+        return { status: res.status, ...(await res.json()) };
+    };
+    const board = await connectBoard('porch');
+    await board.expect('IDENTIFIED');
+
+    app.send({ type: 'TOGGLE_SWITCH', data: { deviceId: 'porch', switchId: 'switch2', value: 1 } });
+    await nextCommand(board, 'TOGGLE');
+    assert.strictEqual((await api('PUT', '/v1/devices/porch/names/switch3', { name: 'Porch light' })).status, 200);
+    // Wall switch flipped off, then on again: the relay follows it
+    board.send({ type: 'UPDATE_STATUS', data: { physical: { switch1: 0 } } });
+    board.send({ type: 'UPDATE_STATUS', data: { switches: { switch1: 1 }, physical: { switch1: 1 } } });
+
+    let entries = [];
+    for (let waited = 0; waited < 2000 && entries.length < 3; waited += 20) {
+        entries = (await api('GET', '/v1/audit?deviceId=porch')).entries;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    const byType = Object.fromEntries(entries.map(entry => [entry.type, entry]));
+    assert.deepStrictEqual(Object.keys(byType).sort(), ['RENAME', 'TOGGLE_SWITCH', 'UPDATE_STATUS']);
+    const toggle = byType.TOGGLE_SWITCH;
+    assert.deepStrictEqual([toggle.actor.username, toggle.actor.role, toggle.actor.client], ['admin', 'admin', 'app']);
+    assert.ok(toggle.actor.ip);
+    assert.strictEqual(toggle.target, 'switch2');
+    assert.deepStrictEqual(toggle.changes, [{ path: 'switches.switch2', before: 0, after: 1 }]);
+    assert.deepStrictEqual([byType.RENAME.actor.client, byType.RENAME.target], ['rest', 'switch3']);
+    assert.deepStrictEqual(byType.RENAME.changes, [{ path: 'names.switch3', before: 'Tubelight', after: 'Porch light' }]);
+    const wall = byType.UPDATE_STATUS;
+    assert.deepStrictEqual([wall.actor.username, wall.actor.client], [null, 'physical']);
+    assert.deepStrictEqual(wall.changes, [{ path: 'switches.switch1', before: 0, after: 1 }]);
+
+    // Filters, refusals and accounts (never their password hashes)
+    assert.deepStrictEqual((await api('GET', '/v1/audit?deviceId=porch&client=physical')).entries.map(entry => entry.id), [wall.id]);
+    assert.strictEqual((await api('GET', '/v1/audit?deviceId=porch&username=nobody')).entries.length, 0);
+    assert.strictEqual((await api('GET', '/v1/audit?client=fax')).status, 400);
+    await api('POST', '/users', { username: 'visitor', password: 'visitor-password', role: 'guest' });
+    let users = [];
+    for (let waited = 0; waited < 2000 && !users.length; waited += 20) {
+        users = (await api('GET', '/v1/audit?type=MANAGE_USERS&target=visitor')).entries;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.deepStrictEqual(users[0].changes, [{ path: 'users.visitor.role', after: 'guest' }]);
+    assert.strictEqual((await api('GET', '/v1/audit', null, await login('visitor', 'visitor-password'))).status, 403);
+    board.ws.close();
+});
+
+test('configuration backups: export, a diff preview, an import pushed to the board, and the old data.json', async () => {
+    const token = await login('admin', 'admin-password');
+    const api = async (method, path, body) => {
+        const res = await fetch(`${baseUrl}/api/v1${path}`, {
+            method,
+            headers: { 'content-type': 'application/json', authorization: `Bearer ${token}` },
+            body: body && JSON.stringify(body)
+        });
+        return { status: res.status, disposition: res.headers.get('content-disposition'), ...(await res.json()) };
+    };
+
+    const exported = await api('GET', '/config');
+    assert.strictEqual(exported.status, 200);
+    assert.match(exported.disposition, /attachment; filename="switch-smart-config-/);
+    const { status, disposition, ...original } = exported;
+    assert.strictEqual(original.devices.main.names.switch2, state.devices.main.names.switch2);
+
+    const bundle = JSON.parse(JSON.stringify(original));
+    const main = bundle.devices.main;
+    main.names.switch2 = 'Reading lamp';
+    main.schedules.switch2 = [{ id: 'evening', time: '19:00', action: 1, days: 127, enabled: true }];
+    main.timers.switch2 = { active: true, endAt: Date.now() + 10 * 60 * 1000, action: 1 };
+    main.ledMode = 4;
+
+    // The preview lists the changes and leaves everything alone
+    const preview = await api('POST', '/config/preview', bundle);
+    assert.strictEqual(preview.status, 200);
+    assert.deepStrictEqual(preview.changes.find(change => change.path === 'devices.main.names.switch2').after, 'Reading lamp');
+    assert.ok(preview.changes.some(change => change.path === 'devices.main.ledMode'));
+    assert.notStrictEqual(state.devices.main.names.switch2, 'Reading lamp');
+
+    // Bundles that do not fit the channels are refused whole
+    const broken = JSON.parse(JSON.stringify(bundle));
+    broken.devices.main.schedules.switch9 = [];
+    const refusedImport = await api('POST', '/config', broken);
+    assert.strictEqual(refusedImport.status, 400);
+    assert.match(refusedImport.error, /devices\.main\.schedules\.switch9/);
+    assert.notStrictEqual(state.devices.main.names.switch2, 'Reading lamp');
+
+    hw.commands.length = 0;
+    const imported = await api('POST', '/config', bundle);
+    assert.strictEqual(imported.status, 200);
+    assert.deepStrictEqual(imported.changes, preview.changes);
+    assert.strictEqual(state.devices.main.names.switch2, 'Reading lamp');
+    // Every channel's schedules and timer go to the board, then its Aura
+    for (let i = 0; i < state.devices.main.channels.length; i++) {
+        const sched = await nextCommand(hw, 'SYNC_SCHED');
+        if (sched.switchId === 'switch2') assert.deepStrictEqual(sched.schedules.map(item => item.id), ['evening']);
+    }
+    const timers = [];
+    for (let i = 0; i < state.devices.main.channels.length; i++) timers.push(await nextCommand(hw, 'SYNC_TIMER'));
+    const timer = timers.find(item => item.switchId === 'switch2');
+    assert.strictEqual(timer.active, true);
+    assert.ok(timer.duration > 590 && timer.duration <= 600);
+    assert.deepStrictEqual(await nextCommand(hw, 'SYSTEM'), { action: 'SYSTEM', ledMode: 4 });
+
+    // The single-board data.json of the original server renames the default device's channels
+    const legacy = await api('POST', '/config/preview', {
+        names: { name1: 'Fan' }, switches: { switch1: 0 }, physical: {}, system: { ledMode: 4 }
+    });
+    assert.deepStrictEqual(legacy.changes, [{ path: 'devices.main.names.switch1', before: state.devices.main.names.switch1, after: 'Fan' }]);
+
+    // Importing the first export puts everything back
+    assert.strictEqual((await api('POST', '/config', original)).status, 200);
+    assert.deepStrictEqual((await api('POST', '/config/preview', original)).changes, []);
+    assert.strictEqual(state.devices.main.timers.switch2.active, false);
+    assert.strictEqual((await api('GET', '/backups')).enabled, false);
+    assert.strictEqual((await api('POST', '/backups')).status, 409);
+});
@@ -0,0 +1,238 @@
+// Storage backends: the memory and file backends honour the same contract, the file backend
+// survives a reopen, and snapshots move everything between backends.
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, exportSnapshot, normalizeSnapshot, importSnapshot } = require('../lib/storage');
+
+const DAY = 24 * 60 * 60 * 1000;
+const device = (id) => ({
+    id,
+    label: id,
+    channels: [{ id: 'switch1', type: 'dimmer', physical: false }],
+    names: { switch1: 'Lamp' },
+    scenes: [],
+    switches: { switch1: 40 },
+    schedules: { switch1: [] },
+    timers: { switch1: { active: false, endAt: 0, action: 0 } },
+    wattage: { switch1: 60 },
+    queue: [],
+    system: { ledMode: 1, rssi: -60 }
+});
+const image = (id) => ({ id, version: '1.5.0', size: 4, md5: 'm', sha256: 's', notes: '', uploadedAt: 1000, uploadedBy: 'admin' });
+const IMAGE_BYTES = Buffer.from([0xE9, 1, 2, 3]);
+const auditEntry = (id, at, { username = 'ana', client = 'app', type = 'TOGGLE_SWITCH', deviceId = 'main' } = {}) => ({
+    id, at: new Date(at), actor: { username, role: 'member', ip: '::1', client }, type, deviceId, target: 'switch1',
+    changes: [{ path: 'switches.switch1', before: 0, after: 1 }]
+});
+const event = (switchId, value, at, deviceId = 'main') => ({ deviceId, switchId, value, previous: value ? 0 : 1, source: 'app', at: new Date(at) });
+
+const dirs = [];
+function tempDir() {
+    dirs.push(fs.mkdtempSync(path.join(os.tmpdir(), 'switch-storage-')));
+    return dirs[dirs.length - 1];
+}
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+const backends = {
+    memory: () => createStorage({ type: 'memory' }),
+    file: () => createStorage({ type: 'file', dataDir: tempDir() })
+};
+
+for (const [name, create] of Object.entries(backends)) {
+    test(`${name}: devices, settings, rules and users round-trip`, async () => {
+        const storage = create();
+        await storage.connect();
+        assert.deepStrictEqual(await storage.loadDevices(), []);
+        assert.strictEqual(await storage.loadSettings(), null);
+
+        const main = device('main');
+        await storage.saveDevice('main', main);
+        main.switches.switch1 = 100; // Later changes to the live object are not stored
+        assert.deepStrictEqual(await storage.loadDevices(), [device('main')]);
+
+        await storage.saveSettings({ timeZone: 'UTC', queueOffline: true });
+        await storage.saveSettings({ rulesSeeded: true });
+        assert.deepStrictEqual(await storage.loadSettings(), { timeZone: 'UTC', queueOffline: true, rulesSeeded: true });
+
+        const rule = { id: 'r1', name: 'Night', enabled: true, deviceId: null, triggers: [], conditions: [], actions: [] };
+        await storage.saveRule(rule);
+        await storage.saveRule({ ...rule, enabled: false });
+        assert.deepStrictEqual(await storage.loadRules(), [{ ...rule, enabled: false }]);
+        await storage.removeRule('r1');
+        assert.deepStrictEqual(await storage.loadRules(), []);
+
+        await storage.saveUser({ username: 'ana', passwordHash: 'x', role: 'member' });
+        await storage.saveUser({ username: 'bo', passwordHash: 'y', role: 'guest' });
+        await storage.removeUser('bo');
+        assert.deepStrictEqual(await storage.loadUsers(), [{ username: 'ana', passwordHash: 'x', role: 'member' }]);
+        await storage.close();
+    });
+
+    test(`${name}: history queries`, async () => {
+        const storage = create();
+        await storage.connect();
+        const now = Date.now();
+        await storage.addEvents([event('switch1', 1, now - 3000), event('switch2', 1, now - 2000)]);
+        await storage.addEvents([event('switch1', 0, now - 1000), event('switch1', 1, now - 500, 'other')]);
+
+        const all = await storage.findEvents('main', { from: new Date(now - DAY), to: new Date(now) });
+        assert.deepStrictEqual(all.map(e => [e.switchId, e.value]), [['switch1', 1], ['switch2', 1], ['switch1', 0]]);
+        const newest = await storage.findEvents('main', { switchId: 'switch1', from: new Date(0), to: new Date(now), limit: 1 });
+        assert.deepStrictEqual(newest.map(e => e.value), [0]);
+
+        assert.strictEqual((await storage.lastEvent('main', 'switch1', new Date(now - 1500))).value, 1);
+        assert.strictEqual(await storage.lastEvent('main', 'switch1', new Date(now - 5000)), null);
+
+        const latest = await storage.latestValues();
+        assert.deepStrictEqual(latest.sort((a, b) => (a.deviceId + a.switchId).localeCompare(b.deviceId + b.switchId)), [
+            { deviceId: 'main', switchId: 'switch1', value: 0 },
+            { deviceId: 'main', switchId: 'switch2', value: 1 },
+            { deviceId: 'other', switchId: 'switch1', value: 1 }
+        ]);
+        await storage.close();
+    });
+
+    test(`${name}: firmware images`, async () => {
+        const storage = create();
+        await storage.connect();
+        await storage.saveFirmware(image('a1'), IMAGE_BYTES);
+        await storage.saveFirmware(image('b2'), Buffer.from([0xE9]));
+        assert.deepStrictEqual((await storage.loadFirmware()).map(stored => stored.id).sort(), ['a1', 'b2']);
+        assert.deepStrictEqual(await storage.readFirmware('a1'), IMAGE_BYTES);
+        await storage.removeFirmware('b2');
+        assert.deepStrictEqual(await storage.loadFirmware(), [image('a1')]);
+        assert.strictEqual(await storage.readFirmware('b2'), null);
+        await storage.close();
+    });
+
+    test(`${name}: health records`, async () => {
+        const storage = create();
+        await storage.connect();
+        const now = Date.now();
+        await storage.addHealth([
+            { deviceId: 'main', kind: 'connect', at: new Date(now - 3000), firmware: '1.4.0', cause: 'power' },
+            { deviceId: 'main', kind: 'rssi', at: new Date(now - 2000), avg: -61, min: -65, max: -58, count: 20 },
+            { deviceId: 'other', kind: 'disconnect', at: new Date(now - 1500), code: 1006, reason: null },
+            { deviceId: 'main', kind: 'disconnect', at: new Date(now - 1000), code: 1006, reason: null }
+        ]);
+        const all = await storage.findHealth('main', { from: new Date(now - DAY), to: new Date(now) });
+        assert.deepStrictEqual(all.map(record => record.kind), ['connect', 'rssi', 'disconnect']);
+        assert.strictEqual(all[0].firmware, '1.4.0');
+        const [last] = await storage.findHealth('main', { kind: 'disconnect', from: new Date(0), to: new Date(now), limit: 1 });
+        assert.deepStrictEqual(last, { deviceId: 'main', kind: 'disconnect', at: new Date(now - 1000), code: 1006, reason: null });
+        await storage.close();
+    });
+
+    test(`${name}: audit log`, async () => {
+        const storage = create();
+        await storage.connect();
+        const now = Date.now();
+        await storage.addAudit([
+            auditEntry('a', now - 4000),
+            auditEntry('b', now - 3000, { username: null, client: 'physical', type: 'UPDATE_STATUS' }),
+            auditEntry('c', now - 2000, { username: 'bo', deviceId: 'other' }),
+            auditEntry('d', now - 1000, { type: 'RENAME' })
+        ]);
+        const window = { from: new Date(now - DAY), to: new Date(now) };
+        assert.deepStrictEqual((await storage.findAudit(window)).map(entry => entry.id), ['a', 'b', 'c', 'd']);
+        assert.deepStrictEqual((await storage.findAudit({ ...window, username: 'ana' })).map(entry => entry.id), ['a', 'd']);
+        assert.deepStrictEqual((await storage.findAudit({ ...window, client: 'physical' })).map(entry => entry.id), ['b']);
+        assert.deepStrictEqual((await storage.findAudit({ ...window, deviceId: 'main', type: 'TOGGLE_SWITCH' })).map(entry => entry.id), ['a']);
+        assert.deepStrictEqual((await storage.findAudit({ ...window, limit: 2 })).map(entry => entry.id), ['c', 'd']);
+        assert.deepStrictEqual(await storage.findAudit({ ...window, target: 'switch1', limit: 1 }), [auditEntry('d', now - 1000, { type: 'RENAME' })]);
+        await storage.close();
+    });
+}
+
+test('file: state and history survive a reopen', async () => {
+    const dataDir = tempDir();
+    const first = createStorage({ type: 'file', dataDir });
+    await first.connect();
+    await first.saveDevice('main', device('main'));
+    await first.saveSettings({ timeZone: 'Europe/Berlin' });
+    await first.addEvents([event('switch1', 1, Date.now() - 1000)]);
+    await first.addHealth([{ deviceId: 'main', kind: 'heartbeat-miss', at: new Date() }]);
+    await first.saveFirmware(image('a1'), IMAGE_BYTES);
+    await first.addAudit([auditEntry('a', Date.now())]);
+    await first.close();
+
+    const second = createStorage({ type: 'file', dataDir });
+    await second.connect();
+    assert.deepStrictEqual(await second.loadDevices(), [device('main')]);
+    assert.deepStrictEqual(await second.loadSettings(), { timeZone: 'Europe/Berlin' });
+    const [restored] = await second.allEvents();
+    assert.ok(restored.at instanceof Date);
+    assert.strictEqual(restored.value, 1);
+    const [health] = await second.allHealth();
+    assert.strictEqual(health.kind, 'heartbeat-miss');
+    assert.ok(health.at instanceof Date);
+    assert.deepStrictEqual(await second.loadFirmware(), [image('a1')]);
+    assert.deepStrictEqual(await second.readFirmware('a1'), IMAGE_BYTES);
+    const [entry] = await second.allAudit();
+    assert.ok(entry.at instanceof Date);
+    assert.deepStrictEqual(entry.changes, [{ path: 'switches.switch1', before: 0, after: 1 }]);
+    await second.close();
+});
+
+test('file: history is trimmed to the retention and survives a torn last line', async () => {
+    const dataDir = tempDir();
+    const historyPath = path.join(dataDir, 'history.jsonl');
+    const now = Date.now();
+    fs.writeFileSync(historyPath, [event('switch1', 1, now - 10 * DAY), event('switch1', 0, now - DAY)]
+        .map(e => JSON.stringify(e) + '\n').join('') + '{"deviceId":"main","swi');
+
+    const storage = createStorage({ type: 'file', dataDir, retentionDays: 7 });
+    await storage.connect();
+    assert.deepStrictEqual((await storage.allEvents()).map(e => e.value), [0]);
+    await storage.close();
+    assert.strictEqual(fs.readFileSync(historyPath, 'utf8').trim().split('\n').length, 1);
+});
+
+test('snapshots move everything between backends', async () => {
+    const source = createStorage({ type: 'memory' });
+    await source.connect();
+    await source.saveDevice('main', device('main'));
+    await source.saveSettings({ timeZone: 'UTC', rulesSeeded: true });
+    await source.saveUser({ username: 'ana', passwordHash: 'x', role: 'admin' });
+    await source.addEvents([event('switch1', 1, Date.now() - 1000)]);
+    await source.addHealth([{ deviceId: 'main', kind: 'connect', at: new Date(), cause: 'network' }]);
+    await source.saveFirmware(image('a1'), IMAGE_BYTES);
+    await source.addAudit([auditEntry('a', Date.now())]);
+
+    // Through JSON, as the migration command writes and reads it
+    const snapshot = normalizeSnapshot(JSON.parse(JSON.stringify(await exportSnapshot(source))));
+    const target = createStorage({ type: 'file', dataDir: tempDir() });
+    await target.connect();
+    assert.deepStrictEqual(await importSnapshot(target, snapshot), { devices: 1, rules: 0, users: 1, events: 1, health: 1, firmware: 1, audit: 1 });
+    assert.deepStrictEqual(await target.loadDevices(), await source.loadDevices());
+    assert.deepStrictEqual(await target.loadSettings(), await source.loadSettings());
+    assert.deepStrictEqual(await target.allEvents(), await source.allEvents());
+    assert.deepStrictEqual(await target.allHealth(), await source.allHealth());
+    assert.deepStrictEqual(await target.loadFirmware(), [image('a1')]);
+    assert.deepStrictEqual(await target.readFirmware('a1'), IMAGE_BYTES);
+    assert.deepStrictEqual(await target.allAudit(), await source.allAudit());
+    await target.close();
+});
+
+test('the original single-board data.json imports as the default device', () => {
+    const legacy = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data.json'), 'utf8'));
+    const { devices, events } = normalizeSnapshot(legacy);
+    assert.strictEqual(devices.length, 1);
+    assert.strictEqual(devices[0].id, 'main');
+    assert.strictEqual(devices[0].names.name2, 'Kitchen SOCKET');
+    assert.deepStrictEqual(devices[0].switches, legacy.switches);
+    assert.deepStrictEqual(devices[0].system, { ledMode: 0, rssi: -59 });
+    assert.deepStrictEqual(events, []);
+    assert.throws(() => normalizeSnapshot({ version: 99 }), /Unsupported snapshot version/);
+});
+
+test('unknown or incomplete configurations are refused', () => {
+    assert.strictEqual(createStorage({}).name, 'memory');
+    assert.strictEqual(createStorage({ type: 'file', dataDir: tempDir() }).name, 'file');
+    assert.throws(() => createStorage({ type: 'mongo' }), /MONGODB_URI/);
+    assert.throws(() => createStorage({ type: 'sqlite' }), /Unknown STORAGE/);
+});
@@ -1,7 +1,7 @@
 const WebSocket = require('ws');
 
 // --- CONFIGURATION ---
-const WS_URL = 'ws://localhost:3000'; // Target the local Node.js server
+const WS_URL = `ws://localhost:3000?token=${process.env.TOKEN}`; // Target the local Node.js server (needs a session token)
 const TOTAL_COMMANDS = 1000;
 const BURST_SIZE = 50;
 
@@ -0,0 +1,120 @@
+// Vacation mode: habits learned from switch history or schedules, and jittered plans drawn from them.
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildSchedule, EVERY_DAY } = require('../lib/schedules');
+const {
+    channelKey, isReplaying, learnPatterns, schedulePatterns, planDay, planAhead, dueEvents, preview
+} = require('../lib/vacation');
+
+const ZONE = 'Asia/Kolkata';
+const MINUTE = 60 * 1000;
+const at = (iso) => new Date(`${iso}+05:30`).getTime();
+
+// An ON/OFF pair on the local day `day` ('2026-07-DD') from `on` ('HH:MM') for `minutes`
+function period(day, on, minutes, { level = 1, source = 'app' } = {}) {
+    const start = at(`${day}T${on}:00`);
+    return [
+        { value: level, previous: 0, source, at: new Date(start) },
+        { value: 0, previous: level, source: 'app', at: new Date(start + minutes * MINUTE) }
+    ];
+}
+
+test('habits: evening ON periods on most days become one pattern', () => {
+    const events = [
+        ...period('2026-07-01', '19:00', 180),
+        ...period('2026-07-02', '19:20', 200),
+        ...period('2026-07-03', '18:50', 160),
+        ...period('2026-07-04', '19:10', 180, { level: 2 }),
+        // A one-off in the morning and a blip are no habits
+        ...period('2026-07-04', '07:00', 30),
+        ...period('2026-07-05', '12:00', 2)
+    ];
+    const patterns = learnPatterns(events, { now: at('2026-07-05T20:00:00'), timeZone: ZONE });
+    assert.deepStrictEqual(patterns, [{ on: 19 * 60 + 5, duration: 180, level: 2, chance: 0.8, from: 'history' }]);
+});
+
+test('habits: replayed periods and an empty history teach nothing', () => {
+    const replayed = [
+        ...period('2026-07-01', '19:00', 180, { source: 'vacation' }),
+        ...period('2026-07-02', '19:00', 180, { source: 'vacation' })
+    ];
+    assert.deepStrictEqual(learnPatterns(replayed, { now: at('2026-07-03T00:00:00'), timeZone: ZONE }), []);
+    assert.deepStrictEqual(learnPatterns([], { now: at('2026-07-03T00:00:00'), timeZone: ZONE }), []);
+});
+
+test('habits: schedules pair each ON with the next OFF, past midnight too', () => {
+    const schedules = [
+        buildSchedule({ time: '18:30', action: 1, days: EVERY_DAY }),
+        buildSchedule({ time: '23:00', action: 0, days: EVERY_DAY }),
+        buildSchedule({ time: '23:30', action: 2, days: 0b0000011 }),
+        buildSchedule({ time: '06:00', action: 0, days: EVERY_DAY }),
+        buildSchedule({ time: '12:00', action: 1, date: '2026-07-10' }) // One-shot: no habit
+    ];
+    assert.deepStrictEqual(schedulePatterns(schedules, { solar: null }), [
+        { on: 18 * 60 + 30, duration: 270, level: 1, chance: 1, from: 'schedule' },
+        { on: 23 * 60 + 30, duration: 390, level: 2, chance: 0.29, from: 'schedule' }
+    ]);
+    assert.deepStrictEqual(schedulePatterns([buildSchedule({ time: '18:30', action: 1 })], { solar: null }), []);
+});
+
+test('plans: events are jittered within the bound and overlaps merge', () => {
+    const patterns = [{ on: 19 * 60, duration: 120, level: 1, chance: 1 }];
+    const steady = planDay(patterns, { dateKey: '2026-07-06', timeZone: ZONE, jitter: 20, random: () => 0.5 });
+    assert.deepStrictEqual(steady, [{ at: at('2026-07-06T19:00:00'), value: 1 }, { at: at('2026-07-06T21:00:00'), value: 0 }]);
+
+    const early = planDay(patterns, { dateKey: '2026-07-06', timeZone: ZONE, jitter: 20, random: () => 0 });
+    assert.strictEqual(early[0].at, at('2026-07-06T18:40:00'));
+    assert.strictEqual(early[1].at, at('2026-07-06T20:20:00')); // Started 20 min early, ran 20 min shorter
+
+    const overlapping = [...patterns, { on: 20 * 60, duration: 120, level: 1, chance: 1 }];
+    assert.deepStrictEqual(planDay(overlapping, { dateKey: '2026-07-06', timeZone: ZONE, jitter: 0 }),
+        [{ at: at('2026-07-06T19:00:00'), value: 1 }, { at: at('2026-07-06T22:00:00'), value: 0 }]);
+
+    // A habit seen on a third of the days is left out when the draw says so
+    const rare = [{ ...patterns[0], chance: 0.3 }];
+    assert.deepStrictEqual(planDay(rare, { dateKey: '2026-07-06', timeZone: ZONE, random: () => 0.5 }), []);
+});
+
+test('plans: kept 24 hours ahead, one local day at a time', () => {
+    const vacation = {
+        switches: [{ deviceId: 'main', switchId: 'switch1' }],
+        patterns: { [channelKey('main', 'switch1')]: [{ on: 19 * 60, duration: 120, level: 1, chance: 1 }] },
+        jitter: 0
+    };
+    const now = at('2026-07-06T20:00:00');
+    const first = planAhead(vacation, { now, timeZone: ZONE });
+    // Tonight's ON is past; its OFF and tomorrow's evening remain
+    assert.deepStrictEqual(first.plan.map(event => [event.at, event.value]), [
+        [at('2026-07-06T21:00:00'), 0], [at('2026-07-07T19:00:00'), 1], [at('2026-07-07T21:00:00'), 0]
+    ]);
+    assert.strictEqual(first.plannedThrough, '2026-07-07');
+    // Tomorrow's OFF is more than 24 hours away
+    assert.strictEqual(preview(first.plan, now).length, 2);
+
+    // Later the same day nothing new is planned; after midnight the next day is
+    const later = planAhead({ ...vacation, ...first }, { now: at('2026-07-06T21:00:00'), timeZone: ZONE });
+    assert.strictEqual(later.plan.length, 2);
+    assert.strictEqual(later.plannedThrough, '2026-07-07');
+    const tomorrow = planAhead({ ...vacation, ...later }, { now: at('2026-07-07T00:01:00'), timeZone: ZONE });
+    assert.strictEqual(tomorrow.plannedThrough, '2026-07-08');
+    assert.strictEqual(tomorrow.plan.length, 4);
+});
+
+test('due events: only the recent past is replayed', () => {
+    const plan = [
+        { deviceId: 'main', switchId: 'switch1', at: at('2026-07-06T19:00:00'), value: 1 },
+        { deviceId: 'main', switchId: 'switch1', at: at('2026-07-06T21:00:00'), value: 0 }
+    ];
+    assert.deepStrictEqual(dueEvents(plan, at('2026-07-06T19:01:00')), [plan[0]]);
+    assert.deepStrictEqual(dueEvents(plan, at('2026-07-06T19:30:00')), []); // Missed while the server was down
+    assert.deepStrictEqual(dueEvents(plan, at('2026-07-06T18:59:00')), []);
+});
+
+test('isReplaying: only selected channels while the mode is on', () => {
+    const vacation = { enabled: true, switches: [{ deviceId: 'main', switchId: 'switch1' }] };
+    assert.strictEqual(isReplaying(vacation, 'main', 'switch1'), true);
+    assert.strictEqual(isReplaying(vacation, 'main', 'switch2'), false);
+    assert.strictEqual(isReplaying({ ...vacation, enabled: false }, 'main', 'switch1'), false);
+    assert.strictEqual(isReplaying(undefined, 'main', 'switch1'), false);
+});